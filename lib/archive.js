@@ -0,0 +1,159 @@
+const zlib = require('zlib');
+
+/*
+ * Gzipped tar archives, as read by `tar -xzf`.
+ *
+ * Only what the content export needs is supported: regular files with
+ * relative names. Names longer than 100 bytes are split at a slash into
+ * the ustar prefix and name fields, which hold up to 255 bytes between
+ * them; canStore() tells whether a name fits. Reading skips directories
+ * and other entry types, and rejects names that are absolute or climb out of the
+ * archive with "..", so the names can be joined to a directory safely.
+ */
+
+const BLOCK = 512;
+
+/**
+ * Write a number as a NUL-terminated octal field.
+ * @param {Buffer} header
+ * @param {number} value
+ * @param {number} offset
+ * @param {number} length - including the NUL
+ */
+function writeOctal(header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii');
+}
+
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function checksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) {
+    // The checksum field itself counts as spaces
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+/**
+ * Whether a name is a plain relative path, e.g. "images/a.jpg".
+ * @param {string} name
+ */
+function isSafeName(name) {
+  return Boolean(name) && !name.startsWith('/') && !name.includes('\\') &&
+    name.split('/').every(part => part && part !== '.' && part !== '..');
+}
+
+/**
+ * Split a name into the ustar prefix (up to 155 bytes) and name (up to 100
+ * bytes) fields, at a slash. Returns null if it does not fit.
+ * @param {string} name
+ * @returns {{ prefix: string, name: string }|null}
+ */
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { prefix: '', name };
+  for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) return { prefix, name: rest };
+  }
+  return null;
+}
+
+/**
+ * Whether a file name can be stored in an archive.
+ * @param {string} name
+ */
+function canStore(name) {
+  return isSafeName(name) && splitName(name) !== null;
+}
+
+/**
+ * Build a gzipped tar archive.
+ * @throws {Error} if a name cannot be stored (see canStore())
+ * @param {{ name: string, data: Buffer|string }[]} files
+ * @param {Date} [mtime] - modification time recorded for every file
+ * @returns {Buffer}
+ */
+function pack(files, mtime = new Date()) {
+  const blocks = [];
+  files.forEach(file => {
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data);
+    if (!canStore(file.name)) {
+      throw new Error(`Cannot store "${file.name}" in an archive`);
+    }
+    const { prefix, name } = splitName(file.name);
+    const header = Buffer.alloc(BLOCK);
+    header.write(name, 0, 100, 'utf8');
+    writeOctal(header, 0o644, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, data.length, 124, 12);
+    writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+    header.write('0', 156, 1, 'ascii');
+    header.write('ustar\u000000', 257, 8, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+    writeOctal(header, checksum(header), 148, 7);
+    header[155] = 0x20;
+    blocks.push(header, data);
+    if (data.length % BLOCK) blocks.push(Buffer.alloc(BLOCK - (data.length % BLOCK)));
+  });
+  // Two empty blocks end the archive
+  blocks.push(Buffer.alloc(BLOCK * 2));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+/**
+ * Read the files of a gzipped tar archive.
+ * @param {Buffer} buffer
+ * @param {{ maxSize?: number }} [options] - largest unpacked size accepted
+ * @returns {Map<string, Buffer>} file contents by name
+ * @throws {Error} with statusCode 400 if the archive is malformed, unsafe or
+ *   too large
+ */
+function unpack(buffer, options = {}) {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.statusCode = 400;
+    return err;
+  };
+  let tar;
+  try {
+    tar = zlib.gunzipSync(buffer, options.maxSize ? { maxOutputLength: options.maxSize } : {});
+  } catch (e) {
+    throw fail(e.code === 'ERR_BUFFER_TOO_LARGE' ? 'Archive is too large' : 'Not a gzipped archive');
+  }
+  const files = new Map();
+  let offset = 0;
+  while (offset + BLOCK <= tar.length) {
+    const header = tar.subarray(offset, offset + BLOCK);
+    if (header.every(byte => byte === 0)) break;
+    if (checksum(header) !== parseInt(readString(header, 148, 8).trim(), 8)) {
+      throw fail('Archive is damaged');
+    }
+    const prefix = readString(header, 345, 155);
+    const name = (prefix ? `${prefix}/` : '') + readString(header, 0, 100);
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 0x30);
+    offset += BLOCK;
+    if (!Number.isInteger(size) || size < 0 || offset + size > tar.length) {
+      throw fail('Archive is damaged');
+    }
+    if (type === '0') {
+      if (!isSafeName(name)) throw fail(`Archive contains an unsafe name: ${name}`);
+      files.set(name, Buffer.from(tar.subarray(offset, offset + size)));
+    }
+    offset += Math.ceil(size / BLOCK) * BLOCK;
+  }
+  return files;
+}
+
+module.exports = {
+  canStore,
+  pack,
+  unpack
+};
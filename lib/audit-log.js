@@ -0,0 +1,87 @@
+const fs = require('fs');
+
+/*
+ * Audit trail of admin actions.
+ *
+ * Every sign-in attempt and every change made through the admin API is
+ * appended to a JSON-lines file under data/ as
+ *   { timestamp, actor, action, target, ip, details }
+ * where actor is a username, action a dotted name such as "faq.update" and
+ * target identifies what was changed, e.g. "faq:1a2b3c4d". Entries are only
+ * ever appended; nothing in the server rewrites or deletes them.
+ */
+
+let logPath = null;
+
+/**
+ * Set the file entries are appended to.
+ * @param {string} filePath
+ */
+function open(filePath) {
+  logPath = filePath;
+}
+
+/**
+ * Append an entry. Written synchronously so that entries keep their order
+ * and are on disk before the response reporting the change is sent.
+ * @param {{ actor: string, action: string, target?: string, ip?: string, details?: object }} entry
+ */
+function record({ actor, action, target = '', ip = '', details }) {
+  const entry = { timestamp: new Date().toISOString(), actor, action, target, ip };
+  if (details) entry.details = details;
+  try {
+    fs.appendFileSync(logPath, JSON.stringify(entry) + '\n');
+  } catch (e) {
+    console.error('Failed to write audit log', e);
+  }
+}
+
+/**
+ * Read all entries, oldest first, skipping any malformed lines.
+ * @returns {Promise<object[]>}
+ */
+function read() {
+  return new Promise((resolve) => {
+    fs.readFile(logPath, 'utf8', (err, data) => {
+      if (err) {
+        if (err.code !== 'ENOENT') console.error('Failed to read audit log', err);
+        return resolve([]);
+      }
+      const entries = [];
+      data.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (e) {
+          // ignore a partially written line
+        }
+      });
+      resolve(entries);
+    });
+  });
+}
+
+/**
+ * Filter entries. Actor and action must match exactly; target matches as a
+ * case-insensitive substring. since and until are timestamps in ms.
+ * @param {object[]} entries
+ * @param {{ actor?: string, action?: string, target?: string, since?: number, until?: number }} filters
+ */
+function filter(entries, { actor, action, target, since, until }) {
+  const needle = target ? target.toLowerCase() : '';
+  return entries.filter(entry => {
+    const time = Date.parse(entry.timestamp);
+    return (!actor || entry.actor === actor) &&
+      (!action || entry.action === action) &&
+      (!needle || String(entry.target).toLowerCase().includes(needle)) &&
+      (since === undefined || time >= since) &&
+      (until === undefined || time < until);
+  });
+}
+
+module.exports = {
+  open,
+  record,
+  read,
+  filter
+};
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const users = require('./users');
+
+/*
+ * Server configuration.
+ *
+ * Each setting is read from, in increasing priority: its default, the
+ * defaults of the profile, config.json and its environment variable. The
+ * profile is chosen with NODE_ENV, `development` (the default) or
+ * `production`. config.json holds settings by name, plus optional
+ * `development` and `production` sections that apply to one profile only:
+ *
+ *   { "port": 8080, "production": { "corsOrigin": "https://marisk.ca" } }
+ *
+ * The file is looked up next to server.js, or wherever CONFIG_FILE points.
+ * Every value is checked when the configuration is loaded; all problems are
+ * reported together, naming the variable or key they came from.
+ */
+
+const PROFILES = {
+  development: {},
+  // Production sits behind a TLS-terminating proxy, so cookies are always
+  // marked Secure
+  production: { secureCookies: true }
+};
+
+// name -> { env, type, default, secret, choices }
+const SETTINGS = {
+  port: { env: 'PORT', type: 'port', default: 3000 },
+  // Interface to listen on; empty for all of them
+  host: { env: 'HOST', type: 'string', default: '' },
+  // Relative directories are resolved against the project directory
+  dataDir: { env: 'DATA_DIR', type: 'path', default: 'data' },
+  publicDir: { env: 'PUBLIC_DIR', type: 'path', default: 'public' },
+  // Origins whose pages may call the public API: * for any, or a list of
+  // origins, comma-separated in the environment. The admin API is only
+  // ever open to the site itself.
+  corsOrigin: { env: 'CORS_ORIGIN', type: 'origins', default: '*' },
+  // Address the public reaches the site at, for the links between the
+  // language versions of its pages; empty to leave them without a host
+  siteUrl: { env: 'SITE_URL', type: 'site', default: '' },
+  // Largest JSON request body, in bytes or with a unit, e.g. "20mb"
+  maxBodySize: { env: 'MAX_BODY_SIZE', type: 'size', default: 20 * 1024 * 1024 },
+  // Largest content archive the admin panel may import. Exports include
+  // every gallery image, so they outgrow maxBodySize.
+  maxImportSize: { env: 'MAX_IMPORT_SIZE', type: 'size', default: 200 * 1024 * 1024 },
+  sessionIdleTimeoutMinutes: { env: 'SESSION_IDLE_TIMEOUT_MINUTES', type: 'positive', default: 24 * 60 },
+  sessionAbsoluteTimeoutHours: { env: 'SESSION_ABSOLUTE_TIMEOUT_HOURS', type: 'positive', default: 7 * 24 },
+  // Mark the session cookie Secure even on plain HTTP requests
+  secureCookies: { env: 'SECURE_COOKIES', type: 'boolean', default: false },
+  // Owner account created at startup while there are no users yet, for
+  // deployments where `npm run create-owner` cannot be run
+  ownerUsername: { env: 'OWNER_USERNAME', type: 'string', default: '' },
+  ownerPassword: { env: 'OWNER_PASSWORD', type: 'string', default: '', secret: true },
+  // Copies of each data file kept in data/backups/, taken before every write
+  dataBackups: { env: 'DATA_BACKUPS', type: 'count', default: 10 },
+  // What to do when a data file is corrupt: refuse to start, or serve the
+  // newest valid backup with changes to that data disabled
+  onCorruptData: { env: 'ON_CORRUPT_DATA', type: 'choice', choices: ['refuse', 'read-only'], default: 'refuse' },
+  // Reload the FAQs, gallery and translations when their files change
+  watchData: { env: 'WATCH_DATA', type: 'boolean', default: true },
+  // How long a shutdown waits for requests in progress to finish
+  shutdownTimeoutSeconds: { env: 'SHUTDOWN_TIMEOUT_SECONDS', type: 'positive', default: 30 },
+  // Write a JSON line to stdout for every request
+  accessLog: { env: 'ACCESS_LOG', type: 'boolean', default: true },
+  // Bearer token /metrics asks for; empty to leave it open, e.g. when only
+  // the host's network can reach the server
+  metricsToken: { env: 'METRICS_TOKEN', type: 'string', default: '', secret: true }
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Convert a raw value to a setting's type. Values from the environment are
+ * always strings; values from config.json may already have the right type.
+ * Returns { value } or { error } describing what was expected.
+ * @param {string} type
+ * @param {*} raw
+ * @param {string[]} [choices] - allowed values of a `choice` setting
+ */
+function parseValue(type, raw, choices) {
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+  switch (type) {
+    case 'port': {
+      const value = Number(text);
+      if (text === '' || !Number.isInteger(value) || value < 0 || value > 65535) {
+        return { error: 'must be a port number between 0 and 65535' };
+      }
+      return { value };
+    }
+    case 'positive': {
+      const value = Number(text);
+      if (text === '' || !(value > 0) || !Number.isFinite(value)) {
+        return { error: 'must be a positive number' };
+      }
+      return { value };
+    }
+    case 'count': {
+      const value = Number(text);
+      if (text === '' || !Number.isInteger(value) || value < 0) {
+        return { error: 'must be a whole number, 0 or more' };
+      }
+      return { value };
+    }
+    case 'choice':
+      if (!choices.includes(text)) return { error: `must be one of ${choices.join(', ')}` };
+      return { value: text };
+    case 'size': {
+      const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(text));
+      if (!match || !(Number(match[1]) > 0)) {
+        return { error: 'must be a size in bytes, or with a unit such as "512kb" or "20mb"' };
+      }
+      return { value: Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]) };
+    }
+    case 'boolean':
+      if (typeof text === 'boolean') return { value: text };
+      if (['true', '1', 'yes'].includes(String(text).toLowerCase())) return { value: true };
+      if (['false', '0', 'no'].includes(String(text).toLowerCase())) return { value: false };
+      return { error: 'must be true or false' };
+    case 'origins': {
+      const list = Array.isArray(text) ? text : String(text).split(',');
+      const origins = list.map(item => String(item).trim()).filter(Boolean);
+      if (origins.length === 1 && origins[0] === '*') return { value: origins };
+      const valid = origins.length && origins.every(item => {
+        try {
+          return new URL(item).origin === item && /^https?:/.test(item);
+        } catch (e) {
+          return false;
+        }
+      });
+      if (!valid) {
+        return { error: 'must be * or a list of origins such as https://marisk.ca' };
+      }
+      return { value: origins };
+    }
+    case 'site': {
+      if (text === '') return { value: text };
+      let origin = null;
+      try {
+        origin = new URL(text).origin;
+      } catch (e) {
+        // reported below
+      }
+      if (origin !== String(text).replace(/\/$/, '') || !/^https?:/.test(origin)) {
+        return { error: 'must be empty or the address of the site such as https://marisk.ca' };
+      }
+      return { value: origin };
+    }
+    case 'path':
+      if (typeof text !== 'string' || !text) return { error: 'must be a directory path' };
+      return { value: text };
+    default:
+      if (typeof text !== 'string') return { error: 'must be a string' };
+      return { value: text };
+  }
+}
+
+/**
+ * Read config.json. A missing file is only an error when it was asked for
+ * explicitly.
+ * @param {string} filePath
+ * @param {boolean} required
+ * @param {string[]} problems - collects error messages
+ */
+function readFile(filePath, required, problems) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) return {};
+    problems.push(err.code === 'ENOENT' ? `${filePath} does not exist` : `${filePath} could not be read: ${err.message}`);
+    return {};
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    problems.push(`${filePath} must hold a JSON object`);
+    return {};
+  }
+  return data;
+}
+
+/**
+ * Load and validate the configuration.
+ * @param {object} [options]
+ * @param {object} [options.env] - environment variables, default process.env
+ * @param {string|null} [options.file] - config file, default CONFIG_FILE or
+ *   config.json in the project directory; null to read none
+ * @param {string} [options.root] - directory relative paths are resolved against
+ * @returns {object} the settings by name, plus `profile`
+ * @throws {Error} listing every invalid value
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const root = options.root || path.join(__dirname, '..');
+  const problems = [];
+
+  const profile = env.NODE_ENV || 'development';
+  if (!PROFILES[profile]) {
+    problems.push(`NODE_ENV must be one of ${Object.keys(PROFILES).join(', ')} (got "${profile}")`);
+  }
+
+  let filePath = options.file;
+  if (filePath === undefined) {
+    filePath = env.CONFIG_FILE ? path.resolve(root, env.CONFIG_FILE) : path.join(root, 'config.json');
+  }
+  const file = filePath ? readFile(filePath, Boolean(options.file || env.CONFIG_FILE), problems) : {};
+  Object.keys(file).forEach(key => {
+    if (!SETTINGS[key] && !PROFILES[key]) problems.push(`${path.basename(filePath)}: unknown setting "${key}"`);
+  });
+  Object.keys(PROFILES).filter(name => name in file).forEach(name => {
+    if (!file[name] || typeof file[name] !== 'object' || Array.isArray(file[name])) {
+      problems.push(`${path.basename(filePath)}: "${name}" must be an object`);
+      return;
+    }
+    Object.keys(file[name]).forEach(key => {
+      if (!SETTINGS[key]) problems.push(`${path.basename(filePath)}: unknown setting "${name}.${key}"`);
+    });
+  });
+  const section = (PROFILES[profile] && file[profile] && typeof file[profile] === 'object') ? file[profile] : {};
+
+  const config = { profile };
+  Object.entries(SETTINGS).forEach(([name, setting]) => {
+    let raw = setting.default;
+    let source = null;
+    if (PROFILES[profile] && name in PROFILES[profile]) raw = PROFILES[profile][name];
+    if (name in file) {
+      raw = file[name];
+      source = `${path.basename(filePath)}: "${name}"`;
+    }
+    if (name in section) {
+      raw = section[name];
+      source = `${path.basename(filePath)}: "${profile}.${name}"`;
+    }
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      raw = env[setting.env];
+      source = setting.env;
+    }
+    const { value, error } = parseValue(setting.type, raw, setting.choices);
+    if (error) {
+      problems.push(`${source} ${error}${setting.secret ? '' : ` (got ${JSON.stringify(raw)})`}`);
+      return;
+    }
+    config[name] = setting.type === 'path' ? path.resolve(root, value) : value;
+  });
+
+  if (Boolean(config.ownerUsername) !== Boolean(config.ownerPassword)) {
+    problems.push('OWNER_USERNAME and OWNER_PASSWORD must be set together');
+  } else if (config.ownerUsername) {
+    const problem = users.validateUsername(config.ownerUsername) || users.validatePassword(config.ownerPassword);
+    if (problem) problems.push(`Owner account: ${problem}`);
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  return Object.freeze(config);
+}
+
+module.exports = {
+  PROFILES,
+  SETTINGS,
+  loadConfig
+};
@@ -0,0 +1,345 @@
+/*
+ * Ranked retrieval over FAQ entries for the chat assistant.
+ *
+ * Text is tokenized, stripped of stop words and reduced to light stems, then
+ * scored with BM25 over two weighted fields (question and answer). Query
+ * terms that do not occur anywhere in the index are matched against similar
+ * index terms within a small edit distance so that typos still find an
+ * answer. Alongside the raw BM25 score each result carries a confidence
+ * between 0 and 1: the share of the query's information (IDF) that the
+ * entry actually covers.
+ */
+
+// BM25 parameters and per-field weights. A term found in the question says
+// much more about an entry than the same term somewhere in its answer.
+const K1 = 1.2;
+const B = 0.75;
+const FIELD_WEIGHTS = { question: 2, answer: 1 };
+
+// Weight applied to query terms matched through a typo or a synonym rather
+// than literally, indexed by edit distance for typos.
+const TYPO_WEIGHTS = [1, 0.6, 0.4];
+const SYNONYM_WEIGHT = 0.8;
+
+// Share of the confidence denominator taken by a query term that matches
+// nothing in the index at all. Such words ("rid", "anyway") usually carry
+// little meaning, but they must still lower confidence somewhat.
+const UNKNOWN_TERM_WEIGHT = 0.5;
+
+// Share of a term's contribution to confidence when it only occurs in an
+// entry's answer: the entry mentions it, but is not about it.
+const ANSWER_ONLY_COVERAGE = 0.7;
+
+// Common function words for the supported languages. Stop words are removed
+// before stemming, so entries are in their surface form.
+const STOP_WORDS = new Set([
+  // English
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'before', 'being', 'best', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'doing', 'during', 'each', 'for', 'from', 'get', 'good', 'had', 'has', 'have', 'having', 'he', 'her',
+  'here', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most',
+  'much', 'my', 'no', 'not', 'of', 'often', 'on', 'or', 'other', 'our', 'out', 'over', 'please',
+  'should', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+  'this', 'those', 'to', 'too', 'up', 'us', 'very', 'was', 'way', 'we', 'were', 'what', 'when',
+  'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+  'anything', 'know', 'need', 'tell', 'thing', 'want',
+  // French
+  'au', 'aux', 'avec', 'ce', 'ces', 'comment', 'dans', 'de', 'des', 'du', 'elle', 'en', 'est', 'et',
+  'il', 'je', 'la', 'le', 'les', 'leur', 'ma', 'mais', 'mes', 'mon', 'ne', 'nous', 'ou', 'par', 'pas',
+  'pour', 'quand', 'que', 'quel', 'quelle', 'qui', 'sa', 'se', 'ses', 'son', 'sont', 'sur', 'ta',
+  'te', 'tu', 'un', 'une', 'vos', 'votre', 'vous',
+  // Russian
+  'а', 'в', 'во', 'вы', 'да', 'для', 'до', 'его', 'ее', 'если', 'же', 'за', 'и', 'из', 'или',
+  'их', 'к', 'как', 'какие', 'какой', 'когда', 'ли', 'мне', 'мой', 'мою', 'моя', 'мы', 'на', 'не',
+  'но', 'о', 'об', 'от', 'по', 'с', 'со', 'так', 'то', 'у', 'уже', 'что', 'это', 'я',
+  // Ukrainian
+  'або', 'від', 'де', 'з', 'за', 'і', 'й', 'коли', 'мені', 'мій', 'моя', 'ми', 'та', 'це', 'чи',
+  'що', 'як', 'який', 'яка', 'які',
+  // Kazakh
+  'бұл', 'және', 'мен', 'не', 'қалай', 'қашан', 'үшін'
+]);
+
+// Small groups of interchangeable words visitors use for the same thing.
+// Every word in a group is a synonym of every other word in it.
+const SYNONYM_GROUPS = [
+  ['lawn', 'grass', 'turf', 'yard'],
+  ['pest', 'bug', 'insect'],
+  ['tree', 'shrub', 'bush'],
+  ['water', 'irrigate', 'sprinkler'],
+  ['fertilizer', 'fertiliser', 'feed'],
+  ['prune', 'trim', 'cut']
+];
+
+/**
+ * Light English stemmer. It only needs to be consistent, not linguistically
+ * exact: the same reduction is applied to the index and to queries.
+ * @param {string} word
+ */
+function stemEnglish(word) {
+  let w = word.replace(/'s?$/, '');
+  if (w.length <= 3) return w;
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies')) w = w.slice(0, -3) + 'i';
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+  const verbal = /(ingly|edly|ing|ed)$/.exec(w);
+  if (verbal && /[aeiouy]/.test(w.slice(0, verbal.index)) && verbal.index >= 3) {
+    w = w.slice(0, verbal.index);
+    // planning -> plan, but not falling -> fal
+    if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+  }
+  const derivational = /(ization|isation|ational|ation|fulness|ness|ment|izer|iser|ful|less|ly)$/.exec(w);
+  if (derivational && derivational.index >= 3) {
+    w = w.slice(0, derivational.index);
+  }
+  if (w.endsWith('y') && w.length > 3) w = w.slice(0, -1) + 'i';
+  if (w.endsWith('e') && w.length > 3) w = w.slice(0, -1);
+  return w;
+}
+
+// Inflectional endings shared by Russian, Ukrainian and (loosely) Kazakh,
+// longest first so the longest applicable ending is removed.
+const CYRILLIC_ENDINGS = [
+  'ами', 'ями', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими', 'ться', 'ть', 'ти', 'ешь', 'ете', 'ите',
+  'ых', 'их', 'ой', 'ей', 'ий', 'ый', 'ая', 'яя', 'ое', 'ее', 'ом', 'ем', 'ам', 'ям', 'ах', 'ях',
+  'ов', 'ев', 'ию', 'ия', 'ие', 'ет', 'ут', 'ют', 'ит', 'ат', 'ят', 'ал', 'ил', 'ла', 'ли',
+  'а', 'я', 'о', 'е', 'ы', 'и', 'і', 'ї', 'у', 'ю', 'ь', 'й'
+].sort((x, y) => y.length - x.length);
+
+/**
+ * Light suffix-stripping stemmer for Cyrillic words.
+ * @param {string} word
+ */
+function stemCyrillic(word) {
+  let w = word.replace(/(ся|сь)$/, '');
+  for (const ending of CYRILLIC_ENDINGS) {
+    if (w.endsWith(ending) && w.length - ending.length >= 3) {
+      return w.slice(0, -ending.length);
+    }
+  }
+  return w;
+}
+
+/**
+ * Reduce a lowercase word to its stem, picking the stemmer by script.
+ * @param {string} word
+ */
+function stem(word) {
+  if (/[Ѐ-ӿ]/.test(word)) return stemCyrillic(word);
+  if (/^[a-z']+$/.test(word)) return stemEnglish(word);
+  // French accented words and anything else: only drop a plural "s"
+  return word.length > 3 ? word.replace(/s$/, '') : word;
+}
+
+/**
+ * Split text into lowercase word tokens, folding typographic apostrophes and
+ * the non-breaking hyphens used throughout the FAQ copy.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const normalized = String(text || '')
+    .toLowerCase()
+    .replace(/[‘’ʼ]/g, '\'')
+    .replace(/[‐-―]/g, '-')
+    .replace(/ё/g, 'е');
+  return normalized.match(/[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu) || [];
+}
+
+/**
+ * Tokenize, drop stop words and stem.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function analyze(text) {
+  return tokenize(text)
+    .filter(token => !STOP_WORDS.has(token.replace(/'.*$/, '')))
+    .map(stem)
+    .filter(term => term.length > 1 || /\d/.test(term));
+}
+
+// Stem -> other stems in the same synonym group
+const SYNONYMS = new Map();
+SYNONYM_GROUPS.forEach(group => {
+  const stems = group.map(stem);
+  stems.forEach(term => {
+    SYNONYMS.set(term, stems.filter(other => other !== term));
+  });
+});
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent
+ * transpositions), giving up early once `max` is exceeded.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Number of typos tolerated in a term of the given length.
+ * @param {number} length
+ */
+function allowedTypos(length) {
+  if (length >= 9) return 2;
+  if (length >= 5) return 1;
+  return 0;
+}
+
+/**
+ * Build a search index.
+ * @param {Array<{ id: string, fields: { question: string, answer: string } }>} documents
+ */
+function createIndex(documents) {
+  const docs = documents.map(doc => {
+    const fields = {};
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      const terms = analyze(doc.fields[field]);
+      const tf = new Map();
+      terms.forEach(term => tf.set(term, (tf.get(term) || 0) + 1));
+      fields[field] = { length: terms.length, tf };
+    }
+    return { id: doc.id, fields };
+  });
+  const avgLength = {};
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    const total = docs.reduce((sum, doc) => sum + doc.fields[field].length, 0);
+    avgLength[field] = docs.length ? total / docs.length || 1 : 1;
+  }
+  // Document frequency counts an entry once even if the term is in both fields
+  const df = new Map();
+  docs.forEach(doc => {
+    const seen = new Set();
+    Object.values(doc.fields).forEach(({ tf }) => tf.forEach((_, term) => seen.add(term)));
+    seen.forEach(term => df.set(term, (df.get(term) || 0) + 1));
+  });
+  return { docs, df, avgLength, size: docs.length };
+}
+
+/**
+ * Inverse document frequency (BM25 variant, always positive).
+ * @param {object} index
+ * @param {number} df
+ */
+function idf(index, df) {
+  return Math.log(1 + (index.size - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * Map each query term to the index terms it should match, with a weight for
+ * each: 1 for a literal match, less for synonyms and typo corrections.
+ * @param {object} index
+ * @param {string[]} queryTerms
+ * @returns {Array<{ term: string, matches: Map<string, number> }>}
+ */
+function expandQuery(index, queryTerms) {
+  return queryTerms.map(term => {
+    const matches = new Map();
+    if (index.df.has(term)) {
+      matches.set(term, 1);
+    } else {
+      const max = allowedTypos(term.length);
+      if (max > 0) {
+        index.df.forEach((_, candidate) => {
+          const distance = editDistance(term, candidate, max);
+          if (distance <= max) {
+            const weight = TYPO_WEIGHTS[distance];
+            if (weight > (matches.get(candidate) || 0)) matches.set(candidate, weight);
+          }
+        });
+      }
+    }
+    (SYNONYMS.get(term) || []).forEach(synonym => {
+      if (index.df.has(synonym) && !matches.has(synonym)) matches.set(synonym, SYNONYM_WEIGHT);
+    });
+    return { term, matches };
+  });
+}
+
+/**
+ * Rank the indexed documents for a free-text query.
+ * @param {object} index - as returned by createIndex
+ * @param {string} query
+ * @param {{ limit?: number }} [options]
+ * @returns {Array<{ id: string, score: number, confidence: number }>}
+ *   Best match first; only documents matching at least one term.
+ */
+function search(index, query, options = {}) {
+  const limit = options.limit || 5;
+  // Repeated words in a question carry no extra meaning
+  const queryTerms = Array.from(new Set(analyze(query)));
+  if (!queryTerms.length || !index.size) return [];
+  const expanded = expandQuery(index, queryTerms);
+  // The information a term carries is judged by its literal form; a term
+  // only reachable through typo correction counts as maximally informative.
+  const termIdf = expanded.map(({ term, matches }) => {
+    const value = idf(index, index.df.get(term) || 0);
+    return matches.size ? value : value * UNKNOWN_TERM_WEIGHT;
+  });
+  const totalIdf = termIdf.reduce((sum, value) => sum + value, 0);
+
+  const results = [];
+  index.docs.forEach(doc => {
+    let score = 0;
+    let covered = 0;
+    expanded.forEach(({ matches }, i) => {
+      // A query term contributes through its best variant only, so a
+      // document mentioning several synonyms is not counted several times.
+      let bestScore = 0;
+      let bestCoverage = 0;
+      matches.forEach((weight, term) => {
+        let termScore = 0;
+        for (const [field, fieldWeight] of Object.entries(FIELD_WEIGHTS)) {
+          const { tf, length } = doc.fields[field];
+          const freq = tf.get(term);
+          if (!freq) continue;
+          const norm = K1 * (1 - B + B * length / index.avgLength[field]);
+          termScore += fieldWeight * (freq * (K1 + 1)) / (freq + norm);
+        }
+        termScore *= weight * idf(index, index.df.get(term));
+        if (termScore > bestScore) {
+          bestScore = termScore;
+          bestCoverage = doc.fields.question.tf.has(term) ? weight : weight * ANSWER_ONLY_COVERAGE;
+        }
+      });
+      score += bestScore;
+      covered += bestCoverage * termIdf[i];
+    });
+    if (score > 0) {
+      results.push({ id: doc.id, score, confidence: totalIdf ? covered / totalIdf : 0 });
+    }
+  });
+  // BM25 alone favours entries that repeat one common term; weighting by
+  // confidence prefers entries that cover more of the question.
+  results.sort((a, b) => b.score * b.confidence - a.score * a.confidence);
+  return results.slice(0, limit);
+}
+
+module.exports = {
+  tokenize,
+  analyze,
+  stem,
+  editDistance,
+  createIndex,
+  search
+};
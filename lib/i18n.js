@@ -0,0 +1,115 @@
+/*
+ * Server-side translation of pages.
+ *
+ * The browser translates pages with assets/js/i18n.js, which replaces the
+ * text of elements marked with data-i18n and sets the attributes named by
+ * data-i18n-placeholder and data-i18n-aria-label. localizeHtml() does the
+ * same to the HTML before it is sent, so that visitors and search engines
+ * get the page in their language without waiting for the script. Elements
+ * marked with data-i18n must hold text only. Keys without a translation
+ * keep the text of the page.
+ */
+
+/**
+ * Escape text for HTML content and double-quoted attribute values.
+ * @param {string} text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Set an attribute in a start tag, replacing its current value if any.
+ * @param {string} tag - e.g. '<input type="text" placeholder="Name">'
+ * @param {string} name
+ * @param {string} value - unescaped
+ */
+function setAttribute(tag, name, value) {
+  const attribute = `${name}="${escapeHtml(value)}"`;
+  const existing = new RegExp(`(\\s)${name}\\s*=\\s*(?:"[^"]*"|'[^']*'|[^\\s>]+)`);
+  if (existing.test(tag)) return tag.replace(existing, (match, space) => space + attribute);
+  return tag.replace(/\s*(\/?>)$/, ` ${attribute}$1`);
+}
+
+/**
+ * Pick the language for a visitor from an Accept-Language header, e.g.
+ * "fr-CA,fr;q=0.9,en;q=0.8". Regional variants count as their language.
+ * @param {string} header
+ * @param {string[]} available - supported language codes
+ * @param {string} fallback - used when nothing acceptable is available
+ */
+function negotiate(header, available, fallback) {
+  const ranges = String(header || '').split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => /^\s*q\s*=\s*([\d.]+)\s*$/.exec(param)).find(Boolean);
+      return { code: tag.trim().toLowerCase().split('-')[0], q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(range => range.code && range.q > 0)
+    // Highest quality first; equal ones keep the order they were listed in
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  for (const range of ranges) {
+    if (range.code === '*') return fallback;
+    if (available.includes(range.code)) return range.code;
+  }
+  return fallback;
+}
+
+/**
+ * Translate a page.
+ * @param {string} html
+ * @param {object} options
+ * @param {string} options.lang - language of the strings, set on <html lang>
+ * @param {object} options.strings - translations by key
+ * @param {string} [options.canonical] - URL of this page
+ * @param {{ lang: string, href: string }[]} [options.alternates] - URLs of
+ *   the page in each language, listed as hreflang links; use the language
+ *   "x-default" for the page that picks a language itself
+ * @returns {string}
+ */
+function localizeHtml(html, options) {
+  const strings = options.strings || {};
+  const translation = key => (typeof strings[key] === 'string' && strings[key] ? strings[key] : null);
+  let result = html.replace(/<html\b[^>]*>/i, tag => setAttribute(tag, 'lang', options.lang));
+
+  // Text of elements, which hold no markup of their own
+  result = result.replace(
+    /(<([a-zA-Z][\w-]*)\b[^>]*\sdata-i18n\s*=\s*["']([^"']+)["'][^>]*>)([^<]*)(<\/\2\s*>)/g,
+    (match, start, name, key, text, end) => {
+      const value = translation(key);
+      return value === null ? match : start + escapeHtml(value) + end;
+    }
+  );
+  // Attributes
+  result = result.replace(/<[a-zA-Z][^>]*\sdata-i18n-(?:placeholder|aria-label)\s*=[^>]*>/g, tag => {
+    ['placeholder', 'aria-label'].forEach(attribute => {
+      const marker = new RegExp(`\\sdata-i18n-${attribute}\\s*=\\s*["']([^"']+)["']`).exec(tag);
+      const value = marker && translation(marker[1]);
+      if (value) tag = setAttribute(tag, attribute, value);
+    });
+    return tag;
+  });
+
+  // The page may be served below a language prefix such as /fr/, so its
+  // own assets are referred to from the root
+  result = result.replace(/(\s(?:src|href)\s*=\s*["'])assets\//g, '$1/assets/');
+
+  const links = [];
+  if (options.canonical) links.push(`<link rel="canonical" href="${escapeHtml(options.canonical)}">`);
+  (options.alternates || []).forEach(alternate => {
+    links.push(`<link rel="alternate" hreflang="${escapeHtml(alternate.lang)}" href="${escapeHtml(alternate.href)}">`);
+  });
+  if (links.length) {
+    result = result.replace(/<\/head>/i, `${links.map(link => `  ${link}\n`).join('')}</head>`);
+  }
+  return result;
+}
+
+module.exports = {
+  negotiate,
+  localizeHtml
+};
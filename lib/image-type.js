@@ -0,0 +1,38 @@
+/*
+ * Image format detection from file signatures ("magic bytes"), so uploads
+ * are judged by their content rather than by a file name or MIME type the
+ * client chose.
+ */
+
+// The first 12 bytes of a file are enough to recognize every format here.
+const SIGNATURE_LENGTH = 12;
+
+const FORMATS = [
+  { ext: 'jpg', mime: 'image/jpeg', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  {
+    ext: 'png',
+    mime: 'image/png',
+    matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    ext: 'webp',
+    mime: 'image/webp',
+    matches: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP'
+  }
+];
+
+/**
+ * Identify an image from its first bytes. Returns { ext, mime } or null if
+ * the data is not a JPEG, PNG or WebP image.
+ * @param {Buffer} bytes - at least the first SIGNATURE_LENGTH bytes of the file
+ */
+function detect(bytes) {
+  if (!bytes || bytes.length < SIGNATURE_LENGTH) return null;
+  const format = FORMATS.find(item => item.matches(bytes));
+  return format ? { ext: format.ext, mime: format.mime } : null;
+}
+
+module.exports = {
+  SIGNATURE_LENGTH,
+  detect
+};
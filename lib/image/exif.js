@@ -0,0 +1,42 @@
+/*
+ * Minimal EXIF reader: only the orientation tag is needed, to turn photos
+ * the right way up before the metadata is thrown away.
+ */
+
+const ORIENTATION_TAG = 0x0112;
+
+/**
+ * Read the orientation (1-8) from an EXIF block, or 1 if there is none.
+ * @param {Uint8Array|null} tiff - the TIFF structure following "Exif\0\0"
+ */
+function readOrientation(tiff) {
+  if (!tiff || tiff.length < 8) return 1;
+  const bytes = Buffer.from(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  let littleEndian;
+  if (bytes.toString('latin1', 0, 2) === 'II') {
+    littleEndian = true;
+  } else if (bytes.toString('latin1', 0, 2) === 'MM') {
+    littleEndian = false;
+  } else {
+    return 1;
+  }
+  const readUint16 = offset => (littleEndian ? bytes.readUInt16LE(offset) : bytes.readUInt16BE(offset));
+  const readUint32 = offset => (littleEndian ? bytes.readUInt32LE(offset) : bytes.readUInt32BE(offset));
+  if (readUint16(2) !== 42) return 1;
+  const ifd = readUint32(4);
+  if (ifd + 2 > bytes.length) return 1;
+  const count = readUint16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > bytes.length) break;
+    if (readUint16(entry) === ORIENTATION_TAG) {
+      const value = readUint16(entry + 8);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+module.exports = {
+  readOrientation
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const imageType = require('../image-type');
+const jpegDecoder = require('./jpeg-decoder');
+const jpegEncoder = require('./jpeg-encoder');
+const png = require('./png');
+const exif = require('./exif');
+const { orient, resize, cover, hasAlpha } = require('./transform');
+
+/*
+ * Upload processing for gallery images, in plain JavaScript.
+ *
+ * JPEG and PNG uploads are decoded, turned the right way up according to
+ * their EXIF orientation and re-encoded at several widths plus a square
+ * thumbnail. Re-encoding writes nothing but pixels, so EXIF (including GPS
+ * position), XMP and every other kind of metadata is dropped.
+ *
+ * WebP cannot be decoded here, so WebP uploads are refused: published as
+ * they are, they would keep their full size and lose their orientation.
+ */
+
+// Widths of the generated variants; the original width (capped at the
+// largest of these) is always included
+const VARIANT_WIDTHS = [480, 960, 1600];
+const THUMBNAIL_SIZE = 240;
+const JPEG_QUALITY = 82;
+// Refuse to decode anything larger: 24 megapixels, as from most cameras,
+// is about 100 MB of RGBA, far more than the largest variant needs
+const MAX_PIXELS = 24000000;
+// Images are processed one at a time, as each can take hundreds of
+// megabytes; further uploads wait their turn. Workers also get a capped
+// JavaScript heap (pixel buffers live outside it and are bounded by
+// MAX_PIXELS).
+const MAX_WORKERS = 1;
+const WORKER_RESOURCE_LIMITS = { maxOldGenerationSizeMb: 256 };
+let running = 0;
+const waiting = [];
+
+/**
+ * Encode pixels in the format they came in, keeping PNG only when the
+ * image actually uses transparency.
+ */
+function encode(image, alpha) {
+  if (alpha) return { ext: 'png', data: png.encode(image) };
+  return { ext: 'jpg', data: jpegEncoder.encode(image, { quality: JPEG_QUALITY }) };
+}
+
+/**
+ * Process one uploaded image.
+ * @param {Buffer} buffer - the uploaded file
+ * @param {{ variantWidths?: number[], thumbnailSize?: number }} [options]
+ * @returns {{ variants: { ext: string, width: number, height: number, data: Buffer }[],
+ *             thumbnail: { ext: string, width: number, height: number, data: Buffer } }}
+ *   variants are ordered from smallest to largest
+ */
+function processImage(buffer, options = {}) {
+  const variantWidths = options.variantWidths || VARIANT_WIDTHS;
+  const thumbnailSize = options.thumbnailSize || THUMBNAIL_SIZE;
+  const type = imageType.detect(buffer);
+  if (!type || type.ext === 'webp') throw new Error('Images must be JPEG or PNG');
+
+  let image;
+  if (type.ext === 'jpg') {
+    const decoded = jpegDecoder.decode(buffer, { maxPixels: MAX_PIXELS });
+    image = orient(decoded, exif.readOrientation(decoded.exif));
+  } else {
+    image = png.decode(buffer, { maxPixels: MAX_PIXELS });
+  }
+  const alpha = hasAlpha(image);
+
+  const largest = Math.max(...variantWidths);
+  const widths = variantWidths.filter(width => width < Math.min(image.width, largest));
+  widths.push(Math.min(image.width, largest));
+  widths.sort((a, b) => b - a);
+
+  // Each size is scaled down from the one before, largest first
+  const variants = [];
+  let current = image;
+  widths.forEach(width => {
+    const height = Math.max(1, Math.round((image.height * width) / image.width));
+    current = resize(current, width, height);
+    variants.unshift({ ...encode(current, alpha), width, height });
+  });
+
+  const square = Math.min(thumbnailSize, image.width, image.height);
+  const thumb = cover(image, square, square);
+  const thumbnail = { ...encode(thumb, alpha), width: thumb.width, height: thumb.height };
+  return { variants, thumbnail };
+}
+
+/**
+ * Run processImage() on a worker thread so that decoding a large photo
+ * does not hold up other requests. Jobs are queued so that at most
+ * MAX_WORKERS run at once.
+ * @param {string|Buffer} input - a file path or the file contents
+ * @param {object} [options] - passed to processImage()
+ * @returns {Promise<ReturnType<typeof processImage>>}
+ */
+function processInWorker(input, options = {}) {
+  return new Promise((resolve, reject) => {
+    waiting.push(() => runWorker(input, options).then(resolve, reject));
+    startNext();
+  });
+}
+
+/**
+ * Start queued jobs while there is room for them.
+ */
+function startNext() {
+  while (running < MAX_WORKERS && waiting.length) {
+    const job = waiting.shift();
+    running++;
+    job().finally(() => {
+      running--;
+      startNext();
+    });
+  }
+}
+
+/**
+ * Process one image on a new worker thread.
+ * @param {string|Buffer} input
+ * @param {object} options
+ */
+function runWorker(input, options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'worker.js'), {
+      workerData: { input, options },
+      resourceLimits: WORKER_RESOURCE_LIMITS
+    });
+    let settled = false;
+    worker.once('message', message => {
+      settled = true;
+      if (message.error) {
+        reject(new Error(message.error));
+        return;
+      }
+      const toBuffer = item => ({ ...item, data: Buffer.from(item.data.buffer, item.data.byteOffset, item.data.byteLength) });
+      resolve({ variants: message.variants.map(toBuffer), thumbnail: toBuffer(message.thumbnail) });
+    });
+    worker.once('error', err => {
+      settled = true;
+      reject(err);
+    });
+    worker.once('exit', code => {
+      if (!settled) reject(new Error(`Image worker exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Read a file, or pass a buffer through.
+ * @param {string|Buffer} input
+ */
+function readInput(input) {
+  return Buffer.isBuffer(input) || input instanceof Uint8Array ? Buffer.from(input) : fs.readFileSync(input);
+}
+
+module.exports = {
+  VARIANT_WIDTHS,
+  THUMBNAIL_SIZE,
+  processImage,
+  processInWorker,
+  readInput
+};
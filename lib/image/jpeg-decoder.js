@@ -0,0 +1,554 @@
+/*
+ * JPEG decoder.
+ *
+ * Decodes baseline and progressive Huffman-coded JPEGs with one (greyscale)
+ * or three (YCbCr or RGB) components, at any chroma subsampling, to RGBA
+ * pixels. Arithmetic-coded, lossless and 12-bit JPEGs and CMYK images are
+ * not supported and make decode() throw. The EXIF block, if present, is
+ * returned undecoded so the caller can read the orientation from it.
+ */
+
+// Natural (row-major) position of each coefficient in zigzag order
+const ZIGZAG = new Int32Array([
+  0, 1, 8, 16, 9, 2, 3, 10,
+  17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34,
+  27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36,
+  29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46,
+  53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// DCT basis: COSINES[x * 8 + u] = C(u) / 2 * cos((2x + 1)uπ / 16)
+const COSINES = new Float32Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    COSINES[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos(((2 * x + 1) * u * Math.PI) / 16) / 2;
+  }
+}
+
+/**
+ * Build a lookup table for a Huffman table: indexed by the next 16 bits of
+ * the stream, each entry holds (code length << 8) | symbol, or 0 for bit
+ * patterns that are not a valid code.
+ * @param {Uint8Array} counts - number of codes of each length 1-16
+ * @param {Uint8Array} symbols
+ */
+function buildHuffmanTable(counts, symbols) {
+  const table = new Uint16Array(65536);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++) {
+      const first = code << (16 - length);
+      const last = (code + 1) << (16 - length);
+      if (last > 65536) throw new Error('Corrupt JPEG: invalid Huffman table');
+      table.fill((length << 8) | symbols[k], first, last);
+      code++;
+      k++;
+    }
+    code <<= 1;
+  }
+  return table;
+}
+
+/**
+ * Inverse DCT of one dequantized block into an 8-bit sample plane.
+ * @param {Float32Array} block - 64 dequantized coefficients, row-major
+ * @param {Float32Array} temp - 64 floats of scratch space
+ * @param {Uint8Array} out
+ * @param {number} outOffset - index of the block's top-left sample
+ * @param {number} stride - samples per row of out
+ */
+function inverseDct(block, temp, out, outOffset, stride) {
+  for (let v = 0; v < 8; v++) {
+    const row = v * 8;
+    let ac = 0;
+    for (let u = 1; u < 8; u++) ac |= block[row + u] !== 0;
+    if (!ac) {
+      // Only the DC term: the row is flat
+      const value = block[row] * COSINES[0];
+      for (let x = 0; x < 8; x++) temp[row + x] = value;
+      continue;
+    }
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let u = 0; u < 8; u++) sum += block[row + u] * COSINES[x * 8 + u];
+      temp[row + x] = sum;
+    }
+  }
+  for (let x = 0; x < 8; x++) {
+    for (let y = 0; y < 8; y++) {
+      let sum = 0;
+      for (let v = 0; v < 8; v++) sum += temp[v * 8 + x] * COSINES[y * 8 + v];
+      const sample = Math.round(sum + 128);
+      out[outOffset + y * stride + x] = sample < 0 ? 0 : sample > 255 ? 255 : sample;
+    }
+  }
+}
+
+/**
+ * Decode one scan's entropy-coded data into the components' coefficients.
+ * Returns the offset of the marker that follows the scan.
+ */
+function decodeScan(data, start, frame, components, resetInterval, spectralStart, spectralEnd, successivePrev, successive) {
+  let offset = start;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let markerFound = false;
+  let eobrun = 0;
+
+  // Top up the bit buffer to more than 24 bits. Stuffed zero bytes after
+  // 0xFF are dropped; at a marker (or the end of the data) zeros are fed
+  // in instead, as a truncated image should still decode as far as it goes.
+  function fillBits() {
+    while (bitCount <= 24) {
+      let byte = 0;
+      if (!markerFound && offset < data.length) {
+        byte = data[offset];
+        if (byte === 0xff) {
+          const next = data[offset + 1];
+          if (next === 0x00) {
+            offset += 2;
+          } else if (next === 0xff) {
+            offset++;
+            continue;
+          } else {
+            markerFound = true;
+            byte = 0;
+          }
+        } else {
+          offset++;
+        }
+      }
+      bitBuffer = (bitBuffer << 8) | byte;
+      bitCount += 8;
+    }
+  }
+
+  function readBit() {
+    if (bitCount === 0) fillBits();
+    bitCount--;
+    return (bitBuffer >>> bitCount) & 1;
+  }
+
+  function receive(length) {
+    if (length === 0) return 0;
+    if (bitCount < length) fillBits();
+    bitCount -= length;
+    return (bitBuffer >>> bitCount) & ((1 << length) - 1);
+  }
+
+  function receiveExtend(length) {
+    if (length === 0) return 0;
+    const value = receive(length);
+    return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+  }
+
+  function decodeHuffman(table) {
+    if (bitCount < 16) fillBits();
+    const entry = table[(bitBuffer >>> (bitCount - 16)) & 0xffff];
+    const length = entry >> 8;
+    if (!length) throw new Error('Corrupt JPEG: invalid Huffman code');
+    bitCount -= length;
+    return entry & 0xff;
+  }
+
+  function decodeBaseline(component, blockOffset) {
+    const coefficients = component.coefficients;
+    component.pred += receiveExtend(decodeHuffman(component.dcTable));
+    coefficients[blockOffset] = component.pred;
+    let k = 1;
+    while (k < 64) {
+      const rs = decodeHuffman(component.acTable);
+      const size = rs & 15;
+      const run = rs >> 4;
+      if (size === 0) {
+        if (run < 15) break;
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      coefficients[blockOffset + ZIGZAG[k]] = receiveExtend(size);
+      k++;
+    }
+  }
+
+  function decodeDcFirst(component, blockOffset) {
+    component.pred += receiveExtend(decodeHuffman(component.dcTable));
+    component.coefficients[blockOffset] = component.pred * (1 << successive);
+  }
+
+  function decodeDcSuccessive(component, blockOffset) {
+    if (readBit()) component.coefficients[blockOffset] |= 1 << successive;
+  }
+
+  function decodeAcFirst(component, blockOffset) {
+    if (eobrun > 0) {
+      eobrun--;
+      return;
+    }
+    const coefficients = component.coefficients;
+    let k = spectralStart;
+    while (k <= spectralEnd) {
+      const rs = decodeHuffman(component.acTable);
+      const size = rs & 15;
+      const run = rs >> 4;
+      if (size === 0) {
+        if (run < 15) {
+          eobrun = receive(run) + (1 << run) - 1;
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      coefficients[blockOffset + ZIGZAG[k]] = receiveExtend(size) * (1 << successive);
+      k++;
+    }
+  }
+
+  // Refinement of AC coefficients, following the structure of libjpeg's
+  // decode_mcu_AC_refine: each new coefficient is placed after skipping the
+  // given number of zero coefficients, while every nonzero coefficient
+  // passed on the way receives a correction bit.
+  function decodeAcSuccessive(component, blockOffset) {
+    const coefficients = component.coefficients;
+    const p1 = 1 << successive;
+    const m1 = -1 << successive;
+    const refine = (index) => {
+      if (readBit() && (coefficients[index] & p1) === 0) {
+        coefficients[index] += coefficients[index] >= 0 ? p1 : m1;
+      }
+    };
+    let k = spectralStart;
+    if (eobrun === 0) {
+      for (; k <= spectralEnd; k++) {
+        const rs = decodeHuffman(component.acTable);
+        const size = rs & 15;
+        let run = rs >> 4;
+        let value = 0;
+        if (size) {
+          value = readBit() ? p1 : m1;
+        } else if (run !== 15) {
+          eobrun = 1 << run;
+          if (run) eobrun += receive(run);
+          break;
+        }
+        do {
+          const index = blockOffset + ZIGZAG[k];
+          if (coefficients[index] !== 0) {
+            refine(index);
+          } else if (--run < 0) {
+            break;
+          }
+          k++;
+        } while (k <= spectralEnd);
+        if (value && k <= spectralEnd) coefficients[blockOffset + ZIGZAG[k]] = value;
+      }
+    }
+    if (eobrun > 0) {
+      for (; k <= spectralEnd; k++) {
+        const index = blockOffset + ZIGZAG[k];
+        if (coefficients[index] !== 0) refine(index);
+      }
+      eobrun--;
+    }
+  }
+
+  let decodeBlock = decodeBaseline;
+  if (frame.progressive) {
+    if (spectralStart === 0) {
+      decodeBlock = successivePrev === 0 ? decodeDcFirst : decodeDcSuccessive;
+    } else {
+      decodeBlock = successivePrev === 0 ? decodeAcFirst : decodeAcSuccessive;
+    }
+  }
+
+  // A scan of a single component covers only that component's blocks, one
+  // block per MCU; otherwise each MCU holds h × v blocks of every component.
+  const single = components.length === 1;
+  const total = single
+    ? components[0].blocksPerLine * components[0].blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+  let mcu = 0;
+  while (mcu < total) {
+    components.forEach(component => { component.pred = 0; });
+    eobrun = 0;
+    const end = resetInterval ? Math.min(mcu + resetInterval, total) : total;
+    for (; mcu < end; mcu++) {
+      if (single) {
+        const component = components[0];
+        const row = Math.floor(mcu / component.blocksPerLine);
+        const col = mcu % component.blocksPerLine;
+        decodeBlock(component, (row * component.blocksPerLineForMcu + col) * 64);
+        continue;
+      }
+      const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+      const mcuCol = mcu % frame.mcusPerLine;
+      for (const component of components) {
+        for (let y = 0; y < component.v; y++) {
+          for (let x = 0; x < component.h; x++) {
+            const row = mcuRow * component.v + y;
+            const col = mcuCol * component.h + x;
+            decodeBlock(component, (row * component.blocksPerLineForMcu + col) * 64);
+          }
+        }
+      }
+    }
+    // Find the next marker. A restart marker resumes decoding with fresh
+    // predictions; any other marker ends the scan.
+    bitCount = 0;
+    markerFound = false;
+    while (offset < data.length - 1 && !(data[offset] === 0xff && data[offset + 1] !== 0x00 && data[offset + 1] !== 0xff)) {
+      offset++;
+    }
+    if (offset >= data.length - 1) return data.length;
+    const marker = data[offset + 1];
+    if (marker >= 0xd0 && marker <= 0xd7) {
+      offset += 2;
+      continue;
+    }
+    break;
+  }
+  return offset;
+}
+
+/**
+ * Parse a start-of-frame segment and allocate coefficient storage.
+ */
+function readFrame(segment, progressive, maxPixels) {
+  if (segment[0] !== 8) throw new Error('Unsupported JPEG: only 8-bit images are supported');
+  const height = (segment[1] << 8) | segment[2];
+  const width = (segment[3] << 8) | segment[4];
+  const count = segment[5];
+  if (!width || !height) throw new Error('Unsupported JPEG: missing image size');
+  if (width * height > maxPixels) throw new Error('Image is too large');
+  if (count !== 1 && count !== 3) throw new Error(`Unsupported JPEG: ${count} colour components`);
+  const components = [];
+  for (let i = 0; i < count; i++) {
+    const p = 6 + i * 3;
+    const h = segment[p + 1] >> 4;
+    const v = segment[p + 1] & 15;
+    if (h < 1 || h > 4 || v < 1 || v > 4) throw new Error('Corrupt JPEG: invalid sampling factors');
+    components.push({ id: segment[p], h, v, quantTable: segment[p + 2] });
+  }
+  const maxH = Math.max(...components.map(component => component.h));
+  const maxV = Math.max(...components.map(component => component.v));
+  const frame = {
+    progressive,
+    width,
+    height,
+    maxH,
+    maxV,
+    mcusPerLine: Math.ceil(width / (8 * maxH)),
+    mcusPerColumn: Math.ceil(height / (8 * maxV)),
+    components
+  };
+  components.forEach(component => {
+    component.blocksPerLine = Math.ceil(Math.ceil((width * component.h) / maxH) / 8);
+    component.blocksPerColumn = Math.ceil(Math.ceil((height * component.v) / maxV) / 8);
+    component.blocksPerLineForMcu = frame.mcusPerLine * component.h;
+    component.blocksPerColumnForMcu = frame.mcusPerColumn * component.v;
+    component.coefficients = new Int16Array(component.blocksPerLineForMcu * component.blocksPerColumnForMcu * 64);
+    component.pred = 0;
+  });
+  return frame;
+}
+
+/**
+ * Dequantize and inverse-transform a component's coefficients into a plane
+ * of samples, one byte per sample, blocksPerLineForMcu * 8 samples wide.
+ */
+function buildPlane(component, quantTable) {
+  const stride = component.blocksPerLineForMcu * 8;
+  const plane = new Uint8Array(stride * component.blocksPerColumnForMcu * 8);
+  const block = new Float32Array(64);
+  const temp = new Float32Array(64);
+  for (let row = 0; row < component.blocksPerColumn; row++) {
+    for (let col = 0; col < component.blocksPerLine; col++) {
+      const offset = (row * component.blocksPerLineForMcu + col) * 64;
+      for (let i = 0; i < 64; i++) block[i] = component.coefficients[offset + i] * quantTable[i];
+      inverseDct(block, temp, plane, row * 8 * stride + col * 8, stride);
+    }
+  }
+  return { samples: plane, stride };
+}
+
+/**
+ * Decode a JPEG file.
+ * @param {Buffer|Uint8Array} data
+ * @param {{ maxPixels?: number }} [options] - refuse larger images before allocating memory for them
+ * @returns {{ width: number, height: number, data: Uint8Array, exif: Uint8Array|null }}
+ *   data holds width * height RGBA pixels; exif is the TIFF structure from the APP1 segment
+ */
+function decode(data, options = {}) {
+  const maxPixels = options.maxPixels || Infinity;
+  const quantTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let resetInterval = 0;
+  let adobeTransform = null;
+  let exif = null;
+  let offset = 0;
+
+  const readUint16 = () => {
+    const value = (data[offset] << 8) | data[offset + 1];
+    offset += 2;
+    return value;
+  };
+  const readSegment = () => {
+    const length = readUint16();
+    if (length < 2 || offset + length - 2 > data.length) throw new Error('Corrupt JPEG: truncated segment');
+    const segment = data.subarray(offset, offset + length - 2);
+    offset += length - 2;
+    return segment;
+  };
+
+  if (data.length < 4 || readUint16() !== 0xffd8) throw new Error('Not a JPEG file');
+  while (offset < data.length - 1) {
+    const marker = readUint16();
+    if (marker === 0xffd9) break;
+    if (marker === 0xffff) {
+      // Fill byte before a marker
+      offset--;
+      continue;
+    }
+    if ((marker & 0xff00) !== 0xff00) throw new Error('Corrupt JPEG: expected a marker');
+    if (marker >= 0xffd0 && marker <= 0xffd7) continue;
+    switch (marker) {
+      case 0xffe1: {
+        const segment = readSegment();
+        if (!exif && Buffer.from(segment.subarray(0, 6)).toString('latin1') === 'Exif\0\0') exif = segment.subarray(6);
+        break;
+      }
+      case 0xffee: {
+        const segment = readSegment();
+        if (Buffer.from(segment.subarray(0, 5)).toString('latin1') === 'Adobe') adobeTransform = segment[11];
+        break;
+      }
+      case 0xffdb: {
+        const segment = readSegment();
+        let p = 0;
+        while (p < segment.length) {
+          const wide = segment[p] >> 4;
+          const id = segment[p] & 15;
+          p++;
+          const table = new Uint16Array(64);
+          for (let k = 0; k < 64; k++) {
+            table[ZIGZAG[k]] = wide ? (segment[p] << 8) | segment[p + 1] : segment[p];
+            p += wide ? 2 : 1;
+          }
+          quantTables[id] = table;
+        }
+        break;
+      }
+      case 0xffc0:
+      case 0xffc1:
+      case 0xffc2:
+        if (frame) throw new Error('Unsupported JPEG: more than one frame');
+        frame = readFrame(readSegment(), marker === 0xffc2, maxPixels);
+        break;
+      case 0xffc4: {
+        const segment = readSegment();
+        let p = 0;
+        while (p < segment.length) {
+          const tableClass = segment[p] >> 4;
+          const id = segment[p] & 15;
+          const counts = segment.subarray(p + 1, p + 17);
+          const total = counts.reduce((sum, count) => sum + count, 0);
+          const symbols = segment.subarray(p + 17, p + 17 + total);
+          (tableClass === 0 ? dcTables : acTables)[id] = buildHuffmanTable(counts, symbols);
+          p += 17 + total;
+        }
+        break;
+      }
+      case 0xffdd:
+        readUint16();
+        resetInterval = readUint16();
+        break;
+      case 0xffda: {
+        if (!frame) throw new Error('Corrupt JPEG: scan before frame header');
+        const segment = readSegment();
+        const count = segment[0];
+        const components = [];
+        for (let i = 0; i < count; i++) {
+          const component = frame.components.find(item => item.id === segment[1 + i * 2]);
+          if (!component) throw new Error('Corrupt JPEG: unknown component in scan');
+          component.dcTable = dcTables[segment[2 + i * 2] >> 4];
+          component.acTable = acTables[segment[2 + i * 2] & 15];
+          components.push(component);
+        }
+        const p = 1 + count * 2;
+        offset = decodeScan(
+          data, offset, frame, components, resetInterval,
+          segment[p], segment[p + 1], segment[p + 2] >> 4, segment[p + 2] & 15
+        );
+        break;
+      }
+      default:
+        // Other frame types: hierarchical, lossless or arithmetic-coded
+        if (marker >= 0xffc3 && marker <= 0xffcf && marker !== 0xffc8 && marker !== 0xffcc) {
+          throw new Error('Unsupported JPEG: only baseline and progressive images are supported');
+        }
+        readSegment();
+    }
+  }
+  if (!frame) throw new Error('Corrupt JPEG: no image data');
+
+  const { width, height, maxH, maxV } = frame;
+  const planes = frame.components.map(component => {
+    const quantTable = quantTables[component.quantTable];
+    if (!quantTable) throw new Error('Corrupt JPEG: missing quantization table');
+    return buildPlane(component, quantTable);
+  });
+  // Map each output column to the sample column of each component, which
+  // upsamples subsampled chroma by repetition
+  const columns = frame.components.map(component => {
+    const map = new Int32Array(width);
+    for (let x = 0; x < width; x++) map[x] = Math.floor((x * component.h) / maxH);
+    return map;
+  });
+  const out = new Uint8Array(width * height * 4);
+  // Three components are YCbCr unless an Adobe marker says otherwise or the
+  // component IDs spell out R, G, B
+  const ids = frame.components.map(component => component.id).join();
+  const isRgb = adobeTransform === 0 || (adobeTransform === null && ids === '82,71,66');
+  for (let y = 0; y < height; y++) {
+    const rows = frame.components.map((component, i) => Math.floor((y * component.v) / maxV) * planes[i].stride);
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const c0 = planes[0].samples[rows[0] + columns[0][x]];
+      if (planes.length === 1) {
+        out[o] = out[o + 1] = out[o + 2] = c0;
+      } else {
+        const c1 = planes[1].samples[rows[1] + columns[1][x]];
+        const c2 = planes[2].samples[rows[2] + columns[2][x]];
+        if (isRgb) {
+          out[o] = c0;
+          out[o + 1] = c1;
+          out[o + 2] = c2;
+        } else {
+          const r = c0 + 1.402 * (c2 - 128);
+          const g = c0 - 0.344136 * (c1 - 128) - 0.714136 * (c2 - 128);
+          const b = c0 + 1.772 * (c1 - 128);
+          out[o] = r < 0 ? 0 : r > 255 ? 255 : Math.round(r);
+          out[o + 1] = g < 0 ? 0 : g > 255 ? 255 : Math.round(g);
+          out[o + 2] = b < 0 ? 0 : b > 255 ? 255 : Math.round(b);
+        }
+      }
+      out[o + 3] = 255;
+    }
+  }
+  return { width, height, data: out, exif };
+}
+
+module.exports = {
+  ZIGZAG,
+  COSINES,
+  decode
+};
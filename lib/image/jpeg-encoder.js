@@ -0,0 +1,288 @@
+const { ZIGZAG, COSINES } = require('./jpeg-decoder');
+
+/*
+ * Baseline JPEG encoder.
+ *
+ * Encodes RGBA pixels as a baseline YCbCr JPEG with 4:2:0 chroma
+ * subsampling and the example quantization and Huffman tables from the JPEG
+ * standard (Annex K), scaled for quality as libjpeg does. Alpha is ignored.
+ * The output carries a JFIF header and no other metadata.
+ */
+
+const LUMINANCE_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99
+];
+
+const CHROMINANCE_QUANT = [
+  17, 18, 24, 47, 99, 99, 99, 99,
+  18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99,
+  47, 66, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99
+];
+
+// Huffman tables as { counts of codes of each length 1-16, symbols }
+const DC_LUMINANCE = {
+  counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+  symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+const DC_CHROMINANCE = {
+  counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+  symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+const AC_LUMINANCE = {
+  counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+  symbols: [
+    0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+    0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+    0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+    0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+    0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+    0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+    0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+    0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+    0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+    0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+    0xf9, 0xfa
+  ]
+};
+const AC_CHROMINANCE = {
+  counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+  symbols: [
+    0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+    0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+    0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+    0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+    0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+    0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+    0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+    0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+    0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+    0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+    0xf9, 0xfa
+  ]
+};
+
+/**
+ * Assign canonical codes to a Huffman table's symbols.
+ * @returns {{ codes: Uint16Array, lengths: Uint8Array }} indexed by symbol
+ */
+function buildCodes({ counts, symbols }) {
+  const codes = new Uint16Array(256);
+  const lengths = new Uint8Array(256);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++) {
+      codes[symbols[k]] = code;
+      lengths[symbols[k]] = length;
+      code++;
+      k++;
+    }
+    code <<= 1;
+  }
+  return { codes, lengths };
+}
+
+/**
+ * Scale a quantization table for a quality of 1-100, as libjpeg does.
+ */
+function scaleQuantTable(table, quality) {
+  const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+  return table.map(value => Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))));
+}
+
+/**
+ * Accumulates entropy-coded bits, inserting a stuffed zero after each 0xFF.
+ */
+class BitWriter {
+  constructor() {
+    this.bytes = Buffer.alloc(64 * 1024);
+    this.length = 0;
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  pushByte(byte) {
+    if (this.length === this.bytes.length) {
+      const bigger = Buffer.alloc(this.bytes.length * 2);
+      this.bytes.copy(bigger);
+      this.bytes = bigger;
+    }
+    this.bytes[this.length++] = byte;
+  }
+
+  write(value, length) {
+    this.buffer = (this.buffer << length) | (value & ((1 << length) - 1));
+    this.count += length;
+    while (this.count >= 8) {
+      const byte = (this.buffer >> (this.count - 8)) & 0xff;
+      this.pushByte(byte);
+      if (byte === 0xff) this.pushByte(0);
+      this.count -= 8;
+    }
+    this.buffer &= (1 << this.count) - 1;
+  }
+
+  // Pad the last byte with one bits, as the standard requires
+  finish() {
+    if (this.count > 0) this.write(0x7f, 8 - this.count);
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+function segment(marker, body) {
+  const header = Buffer.from([0xff, marker, (body.length + 2) >> 8, (body.length + 2) & 0xff]);
+  return Buffer.concat([header, Buffer.from(body)]);
+}
+
+/**
+ * Encode RGBA pixels as a JPEG.
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @param {{ quality?: number }} [options] - quality 1-100, default 82
+ * @returns {Buffer}
+ */
+function encode({ width, height, data }, options = {}) {
+  const quality = Math.min(100, Math.max(1, options.quality || 82));
+  const quantTables = [scaleQuantTable(LUMINANCE_QUANT, quality), scaleQuantTable(CHROMINANCE_QUANT, quality)];
+  const dcCodes = [buildCodes(DC_LUMINANCE), buildCodes(DC_CHROMINANCE)];
+  const acCodes = [buildCodes(AC_LUMINANCE), buildCodes(AC_CHROMINANCE)];
+  const writer = new BitWriter();
+  const block = new Float32Array(64);
+  const temp = new Float32Array(64);
+  const quantized = new Int32Array(64);
+  const predictions = [0, 0, 0];
+
+  // Write one 8x8 block of samples (already level-shifted) for a component
+  function encodeBlock(componentIndex) {
+    const table = componentIndex === 0 ? 0 : 1;
+    const quant = quantTables[table];
+    // Forward DCT, rows then columns
+    for (let y = 0; y < 8; y++) {
+      for (let u = 0; u < 8; u++) {
+        let sum = 0;
+        for (let x = 0; x < 8; x++) sum += block[y * 8 + x] * COSINES[x * 8 + u];
+        temp[y * 8 + u] = sum;
+      }
+    }
+    for (let u = 0; u < 8; u++) {
+      for (let v = 0; v < 8; v++) {
+        let sum = 0;
+        for (let y = 0; y < 8; y++) sum += temp[y * 8 + u] * COSINES[y * 8 + v];
+        const index = v * 8 + u;
+        const value = Math.round(sum / quant[index]);
+        // AC values must fit the 10-bit sizes the Huffman tables cover
+        quantized[index] = index === 0 ? value : Math.max(-1023, Math.min(1023, value));
+      }
+    }
+    const dc = dcCodes[table];
+    const ac = acCodes[table];
+    const diff = quantized[0] - predictions[componentIndex];
+    predictions[componentIndex] = quantized[0];
+    writeValue(diff, dc, 0);
+    let run = 0;
+    for (let k = 1; k < 64; k++) {
+      const value = quantized[ZIGZAG[k]];
+      if (value === 0) {
+        run++;
+        continue;
+      }
+      while (run > 15) {
+        writer.write(ac.codes[0xf0], ac.lengths[0xf0]);
+        run -= 16;
+      }
+      writeValue(value, ac, run);
+      run = 0;
+    }
+    if (run > 0) writer.write(ac.codes[0x00], ac.lengths[0x00]);
+  }
+
+  // Write the code for (run, size) followed by the value's bits
+  function writeValue(value, table, run) {
+    const magnitude = Math.abs(value);
+    let size = 0;
+    while (magnitude >> size) size++;
+    const symbol = (run << 4) | size;
+    writer.write(table.codes[symbol], table.lengths[symbol]);
+    if (size) writer.write(value < 0 ? value + (1 << size) - 1 : value, size);
+  }
+
+  // Converts the pixel at (x, y), clamped to the image, to YCbCr
+  const ycc = new Float32Array(3);
+  function sample(x, y) {
+    const o = (Math.min(y, height - 1) * width + Math.min(x, width - 1)) * 4;
+    const r = data[o];
+    const g = data[o + 1];
+    const b = data[o + 2];
+    ycc[0] = 0.299 * r + 0.587 * g + 0.114 * b;
+    ycc[1] = -0.168736 * r - 0.331264 * g + 0.5 * b + 128;
+    ycc[2] = 0.5 * r - 0.418688 * g - 0.081312 * b + 128;
+  }
+
+  // Each MCU is 16x16 pixels: four luminance blocks and one block each of
+  // Cb and Cr averaged over 2x2 pixels
+  const mcuY = new Float32Array(256);
+  const mcuCb = new Float32Array(64);
+  const mcuCr = new Float32Array(64);
+  for (let top = 0; top < height; top += 16) {
+    for (let left = 0; left < width; left += 16) {
+      mcuCb.fill(0);
+      mcuCr.fill(0);
+      for (let y = 0; y < 16; y++) {
+        for (let x = 0; x < 16; x++) {
+          sample(left + x, top + y);
+          mcuY[y * 16 + x] = ycc[0];
+          const c = (y >> 1) * 8 + (x >> 1);
+          mcuCb[c] += ycc[1] / 4;
+          mcuCr[c] += ycc[2] / 4;
+        }
+      }
+      for (let by = 0; by < 2; by++) {
+        for (let bx = 0; bx < 2; bx++) {
+          for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) block[y * 8 + x] = mcuY[(by * 8 + y) * 16 + bx * 8 + x] - 128;
+          }
+          encodeBlock(0);
+        }
+      }
+      for (let i = 0; i < 64; i++) block[i] = mcuCb[i] - 128;
+      encodeBlock(1);
+      for (let i = 0; i < 64; i++) block[i] = mcuCr[i] - 128;
+      encodeBlock(2);
+    }
+  }
+
+  const dqt = [];
+  quantTables.forEach((table, id) => {
+    dqt.push(id);
+    for (let k = 0; k < 64; k++) dqt.push(table[ZIGZAG[k]]);
+  });
+  const dht = [];
+  [[0x00, DC_LUMINANCE], [0x10, AC_LUMINANCE], [0x01, DC_CHROMINANCE], [0x11, AC_CHROMINANCE]].forEach(([id, table]) => {
+    dht.push(id, ...table.counts, ...table.symbols);
+  });
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xe0, [0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0]),
+    segment(0xdb, dqt),
+    segment(0xc0, [8, height >> 8, height & 0xff, width >> 8, width & 0xff, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]),
+    segment(0xc4, dht),
+    segment(0xda, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]),
+    writer.finish(),
+    Buffer.from([0xff, 0xd9])
+  ]);
+}
+
+module.exports = {
+  encode
+};
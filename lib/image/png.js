@@ -0,0 +1,276 @@
+const zlib = require('zlib');
+
+/*
+ * PNG decoder and encoder.
+ *
+ * decode() reads every standard PNG: greyscale, RGB, palette, with or
+ * without alpha, 1-16 bits per sample, interlaced or not, including simple
+ * transparency from tRNS. Pixels come out as 8-bit RGBA. Ancillary chunks
+ * (text, EXIF, timestamps, colour profiles) are ignored, so encoding the
+ * result again drops them.
+ *
+ * encode() writes 8-bit RGB or RGBA with adaptive filtering.
+ */
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes as [first column, first row, column step, row step]
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[n] = c;
+}
+
+function crc32(bytes) {
+  let crc = -1;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Undo the per-row filters of one (sub)image in place.
+ * @returns {number} offset just past the (sub)image
+ */
+function unfilter(data, offset, rowBytes, rows, bytesPerPixel) {
+  for (let y = 0; y < rows; y++) {
+    const filter = data[offset];
+    const row = offset + 1;
+    const previous = y > 0 ? row - rowBytes - 1 : -1;
+    for (let i = 0; i < rowBytes; i++) {
+      const a = i >= bytesPerPixel ? data[row + i - bytesPerPixel] : 0;
+      const b = previous >= 0 ? data[previous + i] : 0;
+      const c = previous >= 0 && i >= bytesPerPixel ? data[previous + i - bytesPerPixel] : 0;
+      switch (filter) {
+        case 0: break;
+        case 1: data[row + i] += a; break;
+        case 2: data[row + i] += b; break;
+        case 3: data[row + i] += (a + b) >> 1; break;
+        case 4: data[row + i] += paeth(a, b, c); break;
+        default: throw new Error('Corrupt PNG: unknown filter type');
+      }
+    }
+    offset += rowBytes + 1;
+  }
+  return offset;
+}
+
+/**
+ * Decode a PNG file.
+ * @param {Buffer} buffer
+ * @param {{ maxPixels?: number }} [options] - refuse larger images before inflating them
+ * @returns {{ width: number, height: number, data: Uint8Array }} RGBA pixels
+ */
+function decode(buffer, options = {}) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(SIGNATURE)) throw new Error('Not a PNG file');
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (chunk.length !== length) throw new Error('Corrupt PNG: truncated chunk');
+    offset += 12 + length;
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+  if (!header || !idat.length) throw new Error('Corrupt PNG: missing image data');
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth) || (channels > 1 && bitDepth < 8)) {
+    throw new Error('Unsupported PNG: invalid colour type or bit depth');
+  }
+  if (colorType === 3 && !palette) throw new Error('Corrupt PNG: missing palette');
+  if (!width || !height) throw new Error('Corrupt PNG: empty image');
+  if (width * height > (options.maxPixels || Infinity)) throw new Error('Image is too large');
+
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  const subimages = passes.map(([x0, y0, dx, dy]) => ({
+    x0, y0, dx, dy,
+    columns: Math.ceil((width - x0) / dx),
+    rows: Math.ceil((height - y0) / dy)
+  })).filter(pass => pass.columns > 0 && pass.rows > 0);
+  const expected = subimages.reduce((sum, pass) => sum + pass.rows * (Math.ceil((pass.columns * bitsPerPixel) / 8) + 1), 0);
+  const raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: expected });
+  if (raw.length < expected) throw new Error('Corrupt PNG: image data is too short');
+
+  const maxValue = (1 << bitDepth) - 1;
+  // Read sample `channel` of pixel `x` in the row starting at `row`, at the
+  // file's own bit depth
+  const readSample = (row, x, channel) => {
+    if (bitDepth === 8) return raw[row + x * channels + channel];
+    if (bitDepth === 16) {
+      const i = row + (x * channels + channel) * 2;
+      return (raw[i] << 8) | raw[i + 1];
+    }
+    const bit = x * bitDepth;
+    return (raw[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+  };
+  const to8 = value => (bitDepth === 8 ? value : bitDepth === 16 ? value >> 8 : Math.round((value * 255) / maxValue));
+  const transparentGray = colorType === 0 && transparency ? transparency.readUInt16BE(0) : -1;
+  const transparentRgb = colorType === 2 && transparency
+    ? [transparency.readUInt16BE(0), transparency.readUInt16BE(2), transparency.readUInt16BE(4)]
+    : null;
+
+  const out = new Uint8Array(width * height * 4);
+  let position = 0;
+  subimages.forEach(pass => {
+    const rowBytes = Math.ceil((pass.columns * bitsPerPixel) / 8);
+    const end = unfilter(raw, position, rowBytes, pass.rows, bytesPerPixel);
+    for (let y = 0; y < pass.rows; y++) {
+      const row = position + y * (rowBytes + 1) + 1;
+      for (let x = 0; x < pass.columns; x++) {
+        const o = ((pass.y0 + y * pass.dy) * width + pass.x0 + x * pass.dx) * 4;
+        let r;
+        let g;
+        let b;
+        let a = 255;
+        switch (colorType) {
+          case 0: {
+            const value = readSample(row, x, 0);
+            r = g = b = to8(value);
+            if (value === transparentGray) a = 0;
+            break;
+          }
+          case 2: {
+            const values = [readSample(row, x, 0), readSample(row, x, 1), readSample(row, x, 2)];
+            [r, g, b] = values.map(to8);
+            if (transparentRgb && values.every((value, i) => value === transparentRgb[i])) a = 0;
+            break;
+          }
+          case 3: {
+            const index = readSample(row, x, 0);
+            r = palette[index * 3] || 0;
+            g = palette[index * 3 + 1] || 0;
+            b = palette[index * 3 + 2] || 0;
+            if (transparency && index < transparency.length) a = transparency[index];
+            break;
+          }
+          case 4:
+            r = g = b = to8(readSample(row, x, 0));
+            a = to8(readSample(row, x, 1));
+            break;
+          default:
+            r = to8(readSample(row, x, 0));
+            g = to8(readSample(row, x, 1));
+            b = to8(readSample(row, x, 2));
+            a = to8(readSample(row, x, 3));
+        }
+        out[o] = r;
+        out[o + 1] = g;
+        out[o + 2] = b;
+        out[o + 3] = a;
+      }
+    }
+    position = end;
+  });
+  return { width, height, data: out };
+}
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as an 8-bit PNG. Each row uses whichever filter gives
+ * the smallest sum of absolute differences, the usual heuristic.
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @param {{ alpha?: boolean }} [options] - alpha false writes RGB; default true
+ * @returns {Buffer}
+ */
+function encode({ width, height, data }, options = {}) {
+  const channels = options.alpha === false ? 3 : 4;
+  const rowBytes = width * channels;
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+  let previous = new Uint8Array(rowBytes);
+  let current = new Uint8Array(rowBytes);
+  const candidates = [0, 1, 2, 3, 4].map(() => new Uint8Array(rowBytes));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < channels; c++) current[x * channels + c] = data[(y * width + x) * 4 + c];
+    }
+    let best = 0;
+    let bestScore = Infinity;
+    candidates.forEach((filtered, filter) => {
+      let score = 0;
+      for (let i = 0; i < rowBytes; i++) {
+        const a = i >= channels ? current[i - channels] : 0;
+        const b = y > 0 ? previous[i] : 0;
+        const c = y > 0 && i >= channels ? previous[i - channels] : 0;
+        let predictor = 0;
+        switch (filter) {
+          case 1: predictor = a; break;
+          case 2: predictor = b; break;
+          case 3: predictor = (a + b) >> 1; break;
+          case 4: predictor = paeth(a, b, c); break;
+        }
+        const value = (current[i] - predictor) & 0xff;
+        filtered[i] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        best = filter;
+      }
+    });
+    const o = y * (rowBytes + 1);
+    raw[o] = best;
+    raw.set(candidates[best], o + 1);
+    [previous, current] = [current, previous];
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = channels === 4 ? 6 : 2;
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  decode,
+  encode
+};
@@ -0,0 +1,165 @@
+/*
+ * Pixel transforms on RGBA images ({ width, height, data }): EXIF
+ * orientation, downscaling and centre cropping.
+ */
+
+/**
+ * Turn an image the right way up according to its EXIF orientation (1-8).
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @param {number} orientation
+ */
+function orient(image, orientation) {
+  if (orientation === 1) return image;
+  const { width, height, data } = image;
+  // Orientations 5-8 swap width and height
+  const swap = orientation >= 5;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const out = new Uint8Array(data.length);
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sx;
+      let sy;
+      switch (orientation) {
+        case 2: sx = width - 1 - x; sy = y; break; // mirrored
+        case 3: sx = width - 1 - x; sy = height - 1 - y; break; // upside down
+        case 4: sx = x; sy = height - 1 - y; break; // mirrored upside down
+        case 5: sx = y; sy = x; break; // mirrored, turned left
+        case 6: sx = y; sy = height - 1 - x; break; // turned left
+        case 7: sx = width - 1 - y; sy = height - 1 - x; break; // mirrored, turned right
+        default: sx = width - 1 - y; sy = x; // 8: turned right
+      }
+      const from = (sy * width + sx) * 4;
+      const to = (y * outWidth + x) * 4;
+      out[to] = data[from];
+      out[to + 1] = data[from + 1];
+      out[to + 2] = data[from + 2];
+      out[to + 3] = data[from + 3];
+    }
+  }
+  return { width: outWidth, height: outHeight, data: out };
+}
+
+/**
+ * For each output position along one axis, the source positions it covers
+ * and how much of each, so that every output pixel is the area-weighted
+ * average of the source pixels under it.
+ */
+function boxWeights(sourceSize, targetSize) {
+  const scale = sourceSize / targetSize;
+  const spans = [];
+  for (let i = 0; i < targetSize; i++) {
+    const start = i * scale;
+    const end = Math.min(sourceSize, (i + 1) * scale);
+    const taps = [];
+    for (let s = Math.floor(start); s < end; s++) {
+      const weight = Math.min(end, s + 1) - Math.max(start, s);
+      if (weight > 0) taps.push([s, weight / scale]);
+    }
+    spans.push(taps);
+  }
+  return spans;
+}
+
+/**
+ * Shrink an image with a box filter. Colour is weighted by alpha so that
+ * transparent pixels do not bleed their colour into the result.
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @param {number} width - no larger than the image's width
+ * @param {number} height - no larger than the image's height
+ */
+function resize(image, width, height) {
+  if (width === image.width && height === image.height) return image;
+  if (width > image.width || height > image.height) throw new Error('Images are only ever scaled down');
+  const source = image.data;
+  // Horizontal pass into premultiplied floats
+  const columns = boxWeights(image.width, width);
+  const temp = new Float32Array(width * image.height * 4);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (const [sx, weight] of columns[x]) {
+        const o = (y * image.width + sx) * 4;
+        const alpha = source[o + 3] * weight;
+        r += source[o] * alpha;
+        g += source[o + 1] * alpha;
+        b += source[o + 2] * alpha;
+        a += alpha;
+      }
+      const t = (y * width + x) * 4;
+      temp[t] = r;
+      temp[t + 1] = g;
+      temp[t + 2] = b;
+      temp[t + 3] = a;
+    }
+  }
+  // Vertical pass, then back to straight alpha
+  const rows = boxWeights(image.height, height);
+  const out = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (const [sy, weight] of rows[y]) {
+        const t = (sy * width + x) * 4;
+        r += temp[t] * weight;
+        g += temp[t + 1] * weight;
+        b += temp[t + 2] * weight;
+        a += temp[t + 3] * weight;
+      }
+      const o = (y * width + x) * 4;
+      if (a > 0) {
+        out[o] = Math.min(255, Math.round(r / a));
+        out[o + 1] = Math.min(255, Math.round(g / a));
+        out[o + 2] = Math.min(255, Math.round(b / a));
+      }
+      out[o + 3] = Math.min(255, Math.round(a));
+    }
+  }
+  return { width, height, data: out };
+}
+
+/**
+ * Crop the centre of an image to the given aspect ratio and shrink it to
+ * fit within width x height, like CSS object-fit: cover.
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @param {number} width
+ * @param {number} height
+ */
+function cover(image, width, height) {
+  const scale = Math.min(image.width / width, image.height / height);
+  const cropWidth = Math.round(width * scale);
+  const cropHeight = Math.round(height * scale);
+  const left = Math.floor((image.width - cropWidth) / 2);
+  const top = Math.floor((image.height - cropHeight) / 2);
+  const cropped = new Uint8Array(cropWidth * cropHeight * 4);
+  for (let y = 0; y < cropHeight; y++) {
+    const start = ((top + y) * image.width + left) * 4;
+    cropped.set(image.data.subarray(start, start + cropWidth * 4), y * cropWidth * 4);
+  }
+  const crop = { width: cropWidth, height: cropHeight, data: cropped };
+  return scale > 1 ? resize(crop, width, height) : crop;
+}
+
+/**
+ * Whether any pixel is not fully opaque.
+ * @param {{ data: Uint8Array }} image
+ */
+function hasAlpha(image) {
+  for (let i = 3; i < image.data.length; i += 4) {
+    if (image.data[i] !== 255) return true;
+  }
+  return false;
+}
+
+module.exports = {
+  orient,
+  resize,
+  cover,
+  hasAlpha
+};
@@ -0,0 +1,22 @@
+const { parentPort, workerData } = require('worker_threads');
+const { processImage, readInput } = require('./index');
+
+/*
+ * Worker thread entry point for processInWorker(): processes one image and
+ * posts the encoded files back, transferring their memory rather than
+ * copying it.
+ */
+
+try {
+  const { variants, thumbnail } = processImage(readInput(workerData.input), workerData.options);
+  const transfer = [];
+  const detach = item => {
+    // Copy into an ArrayBuffer of its own so that it can be transferred
+    const data = new Uint8Array(item.data);
+    transfer.push(data.buffer);
+    return { ...item, data };
+  };
+  parentPort.postMessage({ variants: variants.map(detach), thumbnail: detach(thumbnail) }, transfer);
+} catch (err) {
+  parentPort.postMessage({ error: err.message });
+}
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const schema = require('./schema');
+
+/*
+ * Crash-safe JSON data files.
+ *
+ * A store owns one JSON file. Each write goes to a temporary file that is
+ * flushed to disk and then renamed over the original, so the file always
+ * holds either the old or the new contents, never a mix. Writes are queued
+ * and run one at a time; a save made while another is still waiting
+ * replaces it, as only the latest contents matter.
+ *
+ * Before each write the current file is copied to a backup directory, which
+ * keeps the most recent copies. On load the file is parsed and checked
+ * against a schema. A file that fails either is never replaced with empty
+ * data: load() throws, or, when recovery is allowed, the newest valid backup
+ * is loaded instead and the store becomes read-only, leaving the damaged
+ * file in place to be repaired.
+ *
+ * reload() picks up changes made to the file by something else, such as
+ * someone editing it or restoring a backup, and ignores the store's own
+ * writes.
+ */
+
+/**
+ * Format a date for a backup filename, e.g. 2026-10-19T08-30-00-000Z.
+ * @param {Date} date
+ */
+function timestamp(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Create a store for a JSON file.
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {object} [options.schema] - see lib/schema.js
+ * @param {*} [options.fallback] - contents of a missing file, default []
+ * @param {number} [options.backups] - backups to keep, default 10; 0 for none
+ * @param {string} [options.backupDir] - default backups/ beside the file
+ * @param {boolean} [options.recover] - load the newest valid backup read-only
+ *   rather than throwing when the file is corrupt
+ */
+function createStore(filePath, options = {}) {
+  const fallback = options.fallback === undefined ? [] : options.fallback;
+  const backups = options.backups === undefined ? 10 : options.backups;
+  const backupDir = options.backupDir || path.join(path.dirname(filePath), 'backups');
+  const name = path.basename(filePath, '.json');
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  let readOnly = false;
+  // Time of the last backup, so that backups made within the same
+  // millisecond still get distinct names in order
+  let lastBackupAt = 0;
+  // The write in progress or queued last, and the contents waiting for the
+  // next write with the promise that settles once they are written
+  let queue = Promise.resolve();
+  let waiting = null;
+  // Writes queued or in progress
+  let pending = 0;
+  // The text last read from or written to the file
+  let current = null;
+
+  /**
+   * Parse and check JSON text. Returns the data, or throws describing why
+   * it is unusable.
+   * @param {string} text
+   */
+  function parse(text) {
+    const data = JSON.parse(text);
+    const problems = options.schema ? schema.validate(options.schema, data) : [];
+    if (problems.length) throw new Error(`invalid contents: ${schema.describe(problems)}`);
+    return data;
+  }
+
+  /**
+   * The error for a file that cannot be used.
+   * @param {Error} cause
+   */
+  function corrupt(cause) {
+    const err = new Error(`${filePath} is corrupt: ${cause.message}`);
+    err.code = 'EDATACORRUPT';
+    err.path = filePath;
+    return err;
+  }
+
+  /**
+   * Backup files of this store, newest first.
+   */
+  function listBackups() {
+    let files;
+    try {
+      files = fs.readdirSync(backupDir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return files
+      .filter(file => file.startsWith(`${name}-`) && file.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(file => path.join(backupDir, file));
+  }
+
+  /**
+   * Read the file. A missing file gives the fallback contents.
+   * @throws {Error} with code EDATACORRUPT if the file cannot be used and
+   *   there is no backup to recover from
+   */
+  function load() {
+    let text;
+    try {
+      text = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      current = null;
+      return JSON.parse(JSON.stringify(fallback));
+    }
+    current = text;
+    try {
+      const data = parse(text);
+      readOnly = false;
+      return data;
+    } catch (e) {
+      const err = corrupt(e);
+      if (options.recover) {
+        for (const backup of listBackups()) {
+          try {
+            const data = parse(fs.readFileSync(backup, 'utf8'));
+            readOnly = true;
+            console.error(`${err.message}. Serving ${backup} read-only until the file is repaired.`);
+            return data;
+          } catch (ignored) {
+            // try an older backup
+          }
+        }
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Copy the current file to the backup directory and drop the oldest
+   * backups beyond the limit.
+   */
+  async function backup() {
+    if (!backups) return;
+    await fs.promises.mkdir(backupDir, { recursive: true });
+    lastBackupAt = Math.max(Date.now(), lastBackupAt + 1);
+    try {
+      await fs.promises.copyFile(filePath, path.join(backupDir, `${name}-${timestamp(new Date(lastBackupAt))}.json`));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    await Promise.all(listBackups().slice(backups).map(file => fs.promises.unlink(file)));
+  }
+
+  async function write(text) {
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(text);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await backup();
+    await fs.promises.rename(tempPath, filePath);
+    current = text;
+  }
+
+  /**
+   * Read the file again after something other than this store changed it.
+   * Returns the new contents, or null if there is nothing new: the file
+   * holds what the store last read or wrote, is missing, or one of the
+   * store's own writes is pending. Unlike load(), a corrupt file is never
+   * replaced by a backup, so the caller can keep what it has.
+   * @throws {Error} with code EDATACORRUPT if the file cannot be used
+   */
+  function reload() {
+    if (pending) return null;
+    let text;
+    try {
+      text = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    if (text === current) return null;
+    let data;
+    try {
+      data = parse(text);
+    } catch (e) {
+      throw corrupt(e);
+    }
+    current = text;
+    readOnly = false;
+    return data;
+  }
+
+  /**
+   * Write new contents. The data is serialized right away, so later changes
+   * to it are not picked up. Returns a promise that settles when these
+   * contents (or newer ones) have been written.
+   * @param {*} data
+   */
+  function save(data) {
+    if (readOnly) {
+      return Promise.reject(new Error(`${filePath} is read-only`));
+    }
+    const text = JSON.stringify(data, null, 2);
+    if (waiting) {
+      waiting.text = text;
+      return waiting.promise;
+    }
+    const next = { text };
+    waiting = next;
+    pending++;
+    next.promise = queue.then(() => {
+      waiting = null;
+      return write(next.text);
+    }).finally(() => { pending--; });
+    queue = next.promise.catch(() => {});
+    return next.promise;
+  }
+
+  /**
+   * Wait for every queued write to finish.
+   */
+  function flush() {
+    return queue;
+  }
+
+  return {
+    path: filePath,
+    get readOnly() {
+      return readOnly;
+    },
+    load,
+    reload,
+    save,
+    flush
+  };
+}
+
+module.exports = { createStore };
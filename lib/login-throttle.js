@@ -0,0 +1,78 @@
+/*
+ * Failed sign-in throttling.
+ *
+ * A throttle counts failed attempts per key (an IP address or a username).
+ * Once a key reaches the maximum number of failures within the window it is
+ * locked out for the lockout period, during which sign-in is refused without
+ * checking the password. A successful sign-in clears the count for its key.
+ *
+ * Counts are kept in memory only; a restart clears them.
+ */
+
+// Above this many tracked keys, stale entries are swept on the next failure
+// so that a flood of attempts from many addresses cannot grow the map
+// without bound.
+const SWEEP_THRESHOLD = 1000;
+
+/**
+ * Create a throttle.
+ * @param {{ maxFailures: number, window: number, lockout: number }} options - times in ms
+ */
+function createThrottle({ maxFailures, window, lockout }) {
+  // key -> { failures, firstFailureAt, lockedUntil }
+  const entries = new Map();
+
+  function isStale(entry, now) {
+    return entry.lockedUntil <= now && now - entry.firstFailureAt > window;
+  }
+
+  function sweep(now) {
+    entries.forEach((entry, key) => {
+      if (isStale(entry, now)) entries.delete(key);
+    });
+  }
+
+  /**
+   * Milliseconds until the key may try again, or 0 if it is not locked out.
+   * @param {string} key
+   */
+  function retryAfter(key) {
+    const entry = entries.get(key);
+    const now = Date.now();
+    return entry && entry.lockedUntil > now ? entry.lockedUntil - now : 0;
+  }
+
+  /**
+   * Record a failed attempt. Returns true if this failure started a lockout.
+   * @param {string} key
+   */
+  function fail(key) {
+    const now = Date.now();
+    if (entries.size > SWEEP_THRESHOLD) sweep(now);
+    let entry = entries.get(key);
+    if (!entry || isStale(entry, now)) {
+      entry = { failures: 0, firstFailureAt: now, lockedUntil: 0 };
+      entries.set(key, entry);
+    }
+    if (entry.lockedUntil > now) return false;
+    entry.failures++;
+    if (entry.failures < maxFailures) return false;
+    // Start a fresh window once the lockout ends
+    entry.failures = 0;
+    entry.firstFailureAt = now + lockout;
+    entry.lockedUntil = now + lockout;
+    return true;
+  }
+
+  /**
+   * Forget the failures recorded for a key.
+   * @param {string} key
+   */
+  function reset(key) {
+    entries.delete(key);
+  }
+
+  return { retryAfter, fail, reset };
+}
+
+module.exports = { createThrottle };
@@ -0,0 +1,141 @@
+/*
+ * Metrics in the Prometheus text format, as scraped from /metrics.
+ *
+ * A registry holds counters, histograms and gauges. Counters and histograms
+ * keep one series per combination of label values, so labels should only
+ * take a few values each: route patterns rather than paths, for instance.
+ * Gauges are read when the metrics are rendered.
+ */
+
+/**
+ * Escape a label value.
+ * @param {*} value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format labels as {name="value",...}, or nothing without labels.
+ * @param {string[]} names
+ * @param {Array} values
+ */
+function formatLabels(names, values) {
+  if (!names.length) return '';
+  return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+/**
+ * Label values in the order of the label names.
+ * @param {string[]} names
+ * @param {object} labels - values by name
+ */
+function labelValues(names, labels = {}) {
+  return names.map(name => (labels[name] === undefined ? '' : labels[name]));
+}
+
+/**
+ * Create a registry of metrics.
+ */
+function createRegistry() {
+  const metrics = [];
+
+  function register(name, help, type, render) {
+    if (metrics.some(metric => metric.name === name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    metrics.push({ name, help, type, render });
+  }
+
+  /**
+   * A count that only goes up, such as the number of requests.
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   */
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    register(name, help, 'counter', () => Array.from(series.values())
+      .map(entry => `${name}${formatLabels(labelNames, entry.values)} ${entry.count}`));
+    return {
+      /**
+       * @param {object} [labels]
+       * @param {number} [amount]
+       */
+      inc(labels, amount = 1) {
+        const values = labelValues(labelNames, labels);
+        const key = JSON.stringify(values);
+        if (!series.has(key)) series.set(key, { values, count: 0 });
+        series.get(key).count += amount;
+      }
+    };
+  }
+
+  /**
+   * The distribution of a value, such as request durations, counted in
+   * buckets of at most each bound.
+   * @param {string} name
+   * @param {string} help
+   * @param {{ buckets: number[], labelNames?: string[] }} options - bounds
+   *   in increasing order
+   */
+  function histogram(name, help, { buckets, labelNames = [] }) {
+    const series = new Map();
+    register(name, help, 'histogram', () => {
+      const lines = [];
+      series.forEach(entry => {
+        let cumulative = 0;
+        buckets.forEach((bound, i) => {
+          cumulative += entry.counts[i];
+          lines.push(`${name}_bucket${formatLabels([...labelNames, 'le'], [...entry.values, bound])} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels([...labelNames, 'le'], [...entry.values, '+Inf'])} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, entry.values)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, entry.values)} ${entry.count}`);
+      });
+      return lines;
+    });
+    return {
+      /**
+       * @param {object} labels
+       * @param {number} value
+       */
+      observe(labels, value) {
+        const values = labelValues(labelNames, labels);
+        const key = JSON.stringify(values);
+        if (!series.has(key)) series.set(key, { values, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const entry = series.get(key);
+        const index = buckets.findIndex(bound => value <= bound);
+        if (index !== -1) entry.counts[index]++;
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  /**
+   * A value read when the metrics are rendered, such as memory use.
+   * @param {string} name
+   * @param {string} help
+   * @param {function(): number} collect
+   */
+  function gauge(name, help, collect) {
+    register(name, help, 'gauge', () => [`${name} ${collect()}`]);
+  }
+
+  /**
+   * Every metric in the Prometheus text format.
+   * @returns {string}
+   */
+  function render() {
+    return metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.render()
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { createRegistry };
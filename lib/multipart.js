@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SIGNATURE_LENGTH } = require('./image-type');
+
+/*
+ * Streaming multipart/form-data parser.
+ *
+ * The request body is scanned for part boundaries as it arrives. File parts
+ * are written straight to temporary files, so an upload never has to be
+ * held in memory in full; text fields are collected as strings. Limits on
+ * file size, file count and field size are enforced while streaming, and
+ * the request is abandoned as soon as one is exceeded.
+ */
+
+// Longest accepted block of part headers
+const MAX_HEADER_BYTES = 8 * 1024;
+
+/**
+ * An error that maps to an HTTP status, e.g. 413 for an oversized file.
+ * @param {number} statusCode
+ * @param {string} message
+ * @param {string} [field] - the form field at fault
+ */
+function httpError(statusCode, message, field) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (field) err.field = field;
+  return err;
+}
+
+/**
+ * Parse a multipart/form-data request.
+ *
+ * Resolves to { fields, files }. fields maps names to strings; files maps
+ * names to { filename, contentType, path, size, head }, where path is a
+ * temporary file that the caller must move or delete and head holds the
+ * file's first bytes for type detection. File inputs left empty are
+ * omitted. On failure, any temporary files are removed and the promise
+ * rejects with an error whose statusCode is 400 or 413.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {{ uploadDir: string, maxFileSize: number, maxFiles: number, maxFields?: number, maxFieldSize?: number }} options
+ * @returns {Promise<{ fields: object, files: object }>}
+ */
+function parse(req, { uploadDir, maxFileSize, maxFiles, maxFields = 20, maxFieldSize = 10000 }) {
+  return new Promise((resolve, reject) => {
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(req.headers['content-type'] || '');
+    if (!match) {
+      req.resume();
+      return reject(httpError(400, 'Missing multipart boundary'));
+    }
+    // Every boundary but the first is preceded by a line break; starting the
+    // buffer with one lets the first be found the same way.
+    const delimiter = Buffer.from(`\r\n--${match[1] || match[2]}`);
+    const fields = {};
+    const files = {};
+    const tempFiles = [];
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble';
+    let part = null;
+    let fieldCount = 0;
+    let fileCount = 0;
+    let settled = false;
+
+    function fail(err) {
+      if (settled) return;
+      settled = true;
+      if (part && part.fd !== undefined) fs.closeSync(part.fd);
+      tempFiles.forEach(file => fs.unlink(file, () => {}));
+      // Discard the rest of the body so a response can still be sent
+      req.removeListener('data', onData);
+      req.resume();
+      reject(err);
+    }
+
+    function startPart(headerText) {
+      const headers = {};
+      headerText.split('\r\n').forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      });
+      const disposition = headers['content-disposition'] || '';
+      const name = /\bname="([^"]*)"/i.exec(disposition);
+      if (!name) throw httpError(400, 'Malformed multipart body');
+      const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+      if (!filename) {
+        if (++fieldCount > maxFields) throw httpError(413, 'Too many fields');
+        part = { name: name[1], chunks: [], size: 0 };
+        return;
+      }
+      if (++fileCount > maxFiles) throw httpError(413, 'Too many files', name[1]);
+      const filePath = path.join(uploadDir, `${crypto.randomBytes(8).toString('hex')}.upload`);
+      part = {
+        name: name[1],
+        filename: path.basename(filename[1]),
+        contentType: headers['content-type'] || '',
+        path: filePath,
+        fd: fs.openSync(filePath, 'wx'),
+        size: 0,
+        head: Buffer.alloc(0)
+      };
+      tempFiles.push(filePath);
+    }
+
+    function writePart(chunk) {
+      if (!chunk.length) return;
+      part.size += chunk.length;
+      if (part.fd === undefined) {
+        if (part.size > maxFieldSize) throw httpError(413, 'Field is too large', part.name);
+        part.chunks.push(chunk);
+        return;
+      }
+      if (part.size > maxFileSize) throw httpError(413, 'File is too large', part.name);
+      if (part.head.length < SIGNATURE_LENGTH) {
+        part.head = Buffer.concat([part.head, chunk.subarray(0, SIGNATURE_LENGTH - part.head.length)]);
+      }
+      fs.writeSync(part.fd, chunk);
+    }
+
+    function endPart() {
+      if (part.fd === undefined) {
+        fields[part.name] = Buffer.concat(part.chunks).toString('utf8');
+      } else {
+        fs.closeSync(part.fd);
+        const { name, filename, contentType, size, head } = part;
+        if (filename || size) {
+          files[name] = { filename, contentType, path: part.path, size, head };
+        } else {
+          fs.unlink(part.path, () => {});
+        }
+      }
+      part = null;
+    }
+
+    // Consume as much of the buffer as possible, keeping back only what may
+    // be the start of a boundary split across chunks.
+    function consume() {
+      for (;;) {
+        if (state === 'preamble' || state === 'body') {
+          const index = buffer.indexOf(delimiter);
+          if (index === -1) {
+            const keep = Math.min(buffer.length, delimiter.length - 1);
+            if (state === 'body') writePart(buffer.subarray(0, buffer.length - keep));
+            buffer = buffer.subarray(buffer.length - keep);
+            return;
+          }
+          if (state === 'body') {
+            writePart(buffer.subarray(0, index));
+            endPart();
+          }
+          buffer = buffer.subarray(index + delimiter.length);
+          state = 'boundary';
+        }
+        if (state === 'boundary') {
+          if (buffer.length < 2) return;
+          const marker = buffer.toString('latin1', 0, 2);
+          if (marker === '--') {
+            state = 'end';
+            return;
+          }
+          if (marker !== '\r\n') throw httpError(400, 'Malformed multipart body');
+          buffer = buffer.subarray(2);
+          state = 'headers';
+        }
+        if (state === 'headers') {
+          const index = buffer.indexOf('\r\n\r\n');
+          if (index === -1) {
+            if (buffer.length > MAX_HEADER_BYTES) throw httpError(400, 'Malformed multipart body');
+            return;
+          }
+          startPart(buffer.toString('utf8', 0, index));
+          buffer = buffer.subarray(index + 4);
+          state = 'body';
+        }
+      }
+    }
+
+    function onData(chunk) {
+      // Anything after the closing boundary is ignored
+      if (state === 'end') return;
+      try {
+        buffer = Buffer.concat([buffer, chunk]);
+        consume();
+      } catch (err) {
+        fail(err);
+      }
+    }
+
+    req.on('data', onData);
+    req.on('error', fail);
+    req.on('end', () => {
+      if (settled) return;
+      if (state !== 'end') return fail(httpError(400, 'Malformed multipart body'));
+      settled = true;
+      resolve({ fields, files });
+    });
+  });
+}
+
+module.exports = {
+  parse
+};
@@ -0,0 +1,140 @@
+/*
+ * Request routing.
+ *
+ * A router holds middleware and routes. Routes are matched on the method and
+ * the path, which may contain named parameters ("/api/admin/faqs/:id").
+ * Middleware and route handlers have the signature (req, res, next) and may
+ * be async; a handler that does not call next() ends the chain.
+ *
+ * Before anything runs, the request gets `pathname`, `query` (the
+ * URLSearchParams of the URL) and `params` (the decoded path parameters of
+ * the matched route), and `route` is set to the pattern of the matched
+ * route, if any. Middleware registered with use() runs for every
+ * request, then the handlers of the first matching route in order. When no
+ * route matches, the fallback passed to handle() is called with the methods
+ * the path does accept, if any. GET routes also answer HEAD requests.
+ */
+
+/**
+ * Compile a path pattern into a regular expression and its parameter names.
+ * @param {string} pattern - e.g. "/api/admin/leads/:id/photos/:file"
+ */
+function compile(pattern) {
+  const names = [];
+  const source = pattern.split('/').map(segment => {
+    if (segment.startsWith(':')) {
+      names.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  return { regex: new RegExp(`^${source}$`), names };
+}
+
+/**
+ * Run handlers in order, each continuing to the next by calling next().
+ * @param {Function[]} handlers
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function run(handlers, req, res) {
+  let index = 0;
+  const next = async () => {
+    const handler = handlers[index++];
+    if (handler) await handler(req, res, next);
+  };
+  await next();
+}
+
+/**
+ * Create a router.
+ */
+function createRouter() {
+  const middleware = [];
+  const routes = [];
+
+  /**
+   * Register a route for one or more path patterns.
+   * @param {string} method
+   * @param {string|string[]} patterns
+   * @param {Function[]} handlers
+   */
+  function add(method, patterns, handlers) {
+    [].concat(patterns).forEach(pattern => {
+      routes.push({ method, pattern, ...compile(pattern), handlers });
+    });
+  }
+
+  /**
+   * Match a path against a route. Returns the decoded parameters, or null.
+   * A parameter that is not valid percent-encoding throws an error with
+   * statusCode 400.
+   */
+  function match(route, pathname) {
+    const result = route.regex.exec(pathname);
+    if (!result) return null;
+    const params = {};
+    route.names.forEach((name, i) => {
+      try {
+        params[name] = decodeURIComponent(result[i + 1]);
+      } catch (e) {
+        const err = new Error('Malformed URL');
+        err.statusCode = 400;
+        throw err;
+      }
+    });
+    return params;
+  }
+
+  /**
+   * Route a request.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {function(http.IncomingMessage, http.ServerResponse, string[])} [fallback] -
+   *   called when no route matches, with the methods allowed on the path
+   */
+  async function handle(req, res, fallback) {
+    const url = new URL(req.url, 'http://localhost');
+    req.pathname = url.pathname;
+    req.query = url.searchParams;
+    req.params = {};
+    await run([...middleware, async () => {
+      const allowed = [];
+      for (const route of routes) {
+        const params = match(route, req.pathname);
+        if (!params) continue;
+        // HEAD is answered like GET; Node leaves out the body
+        const method = req.method === 'HEAD' ? 'GET' : req.method;
+        if (route.method !== method) {
+          if (!allowed.includes(route.method)) allowed.push(route.method);
+          continue;
+        }
+        req.params = params;
+        req.route = route.pattern;
+        return run(route.handlers, req, res);
+      }
+      if (fallback) await fallback(req, res, allowed);
+    }], req, res);
+  }
+
+  return {
+    use(handler) {
+      middleware.push(handler);
+    },
+    get(pattern, ...handlers) {
+      add('GET', pattern, handlers);
+    },
+    post(pattern, ...handlers) {
+      add('POST', pattern, handlers);
+    },
+    put(pattern, ...handlers) {
+      add('PUT', pattern, handlers);
+    },
+    delete(pattern, ...handlers) {
+      add('DELETE', pattern, handlers);
+    },
+    handle
+  };
+}
+
+module.exports = { createRouter };
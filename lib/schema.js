@@ -0,0 +1,119 @@
+/*
+ * Validation of JSON values against schemas.
+ *
+ * Schemas are plain objects using a small subset of JSON Schema:
+ *
+ *   type                   'string', 'number', 'integer', 'boolean', 'object',
+ *                          'array' or 'null', or an array of these
+ *   enum                   allowed values
+ *   minLength, maxLength, pattern          for strings
+ *   minimum, maximum                       for numbers
+ *   minItems, maxItems, items              for arrays
+ *   required, properties,
+ *   additionalProperties   for objects; additionalProperties is false to
+ *                          forbid other keys, or a schema they must match
+ *
+ * validate() returns the problems found, each { path, message }, where the
+ * path names the offending value ("[3].translations.fr.question"). An empty
+ * list means the value is valid.
+ */
+
+/**
+ * The JSON type of a value, telling integers apart from other numbers.
+ * @param {*} value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function join(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value.
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path] - where the value sits, for messages
+ * @returns {{ path: string, message: string }[]}
+ */
+function validate(schema, value, path = '') {
+  const problems = [];
+  const fail = (message, at = path) => problems.push({ path: at, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      fail(`must be ${types.map(type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(' or ')}`);
+      return problems;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('has an invalid format');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => problems.push(...validate(schema.items, item, join(path, i))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) fail('is required', join(path, key));
+    });
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      if (value[key] === undefined) return;
+      if (properties[key]) {
+        problems.push(...validate(properties[key], value[key], join(path, key)));
+      } else if (schema.additionalProperties === false) {
+        fail('is not allowed', join(path, key));
+      } else if (schema.additionalProperties) {
+        problems.push(...validate(schema.additionalProperties, value[key], join(path, key)));
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Describe problems in one line, e.g. for a log message.
+ * @param {{ path: string, message: string }[]} problems
+ * @param {number} [max] - how many to list
+ */
+function describe(problems, max = 3) {
+  const listed = problems.slice(0, max).map(problem => (problem.path ? `${problem.path} ${problem.message}` : problem.message));
+  if (problems.length > max) listed.push(`and ${problems.length - max} more`);
+  return listed.join('; ');
+}
+
+module.exports = {
+  validate,
+  describe
+};
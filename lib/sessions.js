@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { createStore } = require('./json-store');
+
+/*
+ * Admin sign-in sessions.
+ *
+ * Sessions are kept in memory and mirrored to a JSON file under data/ so a
+ * restart does not sign everyone out. Only a SHA-256 hash of each token is
+ * stored; the token itself is known to the client alone. Each session also
+ * has a short public ID used to list and revoke it.
+ *
+ * A session ends when it has been idle longer than the idle timeout, when
+ * it is older than the absolute timeout, or when it is revoked.
+ */
+
+// How often a session's last-seen time is written back to disk. Activity
+// is tracked in memory on every request; persisting it at most once a
+// minute keeps disk writes off the hot path at the cost of that much
+// precision in the idle timeout after a restart.
+const TOUCH_INTERVAL = 60 * 1000;
+
+let store = null;
+let idleTimeout = 24 * 60 * 60 * 1000;
+let absoluteTimeout = 7 * 24 * 60 * 60 * 1000;
+let sessions = [];
+
+const SESSIONS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['id', 'tokenHash', 'userId', 'createdAt', 'lastSeenAt'],
+    properties: {
+      id: { type: 'string' },
+      tokenHash: { type: 'string' },
+      userId: { type: 'string' },
+      createdAt: { type: 'number' },
+      lastSeenAt: { type: 'number' }
+    }
+  }
+};
+
+/**
+ * Load sessions from a JSON file, dropping any that have expired. Sessions
+ * are not worth keeping backups of: if the file is unusable, everyone is
+ * signed out and it is replaced on the next write.
+ * @param {string} filePath
+ * @param {{ idleTimeout: number, absoluteTimeout: number }} options - in ms
+ */
+function load(filePath, options) {
+  idleTimeout = options.idleTimeout;
+  absoluteTimeout = options.absoluteTimeout;
+  store = createStore(filePath, { schema: SESSIONS_SCHEMA, backups: 0 });
+  try {
+    sessions = store.load();
+  } catch (err) {
+    console.error('Error loading sessions:', err.message);
+    sessions = [];
+  }
+  if (prune()) save();
+}
+
+function save() {
+  store.save(sessions).catch(err => console.error('Failed to write sessions file', err));
+}
+
+/**
+ * Wait for pending writes of the sessions file.
+ */
+function flush() {
+  return store ? store.flush() : Promise.resolve();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isExpired(session, now) {
+  return now - session.lastSeenAt > idleTimeout || now - session.createdAt > absoluteTimeout;
+}
+
+/**
+ * Remove expired sessions from memory. Returns true if any were removed.
+ */
+function prune() {
+  const now = Date.now();
+  const before = sessions.length;
+  sessions = sessions.filter(session => !isExpired(session, now));
+  return sessions.length !== before;
+}
+
+/**
+ * Start a session for a user.
+ * @param {string} userId
+ * @param {{ ip?: string, userAgent?: string }} meta - shown in the sessions list
+ * @returns {{ token: string, session: object }}
+ */
+function create(userId, meta = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  const session = {
+    id: crypto.randomBytes(8).toString('hex'),
+    tokenHash: hashToken(token),
+    userId,
+    createdAt: now,
+    lastSeenAt: now,
+    ip: meta.ip || '',
+    userAgent: String(meta.userAgent || '').slice(0, 300)
+  };
+  sessions.push(session);
+  save();
+  return { token, session };
+}
+
+/**
+ * Look up the live session for a token and record activity on it. Returns
+ * null (and forgets the session) if it has expired.
+ * @param {string} token
+ */
+function touch(token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const session = sessions.find(item => item.tokenHash === tokenHash);
+  if (!session) return null;
+  const now = Date.now();
+  if (isExpired(session, now)) {
+    revoke(session.id);
+    return null;
+  }
+  const persist = now - session.lastSeenAt > TOUCH_INTERVAL;
+  session.lastSeenAt = now;
+  if (persist) save();
+  return session;
+}
+
+/**
+ * End a session by its public ID. Returns true if it existed.
+ * @param {string} id
+ */
+function revoke(id) {
+  const before = sessions.length;
+  sessions = sessions.filter(session => session.id !== id);
+  if (sessions.length === before) return false;
+  save();
+  return true;
+}
+
+/**
+ * End every session belonging to a user, e.g. after their account is
+ * disabled or their password is reset.
+ * @param {string} userId
+ */
+function revokeUser(userId) {
+  const before = sessions.length;
+  sessions = sessions.filter(session => session.userId !== userId);
+  if (sessions.length !== before) save();
+}
+
+/**
+ * All live sessions.
+ */
+function list() {
+  if (prune()) save();
+  return sessions;
+}
+
+function findById(id) {
+  return list().find(session => session.id === id) || null;
+}
+
+/**
+ * The fields of a session that are safe to send to the admin panel.
+ * @param {object} session
+ */
+function toPublic(session) {
+  const { id, userId, createdAt, lastSeenAt, ip, userAgent } = session;
+  return {
+    id,
+    userId,
+    createdAt: new Date(createdAt).toISOString(),
+    lastSeenAt: new Date(lastSeenAt).toISOString(),
+    expiresAt: new Date(Math.min(lastSeenAt + idleTimeout, createdAt + absoluteTimeout)).toISOString(),
+    ip,
+    userAgent
+  };
+}
+
+module.exports = {
+  load,
+  flush,
+  create,
+  touch,
+  revoke,
+  revokeUser,
+  list,
+  findById,
+  toPublic
+};
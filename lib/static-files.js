@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+
+/*
+ * Serving files and pages over HTTP.
+ *
+ * Files are streamed from disk rather than read whole. Each response carries
+ * an ETag and Last-Modified, so browsers can revalidate with a conditional
+ * GET and get a 304 instead of the file again. Text such as HTML, CSS and
+ * scripts is compressed with brotli or gzip, whichever the client prefers:
+ * from a precompressed copy beside the file (style.css.br, style.css.gz)
+ * when one is at least as new as the file, otherwise on the fly. Byte
+ * ranges are served uncompressed, one range per request, so that PDFs and
+ * videos can be resumed and seeked.
+ *
+ * HTML is always revalidated. Fingerprinted files, whose names carry a
+ * content hash such as app.3f9c2a1e.js, never change and are cached for a
+ * year; everything else for an hour.
+ */
+
+const MIME_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.xml': 'application/xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.zip': 'application/zip'
+};
+
+// Types worth compressing; images, WOFF fonts and media are compressed already
+const COMPRESSIBLE_TYPES = /^(text\/|application\/(javascript|json|manifest\+json|xml)$|image\/svg\+xml$|font\/(ttf|otf)$)/;
+// Smaller bodies gain too little to be worth the work
+const MIN_COMPRESS_SIZE = 1024;
+// Encodings in order of preference, with the extension of precompressed
+// files. Brotli's default quality is too slow for compressing on the fly.
+const BROTLI_OPTIONS = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } };
+const ENCODINGS = [
+  { name: 'br', ext: '.br', create: () => zlib.createBrotliCompress(BROTLI_OPTIONS), compress: data => zlib.brotliCompressSync(data, BROTLI_OPTIONS) },
+  { name: 'gzip', ext: '.gz', create: () => zlib.createGzip(), compress: data => zlib.gzipSync(data) }
+];
+
+const FINGERPRINTED = /[.-][0-9a-f]{8,}\.[^./]+$/i;
+const CACHE_REVALIDATE = 'no-cache';
+const CACHE_SHORT = 'public, max-age=3600';
+const CACHE_IMMUTABLE = 'public, max-age=31536000, immutable';
+
+/**
+ * Content type of a file by its extension.
+ * @param {string} filePath
+ */
+function contentType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Cache-Control for a file.
+ * @param {string} filePath
+ * @param {string} type
+ */
+function cacheControl(filePath, type) {
+  if (type === 'text/html') return CACHE_REVALIDATE;
+  return FINGERPRINTED.test(path.basename(filePath)) ? CACHE_IMMUTABLE : CACHE_SHORT;
+}
+
+/**
+ * Encodings the client accepts from Accept-Encoding, most preferred first;
+ * on equal preference brotli goes first.
+ * @param {string} header
+ */
+function acceptedEncodings(header) {
+  const weights = {};
+  String(header || '').split(',').forEach(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(param => /^\s*q\s*=\s*([\d.]+)\s*$/.exec(param)).find(Boolean);
+    if (name) weights[name.trim()] = q ? Number(q[1]) : 1;
+  });
+  return ENCODINGS
+    .map(encoding => ({ encoding, q: encoding.name in weights ? weights[encoding.name] : (weights['*'] || 0) }))
+    .filter(entry => entry.q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(entry => entry.encoding);
+}
+
+/**
+ * Whether the client's cached copy is still current, from If-None-Match
+ * or, without it, If-Modified-Since.
+ * @param {http.IncomingMessage} req
+ * @param {string} etag
+ * @param {Date} [modified]
+ */
+function isFresh(req, etag, modified) {
+  const match = req.headers['if-none-match'];
+  if (match) {
+    return match.split(',').some(tag => {
+      tag = tag.trim();
+      return tag === '*' || tag.replace(/^W\//, '') === etag;
+    });
+  }
+  const since = Date.parse(req.headers['if-modified-since']);
+  // Last-Modified has whole seconds
+  return Boolean(modified) && !Number.isNaN(since) && Math.floor(modified.getTime() / 1000) * 1000 <= since;
+}
+
+/**
+ * Parse a Range header for a body of `size` bytes. Returns { start, end }
+ * (inclusive), 'unsatisfiable', or null to send the whole body: without a
+ * header, and for multiple or malformed ranges, which may be ignored.
+ * @param {string} header
+ * @param {number} size
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  let start;
+  let end;
+  if (!match[1]) {
+    // The last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    if (match[2] && Number(match[2]) < start) return null;
+  }
+  if (start >= size || end < start) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * Stat a precompressed copy of a file, if there is one as new as the file.
+ * @param {string} filePath
+ * @param {fs.Stats} stats - of the file
+ * @param {object} encoding - one of ENCODINGS
+ */
+async function precompressed(filePath, stats, encoding) {
+  try {
+    const copy = await fs.promises.stat(filePath + encoding.ext);
+    return copy.isFile() && copy.mtimeMs >= stats.mtimeMs ? copy : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Write a stream to the response, logging failures other than the client
+ * going away.
+ * @param {stream.Readable[]} streams
+ * @param {http.ServerResponse} res
+ */
+function send(streams, res) {
+  pipeline(...streams, res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Failed to send file:', err);
+  });
+}
+
+/**
+ * Serve a file. Returns false, without responding, if there is no such
+ * file.
+ * @param {http.IncomingMessage} req - GET or HEAD
+ * @param {http.ServerResponse} res
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {string} [options.cacheControl] - instead of the default for the file
+ * @param {object} [options.headers] - additional response headers
+ * @returns {Promise<boolean>}
+ */
+async function serveFile(req, res, filePath, options = {}) {
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return false;
+    throw err;
+  }
+  if (!stats.isFile()) return false;
+
+  const type = contentType(filePath);
+  const baseTag = `${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}`;
+  const headers = {
+    'Content-Type': type,
+    'Last-Modified': stats.mtime.toUTCString(),
+    'Cache-Control': options.cacheControl || cacheControl(filePath, type),
+    ...options.headers
+  };
+  const compressible = COMPRESSIBLE_TYPES.test(type) && stats.size >= MIN_COMPRESS_SIZE;
+  if (compressible) headers.Vary = 'Accept-Encoding';
+  else headers['Accept-Ranges'] = 'bytes';
+
+  // A range of the file as it is
+  let range = null;
+  if (!compressible && req.headers.range) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange || ifRange === `"${baseTag}"` || ifRange === headers['Last-Modified']) {
+      range = parseRange(req.headers.range, stats.size);
+    }
+  }
+  if (range === 'unsatisfiable') {
+    res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stats.size}` });
+    res.end();
+    return true;
+  }
+
+  // The whole file, compressed if the client accepts that
+  let encoding = null;
+  let source = filePath;
+  let length = stats.size;
+  if (compressible) {
+    encoding = acceptedEncodings(req.headers['accept-encoding'])[0] || null;
+    const copy = encoding && await precompressed(filePath, stats, encoding);
+    if (copy) {
+      source = filePath + encoding.ext;
+      length = copy.size;
+    } else if (encoding) {
+      length = null;
+    }
+  }
+  headers.ETag = `"${baseTag}${encoding ? `-${encoding.name}` : ''}"`;
+  if (isFresh(req, headers.ETag, stats.mtime)) {
+    delete headers['Content-Type'];
+    res.writeHead(304, headers);
+    res.end();
+    return true;
+  }
+  if (encoding) headers['Content-Encoding'] = encoding.name;
+
+  if (range) {
+    res.writeHead(206, {
+      ...headers,
+      'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    if (length !== null) headers['Content-Length'] = length;
+    res.writeHead(200, headers);
+  }
+  if (req.method === 'HEAD') {
+    res.end();
+    return true;
+  }
+  const streams = [fs.createReadStream(source, range || {})];
+  if (encoding && source === filePath) streams.push(encoding.create());
+  send(streams, res);
+  return true;
+}
+
+/**
+ * Send a page generated in memory, such as a translated HTML page, with an
+ * ETag of its contents and compressed if the client accepts that.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string|Buffer} body
+ * @param {object} [headers] - response headers, including Content-Type
+ */
+function sendPage(req, res, body, headers = {}) {
+  let data = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  const encoding = data.length >= MIN_COMPRESS_SIZE ? acceptedEncodings(req.headers['accept-encoding'])[0] : null;
+  const hash = crypto.createHash('sha1').update(data).digest('base64url').slice(0, 27);
+  const response = {
+    'Cache-Control': CACHE_REVALIDATE,
+    ...headers,
+    ETag: `"${hash}${encoding ? `-${encoding.name}` : ''}"`,
+    Vary: [headers.Vary, 'Accept-Encoding'].filter(Boolean).join(', ')
+  };
+  if (isFresh(req, response.ETag)) {
+    delete response['Content-Type'];
+    res.writeHead(304, response);
+    return res.end();
+  }
+  if (encoding) {
+    data = encoding.compress(data);
+    response['Content-Encoding'] = encoding.name;
+  }
+  response['Content-Length'] = data.length;
+  res.writeHead(200, response);
+  res.end(req.method === 'HEAD' ? undefined : data);
+}
+
+module.exports = {
+  serveFile,
+  sendPage
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const { createStore } = require('./json-store');
+
+/*
+ * Admin user accounts.
+ *
+ * Users are kept in a JSON file under data/ and loaded into memory. Passwords
+ * are never stored: each user record holds a crypto.scrypt hash with its own
+ * random salt, serialized as "scrypt:<salt hex>:<hash hex>".
+ *
+ * Roles are ordered; a user may do anything a lower role may do:
+ *   viewer - read-only access to the admin panel
+ *   editor - may also change site content, leads and applications
+ *   owner  - may also manage users
+ */
+
+const ROLES = ['viewer', 'editor', 'owner'];
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const KEY_LENGTH = 64;
+
+const USERS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['id', 'username', 'role', 'passwordHash'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      username: { type: 'string', minLength: 1 },
+      role: { enum: ROLES },
+      passwordHash: { type: 'string', minLength: 1 },
+      disabled: { type: 'boolean' },
+      mustChangePassword: { type: 'boolean' }
+    }
+  }
+};
+
+let store = null;
+let users = [];
+
+/**
+ * Load users from a JSON file. A missing file means no users yet.
+ * @param {string} filePath
+ * @param {object} [options] - store options, see lib/json-store.js
+ * @throws {Error} with code EDATACORRUPT if the file is unusable
+ */
+function load(filePath, options = {}) {
+  store = createStore(filePath, { ...options, schema: USERS_SCHEMA });
+  users = store.load();
+}
+
+/**
+ * Persist users to the file they were loaded from. Returns a promise that
+ * settles once they are on disk; failures are logged and rethrown.
+ */
+function save() {
+  return store.save(users).catch(err => {
+    console.error('Failed to write users file', err);
+    throw err;
+  });
+}
+
+/**
+ * Whether users were recovered from a backup and may not be changed.
+ */
+function isReadOnly() {
+  return Boolean(store && store.readOnly);
+}
+
+/**
+ * Wait for pending writes of the users file.
+ */
+function flush() {
+  return store ? store.flush() : Promise.resolve();
+}
+
+/**
+ * Hash a password with a fresh random salt.
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt:${salt.toString('hex')}:${key.toString('hex')}`);
+    });
+  });
+}
+
+// Hash checked when a login names an unknown user, so that the response
+// takes as long as for a real user and does not reveal which names exist.
+const DUMMY_HASH = `scrypt:${'0'.repeat(32)}:${'0'.repeat(KEY_LENGTH * 2)}`;
+
+/**
+ * Check a password against a stored hash in constant time.
+ * @param {string} password
+ * @param {string} stored - as produced by hashPassword
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, stored) {
+  return new Promise((resolve) => {
+    const [scheme, saltHex, hashHex] = String(stored || DUMMY_HASH).split(':');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return resolve(false);
+    const expected = Buffer.from(hashHex, 'hex');
+    crypto.scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length, (err, key) => {
+      if (err) return resolve(false);
+      resolve(crypto.timingSafeEqual(key, expected));
+    });
+  });
+}
+
+/**
+ * Whether a user's role is at least the given role.
+ * @param {object} user
+ * @param {string} minRole
+ */
+function hasRole(user, minRole) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(minRole);
+}
+
+/**
+ * Describe why a username cannot be used, or return null if it can.
+ * @param {string} username
+ */
+function validateUsername(username) {
+  if (!USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-32 characters: lowercase letters, digits, ".", "_" or "-"';
+  }
+  if (findByUsername(username)) {
+    return 'Username is already taken';
+  }
+  return null;
+}
+
+/**
+ * Describe why a password is too weak, or return null if it is acceptable.
+ * @param {string} password
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Generate a random temporary password for invited users and resets.
+ */
+function generatePassword() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+function list() {
+  return users;
+}
+
+function findById(id) {
+  return users.find(user => user.id === id) || null;
+}
+
+function findByUsername(username) {
+  const name = String(username || '').trim().toLowerCase();
+  return users.find(user => user.username === name) || null;
+}
+
+/**
+ * Create and persist a user. The caller is expected to have validated the
+ * username, password and role. If the user cannot be written, it is not
+ * kept in memory either and the error is rethrown.
+ * @param {{ username: string, password: string, role: string, mustChangePassword?: boolean }} fields
+ */
+async function create({ username, password, role, mustChangePassword = false }) {
+  const user = {
+    id: crypto.randomBytes(8).toString('hex'),
+    username: username.trim().toLowerCase(),
+    role,
+    passwordHash: await hashPassword(password),
+    mustChangePassword,
+    disabled: false,
+    createdAt: new Date().toISOString()
+  };
+  users.push(user);
+  try {
+    await save();
+  } catch (err) {
+    users = users.filter(item => item !== user);
+    throw err;
+  }
+  return user;
+}
+
+/**
+ * Replace a user's password and persist. If it cannot be written, the old
+ * password stays in effect and the error is rethrown.
+ * @param {object} user
+ * @param {string} password
+ * @param {boolean} mustChangePassword - true for temporary passwords
+ */
+async function setPassword(user, password, mustChangePassword) {
+  const previous = { passwordHash: user.passwordHash, mustChangePassword: user.mustChangePassword };
+  user.passwordHash = await hashPassword(password);
+  user.mustChangePassword = mustChangePassword;
+  try {
+    await save();
+  } catch (err) {
+    Object.assign(user, previous);
+    throw err;
+  }
+}
+
+/**
+ * Count enabled owners, to keep at least one able to manage users.
+ */
+function activeOwnerCount() {
+  return users.filter(user => user.role === 'owner' && !user.disabled).length;
+}
+
+/**
+ * The fields of a user that are safe to send to the admin panel.
+ * @param {object} user
+ */
+function toPublic(user) {
+  const { id, username, role, disabled, mustChangePassword, createdAt } = user;
+  return { id, username, role, disabled, mustChangePassword, createdAt };
+}
+
+module.exports = {
+  ROLES,
+  load,
+  save,
+  isReadOnly,
+  flush,
+  hashPassword,
+  verifyPassword,
+  hasRole,
+  validateUsername,
+  validatePassword,
+  generatePassword,
+  list,
+  findById,
+  findByUsername,
+  create,
+  setPassword,
+  activeOwnerCount,
+  toPublic
+};
@@ -1,21 +1,94 @@
 // admin.js
-// Handles admin login, FAQ creation and gallery image uploads.
+// Handles admin login, sessions, user accounts, the audit log, FAQ
+// management, leads, job applications, the before/after gallery, the
+// translation editor and exporting and importing the site's content.
 
 document.addEventListener('DOMContentLoaded', () => {
   const loginSection = document.getElementById('login-section');
   const adminContent = document.getElementById('admin-content');
   const loginForm = document.getElementById('login-form');
   const faqForm = document.getElementById('faq-form');
+  const faqSearch = document.getElementById('faq-search');
+  const faqTableBody = document.getElementById('faq-table-body');
+  const faqCancel = document.getElementById('faq-cancel');
+  // Translation fieldsets in the FAQ form, one per non-English language
+  const faqTranslationFields = Array.from(document.querySelectorAll('[data-faq-lang]'));
+  const unansweredDays = document.getElementById('unanswered-days');
+  const unansweredSummary = document.getElementById('unanswered-summary');
+  const unansweredTableBody = document.getElementById('unanswered-table-body');
+  const leadStatusFilter = document.getElementById('lead-status-filter');
+  const leadTableBody = document.getElementById('lead-table-body');
+  const leadDetail = document.getElementById('lead-detail');
+  const leadNoteForm = document.getElementById('lead-note-form');
+  const applicationStatusFilter = document.getElementById('application-status-filter');
+  const applicationTableBody = document.getElementById('application-table-body');
+  const applicationDetail = document.getElementById('application-detail');
   const galleryForm = document.getElementById('gallery-form');
+  const galleryTableBody = document.getElementById('gallery-table-body');
+  const galleryCancel = document.getElementById('gallery-cancel');
+  const galleryTranslationFields = Array.from(document.querySelectorAll('.gallery-translation'));
   const logoutBtn = document.getElementById('logout-btn');
+  const adminSections = document.getElementById('admin-sections');
+  const passwordSection = document.getElementById('password-section');
+  const passwordForm = document.getElementById('password-form');
+  const userTableBody = document.getElementById('user-table-body');
+  const inviteForm = document.getElementById('invite-form');
+  const temporaryPasswordNotice = document.getElementById('temporary-password');
+  const sessionTableBody = document.getElementById('session-table-body');
+  const auditFilters = document.getElementById('audit-filters');
+  const auditActionFilter = document.getElementById('audit-action');
+  const auditSummary = document.getElementById('audit-summary');
+  const auditTableBody = document.getElementById('audit-table-body');
+  const translationFilters = document.getElementById('translation-filters');
+  const translationFilter = document.getElementById('translation-filter');
+  const translationSearch = document.getElementById('translation-search');
+  const translationTableBody = document.getElementById('translation-table-body');
+  const importForm = document.getElementById('import-form');
+  const importPreview = document.getElementById('import-preview');
+  const importTableBody = document.getElementById('import-table-body');
 
-  // Show the appropriate section based on existing token
-  const existingToken = localStorage.getItem('adminToken');
-  if (existingToken) {
-    showAdmin();
-  } else {
-    showLogin();
-  }
+  // The signed-in user: { id, username, role, mustChangePassword, ... }
+  let currentUser = null;
+
+  // FAQ entries as last loaded from the server, in display order
+  let faqs = [];
+  // Quote requests as last loaded, and the one open in the detail panel
+  let leads = [];
+  let selectedLeadId = null;
+
+  // Job applications as last loaded, and the one open in the detail panel
+  let applications = [];
+  let selectedApplicationId = null;
+
+  // Gallery pairs as last loaded, in display order, and the row being dragged
+  let gallery = [];
+  let draggedGalleryRow = null;
+
+  // Translations as last loaded (see GET /api/admin/translations), and
+  // edits not saved yet: { lang: { key: text } }
+  let translations = null;
+  let translationEdits = {};
+
+  // The uploaded archive being previewed: { id, exportedAt, sections, warnings }
+  let pendingImport = null;
+
+  const LEAD_STATUSES = ['new', 'contacted', 'quoted', 'won', 'lost'];
+  const APPLICATION_STATUSES = ['new', 'reviewing', 'interview', 'hired', 'rejected'];
+  const SERVICE_LABELS = {
+    'design-construction': 'Design & Construction',
+    'planting-gardening': 'Planting & Gardening',
+    'sod-turf': 'Sod & Turf',
+    'maintenance': 'Maintenance',
+    'water-features': 'Water Features',
+    'green-roof': 'Green Roof Projects'
+  };
+
+  const ROLES = ['viewer', 'editor', 'owner'];
+  const IMPORT_SECTION_LABELS = { faqs: 'FAQs', gallery: 'Gallery', locales: 'Translations', leads: 'Leads' };
+
+  // The session lives in an HttpOnly cookie, so the only way to know whether
+  // we are signed in is to ask the server
+  loadCurrentUser();
 
   // Handle login form submission
   loginForm.addEventListener('submit', async (e) => {
@@ -28,13 +101,18 @@ document.addEventListener('DOMContentLoaded', () => {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ username, password })
       });
+      if (res.status === 429) {
+        alert('Too many failed sign-in attempts. Please wait a few minutes and try again.');
+        return;
+      }
       if (!res.ok) {
-        alert('Login failed');
+        alert(await errorMessage(res, 'Login failed'));
         return;
       }
       const data = await res.json();
-      if (data && data.token) {
-        localStorage.setItem('adminToken', data.token);
+      if (data && data.user) {
+        currentUser = data.user;
+        loginForm.reset();
         showAdmin();
       } else {
         alert('Invalid credentials');
@@ -45,79 +123,1453 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  // Handle FAQ form submission
+  // Handle FAQ form submission. Creates a new entry, or updates the entry
+  // currently being edited when the hidden ID field is set.
   faqForm.addEventListener('submit', async (e) => {
     e.preventDefault();
+    const id = document.getElementById('faq-id').value;
     const question = document.getElementById('faq-question').value.trim();
     const answer = document.getElementById('faq-answer').value.trim();
     if (!question || !answer) return;
-    const token = localStorage.getItem('adminToken');
+    const translations = {};
+    faqTranslationFields.forEach(field => {
+      const lang = field.dataset.faqLang;
+      translations[lang] = {
+        question: document.getElementById(`faq-question-${lang}`).value.trim(),
+        answer: document.getElementById(`faq-answer-${lang}`).value.trim()
+      };
+    });
     try {
-      const res = await fetch('/api/admin/add-faq', {
+      const res = await adminFetch(id ? `/api/admin/faqs/${encodeURIComponent(id)}` : '/api/admin/faqs', {
+        method: id ? 'PUT' : 'POST',
+        body: JSON.stringify({ question, answer, translations })
+      });
+      if (!res.ok) {
+        alert(await errorMessage(res, id ? 'Failed to update FAQ' : 'Failed to add FAQ'));
+        return;
+      }
+      alert(id ? 'FAQ updated successfully' : 'FAQ added successfully');
+      resetFaqForm();
+      loadFaqs();
+    } catch (err) {
+      console.error('Save FAQ error:', err);
+      alert('Error saving FAQ');
+    }
+  });
+
+  faqCancel.addEventListener('click', resetFaqForm);
+
+  faqSearch.addEventListener('input', renderFaqTable);
+
+  // Edit, delete and move buttons in the FAQ table
+  faqTableBody.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const id = button.closest('tr').dataset.id;
+    const faq = faqs.find(item => item.id === id);
+    if (!faq) return;
+    switch (button.dataset.action) {
+      case 'edit':
+        editFaq(faq);
+        break;
+      case 'delete':
+        await deleteFaq(faq);
+        break;
+      case 'up':
+      case 'down':
+        await moveFaq(faq, button.dataset.action === 'up' ? -1 : 1);
+        break;
+    }
+  });
+
+  unansweredDays.addEventListener('change', loadUnanswered);
+
+  // "Create FAQ" buttons in the unanswered questions report
+  unansweredTableBody.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action="create-faq"]');
+    if (!button) return;
+    const { question, lang } = button.closest('tr').dataset;
+    prefillFaq(question, lang);
+  });
+
+  leadStatusFilter.addEventListener('change', loadLeads);
+
+  // Status changes and "View" buttons in the leads table
+  leadTableBody.addEventListener('change', async (e) => {
+    const select = e.target.closest('select[data-action="status"]');
+    if (!select) return;
+    const id = select.closest('tr').dataset.id;
+    try {
+      const res = await adminFetch(`/api/admin/leads/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ status: select.value })
+      });
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to update status'));
+        return;
+      }
+      loadLeads();
+    } catch (err) {
+      console.error('Update lead error:', err);
+      alert('Error updating status');
+    }
+  });
+
+  leadTableBody.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action="view"]');
+    if (!button) return;
+    selectedLeadId = button.closest('tr').dataset.id;
+    renderLeadDetail();
+    leadDetail.scrollIntoView({ behavior: 'smooth' });
+  });
+
+  leadNoteForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const text = document.getElementById('lead-note').value.trim();
+    if (!text || !selectedLeadId) return;
+    try {
+      const res = await adminFetch(`/api/admin/leads/${encodeURIComponent(selectedLeadId)}/notes`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({ question, answer })
+        body: JSON.stringify({ text })
       });
       if (!res.ok) {
-        alert('Failed to add FAQ');
+        alert(await errorMessage(res, 'Failed to add note'));
         return;
       }
-      alert('FAQ added successfully');
-      // Clear form
-      document.getElementById('faq-question').value = '';
-      document.getElementById('faq-answer').value = '';
+      document.getElementById('lead-note').value = '';
+      loadLeads();
     } catch (err) {
-      console.error('Add FAQ error:', err);
-      alert('Error adding FAQ');
+      console.error('Add note error:', err);
+      alert('Error adding note');
     }
   });
 
-  // Handle gallery form submission
-  galleryForm.addEventListener('submit', async (e) => {
+  applicationStatusFilter.addEventListener('change', loadApplications);
+
+  // Rating and status changes in the applications table
+  applicationTableBody.addEventListener('change', async (e) => {
+    const select = e.target.closest('select[data-action]');
+    if (!select) return;
+    const id = select.closest('tr').dataset.id;
+    const update = select.dataset.action === 'rating'
+      ? { rating: select.value ? Number(select.value) : null }
+      : { status: select.value };
+    try {
+      const res = await adminFetch(`/api/admin/applications/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        body: JSON.stringify(update)
+      });
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to update application'));
+        return;
+      }
+      loadApplications();
+    } catch (err) {
+      console.error('Update application error:', err);
+      alert('Error updating application');
+    }
+  });
+
+  applicationTableBody.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action="view"]');
+    if (!button) return;
+    selectedApplicationId = button.closest('tr').dataset.id;
+    renderApplicationDetail();
+    applicationDetail.scrollIntoView({ behavior: 'smooth' });
+  });
+
+  // Résumés are private, so download them with the admin token
+  document.getElementById('application-resume-btn').addEventListener('click', async () => {
+    const application = applications.find(item => item.id === selectedApplicationId);
+    if (!application) return;
+    try {
+      const res = await adminFetch(`/api/admin/applications/${encodeURIComponent(application.id)}/resume`);
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to download résumé'));
+        return;
+      }
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await res.blob());
+      link.download = `resume-${application.name}.pdf`;
+      link.click();
+      // Revoking at once cancels the download in some browsers
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    } catch (err) {
+      console.error('Download résumé error:', err);
+      alert('Error downloading résumé');
+    }
+  });
+
+  passwordForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const currentPassword = document.getElementById('current-password').value;
+    const newPassword = document.getElementById('new-password').value;
+    if (newPassword !== document.getElementById('confirm-password').value) {
+      alert('The new passwords do not match');
+      return;
+    }
+    try {
+      const res = await adminFetch('/api/admin/change-password', {
+        method: 'POST',
+        body: JSON.stringify({ currentPassword, newPassword })
+      });
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to change password'));
+        return;
+      }
+      alert('Password changed');
+      passwordForm.reset();
+      currentUser.mustChangePassword = false;
+      showAdmin();
+    } catch (err) {
+      console.error('Change password error:', err);
+      alert('Error changing password');
+    }
+  });
+
+  // Role, enable/disable and reset buttons in the users table
+  userTableBody.addEventListener('change', async (e) => {
+    const select = e.target.closest('select[data-action="role"]');
+    if (!select) return;
+    await updateUser(select.closest('tr').dataset.id, { role: select.value });
+  });
+
+  userTableBody.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const row = button.closest('tr');
+    const { id, username } = row.dataset;
+    if (button.dataset.action === 'toggle') {
+      await updateUser(id, { disabled: row.dataset.disabled !== 'true' });
+    } else if (button.dataset.action === 'reset') {
+      if (!confirm(`Reset the password of ${username}? They will be signed out.`)) return;
+      try {
+        const res = await adminFetch(`/api/admin/users/${encodeURIComponent(id)}/reset-password`, { method: 'POST' });
+        if (!res.ok) {
+          alert(await errorMessage(res, 'Failed to reset password'));
+          return;
+        }
+        const data = await res.json();
+        showTemporaryPassword(username, data.temporaryPassword);
+        loadUsers();
+      } catch (err) {
+        console.error('Reset password error:', err);
+        alert('Error resetting password');
+      }
+    }
+  });
+
+  sessionTableBody.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action="revoke"]');
+    if (!button) return;
+    const row = button.closest('tr');
+    const current = row.dataset.current === 'true';
+    if (!confirm(current ? 'Sign out of this browser?' : `Sign out ${row.dataset.username} on this device?`)) return;
+    try {
+      const res = await adminFetch(`/api/admin/sessions/${encodeURIComponent(row.dataset.id)}`, { method: 'DELETE' });
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to revoke session'));
+        return;
+      }
+      if (current) {
+        currentUser = null;
+        showLogin();
+        return;
+      }
+      loadSessions();
+    } catch (err) {
+      console.error('Revoke session error:', err);
+      alert('Error revoking session');
+    }
+  });
+
+  // Audit log filters apply as soon as they change
+  auditFilters.addEventListener('change', loadAudit);
+  auditFilters.addEventListener('submit', (e) => {
     e.preventDefault();
-    const beforeInput = document.getElementById('before-image');
-    const afterInput = document.getElementById('after-image');
-    const beforeFile = beforeInput.files[0];
-    const afterFile = afterInput.files[0];
-    if (!beforeFile || !afterFile) return;
-    const token = localStorage.getItem('adminToken');
-    // Convert files to base64 strings
-    const toDataURL = (file) => new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result.split(',')[1]);
-      reader.onerror = (err) => reject(err);
-      reader.readAsDataURL(file);
-    });
-    try {
-      const [beforeBase64, afterBase64] = await Promise.all([toDataURL(beforeFile), toDataURL(afterFile)]);
-      const res = await fetch('/api/admin/upload-image', {
+    loadAudit();
+  });
+
+  inviteForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const username = document.getElementById('invite-username').value.trim().toLowerCase();
+    const role = document.getElementById('invite-role').value;
+    try {
+      const res = await adminFetch('/api/admin/users', {
+        method: 'POST',
+        body: JSON.stringify({ username, role })
+      });
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to invite user'));
+        return;
+      }
+      const data = await res.json();
+      inviteForm.reset();
+      showTemporaryPassword(username, data.temporaryPassword);
+      loadUsers();
+    } catch (err) {
+      console.error('Invite user error:', err);
+      alert('Error inviting user');
+    }
+  });
+
+  translationFilter.addEventListener('change', renderTranslationTable);
+  translationSearch.addEventListener('input', renderTranslationTable);
+  translationFilters.addEventListener('submit', (e) => e.preventDefault());
+
+  // Edits are kept aside until saved, so filtering does not lose them
+  translationTableBody.addEventListener('input', (e) => {
+    const field = e.target.closest('textarea[data-lang]');
+    if (!field) return;
+    const { lang, key } = field.dataset;
+    translationEdits[lang] = translationEdits[lang] || {};
+    translationEdits[lang][key] = field.value;
+  });
+
+  // Each edited language is saved separately; an emptied field removes the
+  // key, so the page falls back to its built-in English text
+  document.getElementById('translation-save').addEventListener('click', async () => {
+    const edited = Object.entries(translationEdits);
+    if (!edited.length) {
+      alert('There are no changes to save');
+      return;
+    }
+    try {
+      for (const [lang, strings] of edited) {
+        const res = await adminFetch(`/api/admin/translations/${encodeURIComponent(lang)}`, {
+          method: 'PUT',
+          body: JSON.stringify({ strings })
+        });
+        if (!res.ok) {
+          alert(await errorMessage(res, `Failed to save ${lang.toUpperCase()} translations`));
+          return;
+        }
+        delete translationEdits[lang];
+      }
+      loadTranslations();
+    } catch (err) {
+      console.error('Save translations error:', err);
+      alert('Error saving translations');
+    }
+  });
+
+  // The archive is downloaded through fetch so the session cookie is checked
+  document.getElementById('export-btn').addEventListener('click', async () => {
+    try {
+      const res = await adminFetch('/api/admin/export');
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to export content'));
+        return;
+      }
+      const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await res.blob());
+      link.download = match ? match[1] : 'marisk-content.tar.gz';
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    } catch (err) {
+      console.error('Export error:', err);
+      alert('Error exporting content');
+    }
+  });
+
+  // Importing takes two steps: the archive is uploaded and compared with the
+  // current content, then imported with the chosen sections and mode
+  importForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const file = document.getElementById('import-file').files[0];
+    if (!file) return;
+    try {
+      const res = await adminFetch('/api/admin/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/gzip' },
+        body: file
+      });
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to read the archive'));
+        return;
+      }
+      pendingImport = await res.json();
+      renderImportPreview();
+    } catch (err) {
+      console.error('Import preview error:', err);
+      alert('Error reading the archive');
+    }
+  });
+
+  document.getElementById('import-apply').addEventListener('click', async () => {
+    if (!pendingImport) return;
+    const sections = Array.from(importTableBody.querySelectorAll('input[type="checkbox"]:checked')).map(box => box.dataset.section);
+    if (!sections.length) {
+      alert('Choose at least one section to import');
+      return;
+    }
+    const mode = document.querySelector('input[name="import-mode"]:checked').value;
+    if (mode === 'replace' && !confirm('Replace the selected sections with the archive? Entries it does not have will be deleted.')) return;
+    try {
+      const res = await adminFetch(`/api/admin/import/${encodeURIComponent(pendingImport.id)}`, {
+        method: 'POST',
+        body: JSON.stringify({ mode, sections })
+      });
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to import content'));
+        if (res.status === 404) closeImportPreview();
+        return;
+      }
+      closeImportPreview();
+      alert('Content imported');
+      loadFaqs();
+      loadGallery();
+      loadLeads();
+      loadTranslations();
+    } catch (err) {
+      console.error('Import error:', err);
+      alert('Error importing content');
+    }
+  });
+
+  document.getElementById('import-cancel').addEventListener('click', () => {
+    if (pendingImport) {
+      adminFetch(`/api/admin/import/${encodeURIComponent(pendingImport.id)}`, { method: 'DELETE' }).catch(() => {});
+    }
+    closeImportPreview();
+  });
+
+  document.getElementById('reload-btn').addEventListener('click', async () => {
+    try {
+      const res = await adminFetch('/api/admin/reload', { method: 'POST' });
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to reload data files'));
+        return;
+      }
+      const { reloaded, errors } = await res.json();
+      const lines = [reloaded.length ? `Reloaded ${reloaded.join(', ')}` : 'No data files have changed'];
+      if (errors.length) lines.push('', 'Not reloaded:', ...errors);
+      alert(lines.join('\n'));
+      loadFaqs();
+      loadGallery();
+      loadTranslations();
+    } catch (err) {
+      console.error('Reload error:', err);
+      alert('Error reloading data files');
+    }
+  });
+
+  /**
+   * Fetch wrapper that adds the JSON content type, except for form data,
+   * which the browser labels itself, and the CSRF token to requests that
+   * change something. The session cookie is sent by the
+   * browser; an expired or revoked session sends the user back to the login
+   * form.
+   * @param {string} url
+   * @param {RequestInit} options
+   */
+  async function adminFetch(url, options = {}) {
+    const isFormData = options.body instanceof FormData;
+    const isChange = Boolean(options.method) && options.method !== 'GET';
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
+        ...(isChange ? { 'X-CSRF-Token': csrfToken() } : {}),
+        ...(options.headers || {})
+      }
+    });
+    if (res.status === 401) {
+      currentUser = null;
+      showLogin();
+    }
+    return res;
+  }
+
+  // The token the server set in a cookie at sign-in, which every change
+  // must carry to show it comes from this page
+  function csrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)marisk_csrf=([^;]*)/);
+    return match ? decodeURIComponent(match[1]) : '';
+  }
+
+  // The message of an error response from the API, such as "Name is
+  // required", or the fallback if it has none
+  async function errorMessage(res, fallback) {
+    const data = await res.json().catch(() => ({}));
+    return (data.error && data.error.message) || fallback;
+  }
+
+  async function loadCurrentUser() {
+    try {
+      const res = await adminFetch('/api/admin/me');
+      if (!res.ok) throw new Error('Session is no longer valid');
+      currentUser = await res.json();
+      showAdmin();
+    } catch (err) {
+      console.error('Load user error:', err);
+      showLogin();
+    }
+  }
+
+  // Whether the signed-in user's role is at least the given role
+  function hasRole(minRole) {
+    return Boolean(currentUser) && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(minRole);
+  }
+
+  async function updateUser(id, changes) {
+    try {
+      const res = await adminFetch(`/api/admin/users/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        body: JSON.stringify(changes)
+      });
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to update user'));
+      }
+    } catch (err) {
+      console.error('Update user error:', err);
+      alert('Error updating user');
+    }
+    loadUsers();
+  }
+
+  // Temporary passwords are only ever shown once, right after they are made
+  function showTemporaryPassword(username, password) {
+    temporaryPasswordNotice.textContent = `Temporary password for ${username}: ${password} — share it securely; it must be changed at first sign-in.`;
+    temporaryPasswordNotice.hidden = false;
+  }
+
+  async function loadTranslations() {
+    try {
+      const res = await adminFetch('/api/admin/translations');
+      if (!res.ok) throw new Error('Failed to load translations');
+      translations = await res.json();
+      translationEdits = {};
+      renderPageReport();
+      renderTranslationTable();
+    } catch (err) {
+      console.error('Load translations error:', err);
+    }
+  }
+
+  // Keys the home page uses that some language lacks: on the site these
+  // show the page's built-in English text
+  function renderPageReport() {
+    const report = document.getElementById('translation-page-report');
+    report.innerHTML = '';
+    if (translations.pageReport.length) {
+      const intro = document.createElement('p');
+      intro.textContent = 'Keys used on the home page but missing from a translation:';
+      const list = document.createElement('ul');
+      translations.pageReport.forEach(({ key, missingIn }) => {
+        const item = document.createElement('li');
+        item.textContent = `${key} (${missingIn.map(lang => lang.toUpperCase()).join(', ')})`;
+        list.appendChild(item);
+      });
+      report.append(intro, list);
+    }
+    report.hidden = !translations.pageReport.length;
+  }
+
+  // One row per key and one column per language, English first. Missing
+  // keys and text identical to English are highlighted.
+  function renderTranslationTable() {
+    if (!translations) return;
+    const { languages, keys, strings, defaultLanguage } = translations;
+    const missing = {};
+    const sameAsDefault = {};
+    languages.forEach(lang => {
+      missing[lang] = new Set(translations.missing[lang]);
+      sameAsDefault[lang] = new Set(translations.sameAsDefault[lang]);
+    });
+    const pageKeys = new Set(translations.pageKeys);
+    const filter = translationFilter.value;
+    const term = translationSearch.value.trim().toLowerCase();
+    const textOf = (lang, key) => {
+      const edits = translationEdits[lang] || {};
+      return key in edits ? edits[key] : (strings[lang][key] || '');
+    };
+
+    const head = document.getElementById('translation-table-head');
+    head.innerHTML = '';
+    ['Key', ...languages.map(lang => lang.toUpperCase())].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    });
+
+    const shown = keys.filter(key => {
+      if (filter === 'attention' && !languages.some(lang => missing[lang].has(key) || sameAsDefault[lang].has(key))) return false;
+      if (filter === 'page' && !pageKeys.has(key)) return false;
+      return !term || key.toLowerCase().includes(term) || languages.some(lang => textOf(lang, key).toLowerCase().includes(term));
+    });
+    translationTableBody.innerHTML = '';
+    shown.forEach(key => {
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = key;
+      row.appendChild(name);
+      languages.forEach(lang => {
+        const td = document.createElement('td');
+        if (missing[lang].has(key)) {
+          td.className = 'missing';
+          td.title = 'Missing';
+        } else if (sameAsDefault[lang].has(key)) {
+          td.className = 'same-as-default';
+          td.title = `Same as ${defaultLanguage.toUpperCase()}`;
+        }
+        const field = document.createElement('textarea');
+        field.rows = 2;
+        field.dataset.lang = lang;
+        field.dataset.key = key;
+        field.value = textOf(lang, key);
+        field.readOnly = !hasRole('editor');
+        field.setAttribute('aria-label', `${key} (${lang.toUpperCase()})`);
+        td.appendChild(field);
+        row.appendChild(td);
+      });
+      translationTableBody.appendChild(row);
+    });
+    document.getElementById('translation-summary').textContent = `${shown.length} of ${keys.length} keys`;
+  }
+
+  // One row per section of the previewed archive, with what importing it
+  // would add, change and (when replacing) delete
+  function renderImportPreview() {
+    const { exportedAt, sections, warnings } = pendingImport;
+    document.getElementById('import-summary').textContent = exportedAt
+      ? `Archive exported on ${new Date(exportedAt).toLocaleString()}.`
+      : 'Archive ready to import.';
+    const warningList = document.getElementById('import-warnings');
+    warningList.innerHTML = '';
+    warnings.forEach(warning => {
+      const item = document.createElement('li');
+      item.textContent = warning;
+      warningList.appendChild(item);
+    });
+    warningList.hidden = !warnings.length;
+    importTableBody.innerHTML = '';
+    Object.entries(sections).forEach(([section, diff]) => {
+      const row = document.createElement('tr');
+      const select = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = true;
+      checkbox.dataset.section = section;
+      checkbox.setAttribute('aria-label', `Import ${IMPORT_SECTION_LABELS[section]}`);
+      select.appendChild(checkbox);
+      row.appendChild(select);
+      const cells = [[IMPORT_SECTION_LABELS[section]]];
+      if (section === 'locales') {
+        // Translations are compared key by key, per language
+        const languages = Object.entries(diff);
+        const count = field => languages
+          .filter(([, changes]) => changes[field].length)
+          .map(([lang, changes]) => [`${lang}: ${changes[field].length}`, changes[field].join('\n')]);
+        cells.push(
+          [...languages.filter(([, changes]) => changes.new).map(([lang]) => [`${lang}: new language`]), ...count('added')],
+          count('changed'),
+          count('removed'),
+          []
+        );
+      } else {
+        const describe = list => (list.length ? [[String(list.length), list.map(entry => entry.label).join('\n')]] : []);
+        cells.push(describe(diff.added), describe(diff.changed), describe(diff.removed), [[String(diff.unchanged)]]);
+      }
+      // Each cell lists [text, tooltip] pairs; the tooltip names the entries
+      cells.forEach(items => {
+        const td = document.createElement('td');
+        items.forEach(([text, title]) => {
+          const line = document.createElement('div');
+          line.textContent = text;
+          if (title) line.title = title;
+          td.appendChild(line);
+        });
+        row.appendChild(td);
+      });
+      importTableBody.appendChild(row);
+    });
+    importPreview.hidden = false;
+  }
+
+  function closeImportPreview() {
+    pendingImport = null;
+    importPreview.hidden = true;
+    importForm.reset();
+  }
+
+  async function loadUsers() {
+    try {
+      const res = await adminFetch('/api/admin/users');
+      if (!res.ok) throw new Error('Failed to load users');
+      const list = await res.json();
+      userTableBody.innerHTML = '';
+      list.forEach(user => {
+        const row = document.createElement('tr');
+        row.dataset.id = user.id;
+        row.dataset.username = user.username;
+        row.dataset.disabled = String(user.disabled);
+        const name = document.createElement('td');
+        name.textContent = user.username;
+        row.appendChild(name);
+        const roleCell = document.createElement('td');
+        const roles = ROLES.map(role => [role, role.charAt(0).toUpperCase() + role.slice(1)]);
+        const select = createSelect('role', roles, user.role);
+        // Owners cannot demote themselves; another owner has to
+        select.disabled = user.id === currentUser.id;
+        roleCell.appendChild(select);
+        row.appendChild(roleCell);
+        const cells = [user.disabled ? 'Disabled' : (user.mustChangePassword ? 'Invited' : 'Active'), new Date(user.createdAt).toLocaleDateString()];
+        cells.forEach(text => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          row.appendChild(td);
+        });
+        const actions = document.createElement('td');
+        actions.className = 'row-actions';
+        if (user.id !== currentUser.id) {
+          [['toggle', user.disabled ? 'Enable' : 'Disable'], ['reset', 'Reset Password']].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.action = action;
+            button.textContent = label;
+            if (action === 'toggle' && !user.disabled) button.className = 'danger';
+            actions.appendChild(button);
+          });
+        }
+        row.appendChild(actions);
+        userTableBody.appendChild(row);
+      });
+    } catch (err) {
+      console.error('Load users error:', err);
+    }
+  }
+
+  // List signed-in sessions: all of them for owners, otherwise the user's own
+  async function loadSessions() {
+    try {
+      const res = await adminFetch('/api/admin/sessions');
+      if (!res.ok) throw new Error('Failed to load sessions');
+      const list = await res.json();
+      sessionTableBody.innerHTML = '';
+      list.forEach(session => {
+        const row = document.createElement('tr');
+        row.dataset.id = session.id;
+        row.dataset.username = session.username;
+        row.dataset.current = String(session.current);
+        const cells = [
+          session.current ? `${session.username} (this session)` : session.username,
+          new Date(session.createdAt).toLocaleString(),
+          new Date(session.lastSeenAt).toLocaleString(),
+          new Date(session.expiresAt).toLocaleString(),
+          session.ip,
+          session.userAgent
+        ];
+        cells.forEach(text => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          row.appendChild(td);
+        });
+        const actions = document.createElement('td');
+        actions.className = 'row-actions';
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.action = 'revoke';
+        button.className = 'danger';
+        button.textContent = session.current ? 'Sign Out' : 'Revoke';
+        actions.appendChild(button);
+        row.appendChild(actions);
+        sessionTableBody.appendChild(row);
+      });
+    } catch (err) {
+      console.error('Load sessions error:', err);
+    }
+  }
+
+  async function loadAudit() {
+    const params = new URLSearchParams();
+    Array.from(auditFilters.elements).forEach(field => {
+      if (field.name && field.value.trim()) params.set(field.name, field.value.trim());
+    });
+    try {
+      const res = await adminFetch(`/api/admin/audit?${params}`);
+      if (!res.ok) throw new Error('Failed to load audit log');
+      const log = await res.json();
+      // Offer every action seen in the log, keeping the current choice
+      const selected = auditActionFilter.value;
+      auditActionFilter.innerHTML = '<option value="">All</option>';
+      log.actions.forEach(action => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = action;
+        auditActionFilter.appendChild(option);
+      });
+      auditActionFilter.value = selected;
+      auditSummary.textContent = log.total > log.entries.length
+        ? `Showing the latest ${log.entries.length} of ${log.total} entries`
+        : `${log.total} entries`;
+      auditTableBody.innerHTML = '';
+      log.entries.forEach(entry => {
+        const row = document.createElement('tr');
+        const details = entry.details
+          ? Object.entries(entry.details).map(([key, value]) => `${key}: ${value}`).join(', ')
+          : '';
+        const cells = [new Date(entry.timestamp).toLocaleString(), entry.actor, entry.action, entry.target, entry.ip, details];
+        cells.forEach(text => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          row.appendChild(td);
+        });
+        auditTableBody.appendChild(row);
+      });
+    } catch (err) {
+      console.error('Load audit log error:', err);
+    }
+  }
+
+  async function loadFaqs() {
+    try {
+      const res = await fetch('/api/faqs');
+      if (!res.ok) throw new Error('Failed to load FAQs');
+      faqs = await res.json();
+      renderFaqTable();
+    } catch (err) {
+      console.error('Load FAQs error:', err);
+    }
+  }
+
+  // Render the FAQ table, filtered by the search box. Reordering is only
+  // offered on the unfiltered list so positions are unambiguous.
+  function renderFaqTable() {
+    const term = faqSearch.value.trim().toLowerCase();
+    faqTableBody.innerHTML = '';
+    faqs.forEach((faq, index) => {
+      const translations = Object.entries(faq.translations || {});
+      const texts = [faq.question, faq.answer];
+      translations.forEach(([, variant]) => texts.push(variant.question, variant.answer));
+      if (term && !texts.some(text => text && text.toLowerCase().includes(term))) {
+        return;
+      }
+      const row = document.createElement('tr');
+      row.dataset.id = faq.id;
+      const languages = translations.map(([lang]) => lang.toUpperCase()).join(', ');
+      const cells = [String(index + 1), faq.question, faq.answer, languages || '—'];
+      cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        row.appendChild(td);
+      });
+      const actions = document.createElement('td');
+      actions.className = 'row-actions';
+      const buttons = hasRole('editor') ? [['edit', 'Edit'], ['delete', 'Delete']] : [];
+      if (!term && hasRole('editor')) {
+        buttons.push(['up', '↑'], ['down', '↓']);
+      }
+      buttons.forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.action = action;
+        button.textContent = label;
+        if (action === 'delete') button.className = 'danger';
+        if ((action === 'up' && index === 0) || (action === 'down' && index === faqs.length - 1)) {
+          button.disabled = true;
+        }
+        actions.appendChild(button);
+      });
+      row.appendChild(actions);
+      faqTableBody.appendChild(row);
+    });
+  }
+
+  function editFaq(faq) {
+    document.getElementById('faq-id').value = faq.id;
+    document.getElementById('faq-question').value = faq.question;
+    document.getElementById('faq-answer').value = faq.answer;
+    faqTranslationFields.forEach(field => {
+      const lang = field.dataset.faqLang;
+      const variant = (faq.translations && faq.translations[lang]) || {};
+      document.getElementById(`faq-question-${lang}`).value = variant.question || '';
+      document.getElementById(`faq-answer-${lang}`).value = variant.answer || '';
+      field.open = Boolean(variant.question || variant.answer);
+    });
+    document.getElementById('faq-form-title').textContent = 'Edit FAQ Entry';
+    document.getElementById('faq-submit').textContent = 'Save Changes';
+    faqCancel.hidden = false;
+    faqForm.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  // Start a new FAQ entry from a visitor's question. Questions asked in
+  // another language go into that language's translation fields; the
+  // English text still has to be written by hand.
+  function prefillFaq(question, lang) {
+    resetFaqForm();
+    const translation = faqTranslationFields.find(field => field.dataset.faqLang === lang);
+    if (translation) {
+      document.getElementById(`faq-question-${lang}`).value = question;
+      translation.open = true;
+      document.getElementById('faq-question').focus();
+    } else {
+      document.getElementById('faq-question').value = question;
+      document.getElementById('faq-answer').focus();
+    }
+    faqForm.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  async function loadUnanswered() {
+    try {
+      const res = await adminFetch(`/api/admin/chat/unanswered?days=${unansweredDays.value}`);
+      if (!res.ok) throw new Error('Failed to load unanswered questions');
+      const report = await res.json();
+      unansweredSummary.textContent = `${report.unanswered} of ${report.total} questions unanswered`;
+      unansweredTableBody.innerHTML = '';
+      report.questions.forEach(item => {
+        const row = document.createElement('tr');
+        row.dataset.question = item.question;
+        row.dataset.lang = item.lang;
+        const cells = [String(item.count), item.question, item.lang.toUpperCase(), new Date(item.lastAsked).toLocaleString()];
+        cells.forEach(text => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          row.appendChild(td);
+        });
+        const actions = document.createElement('td');
+        actions.className = 'row-actions';
+        if (hasRole('editor')) {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.dataset.action = 'create-faq';
+          button.textContent = 'Create FAQ';
+          actions.appendChild(button);
+        }
+        row.appendChild(actions);
+        unansweredTableBody.appendChild(row);
+      });
+    } catch (err) {
+      console.error('Load unanswered questions error:', err);
+    }
+  }
+
+  async function loadLeads() {
+    try {
+      const status = leadStatusFilter.value;
+      const res = await adminFetch(`/api/admin/leads${status ? `?status=${status}` : ''}`);
+      if (!res.ok) throw new Error('Failed to load leads');
+      leads = await res.json();
+      renderLeadTable();
+      renderLeadDetail();
+    } catch (err) {
+      console.error('Load leads error:', err);
+    }
+  }
+
+  function renderLeadTable() {
+    leadTableBody.innerHTML = '';
+    leads.forEach(lead => {
+      const row = document.createElement('tr');
+      row.dataset.id = lead.id;
+      const contact = [lead.phone, lead.email].filter(Boolean).join(' / ');
+      const cells = [new Date(lead.createdAt).toLocaleDateString(), lead.name, SERVICE_LABELS[lead.service] || '—', contact];
+      cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        row.appendChild(td);
+      });
+      const statusCell = document.createElement('td');
+      const statuses = LEAD_STATUSES.map(status => [status, status.charAt(0).toUpperCase() + status.slice(1)]);
+      const select = createSelect('status', statuses, lead.status);
+      select.disabled = !hasRole('editor');
+      statusCell.appendChild(select);
+      row.appendChild(statusCell);
+      const actions = document.createElement('td');
+      actions.className = 'row-actions';
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.action = 'view';
+      button.textContent = 'View';
+      actions.appendChild(button);
+      row.appendChild(actions);
+      leadTableBody.appendChild(row);
+    });
+  }
+
+  // Show the selected lead's details, photos and notes. Hidden when the lead
+  // is no longer in the (filtered) list.
+  function renderLeadDetail() {
+    const lead = leads.find(item => item.id === selectedLeadId);
+    leadDetail.hidden = !lead;
+    if (!lead) return;
+    document.getElementById('lead-detail-name').textContent = lead.name;
+    const fields = document.getElementById('lead-detail-fields');
+    fields.innerHTML = '';
+    const dates = [lead.preferredFrom, lead.preferredTo].filter(Boolean).join(' – ');
+    [
+      ['Received', new Date(lead.createdAt).toLocaleString()],
+      ['Phone', lead.phone],
+      ['Email', lead.email],
+      ['Address', lead.address],
+      ['Service', SERVICE_LABELS[lead.service]],
+      ['Preferred dates', dates],
+      ['Language', lead.lang.toUpperCase()],
+      ['Message', lead.message]
+    ].forEach(([label, value]) => {
+      if (!value) return;
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      fields.appendChild(dt);
+      fields.appendChild(dd);
+    });
+    // Photos are private, so fetch them with the admin token
+    const photos = document.getElementById('lead-detail-photos');
+    photos.innerHTML = '';
+    lead.photos.forEach(async (filename) => {
+      try {
+        const res = await adminFetch(`/api/admin/leads/${encodeURIComponent(lead.id)}/photos/${encodeURIComponent(filename)}`);
+        if (!res.ok) throw new Error('Failed to load photo');
+        const img = document.createElement('img');
+        img.src = URL.createObjectURL(await res.blob());
+        img.alt = filename;
+        const link = document.createElement('a');
+        link.href = img.src;
+        link.target = '_blank';
+        link.appendChild(img);
+        photos.appendChild(link);
+      } catch (err) {
+        console.error('Load photo error:', err);
+      }
+    });
+    const notes = document.getElementById('lead-detail-notes');
+    notes.innerHTML = '';
+    lead.notes.forEach(note => {
+      const li = document.createElement('li');
+      const time = document.createElement('time');
+      time.dateTime = note.createdAt;
+      time.textContent = new Date(note.createdAt).toLocaleString();
+      li.appendChild(time);
+      li.appendChild(document.createTextNode(note.text));
+      notes.appendChild(li);
+    });
+  }
+
+  async function loadApplications() {
+    try {
+      const status = applicationStatusFilter.value;
+      const res = await adminFetch(`/api/admin/applications${status ? `?status=${status}` : ''}`);
+      if (!res.ok) throw new Error('Failed to load applications');
+      applications = await res.json();
+      renderApplicationTable();
+      renderApplicationDetail();
+    } catch (err) {
+      console.error('Load applications error:', err);
+    }
+  }
+
+  // Build a <select> for a table cell; options are [value, label] pairs
+  function createSelect(action, options, value) {
+    const select = document.createElement('select');
+    select.dataset.action = action;
+    options.forEach(([optionValue, label]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+  }
+
+  function renderApplicationTable() {
+    applicationTableBody.innerHTML = '';
+    applications.forEach(application => {
+      const row = document.createElement('tr');
+      row.dataset.id = application.id;
+      const cells = [
+        new Date(application.createdAt).toLocaleDateString(),
+        application.name,
+        `${application.availableFrom} – ${application.availableTo}`,
+        application.driversLicence ? 'Yes' : 'No'
+      ];
+      cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        row.appendChild(td);
+      });
+      const ratings = [['', '—'], ...[1, 2, 3, 4, 5].map(n => [String(n), '★'.repeat(n)])];
+      const statuses = APPLICATION_STATUSES.map(status => [status, status.charAt(0).toUpperCase() + status.slice(1)]);
+      [createSelect('rating', ratings, application.rating ? String(application.rating) : ''), createSelect('status', statuses, application.status)]
+        .forEach(select => {
+          select.disabled = !hasRole('editor');
+          const td = document.createElement('td');
+          td.appendChild(select);
+          row.appendChild(td);
+        });
+      const actions = document.createElement('td');
+      actions.className = 'row-actions';
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.action = 'view';
+      button.textContent = 'View';
+      actions.appendChild(button);
+      row.appendChild(actions);
+      applicationTableBody.appendChild(row);
+    });
+  }
+
+  function renderApplicationDetail() {
+    const application = applications.find(item => item.id === selectedApplicationId);
+    applicationDetail.hidden = !application;
+    if (!application) return;
+    document.getElementById('application-detail-name').textContent = application.name;
+    const fields = document.getElementById('application-detail-fields');
+    fields.innerHTML = '';
+    [
+      ['Received', new Date(application.createdAt).toLocaleString()],
+      ['Phone', application.phone],
+      ['Email', application.email],
+      ['Available', `${application.availableFrom} – ${application.availableTo}`],
+      ['Driver’s licence', application.driversLicence ? 'Yes' : 'No'],
+      ['Language', application.lang.toUpperCase()],
+      ['Experience', application.experience]
+    ].forEach(([label, value]) => {
+      if (!value) return;
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      fields.appendChild(dt);
+      fields.appendChild(dd);
+    });
+  }
+
+  async function loadGallery() {
+    try {
+      const res = await fetch('/api/gallery');
+      if (!res.ok) throw new Error('Failed to load gallery');
+      gallery = await res.json();
+      renderGalleryTable();
+    } catch (err) {
+      console.error('Load gallery error:', err);
+    }
+  }
+
+  function renderGalleryTable() {
+    const editable = hasRole('editor');
+    galleryTableBody.innerHTML = '';
+    gallery.forEach((entry, index) => {
+      const row = document.createElement('tr');
+      row.dataset.id = entry.id;
+      row.draggable = editable;
+      const number = document.createElement('td');
+      number.textContent = String(index + 1);
+      row.appendChild(number);
+      const imageCell = document.createElement('td');
+      const image = document.createElement('img');
+      image.src = `/${entry.thumbnail || entry.after}`;
+      image.alt = '';
+      image.draggable = false;
+      imageCell.appendChild(image);
+      row.appendChild(imageCell);
+      [entry.title || '—', SERVICE_LABELS[entry.category] || '—'].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        row.appendChild(td);
+      });
+      const featuredCell = document.createElement('td');
+      const featured = document.createElement('input');
+      featured.type = 'checkbox';
+      featured.dataset.action = 'featured';
+      featured.checked = Boolean(entry.featured);
+      featured.disabled = !editable;
+      featured.setAttribute('aria-label', 'Featured');
+      featuredCell.appendChild(featured);
+      row.appendChild(featuredCell);
+      const actions = document.createElement('td');
+      actions.className = 'row-actions';
+      const buttons = editable ? [['edit', 'Edit'], ['delete', 'Delete'], ['up', '↑'], ['down', '↓']] : [];
+      buttons.forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.action = action;
+        button.textContent = label;
+        if (action === 'delete') button.className = 'danger';
+        if ((action === 'up' && index === 0) || (action === 'down' && index === gallery.length - 1)) {
+          button.disabled = true;
+        }
+        actions.appendChild(button);
+      });
+      row.appendChild(actions);
+      galleryTableBody.appendChild(row);
+    });
+  }
+
+  // Edit the details of a pair in the gallery form. The images themselves
+  // cannot be replaced; delete the pair and upload a new one instead.
+  function editGalleryEntry(entry) {
+    document.getElementById('gallery-id').value = entry.id;
+    document.getElementById('gallery-title').value = entry.title || '';
+    document.getElementById('gallery-description').value = entry.description || '';
+    document.getElementById('gallery-alt-before').value = entry.altBefore || '';
+    document.getElementById('gallery-alt-after').value = entry.altAfter || '';
+    galleryTranslationFields.forEach(field => {
+      const lang = field.dataset.galleryLang;
+      const variant = (entry.translations && entry.translations[lang]) || {};
+      document.getElementById(`gallery-title-${lang}`).value = variant.title || '';
+      document.getElementById(`gallery-description-${lang}`).value = variant.description || '';
+      document.getElementById(`gallery-alt-before-${lang}`).value = variant.altBefore || '';
+      document.getElementById(`gallery-alt-after-${lang}`).value = variant.altAfter || '';
+      field.open = Object.keys(variant).length > 0;
+    });
+    document.getElementById('gallery-category').value = entry.category || '';
+    document.getElementById('gallery-featured').checked = Boolean(entry.featured);
+    galleryForm.querySelectorAll('.gallery-file').forEach(group => {
+      group.hidden = true;
+      group.querySelector('input').required = false;
+    });
+    document.getElementById('gallery-form-title').textContent = 'Edit Gallery Pair';
+    document.getElementById('gallery-submit').textContent = 'Save Changes';
+    galleryCancel.hidden = false;
+    galleryForm.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  function resetGalleryForm() {
+    galleryForm.reset();
+    document.getElementById('gallery-id').value = '';
+    galleryTranslationFields.forEach(field => { field.open = false; });
+    galleryForm.querySelectorAll('.gallery-file').forEach(group => {
+      group.hidden = false;
+      group.querySelector('input').required = true;
+    });
+    document.getElementById('gallery-form-title').textContent = 'Add Gallery Images';
+    document.getElementById('gallery-submit').textContent = 'Upload Images';
+    galleryCancel.hidden = true;
+  }
+
+  async function deleteGalleryEntry(entry) {
+    if (!confirm(`Delete ${entry.title ? `"${entry.title}"` : 'this pair'} and its images?`)) return;
+    try {
+      const res = await adminFetch(`/api/admin/gallery/${encodeURIComponent(entry.id)}`, { method: 'DELETE' });
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to delete gallery pair'));
+        return;
+      }
+      if (document.getElementById('gallery-id').value === entry.id) {
+        resetGalleryForm();
+      }
+      loadGallery();
+    } catch (err) {
+      console.error('Delete gallery error:', err);
+      alert('Error deleting gallery pair');
+    }
+  }
+
+  async function reorderGallery(ids) {
+    try {
+      const res = await adminFetch('/api/admin/gallery/reorder', {
+        method: 'POST',
+        body: JSON.stringify({ ids })
+      });
+      if (!res.ok) alert(await errorMessage(res, 'Failed to reorder gallery'));
+    } catch (err) {
+      console.error('Reorder gallery error:', err);
+      alert('Error reordering gallery');
+    }
+    loadGallery();
+  }
+
+  function resetFaqForm() {
+    faqForm.reset();
+    document.getElementById('faq-id').value = '';
+    faqTranslationFields.forEach(field => { field.open = false; });
+    document.getElementById('faq-form-title').textContent = 'Add FAQ Entry';
+    document.getElementById('faq-submit').textContent = 'Add FAQ';
+    faqCancel.hidden = true;
+  }
+
+  async function deleteFaq(faq) {
+    if (!confirm(`Delete "${faq.question}"?`)) return;
+    try {
+      const res = await adminFetch(`/api/admin/faqs/${encodeURIComponent(faq.id)}`, { method: 'DELETE' });
+      if (!res.ok) {
+        alert(await errorMessage(res, 'Failed to delete FAQ'));
+        return;
+      }
+      if (document.getElementById('faq-id').value === faq.id) {
+        resetFaqForm();
+      }
+      loadFaqs();
+    } catch (err) {
+      console.error('Delete FAQ error:', err);
+      alert('Error deleting FAQ');
+    }
+  }
+
+  async function moveFaq(faq, offset) {
+    const from = faqs.indexOf(faq);
+    const to = from + offset;
+    if (to < 0 || to >= faqs.length) return;
+    const ids = faqs.map(item => item.id);
+    [ids[from], ids[to]] = [ids[to], ids[from]];
+    try {
+      const res = await adminFetch('/api/admin/faqs/reorder', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({ before: beforeBase64, after: afterBase64 })
+        body: JSON.stringify({ ids })
       });
       if (!res.ok) {
-        alert('Failed to upload images');
+        alert(await errorMessage(res, 'Failed to reorder FAQs'));
         return;
       }
-      alert('Images uploaded successfully');
-      // Clear file inputs
-      beforeInput.value = '';
-      afterInput.value = '';
+      loadFaqs();
+    } catch (err) {
+      console.error('Reorder FAQs error:', err);
+      alert('Error reordering FAQs');
+    }
+  }
+
+  // Handle gallery form submission. A new pair is sent as multipart form
+  // data so the server can stream the images to disk, with the translations
+  // as one JSON field; editing an existing pair only changes its details.
+  galleryForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const id = document.getElementById('gallery-id').value;
+    const translations = {};
+    galleryTranslationFields.forEach(field => {
+      const lang = field.dataset.galleryLang;
+      translations[lang] = {
+        title: document.getElementById(`gallery-title-${lang}`).value.trim(),
+        description: document.getElementById(`gallery-description-${lang}`).value.trim(),
+        altBefore: document.getElementById(`gallery-alt-before-${lang}`).value.trim(),
+        altAfter: document.getElementById(`gallery-alt-after-${lang}`).value.trim()
+      };
+    });
+    try {
+      let res;
+      if (id) {
+        res = await adminFetch(`/api/admin/gallery/${encodeURIComponent(id)}`, {
+          method: 'PUT',
+          body: JSON.stringify({
+            title: document.getElementById('gallery-title').value.trim(),
+            description: document.getElementById('gallery-description').value.trim(),
+            altBefore: document.getElementById('gallery-alt-before').value.trim(),
+            altAfter: document.getElementById('gallery-alt-after').value.trim(),
+            category: document.getElementById('gallery-category').value,
+            featured: document.getElementById('gallery-featured').checked,
+            translations
+          })
+        });
+      } else {
+        const beforeFile = document.getElementById('before-image').files[0];
+        const afterFile = document.getElementById('after-image').files[0];
+        if (!beforeFile || !afterFile) return;
+        const formData = new FormData(galleryForm);
+        formData.set('translations', JSON.stringify(translations));
+        res = await adminFetch('/api/admin/gallery', {
+          method: 'POST',
+          body: formData
+        });
+      }
+      if (!res.ok) {
+        alert(await errorMessage(res, id ? 'Failed to update gallery pair' : 'Failed to upload images'));
+        return;
+      }
+      alert(id ? 'Gallery pair updated successfully' : 'Images uploaded successfully');
+      resetGalleryForm();
+      loadGallery();
+    } catch (err) {
+      console.error('Save gallery error:', err);
+      alert(id ? 'Error updating gallery pair' : 'Error uploading images');
+    }
+  });
+
+  galleryCancel.addEventListener('click', resetGalleryForm);
+
+  galleryTableBody.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const entry = gallery.find(item => item.id === button.closest('tr').dataset.id);
+    if (!entry) return;
+    switch (button.dataset.action) {
+      case 'edit':
+        editGalleryEntry(entry);
+        break;
+      case 'delete':
+        await deleteGalleryEntry(entry);
+        break;
+      case 'up':
+      case 'down': {
+        const ids = gallery.map(item => item.id);
+        const from = ids.indexOf(entry.id);
+        const to = from + (button.dataset.action === 'up' ? -1 : 1);
+        if (to < 0 || to >= ids.length) return;
+        [ids[from], ids[to]] = [ids[to], ids[from]];
+        await reorderGallery(ids);
+        break;
+      }
+    }
+  });
+
+  // Featured checkboxes in the table save immediately
+  galleryTableBody.addEventListener('change', async (e) => {
+    const checkbox = e.target.closest('input[data-action="featured"]');
+    if (!checkbox) return;
+    const entry = gallery.find(item => item.id === checkbox.closest('tr').dataset.id);
+    if (!entry) return;
+    try {
+      const res = await adminFetch(`/api/admin/gallery/${encodeURIComponent(entry.id)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ ...entry, featured: checkbox.checked })
+      });
+      if (!res.ok) throw new Error(await errorMessage(res, 'Failed to update gallery pair'));
+      entry.featured = checkbox.checked;
     } catch (err) {
-      console.error('Upload error:', err);
-      alert('Error uploading images');
+      console.error('Update gallery error:', err);
+      alert(err.message);
+      checkbox.checked = entry.featured;
     }
   });
 
-  // Logout functionality
-  logoutBtn.addEventListener('click', () => {
-    localStorage.removeItem('adminToken');
+  // Drag-and-drop reordering. Rows move as they are dragged over; the new
+  // order is saved on drop, and the table is redrawn from the server's order
+  // if the drag is abandoned.
+  galleryTableBody.addEventListener('dragstart', (e) => {
+    draggedGalleryRow = e.target.closest('tr');
+    if (!draggedGalleryRow) return;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedGalleryRow.dataset.id);
+    draggedGalleryRow.classList.add('dragging');
+  });
+
+  galleryTableBody.addEventListener('dragover', (e) => {
+    const row = e.target.closest('tr');
+    if (!draggedGalleryRow || !row) return;
+    e.preventDefault();
+    if (row === draggedGalleryRow) return;
+    const rect = row.getBoundingClientRect();
+    const below = e.clientY > rect.top + rect.height / 2;
+    galleryTableBody.insertBefore(draggedGalleryRow, below ? row.nextSibling : row);
+  });
+
+  galleryTableBody.addEventListener('drop', async (e) => {
+    if (!draggedGalleryRow) return;
+    e.preventDefault();
+    const ids = Array.from(galleryTableBody.rows).map(row => row.dataset.id);
+    draggedGalleryRow.classList.remove('dragging');
+    draggedGalleryRow = null;
+    if (ids.join() !== gallery.map(item => item.id).join()) {
+      await reorderGallery(ids);
+    }
+  });
+
+  galleryTableBody.addEventListener('dragend', () => {
+    if (!draggedGalleryRow) return;
+    draggedGalleryRow = null;
+    renderGalleryTable();
+  });
+
+  // End the session on the server, then return to the login form
+  logoutBtn.addEventListener('click', async () => {
+    try {
+      await adminFetch('/api/admin/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Logout error:', err);
+    }
+    currentUser = null;
     showLogin();
   });
 
@@ -126,8 +1578,32 @@ document.addEventListener('DOMContentLoaded', () => {
     adminContent.classList.remove('visible');
   }
 
+  // Show the admin panel for the signed-in user. Controls above the user's
+  // role are hidden; a user with a temporary password only sees the
+  // password form until they have changed it.
   function showAdmin() {
     loginSection.classList.remove('visible');
     adminContent.classList.add('visible');
+    document.getElementById('account-name').textContent = currentUser.username;
+    document.getElementById('account-role').textContent = currentUser.role;
+    document.querySelectorAll('[data-min-role]').forEach(el => {
+      el.hidden = !hasRole(el.dataset.minRole);
+    });
+    const mustChange = Boolean(currentUser.mustChangePassword);
+    document.getElementById('password-notice').hidden = !mustChange;
+    passwordSection.open = mustChange;
+    adminSections.hidden = mustChange;
+    if (mustChange) return;
+    loadFaqs();
+    loadGallery();
+    loadUnanswered();
+    loadLeads();
+    loadApplications();
+    loadTranslations();
+    loadSessions();
+    if (hasRole('owner')) {
+      loadUsers();
+      loadAudit();
+    }
   }
 });
\ No newline at end of file
@@ -0,0 +1,84 @@
+// careers.js
+// Seasonal job application form in the contact section. Sends the
+// application and the applicant's PDF résumé to the careers API.
+
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('careers-form');
+  const status = document.getElementById('careers-status');
+  if (!form) return;
+
+  const MAX_RESUME_BYTES = 5 * 1024 * 1024;
+
+  function showStatus(message, type) {
+    status.textContent = message;
+    status.className = `form-status ${type}`;
+  }
+
+  function markInvalid(name) {
+    form.querySelectorAll('.invalid').forEach(el => el.classList.remove('invalid'));
+    const field = name && form.elements[name];
+    if (field) {
+      field.classList.add('invalid');
+      field.focus();
+    }
+  }
+
+  // Read a file as a data: URI
+  const toDataURL = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = (err) => reject(err);
+    reader.readAsDataURL(file);
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const value = (name) => form.elements[name].value.trim();
+    const missing = ['name', 'phone', 'email', 'availableFrom', 'availableTo'].find(name => !value(name));
+    if (missing) {
+      markInvalid(missing);
+      return;
+    }
+    const resume = form.elements.resume.files[0];
+    if (!resume || resume.type !== 'application/pdf' || resume.size > MAX_RESUME_BYTES) {
+      markInvalid('resume');
+      showStatus(translate('careers_resume_invalid', 'Please attach your résumé as a PDF of at most 5 MB.'), 'error');
+      return;
+    }
+    markInvalid(null);
+    const submit = form.querySelector('button[type="submit"]');
+    submit.disabled = true;
+    showStatus('', '');
+    try {
+      const payload = {
+        name: value('name'),
+        phone: value('phone'),
+        email: value('email'),
+        availableFrom: value('availableFrom'),
+        availableTo: value('availableTo'),
+        driversLicence: form.elements.driversLicence.checked,
+        experience: value('experience'),
+        lang: currentLanguage(),
+        resume: await toDataURL(resume)
+      };
+      const res = await fetch('/api/careers/apply', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        markInvalid(data.error && data.error.field);
+        showStatus(translate('careers_error', 'Sorry, we couldn’t submit your application. Please check the form and try again.'), 'error');
+        return;
+      }
+      form.reset();
+      showStatus(translate('careers_success', 'Thank you for applying! We will be in touch if your profile matches our needs.'), 'success');
+    } catch (err) {
+      console.error('Job application error:', err);
+      showStatus(translate('careers_error', 'Sorry, we couldn’t submit your application. Please check the form and try again.'), 'error');
+    } finally {
+      submit.disabled = false;
+    }
+  });
+});
\ No newline at end of file
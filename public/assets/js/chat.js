@@ -19,10 +19,29 @@ document.addEventListener('DOMContentLoaded', () => {
     chatMessages.scrollTop = chatMessages.scrollHeight;
   }
 
+  // Show related questions under a bot answer; clicking one asks it
+  function addRelated(questions) {
+    if (!questions || !questions.length) return;
+    const ul = document.createElement('ul');
+    ul.className = 'message-related';
+    questions.forEach(q => {
+      const li = document.createElement('li');
+      li.textContent = q;
+      li.addEventListener('click', () => {
+        chatInput.value = q;
+        sendMessage();
+      });
+      ul.appendChild(li);
+    });
+    chatMessages.appendChild(ul);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
   // Fetch random suggested questions from the server
   async function loadSuggestions() {
     try {
-      const res = await fetch('/api/faqs-suggestions');
+      const lang = currentLanguage();
+      const res = await fetch(`/api/faqs-suggestions?lang=${encodeURIComponent(lang)}`);
       if (!res.ok) throw new Error('Failed to fetch suggestions');
       const data = await res.json();
       suggestionsList.innerHTML = '';
@@ -47,15 +66,26 @@ document.addEventListener('DOMContentLoaded', () => {
     addMessage(question, 'user');
     chatInput.value = '';
     try {
-      const lang = localStorage.getItem('language') || 'en';
+      const lang = currentLanguage();
+      // Anonymous ID that lets the server group questions from one visit
+      const sessionId = sessionStorage.getItem('chatSessionId') || undefined;
       const res = await fetch('/api/chat', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ question, lang })
+        body: JSON.stringify({ question, lang, sessionId })
       });
       const data = await res.json();
+      if (!res.ok) {
+        // e.g. a question that is too long
+        addMessage((data.error && data.error.message) || 'An error occurred. Please try again later.', 'bot');
+        return;
+      }
+      if (data.sessionId) {
+        sessionStorage.setItem('chatSessionId', data.sessionId);
+      }
       const answer = data.answer || data.response || data.message || '...';
       addMessage(answer, 'bot');
+      addRelated((data.related || []).map(item => item.question));
     } catch (err) {
       console.error('Chat error:', err);
       addMessage('An error occurred. Please try again later.', 'bot');
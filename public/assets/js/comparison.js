@@ -0,0 +1,173 @@
+// comparison.js
+// Before/after image comparison. Two stacked images with a divider that
+// reveals more or less of the "after" image. The divider is a slider that
+// can be dragged anywhere on the images with a mouse, pen or finger, moved
+// with the keyboard, and read out by screen readers ("Showing 60% after").
+//
+// Comparisons are created from script with createComparison(), or from
+// markup with initComparisons():
+//
+//   <div data-comparison data-orientation="vertical" data-position="40">
+//     <img data-comparison-before src="..." alt="...">
+//     <img data-comparison-after src="..." alt="...">
+//   </div>
+//
+// Each comparison fires a `comparisonchange` event with the new position
+// (0-100, the percentage of the after image shown) in `detail.position`.
+
+// Keyboard steps, in percent
+const COMPARISON_STEP = 5;
+const COMPARISON_PAGE_STEP = 20;
+
+document.addEventListener('DOMContentLoaded', () => initComparisons());
+
+// Labels set with data-i18n-aria-label are translated by i18n.js; the
+// spoken value is refreshed here when the language changes
+document.addEventListener('translationschange', () => {
+  document.querySelectorAll('.comparison-handle[data-default-value-text]').forEach(handle => {
+    handle.setAttribute('aria-valuetext', comparisonValueText(Number(handle.getAttribute('aria-valuenow'))));
+  });
+});
+
+/**
+ * Spoken form of a position, e.g. "Showing 60% after".
+ * @param {number} position
+ */
+function comparisonValueText(position) {
+  return translate('comparison_value', 'Showing {percent}% after').replace('{percent}', position);
+}
+
+/**
+ * Create a comparison from two images.
+ * @param {HTMLImageElement} beforeImg
+ * @param {HTMLImageElement} afterImg
+ * @param {Object} [options] - see enhanceComparison()
+ * @returns {HTMLElement} the comparison, to be sized by the page's CSS
+ */
+function createComparison(beforeImg, afterImg, options = {}) {
+  const container = document.createElement('div');
+  container.appendChild(beforeImg);
+  container.appendChild(afterImg);
+  enhanceComparison(container, beforeImg, afterImg, options);
+  return container;
+}
+
+/**
+ * Turn every [data-comparison] element within root into a comparison.
+ * @param {ParentNode} [root]
+ */
+function initComparisons(root = document) {
+  root.querySelectorAll('[data-comparison]').forEach(container => {
+    const beforeImg = container.querySelector('[data-comparison-before]');
+    const afterImg = container.querySelector('[data-comparison-after]');
+    if (!beforeImg || !afterImg || container.querySelector('.comparison-handle')) return;
+    enhanceComparison(container, beforeImg, afterImg, {
+      orientation: container.dataset.orientation,
+      position: Number(container.dataset.position || 50),
+      label: container.dataset.label
+    });
+  });
+}
+
+/**
+ * Add the divider and its pointer and keyboard handling to a container
+ * holding the two images.
+ * @param {HTMLElement} container
+ * @param {HTMLImageElement} beforeImg
+ * @param {HTMLImageElement} afterImg
+ * @param {Object} [options]
+ * @param {string} [options.orientation] - 'horizontal' (default), with the
+ *   after image on the left, or 'vertical', with the after image at the bottom
+ * @param {number} [options.position] - initial percentage of the after image shown, default 50
+ * @param {string} [options.label] - accessible name of the slider
+ * @param {function(number): string} [options.valueText] - spoken form of a position
+ */
+function enhanceComparison(container, beforeImg, afterImg, options = {}) {
+  const vertical = options.orientation === 'vertical';
+  const valueText = options.valueText || comparisonValueText;
+  container.classList.add('comparison');
+  container.dataset.orientation = vertical ? 'vertical' : 'horizontal';
+  beforeImg.classList.add('comparison-before');
+  afterImg.classList.add('comparison-after');
+  beforeImg.draggable = false;
+  afterImg.draggable = false;
+
+  const handle = document.createElement('div');
+  handle.className = 'comparison-handle';
+  handle.tabIndex = 0;
+  handle.setAttribute('role', 'slider');
+  handle.setAttribute('aria-orientation', vertical ? 'vertical' : 'horizontal');
+  handle.setAttribute('aria-valuemin', '0');
+  handle.setAttribute('aria-valuemax', '100');
+  if (options.label) {
+    handle.setAttribute('aria-label', options.label);
+  } else {
+    handle.setAttribute('aria-label', translate('comparison_label', 'Before and after comparison'));
+    handle.dataset.i18nAriaLabel = 'comparison_label';
+  }
+  if (!options.valueText) handle.dataset.defaultValueText = '';
+  container.appendChild(handle);
+
+  let position = 50;
+  const setPosition = (value) => {
+    const next = Math.round(Math.min(100, Math.max(0, value)));
+    if (next === position && handle.hasAttribute('aria-valuenow')) return;
+    position = next;
+    // The after image is clipped to its shown part, and the handle sits on the edge
+    if (vertical) {
+      afterImg.style.clipPath = `inset(${100 - position}% 0 0 0)`;
+      handle.style.top = `${100 - position}%`;
+    } else {
+      afterImg.style.clipPath = `inset(0 ${100 - position}% 0 0)`;
+      handle.style.left = `${position}%`;
+    }
+    handle.setAttribute('aria-valuenow', String(position));
+    handle.setAttribute('aria-valuetext', valueText(position));
+    container.dispatchEvent(new CustomEvent('comparisonchange', { detail: { position } }));
+  };
+  setPosition(Number.isFinite(options.position) ? options.position : 50);
+
+  // Position under a pointer, from the container's edge
+  const positionAt = (e) => {
+    const rect = container.getBoundingClientRect();
+    return vertical
+      ? ((rect.bottom - e.clientY) / rect.height) * 100
+      : ((e.clientX - rect.left) / rect.width) * 100;
+  };
+
+  // Dragging works anywhere on the images, except on controls placed on top
+  container.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0 || e.target.closest('button, a, input')) return;
+    e.preventDefault();
+    container.setPointerCapture(e.pointerId);
+    container.classList.add('dragging');
+    handle.focus({ preventScroll: true });
+    setPosition(positionAt(e));
+  });
+  container.addEventListener('pointermove', (e) => {
+    if (container.hasPointerCapture(e.pointerId)) setPosition(positionAt(e));
+  });
+  const endDrag = (e) => {
+    if (container.hasPointerCapture(e.pointerId)) container.releasePointerCapture(e.pointerId);
+    container.classList.remove('dragging');
+  };
+  container.addEventListener('pointerup', endDrag);
+  container.addEventListener('pointercancel', endDrag);
+
+  // Up and right show more of the after image, whichever the orientation
+  handle.addEventListener('keydown', (e) => {
+    const moves = {
+      ArrowRight: position + COMPARISON_STEP,
+      ArrowUp: position + COMPARISON_STEP,
+      ArrowLeft: position - COMPARISON_STEP,
+      ArrowDown: position - COMPARISON_STEP,
+      PageUp: position + COMPARISON_PAGE_STEP,
+      PageDown: position - COMPARISON_PAGE_STEP,
+      Home: 0,
+      End: 100
+    };
+    if (!(e.key in moves)) return;
+    e.preventDefault();
+    setPosition(moves[e.key]);
+  });
+}
\ No newline at end of file
@@ -1,25 +1,51 @@
 // i18n.js
 // Handles multilingual support by loading locale files and applying translations.
 
+// Translations for the language currently shown, for scripts that build
+// messages at runtime (see translate()).
+let currentTranslations = {};
+
+// Cookie holding the language picked with the selector, which the server
+// uses to choose the language of the home page
+const LANGUAGE_COOKIE = 'marisk_lang';
+
 document.addEventListener('DOMContentLoaded', () => {
   const langSelect = document.getElementById('lang-select');
-  // Determine initial language from localStorage or default to English
-  const storedLang = localStorage.getItem('language') || 'en';
-  langSelect.value = storedLang;
-  // Load and apply translations
-  loadAndApplyTranslations(storedLang);
+  // The server sends the page already translated, with its language on the
+  // <html> element
+  const pageLang = currentLanguage();
+  langSelect.value = pageLang;
+  // Load the translations for scripts that need them at runtime
+  loadAndApplyTranslations(pageLang);
 
   // Listen for language changes
   langSelect.addEventListener('change', (e) => {
     const lang = e.target.value;
-    localStorage.setItem('language', lang);
+    document.cookie = `${LANGUAGE_COOKIE}=${lang}; path=/; max-age=31536000; SameSite=Lax`;
+    // Go to the page's address in that language, if it has one
+    const alternate = document.querySelector(`link[rel="alternate"][hreflang="${lang}"]`);
+    if (alternate) {
+      window.location.assign(alternate.getAttribute('href') + window.location.hash);
+      return;
+    }
     loadAndApplyTranslations(lang);
   });
 });
 
+/**
+ * The language the page is shown in, e.g. "fr".
+ */
+function currentLanguage() {
+  return document.documentElement.lang || 'en';
+}
+
 /**
  * Fetches translation JSON for a given language and applies the translations to
- * all elements with data-i18n and data-i18n-placeholder attributes.
+ * all elements with data-i18n, data-i18n-placeholder and data-i18n-aria-label
+ * attributes. Afterwards a `translationschange` event with the language in
+ * `detail.lang` is dispatched on the document, so that scripts rendering
+ * content from the server can reload it in the new language; it is sent even
+ * if the translations could not be loaded.
  * @param {string} lang - The language code (e.g. "en", "fr").
  */
 async function loadAndApplyTranslations(lang) {
@@ -28,19 +54,22 @@ async function loadAndApplyTranslations(lang) {
     if (!res.ok) throw new Error('Failed to load locale');
     const translations = await res.json();
     applyTranslations(translations);
+    document.documentElement.lang = lang;
   } catch (err) {
     console.error('Translation load error:', err);
   }
+  document.dispatchEvent(new CustomEvent('translationschange', { detail: { lang } }));
 }
 
 /**
  * Applies translations to DOM elements.
  * Elements with a data-i18n attribute will have their text content replaced with
- * the corresponding translation. Elements with a data-i18n-placeholder
- * attribute will have their placeholder attribute set.
+ * the corresponding translation. Elements with a data-i18n-placeholder or
+ * data-i18n-aria-label attribute will have that attribute set.
  * @param {Object} translations - Object mapping keys to translated strings.
  */
 function applyTranslations(translations) {
+  currentTranslations = translations || {};
   // Update text content
   document.querySelectorAll('[data-i18n]').forEach(el => {
     const key = el.getAttribute('data-i18n');
@@ -55,4 +84,20 @@ function applyTranslations(translations) {
       el.setAttribute('placeholder', translations[key]);
     }
   });
+  // Update labels of controls that have no visible text
+  document.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+    const key = el.getAttribute('data-i18n-aria-label');
+    if (translations && translations[key]) {
+      el.setAttribute('aria-label', translations[key]);
+    }
+  });
+}
+
+/**
+ * Look up a translation for the current language.
+ * @param {string} key - Translation key, as used in data-i18n attributes.
+ * @param {string} fallback - Text to use if the key has no translation.
+ */
+function translate(key, fallback) {
+  return currentTranslations[key] || fallback;
 }
\ No newline at end of file
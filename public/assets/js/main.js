@@ -28,9 +28,9 @@ document.addEventListener('DOMContentLoaded', () => {
   });
   revealEls.forEach(el => observer.observe(el));
 
-  // Before/After sliders
-  // Initialise dynamic gallery by fetching data from the server
-  loadGallery();
+  // Before/After gallery: filters, paging and lightbox. The pairs are
+  // fetched once translations have loaded (see i18n.js)
+  initGallery();
 
   // Falling leaves animation
   initLeaves();
@@ -114,51 +114,298 @@ function initLeaves() {
   update();
 }
 
+// Rendered width of a gallery image: one column on phones, two on
+// tablets, three on wider screens (see .before-after-wrapper)
+const GALLERY_IMAGE_SIZES = '(max-width: 700px) 100vw, (max-width: 1100px) 50vw, 33vw';
+// Number of pairs fetched at a time
+const GALLERY_PAGE_SIZE = 6;
+
+// Pairs shown so far for the current service filter and language, and how
+// many pages of them the server has
+const galleryState = { entries: [], category: '', page: 0, pages: 0 };
+// Incremented for every gallery request, so that a slow response to an
+// outdated filter or language is ignored
+let galleryRequest = 0;
+// Index of the pair shown in the lightbox, and the element that opened it
+let lightboxIndex = -1;
+let lightboxOpener = null;
+
 /**
- * Loads before/after gallery data from the server and creates slider elements dynamically.
+ * Wires up the gallery filters, "show more" button and lightbox. The pairs
+ * themselves are loaded once translations are in place, and reloaded in the
+ * new language whenever it changes.
  */
-async function loadGallery() {
+function initGallery() {
   const wrapper = document.getElementById('ba-wrapper');
   if (!wrapper) return;
+  const filters = document.getElementById('gallery-filters');
+  const more = document.getElementById('gallery-more');
+  const lightbox = document.getElementById('lightbox');
+
+  document.addEventListener('translationschange', () => loadGallery());
+
+  filters.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-category]');
+    if (!button || button.dataset.category === galleryState.category) return;
+    galleryState.category = button.dataset.category;
+    filters.querySelectorAll('button').forEach(el => {
+      el.setAttribute('aria-pressed', String(el === button));
+    });
+    loadGallery();
+  });
+
+  more.addEventListener('click', () => loadGallery({ append: true }));
+
+  wrapper.addEventListener('click', (e) => {
+    const button = e.target.closest('.ba-expand');
+    if (button) openLightbox(Number(button.dataset.index), button);
+  });
+
+  lightbox.querySelector('.lightbox-close').addEventListener('click', closeLightbox);
+  lightbox.querySelector('.lightbox-prev').addEventListener('click', () => showLightboxEntry(lightboxIndex - 1));
+  lightbox.querySelector('.lightbox-next').addEventListener('click', () => showLightboxEntry(lightboxIndex + 1));
+  lightbox.addEventListener('keydown', handleLightboxKeydown);
+}
+
+/**
+ * Refer to an image from the site root. Gallery paths such as
+ * "assets/img/a.jpg" are relative, which would not resolve on the language
+ * pages below /fr/ and the like.
+ * @param {string} src
+ */
+function siteImageUrl(src) {
+  return /^(\/|[a-z][a-z0-9+.-]*:)/i.test(src) ? src : `/${src}`;
+}
+
+/**
+ * Create a gallery image. Processed uploads list their resized variants so
+ * the browser can pick the smallest that fits; older entries only have a
+ * single file.
+ * @param {string} src - image path, used when there are no variants
+ * @param {Array} variants - [{ src, width, height }], smallest first
+ * @param {string} className
+ * @param {string} alt
+ * @param {string} sizes - rendered width, as for the sizes attribute
+ */
+function createGalleryImage(src, variants, className, alt, sizes) {
+  const img = document.createElement('img');
+  img.classList.add(className);
+  img.decoding = 'async';
+  if (Array.isArray(variants) && variants.length) {
+    const largest = variants[variants.length - 1];
+    img.src = siteImageUrl(largest.src);
+    img.width = largest.width;
+    img.height = largest.height;
+    if (variants.length > 1) {
+      img.srcset = variants.map(variant => `${siteImageUrl(variant.src)} ${variant.width}w`).join(', ');
+      img.sizes = sizes;
+    }
+  } else {
+    img.src = siteImageUrl(src);
+  }
+  img.alt = alt;
+  return img;
+}
+
+/**
+ * Create the before/after comparison of a gallery pair (see comparison.js).
+ * @param {object} item - a localized gallery pair
+ * @param {string} sizes - rendered width of the images
+ */
+function createPairComparison(item, sizes) {
+  const variants = item.variants || {};
+  const beforeImg = createGalleryImage(item.before, variants.before, 'ba-before',
+    item.altBefore || translate('gallery_before_alt', 'Before project'), sizes);
+  const afterImg = createGalleryImage(item.after, variants.after, 'ba-after',
+    item.altAfter || translate('gallery_after_alt', 'After project'), sizes);
+  const container = createComparison(beforeImg, afterImg);
+  container.classList.add('ba-container');
+  return container;
+}
+
+/**
+ * Create the card for one pair in the gallery grid.
+ * @param {object} item - a localized gallery pair
+ * @param {number} index - position in galleryState.entries
+ */
+function createGalleryCard(item, index) {
+  const card = document.createElement('figure');
+  card.classList.add('ba-card');
+  if (item.featured) card.classList.add('featured');
+  if (item.category) card.dataset.category = item.category;
+  const container = createPairComparison(item, GALLERY_IMAGE_SIZES);
+  container.querySelectorAll('img').forEach(img => { img.loading = 'lazy'; });
+  const expand = document.createElement('button');
+  expand.type = 'button';
+  expand.className = 'ba-expand';
+  expand.dataset.index = index;
+  expand.setAttribute('aria-label', translate('gallery_open', 'View full screen'));
+  expand.innerHTML = '<i class="fas fa-expand" aria-hidden="true"></i>';
+  container.appendChild(expand);
+  card.appendChild(container);
+  if (item.title || item.description) {
+    const caption = document.createElement('figcaption');
+    if (item.title) {
+      const title = document.createElement('h3');
+      title.textContent = item.title;
+      caption.appendChild(title);
+    }
+    if (item.description) {
+      const description = document.createElement('p');
+      description.textContent = item.description;
+      caption.appendChild(description);
+    }
+    card.appendChild(caption);
+  }
+  return card;
+}
+
+/**
+ * Loads a page of before/after pairs from the server in the current
+ * language and service filter. Replaces the grid with the first page, or
+ * with `append` adds the next page below the pairs already shown.
+ * @param {{ append?: boolean }} [options]
+ */
+async function loadGallery(options = {}) {
+  const wrapper = document.getElementById('ba-wrapper');
+  if (!wrapper) return;
+  const append = Boolean(options.append);
+  const page = append ? galleryState.page + 1 : 1;
+  const request = ++galleryRequest;
+  const params = new URLSearchParams({
+    lang: currentLanguage(),
+    page: String(page),
+    limit: String(GALLERY_PAGE_SIZE)
+  });
+  if (galleryState.category) params.set('category', galleryState.category);
   try {
-    const res = await fetch('/api/gallery');
+    const res = await fetch(`/api/gallery?${params}`);
     if (!res.ok) throw new Error('Failed to load gallery');
-    const gallery = await res.json();
-    // Clear existing content
-    wrapper.innerHTML = '';
-    gallery.forEach(item => {
-      const container = document.createElement('div');
-      container.classList.add('ba-container');
-      // before image
-      const beforeImg = document.createElement('img');
-      beforeImg.classList.add('ba-before');
-      beforeImg.src = item.before;
-      beforeImg.alt = 'Before project';
-      // after image
-      const afterImg = document.createElement('img');
-      afterImg.classList.add('ba-after');
-      afterImg.src = item.after;
-      afterImg.alt = 'After project';
-      // slider
-      const slider = document.createElement('input');
-      slider.type = 'range';
-      slider.min = 0;
-      slider.max = 100;
-      slider.value = 50;
-      slider.classList.add('ba-slider');
-      container.appendChild(beforeImg);
-      container.appendChild(afterImg);
-      container.appendChild(slider);
-      wrapper.appendChild(container);
-      // Setup slider event to update clip on after image
-      const updateClip = () => {
-        const val = slider.value;
-        afterImg.style.clipPath = `polygon(0 0, ${val}% 0, ${val}% 100%, 0 100%)`;
-      };
-      slider.addEventListener('input', updateClip);
-      updateClip();
+    const data = await res.json();
+    if (request !== galleryRequest) return;
+    if (!append) {
+      galleryState.entries = [];
+      wrapper.innerHTML = '';
+    }
+    data.entries.forEach(item => {
+      wrapper.appendChild(createGalleryCard(item, galleryState.entries.length));
+      galleryState.entries.push(item);
     });
+    galleryState.page = data.page;
+    galleryState.pages = data.pages;
+    if (!galleryState.entries.length) {
+      const empty = document.createElement('p');
+      empty.className = 'gallery-empty';
+      empty.textContent = translate('gallery_empty', 'No projects to show yet.');
+      wrapper.appendChild(empty);
+    }
+    document.getElementById('gallery-more').hidden = data.page >= data.pages;
+    updateGalleryFilters(data.categories);
   } catch (err) {
     console.error('Gallery load error:', err);
   }
+}
+
+/**
+ * Show a filter button only for the services that have pairs, and the
+ * filters as a whole only when there is something to choose between.
+ * @param {Object} categories - number of pairs per service
+ */
+function updateGalleryFilters(categories) {
+  const filters = document.getElementById('gallery-filters');
+  let shown = 0;
+  filters.querySelectorAll('button[data-category]').forEach(button => {
+    const category = button.dataset.category;
+    button.hidden = Boolean(category) && !categories[category] && category !== galleryState.category;
+    if (category && !button.hidden) shown++;
+  });
+  filters.hidden = shown === 0;
+}
+
+/**
+ * Open the lightbox on one pair of the gallery.
+ * @param {number} index - position in galleryState.entries
+ * @param {HTMLElement} opener - focused again when the lightbox closes
+ */
+function openLightbox(index, opener) {
+  const lightbox = document.getElementById('lightbox');
+  lightboxOpener = opener;
+  lightbox.hidden = false;
+  document.body.classList.add('lightbox-open');
+  showLightboxEntry(index);
+  lightbox.querySelector('.lightbox-close').focus();
+}
+
+function closeLightbox() {
+  const lightbox = document.getElementById('lightbox');
+  lightbox.hidden = true;
+  lightbox.querySelector('.lightbox-stage').innerHTML = '';
+  document.body.classList.remove('lightbox-open');
+  lightboxIndex = -1;
+  if (lightboxOpener && document.contains(lightboxOpener)) lightboxOpener.focus();
+  lightboxOpener = null;
+}
+
+/**
+ * Show a pair in the open lightbox, loading the next page of the gallery
+ * first when stepping past the last pair loaded so far.
+ * @param {number} index - position in galleryState.entries
+ */
+async function showLightboxEntry(index) {
+  if (index >= galleryState.entries.length && galleryState.page < galleryState.pages) {
+    await loadGallery({ append: true });
+  }
+  if (index < 0 || index >= galleryState.entries.length) return;
+  lightboxIndex = index;
+  const item = galleryState.entries[index];
+  const lightbox = document.getElementById('lightbox');
+  const stage = lightbox.querySelector('.lightbox-stage');
+  // Keep the focus on the slider when moving between pairs with it focused
+  const sliderFocused = document.activeElement && document.activeElement.classList.contains('comparison-handle');
+  stage.innerHTML = '';
+  stage.appendChild(createPairComparison(item, '100vw'));
+  if (sliderFocused) stage.querySelector('.comparison-handle').focus();
+  lightbox.querySelector('#lightbox-title').textContent = item.title || translate('gallery_title', 'Before & After Gallery');
+  lightbox.querySelector('.lightbox-description').textContent = item.description || '';
+  const total = galleryState.pages > galleryState.page ? '…' : galleryState.entries.length;
+  lightbox.querySelector('.lightbox-counter').textContent = `${index + 1} / ${total}`;
+  lightbox.querySelector('.lightbox-prev').disabled = index === 0;
+  lightbox.querySelector('.lightbox-next').disabled = index === galleryState.entries.length - 1 && galleryState.page >= galleryState.pages;
+  // A button that has just been disabled loses the focus
+  if (!lightbox.contains(document.activeElement) || document.activeElement.disabled) {
+    lightbox.querySelector('.lightbox-close').focus();
+  }
+}
+
+/**
+ * Keyboard support for the lightbox: Escape closes it, the left and right
+ * arrow keys move between pairs (unless the slider has focus, where they
+ * move the slider) and Tab stays within the lightbox.
+ * @param {KeyboardEvent} e
+ */
+function handleLightboxKeydown(e) {
+  const lightbox = e.currentTarget;
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    closeLightbox();
+    return;
+  }
+  const onSlider = e.target.classList && e.target.classList.contains('comparison-handle');
+  if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && !onSlider) {
+    e.preventDefault();
+    showLightboxEntry(lightboxIndex + (e.key === 'ArrowLeft' ? -1 : 1));
+    return;
+  }
+  if (e.key === 'Tab') {
+    const focusable = Array.from(lightbox.querySelectorAll('button, [tabindex="0"]')).filter(el => !el.disabled);
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
 }
\ No newline at end of file
@@ -0,0 +1,91 @@
+// quote.js
+// "Request a quote" form in the contact section. Sends the request, with any
+// attached photos, to the leads API.
+
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('quote-form');
+  const status = document.getElementById('quote-status');
+  if (!form) return;
+
+  const MAX_PHOTOS = 5;
+  const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+  function showStatus(message, type) {
+    status.textContent = message;
+    status.className = `form-status ${type}`;
+  }
+
+  function markInvalid(name) {
+    form.querySelectorAll('.invalid').forEach(el => el.classList.remove('invalid'));
+    const field = name && form.elements[name];
+    if (field) {
+      field.classList.add('invalid');
+      field.focus();
+    }
+  }
+
+  // Read a file as a data: URI
+  const toDataURL = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = (err) => reject(err);
+    reader.readAsDataURL(file);
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const value = (name) => form.elements[name].value.trim();
+    if (!value('name')) {
+      markInvalid('name');
+      return;
+    }
+    if (!value('phone') && !value('email')) {
+      markInvalid('phone');
+      showStatus(translate('quote_contact_required', 'Please provide a phone number or an email address.'), 'error');
+      return;
+    }
+    const files = Array.from(form.elements.photos.files);
+    if (files.length > MAX_PHOTOS || files.some(file => file.size > MAX_PHOTO_BYTES || !/^image\/(jpeg|png)$/.test(file.type))) {
+      markInvalid('photos');
+      showStatus(translate('quote_photos_invalid', 'Please attach up to 5 JPEG or PNG photos, 5 MB each at most.'), 'error');
+      return;
+    }
+    markInvalid(null);
+    const submit = form.querySelector('button[type="submit"]');
+    submit.disabled = true;
+    showStatus('', '');
+    try {
+      const photos = await Promise.all(files.map(toDataURL));
+      const payload = {
+        name: value('name'),
+        phone: value('phone'),
+        email: value('email'),
+        address: value('address'),
+        service: value('service'),
+        preferredFrom: value('preferredFrom'),
+        preferredTo: value('preferredTo'),
+        message: value('message'),
+        lang: currentLanguage(),
+        photos
+      };
+      const res = await fetch('/api/leads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        markInvalid(data.error && data.error.field);
+        showStatus(translate('quote_error', 'Sorry, we couldn’t send your request. Please try again or call us.'), 'error');
+        return;
+      }
+      form.reset();
+      showStatus(translate('quote_success', 'Thank you! Your request has been received and we will contact you soon.'), 'success');
+    } catch (err) {
+      console.error('Quote request error:', err);
+      showStatus(translate('quote_error', 'Sorry, we couldn’t send your request. Please try again or call us.'), 'error');
+    } finally {
+      submit.disabled = false;
+    }
+  });
+});
\ No newline at end of file
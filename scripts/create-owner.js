@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+const path = require('path');
+const readline = require('readline');
+const users = require('../lib/users');
+const { loadConfig } = require('../lib/config');
+
+/*
+ * First-run bootstrap: create the owner account for the admin panel.
+ *
+ *   npm run create-owner
+ *
+ * Prompts for a username and password (the password is not echoed). When
+ * stdin is not a terminal, the username and password are read from its
+ * first two lines instead, e.g. for provisioning scripts. Refuses to run
+ * once an owner exists; further users are invited from the admin panel.
+ * Run it before starting the server, or restart the server afterwards.
+ * The account is stored in the configured data directory (DATA_DIR).
+ */
+
+/**
+ * Ask a question on the terminal, optionally hiding the typed answer.
+ * @param {readline.Interface} rl
+ * @param {string} question
+ * @param {boolean} hidden
+ */
+function ask(rl, question, hidden) {
+  return new Promise((resolve) => {
+    if (hidden) {
+      // Print the prompt, then swallow the echo of everything typed
+      rl.output.write(question);
+      rl._writeToOutput = () => {};
+    }
+    rl.question(hidden ? '' : question, (answer) => {
+      if (hidden) {
+        delete rl._writeToOutput;
+        rl.output.write('\n');
+      }
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Read the first two lines of piped stdin.
+ */
+function readPiped() {
+  return new Promise((resolve) => {
+    const lines = [];
+    const rl = readline.createInterface({ input: process.stdin });
+    rl.on('line', line => {
+      lines.push(line);
+      if (lines.length === 2) rl.close();
+    });
+    rl.on('close', () => resolve(lines));
+  });
+}
+
+async function main() {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  users.load(path.join(config.dataDir, 'users.json'), { backups: config.dataBackups });
+  if (users.list().some(user => user.role === 'owner')) {
+    console.error('An owner account already exists. Invite further users from the admin panel.');
+    process.exit(1);
+  }
+  let username;
+  let password;
+  if (process.stdin.isTTY) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    username = (await ask(rl, 'Owner username: ', false)).trim().toLowerCase();
+    password = await ask(rl, 'Password: ', true);
+    const confirmation = await ask(rl, 'Repeat password: ', true);
+    rl.close();
+    if (password !== confirmation) {
+      console.error('Passwords do not match.');
+      process.exit(1);
+    }
+  } else {
+    [username = '', password = ''] = await readPiped();
+    username = username.trim().toLowerCase();
+  }
+  const problem = users.validateUsername(username) || users.validatePassword(password);
+  if (problem) {
+    console.error(problem);
+    process.exit(1);
+  }
+  await users.create({ username, password, role: 'owner' });
+  console.log(`Owner account "${username}" created.`);
+}
+
+main().catch(err => {
+  console.error('Failed to create owner account:', err);
+  process.exit(1);
+});
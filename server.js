@@ -2,6 +2,22 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const faqSearch = require('./lib/faq-search');
+const users = require('./lib/users');
+const sessions = require('./lib/sessions');
+const auditLog = require('./lib/audit-log');
+const { createThrottle } = require('./lib/login-throttle');
+const multipart = require('./lib/multipart');
+const imageType = require('./lib/image-type');
+const imageProcessing = require('./lib/image');
+const { createRouter } = require('./lib/router');
+const { loadConfig } = require('./lib/config');
+const { createStore } = require('./lib/json-store');
+const schema = require('./lib/schema');
+const archive = require('./lib/archive');
+const i18n = require('./lib/i18n');
+const staticFiles = require('./lib/static-files');
+const { createRegistry } = require('./lib/metrics');
 
 /*
  * Simple Node.js server for the Marisk beta website.
@@ -10,349 +26,3057 @@ const crypto = require('crypto');
  * several API endpoints for translations, FAQs, gallery data, chat responses
  * and basic admin functionality. It uses only built‑in Node modules to
  * maximise portability and avoid external dependencies.
+ *
+ * createApp() loads the data and returns the server without starting it, so
+ * tests can listen on an ephemeral port; `node server.js` listens on the
+ * configured port (see lib/config.js). The configuration and data are held
+ * in module-level state, so there is one live app per process.
  */
 
-const publicDir = path.join(__dirname, 'public');
-const dataDir = path.join(__dirname, 'data');
+// Settings from lib/config.js, set by createApp()
+let config = null;
+
+// Locations of the site's pages, data files and uploads, set by createApp()
+const paths = {};
+
+// Languages the site is translated into, one per file in data/locales.
+// English is the default and the fallback for missing FAQ translations.
+const defaultLanguage = 'en';
+let languages = [];
+
+// The six services offered on the home page, in the order of the service
+// cards. Quote requests refer to a service by these keys.
+const services = ['design-construction', 'planting-gardening', 'sod-turf', 'maintenance', 'water-features', 'green-roof'];
 
 // In‑memory caches for frequently accessed data. These are populated
 // synchronously on startup and updated when admin endpoints modify them.
 let faqs = [];
 let gallery = [];
-const localesCache = {};
-const sessions = {};
+let leads = [];
+let applications = [];
+// The JSON stores behind those lists, created by loadData()
+let stores = {};
+let localesCache = {};
+// Stores of the translation files by language, created on first write
+let localeStores = {};
+// FAQ search indexes per language, built on first use and discarded
+// whenever the FAQ list changes.
+let faqIndexes = {};
+
+// Minimum confidence for the chat assistant to answer with a FAQ rather
+// than the "no answer" message, and for offering a FAQ as a related
+// question, and how many related questions to offer.
+const CHAT_MIN_CONFIDENCE = 0.45;
+const CHAT_RELATED_MIN_CONFIDENCE = 0.4;
+const CHAT_RELATED_COUNT = 3;
+
+// Language picked with the site's language selector (assets/js/i18n.js).
+// It decides where a visit to / goes, ahead of the browser's languages.
+const LANGUAGE_COOKIE = 'marisk_lang';
+
+// Admin sessions. The token is accepted either as a bearer token or in this
+// cookie, which the admin panel uses. Sessions end after the configured
+// idle timeout without activity, or at the absolute timeout after sign-in,
+// whichever comes first.
+const SESSION_COOKIE = 'marisk_admin';
+
+// CSRF protection for the admin API. At sign-in the admin panel also gets
+// this cookie, which its script can read and must echo in the CSRF header
+// of every change. Another site can make a browser send the session cookie
+// but cannot read this one. Requests with a bearer token need no CSRF token.
+const CSRF_COOKIE = 'marisk_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+
+// Headers sent with every response. The policy allows the Google Fonts
+// stylesheet and fonts, and the Font Awesome kit, which loads its styles
+// and fonts from ka-f.fontawesome.com and adds inline styles to the page.
+// Admin uploads are previewed from blob: URLs.
+const SECURITY_HEADERS = {
+  'Content-Security-Policy': [
+    "default-src 'self'",
+    "script-src 'self' https://kit.fontawesome.com",
+    "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com https://ka-f.fontawesome.com",
+    "font-src 'self' https://fonts.gstatic.com https://ka-f.fontawesome.com",
+    "connect-src 'self' https://ka-f.fontawesome.com",
+    "img-src 'self' data: blob:",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+  ].join('; '),
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'strict-origin-when-cross-origin'
+};
+// Sent over HTTPS only; browsers ignore it on plain HTTP anyway
+const STRICT_TRANSPORT_SECURITY = 'max-age=31536000; includeSubDomains';
+
+// Machine-readable codes of error responses by HTTP status, unless the
+// error gives a more specific one such as invalid_json or invalid_field
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  503: 'unavailable'
+};
+
+// Failed sign-in throttling. An address or a username that fails too often
+// within the window is locked out for a while. The per-username limit is
+// lower, to slow guessing at one account from many addresses; the per-IP
+// limit catches one address trying many usernames.
+const LOGIN_WINDOW = 15 * 60 * 1000;
+const LOGIN_LOCKOUT = 15 * 60 * 1000;
+let loginThrottles = null;
+
+// Quote requests. Photos attached to a lead are private, so they are kept
+// under data/ rather than public/ and only served to authenticated admins.
+const LEAD_STATUSES = ['new', 'contacted', 'quoted', 'won', 'lost'];
+const LEAD_MAX_PHOTOS = 5;
+const LEAD_MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+// Job applications. Résumés contain personal details and are stored outside
+// public/, one PDF per application named after its ID.
+const APPLICATION_STATUSES = ['new', 'reviewing', 'interview', 'hired', 'rejected'];
+const RESUME_MAX_BYTES = 5 * 1024 * 1024;
+
+// Gallery uploads. Images are streamed to a temporary directory under data/
+// and only moved into public/ once their content has been checked.
+const GALLERY_MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+// Formats the server can decode, turn upright and resize. WebP is refused
+// rather than published at full size with its orientation lost.
+const GALLERY_IMAGE_TYPES = ['jpg', 'png'];
+const GALLERY_MAX_TITLE_LENGTH = 200;
+const GALLERY_MAX_DESCRIPTION_LENGTH = 2000;
+const GALLERY_MAX_ALT_LENGTH = 300;
+// Text fields of a gallery pair that can be translated
+const GALLERY_TEXT_FIELDS = { title: GALLERY_MAX_TITLE_LENGTH, description: GALLERY_MAX_DESCRIPTION_LENGTH, altBefore: GALLERY_MAX_ALT_LENGTH, altAfter: GALLERY_MAX_ALT_LENGTH };
+// Page size of the public gallery listing
+const GALLERY_PAGE_SIZE = 12;
+const GALLERY_MAX_PAGE_SIZE = 50;
+
+// Translation editor. Keys are the names used in data-i18n attributes.
+const TRANSLATION_KEY_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+const TRANSLATION_MAX_LENGTH = 5000;
+
+// Content archives, for moving the site's content between servers from the
+// admin panel. An uploaded archive is previewed first and kept in memory
+// until it is imported or discarded, or until it expires.
+const CONTENT_ARCHIVE_FORMAT = 'marisk-content';
+const CONTENT_ARCHIVE_VERSION = 1;
+const CONTENT_SECTIONS = ['faqs', 'gallery', 'locales', 'leads'];
+const CONTENT_ARCHIVE_MAX_UNPACKED_SIZE = 500 * 1024 * 1024;
+const IMPORT_EXPIRY = 30 * 60 * 1000;
+const IMPORT_MAX_PENDING = 3;
+let pendingImports = null;
+
+// Operations. Every request gets an ID, taken from the X-Request-Id header
+// a proxy may have set or else generated, which is sent back and appears in
+// its access log line and in any error logged while handling it. Metrics
+// are collected per app by createMetrics() and served at /metrics.
+const REQUEST_ID_HEADER = 'x-request-id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const METRIC_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS'];
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const UPLOAD_BUCKETS = [10e3, 100e3, 500e3, 1e6, 2e6, 5e6, 10e6, 20e6, 50e6, 100e6];
+let metrics = null;
+
+// The FAQs, gallery and translations are reloaded when their files change
+// on disk (with watchData), on SIGHUP, or from the admin panel. Changes are
+// picked up once the files have been quiet for a moment, as editors and
+// copies may write a file in several steps.
+const DATA_RELOAD_DELAY = 200;
+let dataWatchers = [];
+let reloadTimer = null;
+// Set once the server starts shutting down, so that connections are closed
+// after their current response instead of being kept alive
+let shuttingDown = false;
+// Responses in progress
+const inFlight = new Set();
+
+// Shapes of the data files, checked when they are loaded. They describe
+// what the server relies on rather than everything it writes, so files from
+// older versions still load.
+const TRANSLATIONS_SCHEMA = {
+  type: 'object',
+  additionalProperties: { type: 'object' }
+};
+const FAQS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['question', 'answer'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      question: { type: 'string' },
+      answer: { type: 'string' },
+      translations: TRANSLATIONS_SCHEMA
+    }
+  }
+};
+const GALLERY_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['before', 'after'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      before: { type: 'string', minLength: 1 },
+      after: { type: 'string', minLength: 1 },
+      featured: { type: 'boolean' },
+      translations: TRANSLATIONS_SCHEMA
+    }
+  }
+};
+const LEADS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['id', 'createdAt', 'status', 'name'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      status: { enum: LEAD_STATUSES },
+      name: { type: 'string' },
+      photos: { type: 'array', items: { type: 'string' } },
+      notes: { type: 'array', items: { type: 'object' } }
+    }
+  }
+};
+const APPLICATIONS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['id', 'createdAt', 'status', 'name'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      status: { enum: APPLICATION_STATUSES },
+      name: { type: 'string' },
+      rating: { type: ['integer', 'null'], minimum: 1, maximum: 5 }
+    }
+  }
+};
+const LOCALE_SCHEMA = {
+  type: 'object',
+  additionalProperties: { type: 'string' }
+};
+
+// Shapes of the JSON request bodies, checked before a handler sees them
+// (see readJson()). They cover types and limits; the handlers still check
+// what depends on the data, such as whether a language or an ID exists.
+// Text the handlers trim and shorten has no length limit here.
+const TEXT = { type: 'string' };
+const ID_LIST = { type: 'array', items: { type: 'string' } };
+const REQUEST_SCHEMAS = {
+  chat: {
+    type: 'object',
+    properties: { question: { type: 'string', maxLength: 1000 }, lang: TEXT, sessionId: TEXT }
+  },
+  lead: {
+    type: 'object',
+    properties: {
+      name: TEXT,
+      phone: TEXT,
+      email: TEXT,
+      address: TEXT,
+      service: TEXT,
+      preferredFrom: TEXT,
+      preferredTo: TEXT,
+      message: TEXT,
+      lang: TEXT,
+      photos: { type: 'array', maxItems: LEAD_MAX_PHOTOS, items: TEXT }
+    }
+  },
+  application: {
+    type: 'object',
+    properties: {
+      name: TEXT,
+      phone: TEXT,
+      email: TEXT,
+      availableFrom: TEXT,
+      availableTo: TEXT,
+      driversLicence: { type: 'boolean' },
+      experience: TEXT,
+      lang: TEXT,
+      resume: TEXT
+    }
+  },
+  login: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: { username: { type: 'string', maxLength: 200 }, password: { type: 'string', maxLength: 1000 } }
+  },
+  changePassword: {
+    type: 'object',
+    required: ['currentPassword', 'newPassword'],
+    properties: { currentPassword: TEXT, newPassword: TEXT }
+  },
+  inviteUser: {
+    type: 'object',
+    required: ['username', 'role'],
+    properties: { username: TEXT, role: { enum: users.ROLES } }
+  },
+  updateUser: {
+    type: 'object',
+    properties: { role: { enum: users.ROLES }, disabled: { type: 'boolean' } }
+  },
+  faq: {
+    type: 'object',
+    required: ['question', 'answer'],
+    properties: {
+      question: { type: 'string', maxLength: 1000 },
+      answer: { type: 'string', maxLength: 10000 },
+      translations: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: { question: { type: 'string', maxLength: 1000 }, answer: { type: 'string', maxLength: 10000 } }
+        }
+      }
+    }
+  },
+  reorder: {
+    type: 'object',
+    required: ['ids'],
+    properties: { ids: ID_LIST }
+  },
+  leadStatus: {
+    type: 'object',
+    required: ['status'],
+    properties: { status: { enum: LEAD_STATUSES } }
+  },
+  leadNote: {
+    type: 'object',
+    required: ['text'],
+    properties: { text: { type: 'string', minLength: 1, maxLength: 5000 } }
+  },
+  applicationUpdate: {
+    type: 'object',
+    properties: {
+      status: { enum: APPLICATION_STATUSES },
+      rating: { type: ['integer', 'null'], minimum: 1, maximum: 5 }
+    }
+  },
+  // Fields of a gallery pair, also sent with the images by older clients
+  galleryPair: {
+    type: 'object',
+    properties: {
+      before: TEXT,
+      after: TEXT,
+      title: TEXT,
+      description: TEXT,
+      altBefore: TEXT,
+      altAfter: TEXT,
+      category: TEXT,
+      featured: { type: ['boolean', 'string'] },
+      translations: { type: 'object', additionalProperties: { type: 'object' } }
+    }
+  },
+  translations: {
+    type: 'object',
+    required: ['strings'],
+    properties: {
+      strings: { type: 'object', additionalProperties: { type: 'string', maxLength: TRANSLATION_MAX_LENGTH } }
+    }
+  },
+  importArchive: {
+    type: 'object',
+    properties: {
+      mode: { enum: ['merge', 'replace'] },
+      sections: { type: 'array', minItems: 1, items: { enum: CONTENT_SECTIONS } }
+    }
+  }
+};
+
+/**
+ * Point the server at its public and data directories.
+ * @param {string} publicDir
+ * @param {string} dataDir
+ */
+function setPaths(publicDir, dataDir) {
+  Object.assign(paths, {
+    public: publicDir,
+    data: dataDir,
+    locales: path.join(dataDir, 'locales'),
+    faqs: path.join(dataDir, 'faqs.json'),
+    gallery: path.join(dataDir, 'gallery.json'),
+    // Every chat exchange is appended to this file as one JSON object per line
+    chatLog: path.join(dataDir, 'chat-log.jsonl'),
+    leads: path.join(dataDir, 'leads.json'),
+    leadUploads: path.join(dataDir, 'uploads', 'leads'),
+    applications: path.join(dataDir, 'applications.json'),
+    resumeUploads: path.join(dataDir, 'uploads', 'resumes'),
+    galleryImages: path.join(publicDir, 'assets', 'img'),
+    uploadTmp: path.join(dataDir, 'uploads', 'tmp'),
+    users: path.join(dataDir, 'users.json'),
+    sessions: path.join(dataDir, 'sessions.json'),
+    auditLog: path.join(dataDir, 'audit-log.jsonl')
+  });
+}
+
+/**
+ * Start using a FAQ list read from its file. Older files have entries
+ * without IDs; they are assigned once and persisted so the admin panel can
+ * address every entry.
+ * @param {object[]} list
+ */
+function useFaqs(list) {
+  faqs = list;
+  const missingIds = faqs.filter(faq => !faq.id);
+  if (missingIds.length) {
+    missingIds.forEach(faq => { faq.id = generateId(faqs); });
+    // A failed write is logged; the IDs are assigned again next time
+    if (!stores.faqs.readOnly) saveFaqs().catch(() => {});
+  }
+  faqIndexes = {};
+}
 
+/**
+ * Start using a gallery read from its file, completing older entries like
+ * useFaqs() does.
+ * @param {object[]} list
+ */
+function useGallery(list) {
+  gallery = list;
+  const missingIds = gallery.filter(entry => !entry.id);
+  if (missingIds.length) {
+    missingIds.forEach(entry => {
+      entry.id = generateId(gallery);
+      entry.category = entry.category || '';
+      entry.featured = Boolean(entry.featured);
+    });
+    if (!stores.gallery.readOnly) saveGallery().catch(() => {});
+  }
+}
+
+/**
+ * Load the data files. A file that is missing starts out empty; a corrupt
+ * one either stops the server or, with onCorruptData set to read-only, is
+ * replaced in memory by its newest valid backup and changes to it are
+ * refused until it is repaired.
+ * @throws {Error} with code EDATACORRUPT
+ */
 function loadData() {
-  try {
-    const faqsPath = path.join(dataDir, 'faqs.json');
-    faqs = JSON.parse(fs.readFileSync(faqsPath, 'utf8'));
-  } catch (err) {
-    console.error('Error loading FAQs:', err);
-    faqs = [];
+  languages = fs.readdirSync(paths.locales)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+  localesCache = {};
+  localeStores = {};
+  const options = { backups: config.dataBackups, recover: config.onCorruptData === 'read-only' };
+  stores = {
+    faqs: createStore(paths.faqs, { ...options, schema: FAQS_SCHEMA }),
+    gallery: createStore(paths.gallery, { ...options, schema: GALLERY_SCHEMA }),
+    leads: createStore(paths.leads, { ...options, schema: LEADS_SCHEMA }),
+    applications: createStore(paths.applications, { ...options, schema: APPLICATIONS_SCHEMA })
+  };
+  useFaqs(stores.faqs.load());
+  useGallery(stores.gallery.load());
+  // No leads or applications file simply means none have been sent yet
+  leads = stores.leads.load();
+  applications = stores.applications.load();
+  users.load(paths.users, options);
+  sessions.load(paths.sessions, {
+    idleTimeout: config.sessionIdleTimeoutMinutes * 60 * 1000,
+    absoluteTimeout: config.sessionAbsoluteTimeoutHours * 60 * 60 * 1000
+  });
+  auditLog.open(paths.auditLog);
+  if (!users.list().length && !config.ownerUsername) {
+    console.warn('No admin users exist yet. Run `npm run create-owner`, or set OWNER_USERNAME and OWNER_PASSWORD, to create the owner account.');
   }
+}
+
+/**
+ * Reload the FAQs, gallery and translations from files changed outside the
+ * server, e.g. edited by hand or restored from a backup. A file that is
+ * corrupt or does not match its schema is not swapped in: the data in
+ * memory stays as it was. Reloading a repaired file that was being served
+ * read-only from a backup makes it writable again.
+ * @returns {{ reloaded: string[], errors: string[] }} the files reloaded,
+ *   and what was wrong with those that could not be
+ */
+function reloadData() {
+  const result = { reloaded: [], errors: [] };
+  const attempt = (store, use) => {
+    try {
+      const data = store.reload();
+      if (data) {
+        use(data);
+        result.reloaded.push(path.relative(paths.data, store.path));
+      }
+    } catch (err) {
+      result.errors.push(err.code === 'EDATACORRUPT' ? err.message : `${store.path}: ${err.message}`);
+    }
+  };
+  attempt(stores.faqs, useFaqs);
+  attempt(stores.gallery, useGallery);
+  let files = [];
   try {
-    const galleryPath = path.join(dataDir, 'gallery.json');
-    gallery = JSON.parse(fs.readFileSync(galleryPath, 'utf8'));
+    files = fs.readdirSync(paths.locales).filter(file => file.endsWith('.json'));
   } catch (err) {
-    console.error('Error loading gallery:', err);
-    gallery = [];
+    result.errors.push(`${paths.locales}: ${err.message}`);
   }
+  files.map(file => path.basename(file, '.json')).forEach(lang => {
+    // Languages not read yet are read when first asked for
+    if (!localeStores[lang]) {
+      if (!languages.includes(lang)) languages.push(lang);
+      return;
+    }
+    attempt(localeStores[lang], strings => { localesCache[lang] = strings; });
+  });
+  result.reloaded.forEach(file => console.log(`Reloaded ${file}`));
+  result.errors.forEach(message => console.error(`Not reloaded: ${message}`));
+  return result;
 }
 
-// Load initial data at startup
-loadData();
+/**
+ * Watch the FAQ, gallery and translation files, reloading them shortly
+ * after they change (see reloadData()).
+ */
+function watchData() {
+  const schedule = () => {
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(reloadData, DATA_RELOAD_DELAY);
+    reloadTimer.unref();
+  };
+  const watch = (dir, accept) => {
+    try {
+      const watcher = fs.watch(dir, (event, filename) => {
+        if (filename && accept(filename)) schedule();
+      });
+      watcher.on('error', err => console.error(`Stopped watching ${dir}:`, err.message));
+      watcher.unref();
+      dataWatchers.push(watcher);
+    } catch (err) {
+      console.error(`Cannot watch ${dir} for changes:`, err.message);
+    }
+  };
+  watch(paths.data, filename => ['faqs.json', 'gallery.json'].includes(filename));
+  watch(paths.locales, filename => filename.endsWith('.json'));
+}
 
 /**
- * Helper: send a JSON response with CORS headers.
- * @param {http.ServerResponse} res
- * @param {number} status
- * @param {object} obj
+ * Stop watching the data files.
  */
-function sendJson(res, status, obj) {
-  res.writeHead(status, {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+function unwatchData() {
+  dataWatchers.forEach(watcher => watcher.close());
+  dataWatchers = [];
+  clearTimeout(reloadTimer);
+}
+
+/**
+ * Stop the server gracefully: accept no more connections, let the requests
+ * in progress finish, for up to the shutdown timeout, and then wait for
+ * pending writes of the data files. Requests still running at the timeout
+ * are cut off.
+ * @param {http.Server} server
+ * @returns {Promise<boolean>} whether every request finished in time
+ */
+async function shutdown(server) {
+  shuttingDown = true;
+  unwatchData();
+  const closed = new Promise(resolve => server.close(() => resolve(true)));
+  server.closeIdleConnections();
+  inFlight.forEach(res => {
+    if (!res.headersSent) res.setHeader('Connection', 'close');
   });
-  res.end(JSON.stringify(obj));
+  let timer;
+  const timedOut = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), config.shutdownTimeoutSeconds * 1000);
+  });
+  const finished = await Promise.race([closed, timedOut]);
+  clearTimeout(timer);
+  if (!finished) server.closeAllConnections();
+  await flushData();
+  return finished;
 }
 
 /**
- * Helper: serve static files from the public directory. If the requested
- * path resolves to a directory, serve index.html within that directory.
- * Returns true if the file was found and served, false otherwise.
- * @param {string} pathname
- * @param {http.ServerResponse} res
+ * Generate a short random identifier that does not collide with any entry
+ * in a list, e.g. the FAQs or the gallery.
+ * @param {object[]} list - entries with an `id`
  */
-function serveStatic(pathname, res) {
-  let filePath = path.join(publicDir, pathname);
-  try {
-    // Prevent path traversal
-    const resolved = path.resolve(filePath);
-    if (!resolved.startsWith(publicDir)) {
-      return false;
-    }
-    // If the path is a directory, append index.html
-    const stats = fs.existsSync(resolved) && fs.statSync(resolved);
-    if (stats && stats.isDirectory()) {
-      filePath = path.join(resolved, 'index.html');
-    } else {
-      filePath = resolved;
-    }
-    if (!fs.existsSync(filePath)) {
-      return false;
-    }
-    const ext = path.extname(filePath).toLowerCase();
-    const mimeTypes = {
-      '.html': 'text/html',
-      '.css': 'text/css',
-      '.js': 'application/javascript',
-      '.png': 'image/png',
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg',
-      '.svg': 'image/svg+xml',
-      '.json': 'application/json',
-      '.ico': 'image/x-icon'
-    };
-    const contentType = mimeTypes[ext] || 'application/octet-stream';
-    const fileContents = fs.readFileSync(filePath);
-    res.writeHead(200, {
-      'Content-Type': contentType
-    });
-    res.end(fileContents);
-    return true;
-  } catch (err) {
-    console.error('Static serve error:', err);
-    return false;
+function generateId(list) {
+  let id;
+  do {
+    id = crypto.randomBytes(4).toString('hex');
+  } while (list.some(item => item.id === id));
+  return id;
+}
+
+/**
+ * Persist the in-memory FAQ list to disk. Every FAQ change goes through
+ * here, so this is also where stale search indexes are dropped. The
+ * returned promise resolves once it is written and rejects if that fails;
+ * failures are logged.
+ */
+function saveFaqs() {
+  faqIndexes = {};
+  return stores.faqs.save(faqs).catch(err => {
+    console.error('Failed to write FAQs file', err);
+    throw err;
+  });
+}
+
+/**
+ * Put back the FAQ list as it was before a change that could not be saved,
+ * dropping search indexes built from the change.
+ * @param {object[]} previous
+ */
+function restoreFaqs(previous) {
+  faqs = previous;
+  faqIndexes = {};
+}
+
+/**
+ * Validate a FAQ payload. The English question and answer are required;
+ * `translations` may map other language codes to { question, answer }.
+ * Translations with both fields empty are dropped. Returns { faq } with a
+ * trimmed { question, answer, translations }, or { error, field }.
+ * @param {object} body - matching REQUEST_SCHEMAS.faq
+ */
+function parseFaqPayload(body) {
+  const question = body.question.trim();
+  const answer = body.answer.trim();
+  if (!question || !answer) {
+    return { error: 'Question and answer are required', field: question ? 'answer' : 'question' };
+  }
+  const translations = {};
+  const input = body.translations || {};
+  for (const [lang, variant] of Object.entries(input)) {
+    if (lang === defaultLanguage || !languages.includes(lang)) {
+      return { error: `Unknown language "${lang}"`, field: 'translations' };
+    }
+    const q = typeof variant.question === 'string' ? variant.question.trim() : '';
+    const a = typeof variant.answer === 'string' ? variant.answer.trim() : '';
+    if (q || a) {
+      translations[lang] = { question: q, answer: a };
+    }
   }
+  return { faq: { question, answer, translations } };
 }
 
 /**
- * Parse the JSON body of a request. Returns an object or an empty object
- * on parse error.
- * @param {http.IncomingMessage} req
+ * Reduce a requested language code (e.g. "fr-CA", " RU") to one of the
+ * supported languages, defaulting to English.
+ * @param {string} lang
  */
-function parseBody(req) {
-  return new Promise((resolve) => {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-      // limit body size to 20MB to avoid exhaustion
-      if (body.length > 20 * 1024 * 1024) {
-        req.connection.destroy();
-      }
-    });
-    req.on('end', () => {
-      try {
-        const contentType = req.headers['content-type'] || '';
-        if (contentType.includes('application/json')) {
-          resolve(JSON.parse(body || '{}'));
-        } else {
-          resolve({});
+function normalizeLanguage(lang) {
+  const code = String(lang || '').trim().toLowerCase().split('-')[0];
+  return languages.includes(code) ? code : defaultLanguage;
+}
+
+/**
+ * Return a FAQ entry's question and answer in the given language, falling
+ * back to English for any field that has not been translated.
+ * @param {object} faq
+ * @param {string} lang
+ */
+function localizeFaq(faq, lang) {
+  const variant = (faq.translations && faq.translations[lang]) || {};
+  return {
+    id: faq.id,
+    question: variant.question || faq.question,
+    answer: variant.answer || faq.answer
+  };
+}
+
+/**
+ * Return the search index for a language, building it if needed. Each entry
+ * is indexed with its localized text and its English text, so visitors can
+ * ask in either.
+ * @param {string} lang
+ */
+function getFaqIndex(lang) {
+  if (!faqIndexes[lang]) {
+    faqIndexes[lang] = faqSearch.createIndex(faqs.map(faq => {
+      const localized = localizeFaq(faq, lang);
+      const join = (a, b) => (a === b ? a : `${a}\n${b}`);
+      return {
+        id: faq.id,
+        fields: {
+          question: join(localized.question, faq.question),
+          answer: join(localized.answer, faq.answer)
         }
-      } catch (err) {
-        console.error('JSON parse error', err);
-        resolve({});
-      }
-    });
+      };
+    }));
+  }
+  return faqIndexes[lang];
+}
+
+/**
+ * Append a chat exchange to the chat log. Failures are logged but never
+ * affect the visitor's reply.
+ * @param {object} entry
+ */
+function logChatExchange(entry) {
+  fs.appendFile(paths.chatLog, JSON.stringify(entry) + '\n', err => {
+    if (err) console.error('Failed to write chat log', err);
   });
 }
 
 /**
- * Retrieve a translation object for a given language. Uses cache to avoid
- * reading the file repeatedly. If the requested language does not exist,
- * falls back to English.
- * @param {string} lang
+ * Read all logged chat exchanges, skipping any malformed lines.
+ * @returns {Promise<object[]>}
  */
-function getLocale(lang) {
+function readChatLog() {
   return new Promise((resolve) => {
-    if (localesCache[lang]) {
-      return resolve(localesCache[lang]);
-    }
-    const localePath = path.join(dataDir, 'locales', `${lang}.json`);
-    fs.readFile(localePath, 'utf8', (err, data) => {
+    fs.readFile(paths.chatLog, 'utf8', (err, data) => {
       if (err) {
-        // Fallback to English
-        if (lang !== 'en') {
-          return resolve(getLocale('en'));
-        }
-        return resolve({});
-      }
-      try {
-        const obj = JSON.parse(data);
-        localesCache[lang] = obj;
-        resolve(obj);
-      } catch (e) {
-        resolve({});
+        if (err.code !== 'ENOENT') console.error('Failed to read chat log', err);
+        return resolve([]);
       }
+      const entries = [];
+      data.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (e) {
+          // ignore a partially written line
+        }
+      });
+      resolve(entries);
     });
   });
 }
 
 /**
- * Authenticate an admin request. Expects an Authorization header with
- * "Bearer <token>". Returns true if token is valid and not expired.
- * Sessions are stored in memory with a timestamp. Tokens expire after 24h.
- * @param {http.IncomingMessage} req
+ * Group unanswered chat questions that mean the same thing, most frequent
+ * first. Questions are grouped by their analyzed search terms, so "Snow
+ * removal?" and "snow removal" count together.
+ * @param {object[]} entries - chat log entries
  */
-function isAuthenticated(req) {
-  const auth = req.headers['authorization'];
-  if (!auth) return false;
-  const parts = auth.split(' ');
-  if (parts.length !== 2 || parts[0] !== 'Bearer') return false;
-  const token = parts[1];
-  const session = sessions[token];
-  if (!session) return false;
-  // expire after 24 hours
-  const now = Date.now();
-  if (now - session.timestamp > 24 * 60 * 60 * 1000) {
-    delete sessions[token];
-    return false;
-  }
-  // refresh timestamp
-  session.timestamp = now;
-  return true;
+function summarizeUnanswered(entries) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    if (entry.answered) return;
+    const terms = Array.from(new Set(faqSearch.analyze(entry.question))).sort();
+    const key = terms.length ? terms.join(' ') : entry.question.trim().toLowerCase();
+    let group = groups.get(key);
+    if (!group) {
+      group = { question: entry.question, lang: entry.lang, count: 0, sessions: new Set(), lastAsked: entry.timestamp };
+      groups.set(key, group);
+    }
+    group.count++;
+    group.sessions.add(entry.sessionId);
+    if (entry.timestamp >= group.lastAsked) {
+      // Show the most recent wording of the question
+      group.question = entry.question;
+      group.lang = entry.lang;
+      group.lastAsked = entry.timestamp;
+    }
+  });
+  return Array.from(groups.values())
+    .map(group => ({ ...group, sessions: group.sessions.size }))
+    .sort((a, b) => b.count - a.count || b.lastAsked.localeCompare(a.lastAsked));
 }
 
-// Create HTTP server
-const server = http.createServer(async (req, res) => {
-  try {
-    const { method } = req;
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const pathname = url.pathname;
-
-    // Preflight for CORS
-    if (method === 'OPTIONS') {
-      res.writeHead(204, {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
-      });
-      return res.end();
-    }
+/**
+ * Decode an image data URI. The format is taken from the decoded bytes, not
+ * the MIME type in the URI. Returns { ext, buffer } or null if the string is
+ * not an image in one of the allowed formats.
+ * @param {string} dataUri
+ * @param {string[]} [allowed] - extensions, from 'jpg', 'png' and 'webp'
+ */
+function decodeImageDataUri(dataUri, allowed = ['jpg', 'png']) {
+  const match = /^data:image\/[\w.+-]+;base64,(.+)$/.exec(dataUri || '');
+  if (!match) return null;
+  const buffer = Buffer.from(match[1], 'base64');
+  const type = imageType.detect(buffer);
+  if (!type || !allowed.includes(type.ext)) return null;
+  return { ext: type.ext, buffer };
+}
 
-    // API: translations
-    if (method === 'GET' && pathname.startsWith('/api/locales/')) {
-      const lang = pathname.replace('/api/locales/', '').replace('.json', '');
-      const localeObj = await getLocale(lang);
-      return sendJson(res, 200, localeObj);
-    }
-    // API: FAQs list
-    if (method === 'GET' && pathname === '/api/faqs') {
-      return sendJson(res, 200, faqs);
-    }
-    // API: Gallery list
-    if (method === 'GET' && pathname === '/api/gallery') {
-      return sendJson(res, 200, gallery);
-    }
-    // API: suggestions (returns 5 random question strings)
-    if (method === 'GET' && pathname === '/api/faqs-suggestions') {
-      const count = Math.min(5, faqs.length);
-      const indices = new Set();
-      while (indices.size < count) {
-        indices.add(Math.floor(Math.random() * faqs.length));
-      }
-      const suggestions = Array.from(indices).map(i => faqs[i].question);
-      return sendJson(res, 200, suggestions);
-    }
-    // API: chat
-    if (method === 'POST' && pathname === '/api/chat') {
-      const body = await parseBody(req);
-      const question = (body.question || '').trim();
-      const lang = (body.lang || 'en').trim();
-      let answer = null;
-      if (question) {
-        const lower = question.toLowerCase();
-        // Try exact match first
-        const match = faqs.find(faq => faq.question.toLowerCase() === lower);
-        if (match) {
-          answer = match.answer;
-        } else {
-          // Try to find containing question (simple search)
-          const partial = faqs.find(faq => lower.includes(faq.question.toLowerCase()) || faq.question.toLowerCase().includes(lower));
-          if (partial) {
-            answer = partial.answer;
-          }
-        }
-      }
-      if (!answer) {
-        const localeObj = await getLocale(lang);
-        answer = localeObj['chat_no_answer'] || 'Sorry, I don\'t know the answer.';
-      }
-      return sendJson(res, 200, { answer });
-    }
-    // API: admin login
-    if (method === 'POST' && pathname === '/api/admin/login') {
-      const body = await parseBody(req);
-      const { username, password } = body;
-      // Simple credential check; in production this should come from env/config
-      if (username === 'admin' && password === 'admin') {
-        const token = crypto.randomBytes(16).toString('hex');
-        sessions[token] = { timestamp: Date.now() };
-        return sendJson(res, 200, { token });
-      }
-      return sendJson(res, 401, { error: 'Invalid credentials' });
+/**
+ * Persist the gallery to disk. The returned promise resolves once it is
+ * written and rejects if that fails; failures are logged.
+ */
+function saveGallery() {
+  return stores.gallery.save(gallery).catch(err => {
+    console.error('Failed to write gallery file', err);
+    throw err;
+  });
+}
+
+/**
+ * Validate the descriptive fields of a gallery pair, sent either as JSON or
+ * as multipart form fields (where `featured` arrives as a string and
+ * `translations` as a JSON string). The English title, description and alt
+ * texts of the two images may be translated: `translations` maps other
+ * language codes to { title, description, altBefore, altAfter }. Returns
+ * { fields } with those and category and featured, or { error, field }.
+ * @param {object} body
+ */
+function parseGalleryFields(body) {
+  const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+  const category = text(body.category, 50);
+  if (category && !services.includes(category)) {
+    return { error: 'Invalid category', field: 'category' };
+  }
+  let input = body.translations || {};
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch (e) {
+      return { error: 'Invalid translations', field: 'translations' };
     }
-    // API: add FAQ (admin)
-    if (method === 'POST' && pathname === '/api/admin/add-faq') {
-      if (!isAuthenticated(req)) {
-        return sendJson(res, 403, { error: 'Unauthorized' });
-      }
-      const body = await parseBody(req);
-      const { question, answer } = body;
-      if (typeof question === 'string' && typeof answer === 'string' && question.trim() && answer.trim()) {
-        faqs.push({ question: question.trim(), answer: answer.trim() });
-        // persist to file
-        try {
-          fs.writeFileSync(path.join(dataDir, 'faqs.json'), JSON.stringify(faqs, null, 2));
-        } catch (e) {
-          console.error('Failed to write FAQs file', e);
-        }
-        return sendJson(res, 200, { success: true });
-      }
-      return sendJson(res, 400, { error: 'Invalid payload' });
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Invalid translations', field: 'translations' };
+  }
+  const translations = {};
+  for (const [lang, variant] of Object.entries(input)) {
+    if (lang === defaultLanguage || !languages.includes(lang) || !variant || typeof variant !== 'object') {
+      return { error: 'Invalid translations', field: 'translations' };
     }
-    // API: upload image pair (admin)
-    if (method === 'POST' && pathname === '/api/admin/upload-image') {
-      if (!isAuthenticated(req)) {
-        return sendJson(res, 403, { error: 'Unauthorized' });
-      }
-      const body = await parseBody(req);
-      const { before, after, title, description } = body;
-      if (!before || !after) {
-        return sendJson(res, 400, { error: 'Missing images' });
-      }
+    const translated = {};
+    Object.entries(GALLERY_TEXT_FIELDS).forEach(([name, max]) => {
+      const value = text(variant[name], max);
+      if (value) translated[name] = value;
+    });
+    if (Object.keys(translated).length) translations[lang] = translated;
+  }
+  const fields = {};
+  Object.entries(GALLERY_TEXT_FIELDS).forEach(([name, max]) => {
+    fields[name] = text(body[name], max);
+  });
+  return {
+    fields: {
+      ...fields,
+      category,
+      featured: body.featured === true || ['true', 'on', '1'].includes(body.featured),
+      translations
+    }
+  };
+}
+
+/**
+ * Return a gallery pair with its title, description and alt texts in the
+ * given language, falling back to English for any that have not been
+ * translated.
+ * @param {object} entry
+ * @param {string} lang
+ */
+function localizeGalleryEntry(entry, lang) {
+  const variant = (entry.translations && entry.translations[lang]) || {};
+  const { translations, ...localized } = entry;
+  Object.keys(GALLERY_TEXT_FIELDS).forEach(name => {
+    localized[name] = variant[name] || entry[name] || '';
+  });
+  return localized;
+}
+
+/**
+ * Delete a gallery image file unless another entry still uses it. Only
+ * files inside public/assets/img are ever removed.
+ * @param {string} imagePath - relative to public/, e.g. assets/img/after-1.png
+ */
+function removeGalleryImage(imagePath) {
+  if (gallery.some(entry => entry.before === imagePath || entry.after === imagePath)) return;
+  const filePath = path.join(paths.public, imagePath);
+  if (path.dirname(filePath) !== paths.galleryImages) return;
+  fs.unlink(filePath, err => {
+    if (err && err.code !== 'ENOENT') console.error('Failed to delete gallery image', err);
+  });
+}
+
+/**
+ * Directory holding the processed images of one gallery entry.
+ * @param {string} id
+ */
+function galleryEntryDir(id) {
+  return path.join(paths.galleryImages, 'gallery', id);
+}
+
+/**
+ * Process the before and after images of a new gallery entry into
+ * public/assets/img/gallery/<id>/: metadata stripped, turned the right way
+ * up and saved at several widths, plus a thumbnail of the after image.
+ * Each image is either a streamed upload, { path } with path a temporary
+ * file, or { buffer }. Returns the image fields of the entry: `before` and
+ * `after` (the largest variants), `variants` and `thumbnail`, all relative
+ * to public/. A file that cannot be decoded throws an error with
+ * statusCode 415 and the offending field.
+ * @param {string} id
+ * @param {{ before: object, after: object }} images
+ */
+async function processGalleryImages(id, images) {
+  const dir = galleryEntryDir(id);
+  const relative = filename => `assets/img/gallery/${id}/${filename}`;
+  const result = { variants: {} };
+  fs.mkdirSync(dir, { recursive: true });
+  try {
+    for (const field of ['before', 'after']) {
+      let processed;
       try {
-        const saveImage = (dataUri, prefix) => {
-          const match = /^data:image\/(png|jpeg);base64,(.+)$/.exec(dataUri);
-          if (!match) return null;
-          const ext = match[1] === 'jpeg' ? 'jpg' : match[1];
-          const buffer = Buffer.from(match[2], 'base64');
-          const filename = `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${ext}`;
-          const outputPath = path.join(publicDir, 'assets', 'img', filename);
-          fs.writeFileSync(outputPath, buffer);
-          return `assets/img/${filename}`;
-        };
-        const beforePath = saveImage(before, 'before');
-        const afterPath = saveImage(after, 'after');
-        if (!beforePath || !afterPath) {
-          return sendJson(res, 400, { error: 'Invalid image data' });
-        }
-        const newEntry = { before: beforePath, after: afterPath, title: title || '', description: description || '' };
-        gallery.push(newEntry);
-        fs.writeFileSync(path.join(dataDir, 'gallery.json'), JSON.stringify(gallery, null, 2));
-        return sendJson(res, 200, { success: true, entry: newEntry });
+        processed = await imageProcessing.processInWorker(images[field].path || images[field].buffer);
       } catch (e) {
-        console.error('Failed to save images:', e);
-        return sendJson(res, 500, { error: 'Failed to save images' });
+        e.message = `Could not process image: ${e.message}`;
+        e.statusCode = 415;
+        e.field = field;
+        throw e;
       }
-    }
-
-    // If request starts with /admin, serve admin.html
-    if (method === 'GET' && pathname === '/admin') {
-      const adminPath = path.join(publicDir, 'admin.html');
-      if (fs.existsSync(adminPath)) {
-        const html = fs.readFileSync(adminPath);
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        return res.end(html);
+      result.variants[field] = processed.variants.map(variant => {
+        const filename = `${field}-${variant.width}.${variant.ext}`;
+        fs.writeFileSync(path.join(dir, filename), variant.data);
+        return { src: relative(filename), width: variant.width, height: variant.height };
+      });
+      result[field] = result.variants[field][result.variants[field].length - 1].src;
+      if (field === 'after') {
+        const filename = `thumb.${processed.thumbnail.ext}`;
+        fs.writeFileSync(path.join(dir, filename), processed.thumbnail.data);
+        result.thumbnail = relative(filename);
       }
     }
+  } catch (e) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw e;
+  }
+  return {
+    before: result.before,
+    after: result.after,
+    variants: result.variants,
+    thumbnail: result.thumbnail
+  };
+}
 
-    // Serve static files
-    if (serveStatic(pathname, res)) {
-      return;
-    }
-    // 404 not found
-    res.writeHead(404, { 'Content-Type': 'text/plain' });
-    res.end('Not Found');
-  } catch (err) {
-    console.error('Server error:', err);
-    res.writeHead(500, { 'Content-Type': 'text/plain' });
-    res.end('Internal Server Error');
+/**
+ * Delete the image files of a removed gallery entry: its own directory for
+ * processed uploads, or the single before/after files of older entries.
+ * @param {object} entry
+ */
+function removeGalleryEntryImages(entry) {
+  if (!entry.variants) {
+    removeGalleryImage(entry.before);
+    removeGalleryImage(entry.after);
+    return;
   }
-});
+  const dir = galleryEntryDir(entry.id);
+  if (path.dirname(dir) !== path.join(paths.galleryImages, 'gallery')) return;
+  fs.rm(dir, { recursive: true, force: true }, err => {
+    if (err) console.error('Failed to delete gallery images', err);
+  });
+}
+
+/**
+ * Persist the leads list to disk. The returned promise resolves once it is
+ * written and rejects if that fails; failures are logged.
+ */
+function saveLeads() {
+  return stores.leads.save(leads).catch(err => {
+    console.error('Failed to write leads file', err);
+    throw err;
+  });
+}
+
+/**
+ * Persist the job applications list to disk. The returned promise resolves
+ * once it is written and rejects if that fails; failures are logged.
+ */
+function saveApplications() {
+  return stores.applications.save(applications).catch(err => {
+    console.error('Failed to write applications file', err);
+    throw err;
+  });
+}
+
+/**
+ * Wait for every pending write of the data files, e.g. before the process
+ * exits or the data directory is removed.
+ */
+function flushData() {
+  const all = [...Object.values(stores), ...Object.values(localeStores)];
+  return Promise.all([...all.map(store => store.flush()), users.flush(), sessions.flush()]);
+}
+
+/**
+ * Read a request body as raw bytes, up to a size limit.
+ * @param {http.IncomingMessage} req
+ * @param {number} [limit] - in bytes, by default the configured maxBodySize
+ * @returns {Promise<Buffer>}
+ * @throws {Error} with statusCode 413 if the body is too large
+ */
+function readRawBody(req, limit = config.maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => Object.assign(new Error('Request body is too large'), { statusCode: 413 });
+    if (Number(req.headers['content-length']) > limit) {
+      return reject(tooLarge());
+    }
+    const chunks = [];
+    let received = 0;
+    const onData = chunk => {
+      received += chunk.length;
+      if (received > limit) {
+        req.removeListener('data', onData);
+        return reject(tooLarge());
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Paths, relative to public/, of the image files a gallery entry uses.
+ * @param {object} entry
+ */
+function galleryImagePaths(entry) {
+  const sources = [entry.before, entry.after, entry.thumbnail];
+  Object.values(entry.variants || {}).forEach(list => {
+    if (Array.isArray(list)) list.forEach(variant => sources.push(variant && variant.src));
+  });
+  return [...new Set(sources.filter(src => typeof src === 'string' && src))];
+}
+
+/**
+ * Whether a path relative to public/ lies under assets/img/, the only
+ * place gallery images are exported from.
+ * @param {string} src
+ */
+function isGalleryImagePath(src) {
+  return path.join(paths.public, src).startsWith(paths.galleryImages + path.sep);
+}
+
+/**
+ * Whether an imported gallery entry may write an image to a path relative
+ * to public/: only directly inside the entry's own directory,
+ * assets/img/gallery/<id>/, so that an archive cannot overwrite the site's
+ * other images or another entry's.
+ * @param {object} entry
+ * @param {string} src
+ */
+function isImportableImagePath(entry, src) {
+  if (typeof entry.id !== 'string' || !/^[\w-]+$/.test(entry.id)) return false;
+  return path.dirname(path.join(paths.public, src)) === galleryEntryDir(entry.id);
+}
+
+/**
+ * Whether file contents are an image of the type its name claims.
+ * @param {string} name
+ * @param {Buffer} data
+ */
+function isImageFile(name, data) {
+  const type = imageType.detect(data);
+  return Boolean(type) && path.extname(name).slice(1).toLowerCase().replace('jpeg', 'jpg') === type.ext;
+}
+
+/**
+ * Build an archive of the site's content: the FAQs, the gallery with its
+ * images, the translations, and the leads with their photos. The archive
+ * is a .tar.gz holding a manifest.json beside the data files, laid out as
+ * on the server:
+ *
+ *   manifest.json, faqs.json, gallery.json, leads.json
+ *   locales/<lang>.json
+ *   public/assets/img/...         gallery images
+ *   uploads/leads/<id>/<file>     lead photos
+ *
+ * @returns {Buffer}
+ */
+function exportContent() {
+  const files = new Map();
+  const add = (name, read) => {
+    if (!archive.canStore(name)) {
+      console.warn(`Left ${name} out of the export: its name is too long for an archive`);
+      return;
+    }
+    try {
+      files.set(name, read());
+    } catch (err) {
+      // A file that has gone missing is left out, as on the live site
+      if (err.code !== 'ENOENT') throw err;
+    }
+  };
+  const json = data => Buffer.from(JSON.stringify(data, null, 2));
+  add('manifest.json', () => json({
+    format: CONTENT_ARCHIVE_FORMAT,
+    version: CONTENT_ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    sections: CONTENT_SECTIONS
+  }));
+  add('faqs.json', () => json(faqs));
+  add('gallery.json', () => json(gallery));
+  gallery.forEach(entry => {
+    galleryImagePaths(entry).filter(isGalleryImagePath).forEach(src => {
+      add(`public/${src}`, () => fs.readFileSync(path.join(paths.public, src)));
+    });
+  });
+  languages.forEach(lang => {
+    add(`locales/${lang}.json`, () => fs.readFileSync(path.join(paths.locales, `${lang}.json`)));
+  });
+  add('leads.json', () => json(leads));
+  leads.forEach(lead => {
+    (lead.photos || []).forEach(filename => {
+      add(`uploads/leads/${lead.id}/${filename}`, () => fs.readFileSync(path.join(paths.leadUploads, lead.id, filename)));
+    });
+  });
+  return archive.pack([...files].map(([name, data]) => ({ name, data })));
+}
+
+/**
+ * Unpack and check an uploaded content archive. Returns its sections,
+ * each undefined if the archive does not include it, and its files.
+ * @param {Buffer} buffer
+ * @returns {{ exportedAt: string, faqs?: object[], gallery?: object[], locales?: object, leads?: object[], files: Map<string, Buffer> }}
+ * @throws {Error} with statusCode 400 describing the first problem found
+ */
+function readContentArchive(buffer) {
+  const invalid = message => Object.assign(new Error(message), { statusCode: 400 });
+  const files = archive.unpack(buffer, { maxSize: CONTENT_ARCHIVE_MAX_UNPACKED_SIZE });
+  const read = (name, dataSchema) => {
+    if (!files.has(name)) return undefined;
+    let data;
+    try {
+      data = JSON.parse(files.get(name).toString('utf8'));
+    } catch (e) {
+      throw invalid(`${name} is not valid JSON`);
+    }
+    const problems = schema.validate(dataSchema, data);
+    if (problems.length) throw invalid(`${name}: ${schema.describe(problems)}`);
+    return data;
+  };
+  const manifest = read('manifest.json', { type: 'object', required: ['format', 'version'] });
+  if (!manifest || manifest.format !== CONTENT_ARCHIVE_FORMAT) {
+    throw invalid('This is not a content archive exported from the admin panel');
+  }
+  if (manifest.version !== CONTENT_ARCHIVE_VERSION) {
+    throw invalid(`Archives of version ${manifest.version} cannot be imported`);
+  }
+  const content = {
+    exportedAt: manifest.exportedAt,
+    faqs: read('faqs.json', FAQS_SCHEMA),
+    gallery: read('gallery.json', GALLERY_SCHEMA),
+    leads: read('leads.json', LEADS_SCHEMA),
+    files
+  };
+  [...files.keys()].forEach(name => {
+    const match = /^locales\/([a-z]{2,3})\.json$/.exec(name);
+    if (!match) return;
+    content.locales = content.locales || {};
+    content.locales[match[1]] = read(name, LOCALE_SCHEMA);
+  });
+  (content.leads || []).forEach(lead => {
+    if (!/^[\w-]+$/.test(lead.id)) throw invalid(`leads.json: invalid lead ID "${lead.id}"`);
+  });
+  return content;
+}
+
+/**
+ * Compare a list of entries with the one an import would bring in, by ID.
+ * `removed` lists what a replacing import would delete.
+ * @param {object[]} current
+ * @param {object[]} incoming
+ * @param {function(object): string} label - names an entry for people
+ */
+function diffEntries(current, incoming, label) {
+  const existing = new Map(current.map(entry => [entry.id, entry]));
+  const incomingIds = new Set(incoming.map(entry => entry.id));
+  const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+  incoming.forEach(entry => {
+    const before = entry.id && existing.get(entry.id);
+    if (!before) {
+      diff.added.push({ id: entry.id || null, label: label(entry) });
+      return;
+    }
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(entry)])]
+      .filter(key => JSON.stringify(before[key]) !== JSON.stringify(entry[key]));
+    if (fields.length) {
+      diff.changed.push({ id: entry.id, label: label(entry), fields });
+    } else {
+      diff.unchanged++;
+    }
+  });
+  diff.removed = current
+    .filter(entry => !incomingIds.has(entry.id))
+    .map(entry => ({ id: entry.id, label: label(entry) }));
+  return diff;
+}
+
+/**
+ * Read a translation file, or null if the language does not exist yet.
+ * @param {string} lang
+ */
+function readLocaleFile(lang) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(paths.locales, `${lang}.json`), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Describe what importing an archive would change, section by section,
+ * plus warnings about files it refers to but does not contain.
+ * @param {object} content - from readContentArchive()
+ */
+function previewImport(content) {
+  const sections = {};
+  const warnings = [];
+  if (content.faqs) sections.faqs = diffEntries(faqs, content.faqs, faq => faq.question);
+  if (content.gallery) {
+    sections.gallery = diffEntries(gallery, content.gallery, entry => entry.title || entry.after);
+    content.gallery.forEach(entry => {
+      galleryImagePaths(entry).forEach(src => {
+        if (content.files.has(`public/${src}`) && !isImportableImagePath(entry, src)) {
+          warnings.push(`Gallery image ${src} is outside assets/img/gallery/${entry.id}/ and will not be imported`);
+        } else if (!content.files.has(`public/${src}`) && !fs.existsSync(path.join(paths.public, src))) {
+          warnings.push(`Gallery image ${src} is missing from the archive`);
+        }
+      });
+    });
+  }
+  if (content.locales) {
+    sections.locales = {};
+    Object.entries(content.locales).forEach(([lang, strings]) => {
+      const current = readLocaleFile(lang) || {};
+      const keys = Object.keys(strings);
+      sections.locales[lang] = {
+        new: !languages.includes(lang),
+        added: keys.filter(key => !(key in current)),
+        changed: keys.filter(key => key in current && current[key] !== strings[key]),
+        removed: Object.keys(current).filter(key => !(key in strings))
+      };
+    });
+  }
+  if (content.leads) {
+    sections.leads = diffEntries(leads, content.leads, lead => lead.name);
+    content.leads.forEach(lead => {
+      (lead.photos || []).forEach(filename => {
+        if (!content.files.has(`uploads/leads/${lead.id}/${filename}`)) {
+          warnings.push(`Photo ${filename} of lead ${lead.id} is missing from the archive`);
+        }
+      });
+    });
+  }
+  return { exportedAt: content.exportedAt, sections, warnings };
+}
+
+/**
+ * Combine a list of entries with imported ones. Merging adds new entries
+ * and overwrites those with the same ID; replacing keeps only the imported
+ * ones. Entries without an ID are given one.
+ * @param {object[]} current
+ * @param {object[]} incoming
+ * @param {'merge'|'replace'} mode
+ */
+function combineEntries(current, incoming, mode) {
+  const result = mode === 'replace' ? [] : current.slice();
+  incoming.forEach(entry => {
+    const index = entry.id ? result.findIndex(item => item.id === entry.id) : -1;
+    if (index === -1) {
+      result.push(entry);
+    } else {
+      result[index] = entry;
+    }
+  });
+  result.filter(entry => !entry.id).forEach(entry => { entry.id = generateId(result); });
+  return result;
+}
+
+/**
+ * Import sections of a content archive. Every data file written is backed
+ * up first by its store, so an import can be undone from data/backups/. If
+ * a file cannot be written, the FAQs, gallery and leads in memory are put
+ * back as they were and the error is thrown; files of removed entries are
+ * only deleted once everything is written.
+ * Translations are imported per language: replacing swaps a language's
+ * file for the imported one, and languages missing from the archive are
+ * left alone.
+ * @param {object} content - from readContentArchive()
+ * @param {'merge'|'replace'} mode
+ * @param {string[]} sections - some of CONTENT_SECTIONS present in the archive
+ */
+async function applyImport(content, mode, sections) {
+  // Imported image files are written only if they are what they claim to be
+  const writeImage = (name, filePath) => {
+    const data = content.files.get(name);
+    if (!data || !isImageFile(filePath, data)) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, data);
+  };
+  const previous = { faqs, gallery, leads };
+  const writes = [];
+  if (sections.includes('faqs')) {
+    faqs = combineEntries(faqs, content.faqs, mode);
+    writes.push(saveFaqs());
+  }
+  if (sections.includes('gallery')) {
+    gallery = combineEntries(gallery, content.gallery, mode);
+    content.gallery.forEach(entry => {
+      galleryImagePaths(entry).filter(src => isImportableImagePath(entry, src)).forEach(src => {
+        writeImage(`public/${src}`, path.join(paths.public, src));
+      });
+    });
+    writes.push(saveGallery());
+  }
+  if (sections.includes('leads')) {
+    leads = combineEntries(leads, content.leads, mode);
+    content.leads.forEach(lead => {
+      (lead.photos || []).filter(filename => path.basename(filename) === filename).forEach(filename => {
+        writeImage(`uploads/leads/${lead.id}/${filename}`, path.join(paths.leadUploads, lead.id, filename));
+      });
+    });
+    writes.push(saveLeads());
+  }
+  try {
+    // Wait for every write, so that none is left failing unnoticed
+    const results = await Promise.allSettled(writes);
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) throw failed.reason;
+    if (sections.includes('locales')) {
+      for (const [lang, strings] of Object.entries(content.locales)) {
+        const store = localeStore(lang);
+        await store.save(mode === 'replace' ? strings : { ...store.load(), ...strings });
+        if (!languages.includes(lang)) languages.push(lang);
+      }
+      localesCache = {};
+    }
+  } catch (err) {
+    restoreFaqs(previous.faqs);
+    ({ gallery, leads } = previous);
+    throw err;
+  }
+  if (sections.includes('gallery')) {
+    previous.gallery.filter(entry => !gallery.some(item => item.id === entry.id)).forEach(removeGalleryEntryImages);
+  }
+  if (sections.includes('leads')) {
+    previous.leads.filter(lead => !leads.some(item => item.id === lead.id)).forEach(lead => {
+      fs.rm(path.join(paths.leadUploads, lead.id), { recursive: true, force: true }, err => {
+        if (err) console.error('Failed to delete lead photos', err);
+      });
+    });
+  }
+}
+
+/**
+ * Check that a string is a calendar date in YYYY-MM-DD form.
+ * @param {string} value
+ */
+function isIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Validate a quote request submitted from the contact form. Returns
+ * { lead } with trimmed fields and decoded photos, or { error, field }
+ * naming the first invalid field.
+ * @param {object} body
+ */
+function parseLeadPayload(body) {
+  const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+  const lead = {
+    name: text(body.name, 100),
+    phone: text(body.phone, 30),
+    email: text(body.email, 200),
+    address: text(body.address, 200),
+    service: text(body.service, 50),
+    preferredFrom: text(body.preferredFrom, 10),
+    preferredTo: text(body.preferredTo, 10),
+    message: text(body.message, 5000),
+    lang: normalizeLanguage(body.lang)
+  };
+  if (!lead.name) {
+    return { error: 'Name is required', field: 'name' };
+  }
+  if (!lead.phone && !lead.email) {
+    return { error: 'A phone number or email address is required', field: 'phone' };
+  }
+  if (lead.phone && !/^\+?[0-9 ().-]{7,}$/.test(lead.phone)) {
+    return { error: 'Invalid phone number', field: 'phone' };
+  }
+  if (lead.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(lead.email)) {
+    return { error: 'Invalid email address', field: 'email' };
+  }
+  if (lead.service && !services.includes(lead.service)) {
+    return { error: 'Unknown service', field: 'service' };
+  }
+  for (const field of ['preferredFrom', 'preferredTo']) {
+    if (lead[field] && !isIsoDate(lead[field])) {
+      return { error: 'Invalid date', field };
+    }
+  }
+  if (lead.preferredFrom && lead.preferredTo && lead.preferredTo < lead.preferredFrom) {
+    return { error: 'End date is before start date', field: 'preferredTo' };
+  }
+  const photos = body.photos || [];
+  if (!Array.isArray(photos) || photos.length > LEAD_MAX_PHOTOS) {
+    return { error: `At most ${LEAD_MAX_PHOTOS} photos are allowed`, field: 'photos' };
+  }
+  const images = [];
+  for (const photo of photos) {
+    const image = decodeImageDataUri(photo);
+    if (!image || image.buffer.length > LEAD_MAX_PHOTO_BYTES) {
+      return { error: 'Photos must be PNG or JPEG images of at most 5 MB', field: 'photos' };
+    }
+    images.push(image);
+  }
+  return { lead, images };
+}
+
+/**
+ * Validate a job application from the careers form. Returns
+ * { application, resume } with trimmed fields and the decoded PDF, or
+ * { error, field } naming the first invalid field.
+ * @param {object} body
+ */
+function parseApplicationPayload(body) {
+  const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+  const application = {
+    name: text(body.name, 100),
+    phone: text(body.phone, 30),
+    email: text(body.email, 200),
+    availableFrom: text(body.availableFrom, 10),
+    availableTo: text(body.availableTo, 10),
+    driversLicence: body.driversLicence === true,
+    experience: text(body.experience, 5000),
+    lang: normalizeLanguage(body.lang)
+  };
+  if (!application.name) {
+    return { error: 'Name is required', field: 'name' };
+  }
+  if (!application.phone || !/^\+?[0-9 ().-]{7,}$/.test(application.phone)) {
+    return { error: 'A valid phone number is required', field: 'phone' };
+  }
+  if (!application.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(application.email)) {
+    return { error: 'A valid email address is required', field: 'email' };
+  }
+  for (const field of ['availableFrom', 'availableTo']) {
+    if (!isIsoDate(application[field])) {
+      return { error: 'Availability dates are required', field };
+    }
+  }
+  if (application.availableTo < application.availableFrom) {
+    return { error: 'End date is before start date', field: 'availableTo' };
+  }
+  const match = /^data:application\/pdf;base64,(.+)$/.exec(body.resume || '');
+  const resume = match && Buffer.from(match[1], 'base64');
+  // Check the PDF signature rather than trusting the declared type
+  if (!resume || resume.length > RESUME_MAX_BYTES || resume.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    return { error: 'Résumé must be a PDF of at most 5 MB', field: 'resume' };
+  }
+  return { application, resume };
+}
+
+/**
+ * Helper: send a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} obj
+ * @param {object} [headers] - additional response headers
+ */
+function sendJson(res, status, obj, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    ...headers
+  });
+  res.end(JSON.stringify(obj));
+}
+
+/**
+ * Helper: send an error as { error: { code, message, field } }. The code
+ * defaults to one for the status (see ERROR_CODES); `field` names the
+ * request field at fault, if any, so forms can highlight it.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} message - for people, shown by the site's forms
+ * @param {{ code?: string, field?: string, headers?: object }} [options]
+ */
+function sendError(res, status, message, options = {}) {
+  const code = options.code || ERROR_CODES[status] || (status < 500 ? 'invalid_request' : 'internal_error');
+  sendJson(res, status, { error: { code, message, field: options.field || null } }, options.headers);
+}
+
+/**
+ * Helper: serve static files from the public directory. If the requested
+ * path resolves to a directory, serve index.html within that directory.
+ * Returns true if the file was found and served, false otherwise.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function serveStatic(req, res) {
+  // Prevent path traversal
+  const resolved = path.resolve(path.join(paths.public, req.pathname));
+  if (resolved !== paths.public && !resolved.startsWith(paths.public + path.sep)) {
+    return false;
+  }
+  if (await staticFiles.serveFile(req, res, resolved)) {
+    return true;
+  }
+  return staticFiles.serveFile(req, res, path.join(resolved, 'index.html'));
+}
+
+/**
+ * Read the JSON body of a request and check it against a schema (see
+ * REQUEST_SCHEMAS). An empty body counts as an empty object.
+ * @param {http.IncomingMessage} req
+ * @param {object} [bodySchema]
+ * @returns {Promise<*>}
+ * @throws {Error} with statusCode 413 if the body is too large, 415 if it
+ *   is not JSON, and 400 if it is malformed or does not match the schema
+ */
+async function readJson(req, bodySchema) {
+  const raw = await readRawBody(req);
+  let body = {};
+  if (raw.length) {
+    const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+      throw Object.assign(new Error('Request body must be JSON (Content-Type: application/json)'), { statusCode: 415 });
+    }
+    try {
+      body = JSON.parse(raw.toString('utf8'));
+    } catch (e) {
+      throw Object.assign(new Error('Request body is not valid JSON'), { statusCode: 400, errorCode: 'invalid_json' });
+    }
+  }
+  const problems = bodySchema ? schema.validate(bodySchema, body) : [];
+  if (problems.length) {
+    const { path: at, message } = problems[0];
+    throw Object.assign(new Error(at ? `${at} ${message}` : `Request body ${message}`), {
+      statusCode: 400,
+      errorCode: 'invalid_field',
+      // The top-level field, e.g. "translations" for "translations.fr.question"
+      field: at ? at.split(/[.[]/)[0] : undefined
+    });
+  }
+  return body;
+}
+
+/**
+ * The store of a language's translation file. Its backups are kept with
+ * those of the other data files.
+ * @param {string} lang
+ */
+function localeStore(lang) {
+  if (!localeStores[lang]) {
+    localeStores[lang] = createStore(path.join(paths.locales, `${lang}.json`), {
+      schema: LOCALE_SCHEMA,
+      fallback: {},
+      backups: config.dataBackups,
+      backupDir: path.join(paths.data, 'backups')
+    });
+  }
+  return localeStores[lang];
+}
+
+/**
+ * Translation keys used by a page's data-i18n, data-i18n-placeholder and
+ * data-i18n-aria-label attributes (see assets/js/i18n.js), in page order.
+ * @param {string} html
+ */
+function pageTranslationKeys(html) {
+  const keys = [];
+  const pattern = /\sdata-i18n(?:-placeholder|-aria-label)?\s*=\s*["']([^"']+)["']/g;
+  let match;
+  while ((match = pattern.exec(html))) {
+    if (!keys.includes(match[1])) keys.push(match[1]);
+  }
+  return keys;
+}
+
+/**
+ * Compare the translation files for the admin panel's translation editor.
+ * Keys are listed in the order of the English file, followed by keys only
+ * other languages or the home page have. For each language it lists the
+ * keys it lacks and those whose text is the same as in English, which
+ * usually means nobody translated them. `pageReport` lists keys used on
+ * the home page that are missing from some language.
+ */
+function translationReport() {
+  const ordered = [defaultLanguage, ...languages.filter(lang => lang !== defaultLanguage)];
+  const strings = {};
+  ordered.forEach(lang => { strings[lang] = readLocaleFile(lang) || {}; });
+  let pageKeys = [];
+  try {
+    pageKeys = pageTranslationKeys(fs.readFileSync(path.join(paths.public, 'index.html'), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const keys = [...new Set([...ordered.flatMap(lang => Object.keys(strings[lang])), ...pageKeys])];
+  const missing = {};
+  const sameAsDefault = {};
+  ordered.forEach(lang => {
+    missing[lang] = keys.filter(key => !(key in strings[lang]));
+    sameAsDefault[lang] = lang === defaultLanguage ? [] : keys.filter(key => key in strings[lang] && strings[lang][key] === strings[defaultLanguage][key]);
+  });
+  const pageReport = pageKeys
+    .map(key => ({ key, missingIn: ordered.filter(lang => !(key in strings[lang])) }))
+    .filter(entry => entry.missingIn.length);
+  return { defaultLanguage, languages: ordered, keys, pageKeys, strings, missing, sameAsDefault, pageReport };
+}
+
+/**
+ * Retrieve a translation object for a given language. Uses cache to avoid
+ * reading the file repeatedly. Languages the site is not translated into
+ * get English; their codes never reach the file system.
+ * @param {string} lang
+ */
+async function getLocale(lang) {
+  if (!languages.includes(lang)) lang = defaultLanguage;
+  if (localesCache[lang]) {
+    return localesCache[lang];
+  }
+  try {
+    // Read through the store so that reloadData() can tell when the file changes
+    const obj = localeStore(lang).load();
+    localesCache[lang] = obj;
+    return obj;
+  } catch (err) {
+    console.error(`Could not read the ${lang} translations:`, err.message);
+    return {};
+  }
+}
+
+/**
+ * Address of the home page in a language: / for English, and /<lang>/ for
+ * the others.
+ * @param {string} lang
+ */
+function languageUrl(lang) {
+  return lang === defaultLanguage ? '/' : `/${lang}/`;
+}
+
+/**
+ * The language to show a visitor at /: the one they picked with the
+ * language selector, or else the best match for their browser's languages.
+ * @param {http.IncomingMessage} req
+ */
+function preferredLanguage(req) {
+  const picked = parseCookies(req)[LANGUAGE_COOKIE];
+  if (languages.includes(picked)) return picked;
+  return i18n.negotiate(req.headers['accept-language'], languages, defaultLanguage);
+}
+
+/**
+ * Send the home page translated into a language, listing its other
+ * languages as alternates.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} lang - one of `languages`
+ * @param {object} [headers] - additional response headers
+ */
+async function sendHomePage(req, res, lang, headers = {}) {
+  let html;
+  try {
+    html = await fs.promises.readFile(path.join(paths.public, 'index.html'), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('Not Found');
+  }
+  const url = (pathname) => config.siteUrl + pathname;
+  const ordered = [defaultLanguage, ...languages.filter(code => code !== defaultLanguage)];
+  const page = i18n.localizeHtml(html, {
+    lang,
+    strings: lang === defaultLanguage ? {} : await getLocale(lang),
+    canonical: url(languageUrl(lang)),
+    alternates: [
+      ...ordered.map(code => ({ lang: code, href: url(languageUrl(code)) })),
+      { lang: 'x-default', href: url('/') }
+    ]
+  });
+  staticFiles.sendPage(req, res, page, {
+    'Content-Type': 'text/html',
+    'Content-Language': lang,
+    ...headers
+  });
+}
+
+/**
+ * Parse the Cookie header into a name -> value object.
+ * @param {http.IncomingMessage} req
+ */
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (e) {
+      // ignore malformed values
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Whether the client reached us over HTTPS, directly or through a proxy.
+ * @param {http.IncomingMessage} req
+ */
+function isSecureRequest(req) {
+  return Boolean(req.socket.encrypted) || req.headers['x-forwarded-proto'] === 'https';
+}
+
+/**
+ * Build the Set-Cookie header value for the session cookie. It is scoped to
+ * the admin API, hidden from scripts and never sent cross-site. Passing an
+ * empty token clears the cookie.
+ * @param {http.IncomingMessage} req
+ * @param {string} token
+ */
+function sessionCookie(req, token) {
+  const maxAge = token ? Math.floor(config.sessionAbsoluteTimeoutHours * 60 * 60) : 0;
+  const parts = [`${SESSION_COOKIE}=${token}`, 'Path=/api/admin', `Max-Age=${maxAge}`, 'HttpOnly', 'SameSite=Strict'];
+  if (config.secureCookies || isSecureRequest(req)) parts.push('Secure');
+  return parts.join('; ');
+}
+
+/**
+ * The CSRF token of a session, derived from its token so that it needs no
+ * storage and cannot be guessed without the session cookie.
+ * @param {string} token - the session token
+ */
+function csrfToken(token) {
+  return crypto.createHmac('sha256', token).update('csrf').digest('hex');
+}
+
+/**
+ * Build the Set-Cookie header value for the CSRF cookie of a session. It is
+ * set for the whole site, as the panel is served at both /admin and
+ * /admin.html. Exposing it is harmless: it is an HMAC of the HttpOnly
+ * session cookie and useless without it. Passing an empty token clears the
+ * cookie.
+ * @param {http.IncomingMessage} req
+ * @param {string} token - the session token
+ */
+function csrfCookie(req, token) {
+  const maxAge = token ? Math.floor(config.sessionAbsoluteTimeoutHours * 60 * 60) : 0;
+  const parts = [`${CSRF_COOKIE}=${token ? csrfToken(token) : ''}`, 'Path=/', `Max-Age=${maxAge}`, 'SameSite=Strict'];
+  if (config.secureCookies || isSecureRequest(req)) parts.push('Secure');
+  return parts.join('; ');
+}
+
+/**
+ * Whether a request may go ahead without a CSRF token, or carries the
+ * right one. Only changes made with the session cookie need one; signing
+ * in is guarded by the same-origin check instead, as there is no session
+ * yet.
+ * @param {http.IncomingMessage} req
+ */
+function hasValidCsrfToken(req) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || req.pathname === '/api/admin/login') return true;
+  const token = parseCookies(req)[SESSION_COOKIE];
+  // Without the cookie the request is unauthenticated or uses a bearer
+  // token, which a browser never adds on its own
+  if (!token || req.headers.authorization) return true;
+  const expected = Buffer.from(csrfToken(token));
+  const given = Buffer.from(String(req.headers[CSRF_HEADER] || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Whether an Origin header names this site: the address the request was
+ * made to, or the configured site address.
+ * @param {http.IncomingMessage} req
+ * @param {string} origin
+ */
+function isSameOrigin(req, origin) {
+  return origin === `${isSecureRequest(req) ? 'https' : 'http'}://${req.headers.host}` ||
+    (Boolean(config.siteUrl) && origin === config.siteUrl);
+}
+
+/**
+ * Authenticate an admin request. Expects an Authorization header with
+ * "Bearer <token>", or the session cookie. Returns the signed-in user if
+ * the session is live and belongs to an enabled account, or null
+ * otherwise. The session itself is attached to the request as
+ * `req.adminSession`.
+ * @param {http.IncomingMessage} req
+ */
+function authenticate(req) {
+  const auth = req.headers['authorization'];
+  let token = null;
+  if (auth) {
+    const parts = auth.split(' ');
+    if (parts.length !== 2 || parts[0] !== 'Bearer') return null;
+    token = parts[1];
+  } else {
+    token = parseCookies(req)[SESSION_COOKIE];
+  }
+  const session = sessions.touch(token);
+  if (!session) return null;
+  const user = users.findById(session.userId);
+  if (!user || user.disabled) {
+    sessions.revoke(session.id);
+    return null;
+  }
+  req.adminSession = session;
+  req.adminUser = user;
+  return user;
+}
+
+/**
+ * Record an admin action in the audit log on behalf of the signed-in user.
+ * @param {http.IncomingMessage} req - an authorized request
+ * @param {string} action - e.g. 'faq.update'
+ * @param {string} target - e.g. 'faq:1a2b3c4d'
+ * @param {object} [details] - what changed, kept short
+ */
+function audit(req, action, target, details) {
+  auditLog.record({
+    actor: req.adminUser.username,
+    action,
+    target,
+    ip: req.socket.remoteAddress,
+    details
+  });
+}
+
+/**
+ * Authenticate an admin request and check the user's role. Sends a 401
+ * (not signed in) or 403 (role too low, or a temporary password that must
+ * be changed first) response and returns null if the request may not
+ * proceed; otherwise returns the user.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} minRole - 'viewer', 'editor' or 'owner'
+ * @param {{ allowTemporaryPassword?: boolean }} [options]
+ */
+function authorize(req, res, minRole, options = {}) {
+  const user = authenticate(req);
+  if (!user) {
+    sendError(res, 401, 'Unauthorized');
+    return null;
+  }
+  if (user.mustChangePassword && !options.allowTemporaryPassword) {
+    sendError(res, 403, 'Password change required');
+    return null;
+  }
+  if (!users.hasRole(user, minRole)) {
+    sendError(res, 403, 'Forbidden');
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Middleware: security headers on every response, CORS headers for the
+ * public API and the answer to preflight requests. The admin API sends no
+ * CORS headers and refuses requests from other origins outright, as well
+ * as changes made with the session cookie but without its CSRF token.
+ */
+async function security(req, res, next) {
+  Object.entries(SECURITY_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+  if (isSecureRequest(req)) res.setHeader('Strict-Transport-Security', STRICT_TRANSPORT_SECURITY);
+  const origin = req.headers.origin;
+  if (req.pathname.startsWith('/api/admin/')) {
+    if (origin && !isSameOrigin(req, origin)) {
+      return sendError(res, 403, 'Cross-origin requests are not allowed');
+    }
+    if (!hasValidCsrfToken(req)) {
+      return sendError(res, 403, 'Missing or invalid CSRF token');
+    }
+  } else if (req.pathname.startsWith('/api/')) {
+    if (config.corsOrigin.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else {
+      res.setHeader('Vary', 'Origin');
+      if (config.corsOrigin.includes(origin)) res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+    }
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+  await next();
+}
+
+/**
+ * Middleware factory: read a JSON request body that matches a schema into
+ * `req.body` (see readJson()).
+ * @param {object} bodySchema - one of REQUEST_SCHEMAS
+ */
+function jsonBody(bodySchema) {
+  return async (req, res, next) => {
+    req.body = await readJson(req, bodySchema);
+    await next();
+  };
+}
+
+/**
+ * Middleware factory: only let requests from signed-in admins with at least
+ * the given role through (see authorize()). The user is available to the
+ * following handlers as `req.adminUser`.
+ * @param {string} minRole - 'viewer', 'editor' or 'owner'
+ * @param {{ allowTemporaryPassword?: boolean }} [options]
+ */
+function requireRole(minRole, options) {
+  return async (req, res, next) => {
+    if (authorize(req, res, minRole, options)) await next();
+  };
+}
+
+/**
+ * Middleware refusing changes to data that was recovered from a backup at
+ * startup (see loadData), so the backup never overwrites the damaged file
+ * before someone has looked at it.
+ * @param {...string} names - keys of `stores`, or 'users'
+ */
+function requireWritable(...names) {
+  return async (req, res, next) => {
+    const readOnly = names.some(name => (name === 'users' ? users.isReadOnly() : stores[name].readOnly));
+    if (readOnly) {
+      return sendError(res, 503, 'This data is read-only until its file is repaired');
+    }
+    await next();
+  };
+}
+
+/**
+ * Fallback for requests no route matched: JSON errors for the API, and the
+ * admin panel and static files for everything else.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string[]} allowed - methods the path accepts, if any
+ */
+async function serveSite(req, res, allowed) {
+  const { method, pathname } = req;
+  // Unknown API routes get a JSON error rather than falling through to
+  // static files
+  if (pathname.startsWith('/api/')) {
+    if (allowed.length) {
+      return sendError(res, 405, 'Method not allowed', { headers: { Allow: allowed.join(', ') } });
+    }
+    return sendError(res, 404, 'Not found');
+  }
+
+  if (method === 'GET' || method === 'HEAD') {
+    // If request starts with /admin, serve admin.html
+    if (pathname === '/admin' && await staticFiles.serveFile(req, res, path.join(paths.public, 'admin.html'))) {
+      return;
+    }
+    // Serve static files
+    if (await serveStatic(req, res)) {
+      return;
+    }
+  }
+  // 404 not found
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Not Found');
+}
+
+/**
+ * Create the metrics served at /metrics.
+ */
+function createMetrics() {
+  const registry = createRegistry();
+  const started = Date.now();
+  registry.gauge('process_uptime_seconds', 'Time since the server started', () => (Date.now() - started) / 1000);
+  registry.gauge('process_resident_memory_bytes', 'Memory held by the process', () => process.memoryUsage().rss);
+  return {
+    registry,
+    requests: registry.counter('http_requests_total', 'Requests answered, by method, route and status', ['method', 'route', 'status']),
+    duration: registry.histogram('http_request_duration_seconds', 'Time taken to answer requests, by method and route', {
+      buckets: DURATION_BUCKETS,
+      labelNames: ['method', 'route']
+    }),
+    chatQuestions: registry.counter('chat_questions_total', 'Chat questions, by whether a FAQ answered them', ['result']),
+    uploadSize: registry.histogram('upload_size_bytes', 'Size of uploaded files, by kind', {
+      buckets: UPLOAD_BUCKETS,
+      labelNames: ['kind']
+    })
+  };
+}
+
+/**
+ * Record a finished request in the metrics and the access log. Requests
+ * are grouped in the metrics by route pattern rather than path, so that
+ * IDs in paths do not make a series each.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {bigint} start - from process.hrtime.bigint()
+ * @param {string} ip - of the client; the socket may be gone by now
+ */
+function recordRequest(req, res, start, ip) {
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+  // A connection lost before the response started has no status
+  const status = res.headersSent ? res.statusCode : 0;
+  const method = METRIC_METHODS.includes(req.method) ? req.method : 'other';
+  const route = req.route || (String(req.pathname || '').startsWith('/api/') ? 'unmatched' : 'static');
+  metrics.requests.inc({ method, route, status });
+  metrics.duration.observe({ method, route }, seconds);
+  if (!config.accessLog) return;
+  process.stdout.write(JSON.stringify({
+    time: new Date().toISOString(),
+    requestId: req.id,
+    method: req.method,
+    path: req.pathname || req.url,
+    status,
+    durationMs: Number((seconds * 1000).toFixed(1)),
+    ip,
+    userAgent: req.headers['user-agent']
+  }) + '\n');
+}
+
+/**
+ * Check that each data file can be read and written, or, for files not
+ * created yet, that its directory can be written. Returns a status per
+ * file: 'ok', or what is wrong.
+ * @returns {Promise<object>}
+ */
+async function checkDataFiles() {
+  const files = {
+    faqs: paths.faqs,
+    gallery: paths.gallery,
+    leads: paths.leads,
+    applications: paths.applications,
+    users: paths.users,
+    sessions: paths.sessions,
+    locales: paths.locales
+  };
+  const checks = {};
+  for (const [name, file] of Object.entries(files)) {
+    try {
+      await fs.promises.access(file, fs.constants.R_OK | fs.constants.W_OK);
+      checks[name] = 'ok';
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        checks[name] = 'not readable and writable';
+        continue;
+      }
+      try {
+        await fs.promises.access(path.dirname(file), fs.constants.W_OK);
+        checks[name] = 'ok';
+      } catch (e) {
+        checks[name] = 'cannot be created';
+      }
+    }
+  }
+  // Data served from a backup cannot be changed until its file is repaired
+  Object.entries(stores).forEach(([name, store]) => {
+    if (store.readOnly) checks[name] = 'read-only';
+  });
+  if (users.isReadOnly()) checks.users = 'read-only';
+  return checks;
+}
+
+/**
+ * Whether a request carries the bearer token /metrics asks for.
+ * @param {http.IncomingMessage} req
+ */
+function hasMetricsToken(req) {
+  const given = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  // Compare digests, which have the same length whatever was sent
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return Boolean(given) && crypto.timingSafeEqual(digest(given[1]), digest(config.metricsToken));
+}
+
+/**
+ * Register the API routes.
+ * @param {object} router - see lib/router.js
+ */
+function registerRoutes(router) {
+  // Health check for the host: 200 while every data file can be read and
+  // written, 503 otherwise, with the state of each
+  router.get('/healthz', async (req, res) => {
+    const checks = await checkDataFiles();
+    const healthy = Object.values(checks).every(check => check === 'ok');
+    sendJson(res, healthy ? 200 : 503, { status: healthy ? 'ok' : 'error', checks }, { 'Cache-Control': 'no-store' });
+  });
+  // Metrics in the Prometheus text format, behind METRICS_TOKEN if set
+  router.get('/metrics', (req, res) => {
+    if (config.metricsToken && !hasMetricsToken(req)) {
+      return sendError(res, 401, 'Unauthorized', { headers: { 'WWW-Authenticate': 'Bearer' } });
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(metrics.registry.render());
+  });
+  // API: translations
+  router.get('/api/locales/:lang', async (req, res) => {
+    const localeObj = await getLocale(req.params.lang.replace('.json', ''));
+    sendJson(res, 200, localeObj);
+  });
+  // Home page. Visitors who prefer another language are sent to its
+  // address, so that each address always shows the same language.
+  router.get(['/', '/index.html'], async (req, res) => {
+    const lang = preferredLanguage(req);
+    const vary = { Vary: 'Accept-Language, Cookie' };
+    if (lang !== defaultLanguage) {
+      const query = req.query.toString();
+      res.writeHead(302, { Location: languageUrl(lang) + (query ? `?${query}` : ''), ...vary });
+      return res.end();
+    }
+    await sendHomePage(req, res, defaultLanguage, vary);
+  });
+  // Home page in another language, e.g. /fr/
+  router.get('/:lang/', async (req, res) => {
+    const { lang } = req.params;
+    if (lang === defaultLanguage) {
+      res.writeHead(301, { Location: '/' });
+      return res.end();
+    }
+    if (!languages.includes(lang)) return serveSite(req, res, []);
+    await sendHomePage(req, res, lang);
+  });
+  // API: FAQs list. With ?lang= the entries are localized to that
+  // language; without it every entry is returned with all translations.
+  router.get('/api/faqs', (req, res) => {
+    if (req.query.has('lang')) {
+      const lang = normalizeLanguage(req.query.get('lang'));
+      return sendJson(res, 200, faqs.map(faq => localizeFaq(faq, lang)));
+    }
+    sendJson(res, 200, faqs);
+  });
+  // API: Gallery list. Without parameters every pair is returned in the
+  // order set in the admin panel, with all translations. ?lang= localizes
+  // the entries and ?category= keeps one service's pairs. With ?page= or
+  // ?limit= the featured pairs come first and one page is returned as
+  // { entries, total, page, pages, limit, categories }, where categories
+  // counts the pairs of each service across the whole gallery.
+  router.get('/api/gallery', (req, res) => {
+    const params = req.query;
+    let entries = gallery;
+    const category = params.get('category');
+    if (category) {
+      if (!services.includes(category)) {
+        return sendError(res, 400, 'Invalid category', { field: 'category' });
+      }
+      entries = entries.filter(entry => entry.category === category);
+    }
+    if (params.has('lang')) {
+      const lang = normalizeLanguage(params.get('lang'));
+      entries = entries.map(entry => localizeGalleryEntry(entry, lang));
+    }
+    if (!params.has('page') && !params.has('limit')) {
+      return sendJson(res, 200, entries);
+    }
+    const page = Number(params.get('page') || 1);
+    const limit = Number(params.get('limit') || GALLERY_PAGE_SIZE);
+    if (!Number.isInteger(page) || page < 1) {
+      return sendError(res, 400, 'Invalid page', { field: 'page' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > GALLERY_MAX_PAGE_SIZE) {
+      return sendError(res, 400, `Limit must be between 1 and ${GALLERY_MAX_PAGE_SIZE}`, { field: 'limit' });
+    }
+    // Featured first, otherwise in admin order (the sort is stable)
+    entries = entries.slice().sort((a, b) => Number(Boolean(b.featured)) - Number(Boolean(a.featured)));
+    const categories = {};
+    gallery.forEach(entry => {
+      if (entry.category) categories[entry.category] = (categories[entry.category] || 0) + 1;
+    });
+    sendJson(res, 200, {
+      entries: entries.slice((page - 1) * limit, page * limit),
+      total: entries.length,
+      page,
+      pages: Math.ceil(entries.length / limit),
+      limit,
+      categories
+    });
+  });
+  // API: suggestions (returns 5 random question strings)
+  router.get('/api/faqs-suggestions', (req, res) => {
+    const lang = normalizeLanguage(req.query.get('lang'));
+    const count = Math.min(5, faqs.length);
+    const indices = new Set();
+    while (indices.size < count) {
+      indices.add(Math.floor(Math.random() * faqs.length));
+    }
+    const suggestions = Array.from(indices).map(i => localizeFaq(faqs[i], lang).question);
+    sendJson(res, 200, suggestions);
+  });
+  // API: chat
+  router.post('/api/chat', jsonBody(REQUEST_SCHEMAS.chat), async (req, res) => {
+    const body = req.body;
+    const question = (body.question || '').trim();
+    const lang = normalizeLanguage(body.lang);
+    // Anonymous per-visitor ID chosen by the browser so exchanges from the
+    // same conversation can be grouped; issue one if it is missing.
+    const sessionId = /^[a-f0-9]{16,64}$/.test(body.sessionId || '') ? body.sessionId : crypto.randomBytes(8).toString('hex');
+    let answer = null;
+    let confidence = 0;
+    let faqId = null;
+    let related = [];
+    if (question) {
+      const results = faqSearch.search(getFaqIndex(lang), question, { limit: CHAT_RELATED_COUNT + 1 });
+      const best = results[0];
+      if (best && best.confidence >= CHAT_MIN_CONFIDENCE) {
+        const match = faqs.find(faq => faq.id === best.id);
+        answer = localizeFaq(match, lang).answer;
+        confidence = best.confidence;
+        faqId = best.id;
+      }
+      related = results
+        .filter(result => result.id !== faqId && result.confidence >= CHAT_RELATED_MIN_CONFIDENCE)
+        .slice(0, CHAT_RELATED_COUNT)
+        .map(result => {
+          const localized = localizeFaq(faqs.find(faq => faq.id === result.id), lang);
+          return { id: localized.id, question: localized.question };
+        });
+    }
+    if (question) {
+      metrics.chatQuestions.inc({ result: faqId ? 'match' : 'no_match' });
+      logChatExchange({
+        timestamp: new Date().toISOString(),
+        sessionId,
+        lang,
+        question: question.slice(0, 500),
+        faqId,
+        confidence: Number(confidence.toFixed(2)),
+        answered: Boolean(faqId)
+      });
+    }
+    if (!answer) {
+      const localeObj = await getLocale(lang);
+      answer = localeObj['chat_no_answer'] || 'Sorry, I don\'t know the answer.';
+    }
+    sendJson(res, 200, { answer, confidence: Number(confidence.toFixed(2)), faqId, related, sessionId });
+  });
+  // API: quote request from the contact form
+  router.post('/api/leads', requireWritable('leads'), jsonBody(REQUEST_SCHEMAS.lead), async (req, res) => {
+    const { lead, images, error, field } = parseLeadPayload(req.body);
+    if (error) {
+      return sendError(res, 400, error, { field });
+    }
+    const id = crypto.randomBytes(8).toString('hex');
+    const photos = [];
+    try {
+      if (images.length) {
+        const dir = path.join(paths.leadUploads, id);
+        fs.mkdirSync(dir, { recursive: true });
+        images.forEach((image, i) => {
+          metrics.uploadSize.observe({ kind: 'lead_photo' }, image.buffer.length);
+          const filename = `photo-${i + 1}.${image.ext}`;
+          fs.writeFileSync(path.join(dir, filename), image.buffer);
+          photos.push(filename);
+        });
+      }
+    } catch (e) {
+      console.error('Failed to save lead photos:', e);
+      return sendError(res, 500, 'Failed to save photos');
+    }
+    const now = new Date().toISOString();
+    const entry = { id, createdAt: now, updatedAt: now, status: 'new', ...lead, photos, notes: [] };
+    leads.push(entry);
+    // Only confirm the request once it is on disk; otherwise the visitor is
+    // asked to send it again, so it is dropped rather than kept in memory
+    try {
+      await saveLeads();
+    } catch (e) {
+      leads = leads.filter(item => item !== entry);
+      fs.rm(path.join(paths.leadUploads, id), { recursive: true, force: true }, () => {});
+      return sendError(res, 500, 'Failed to save your request; please try again');
+    }
+    sendJson(res, 200, { success: true, id });
+  });
+  // API: job application from the careers form
+  router.post('/api/careers/apply', requireWritable('applications'), jsonBody(REQUEST_SCHEMAS.application), async (req, res) => {
+    const { application, resume, error, field } = parseApplicationPayload(req.body);
+    if (error) {
+      return sendError(res, 400, error, { field });
+    }
+    const id = crypto.randomBytes(8).toString('hex');
+    try {
+      fs.mkdirSync(paths.resumeUploads, { recursive: true });
+      fs.writeFileSync(path.join(paths.resumeUploads, `${id}.pdf`), resume);
+      metrics.uploadSize.observe({ kind: 'resume' }, resume.length);
+    } catch (e) {
+      console.error('Failed to save résumé:', e);
+      return sendError(res, 500, 'Failed to save résumé');
+    }
+    const now = new Date().toISOString();
+    const entry = { id, createdAt: now, updatedAt: now, status: 'new', rating: null, ...application };
+    applications.push(entry);
+    // As with leads, only confirm the application once it is on disk
+    try {
+      await saveApplications();
+    } catch (e) {
+      applications = applications.filter(item => item !== entry);
+      fs.unlink(path.join(paths.resumeUploads, `${id}.pdf`), () => {});
+      return sendError(res, 500, 'Failed to save your application; please try again');
+    }
+    sendJson(res, 200, { success: true, id });
+  });
+  // API: admin login
+  router.post('/api/admin/login', jsonBody(REQUEST_SCHEMAS.login), async (req, res) => {
+    const { username, password } = req.body;
+    const ip = req.socket.remoteAddress;
+    const name = String(username || '').trim().toLowerCase().slice(0, 64);
+    const retryAfter = Math.max(loginThrottles.ip.retryAfter(ip), loginThrottles.username.retryAfter(name));
+    if (retryAfter) {
+      return sendError(res, 429, 'Too many failed sign-in attempts. Try again later.', {
+        headers: { 'Retry-After': String(Math.ceil(retryAfter / 1000)) }
+      });
+    }
+    const user = users.findByUsername(name);
+    // Verify even for unknown users so response times do not reveal
+    // which usernames exist
+    const valid = await users.verifyPassword(password, user && user.passwordHash);
+    if (user && valid && !user.disabled) {
+      loginThrottles.username.reset(name);
+      const { token, session } = sessions.create(user.id, { ip, userAgent: req.headers['user-agent'] });
+      auditLog.record({ actor: user.username, action: 'login', target: `session:${session.id}`, ip });
+      return sendJson(res, 200, { token, user: users.toPublic(user) }, {
+        'Set-Cookie': [sessionCookie(req, token), csrfCookie(req, token)]
+      });
+    }
+    const lockedIp = loginThrottles.ip.fail(ip);
+    const lockedName = loginThrottles.username.fail(name);
+    auditLog.record({ actor: name, action: 'login.failed', ip });
+    if (lockedIp || lockedName) {
+      auditLog.record({ actor: name, action: 'login.locked', target: lockedName ? `user:${name}` : `ip:${ip}`, ip });
+    }
+    sendError(res, 401, 'Invalid credentials');
+  });
+  // API: sign out, ending the current session (admin)
+  router.post('/api/admin/logout', (req, res) => {
+    if (authenticate(req)) {
+      sessions.revoke(req.adminSession.id);
+      audit(req, 'logout', `session:${req.adminSession.id}`);
+    }
+    sendJson(res, 200, { success: true }, { 'Set-Cookie': [sessionCookie(req, ''), csrfCookie(req, '')] });
+  });
+  // API: list live sessions (admin). Owners see everyone's sessions,
+  // other users only their own.
+  router.get('/api/admin/sessions', requireRole('viewer'), (req, res) => {
+    const user = req.adminUser;
+    const list = sessions.list()
+      .filter(session => users.hasRole(user, 'owner') || session.userId === user.id)
+      .map(session => {
+        const owner = users.findById(session.userId);
+        return {
+          ...sessions.toPublic(session),
+          username: owner ? owner.username : '',
+          current: session.id === req.adminSession.id
+        };
+      })
+      .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+    sendJson(res, 200, list);
+  });
+  // API: revoke a session (admin). Owners may revoke any session, other
+  // users only their own.
+  router.delete('/api/admin/sessions/:id', requireRole('viewer'), (req, res) => {
+    const user = req.adminUser;
+    const session = sessions.findById(req.params.id);
+    if (!session || (session.userId !== user.id && !users.hasRole(user, 'owner'))) {
+      return sendError(res, 404, 'Session not found');
+    }
+    sessions.revoke(session.id);
+    audit(req, 'session.revoke', `session:${session.id}`);
+    sendJson(res, 200, { success: true });
+  });
+  // API: the signed-in user (admin)
+  router.get('/api/admin/me', requireRole('viewer', { allowTemporaryPassword: true }), (req, res) => {
+    // Renew the CSRF cookie along with the session, in case it was lost
+    const token = !req.headers.authorization && parseCookies(req)[SESSION_COOKIE];
+    sendJson(res, 200, users.toPublic(req.adminUser), token ? { 'Set-Cookie': csrfCookie(req, token) } : {});
+  });
+  // API: change own password (admin)
+  router.post('/api/admin/change-password', requireRole('viewer', { allowTemporaryPassword: true }), requireWritable('users'), jsonBody(REQUEST_SCHEMAS.changePassword), async (req, res) => {
+    const user = req.adminUser;
+    const body = req.body;
+    if (!(await users.verifyPassword(body.currentPassword, user.passwordHash))) {
+      return sendError(res, 400, 'Current password is incorrect', { field: 'currentPassword' });
+    }
+    const problem = users.validatePassword(body.newPassword);
+    if (problem) {
+      return sendError(res, 400, problem, { field: 'newPassword' });
+    }
+    await users.setPassword(user, body.newPassword, false);
+    // Sign out everywhere else, in case the old password was compromised
+    sessions.list()
+      .filter(session => session.userId === user.id && session.id !== req.adminSession.id)
+      .forEach(session => sessions.revoke(session.id));
+    audit(req, 'password.change', `user:${user.username}`);
+    sendJson(res, 200, { success: true });
+  });
+  // API: list users (owner)
+  router.get('/api/admin/users', requireRole('owner'), (req, res) => {
+    sendJson(res, 200, users.list().map(users.toPublic));
+  });
+  // API: invite a user (owner). The account gets a temporary password,
+  // returned once here, which must be changed at first sign-in.
+  router.post('/api/admin/users', requireRole('owner'), requireWritable('users'), jsonBody(REQUEST_SCHEMAS.inviteUser), async (req, res) => {
+    const body = req.body;
+    const username = typeof body.username === 'string' ? body.username.trim().toLowerCase() : '';
+    const problem = users.validateUsername(username);
+    if (problem) {
+      return sendError(res, 400, problem, { field: 'username' });
+    }
+    if (!users.ROLES.includes(body.role)) {
+      return sendError(res, 400, 'Invalid role', { field: 'role' });
+    }
+    const temporaryPassword = users.generatePassword();
+    const created = await users.create({ username, password: temporaryPassword, role: body.role, mustChangePassword: true });
+    audit(req, 'user.invite', `user:${created.username}`, { role: created.role });
+    sendJson(res, 200, { success: true, user: users.toPublic(created), temporaryPassword });
+  });
+  // API: change a user's role or enable/disable them (owner)
+  router.put('/api/admin/users/:id', requireRole('owner'), requireWritable('users'), async (req, res) => {
+    const actor = req.adminUser;
+    const target = users.findById(req.params.id);
+    if (!target) {
+      return sendError(res, 404, 'User not found');
+    }
+    const body = await readJson(req, REQUEST_SCHEMAS.updateUser);
+    if (target.id === actor.id && (body.disabled || (body.role && body.role !== 'owner'))) {
+      return sendError(res, 400, 'You cannot disable or demote yourself');
+    }
+    const losesOwner = target.role === 'owner' && !target.disabled &&
+      (body.disabled === true || (body.role !== undefined && body.role !== 'owner'));
+    if (losesOwner && users.activeOwnerCount() === 1) {
+      return sendError(res, 400, 'At least one active owner is required');
+    }
+    const previous = { role: target.role, disabled: target.disabled };
+    if (body.role !== undefined) target.role = body.role;
+    if (body.disabled !== undefined) target.disabled = body.disabled;
+    try {
+      await users.save();
+    } catch (e) {
+      Object.assign(target, previous);
+      return sendError(res, 500, 'Failed to save the user');
+    }
+    if (target.disabled) sessions.revokeUser(target.id);
+    audit(req, 'user.update', `user:${target.username}`, { role: body.role, disabled: body.disabled });
+    sendJson(res, 200, { success: true, user: users.toPublic(target) });
+  });
+  // API: reset a user's password (owner). Signs the user out everywhere
+  // and returns a new temporary password.
+  router.post('/api/admin/users/:id/reset-password', requireRole('owner'), requireWritable('users'), async (req, res) => {
+    const target = users.findById(req.params.id);
+    if (!target) {
+      return sendError(res, 404, 'User not found');
+    }
+    const temporaryPassword = users.generatePassword();
+    await users.setPassword(target, temporaryPassword, true);
+    sessions.revokeUser(target.id);
+    audit(req, 'user.reset-password', `user:${target.username}`);
+    sendJson(res, 200, { success: true, temporaryPassword });
+  });
+  // API: add FAQ (admin). `/api/admin/add-faq` is kept for older clients.
+  router.post(['/api/admin/faqs', '/api/admin/add-faq'], requireRole('editor'), requireWritable('faqs'), jsonBody(REQUEST_SCHEMAS.faq), async (req, res) => {
+    const { faq, error, field } = parseFaqPayload(req.body);
+    if (error) {
+      return sendError(res, 400, error, { field });
+    }
+    const entry = { id: generateId(faqs), ...faq };
+    const previous = faqs.slice();
+    faqs.push(entry);
+    try {
+      await saveFaqs();
+    } catch (e) {
+      restoreFaqs(previous);
+      return sendError(res, 500, 'Failed to save the FAQ');
+    }
+    audit(req, 'faq.create', `faq:${entry.id}`, { question: entry.question });
+    sendJson(res, 200, { success: true, faq: entry });
+  });
+  // API: reorder FAQs (admin). Expects { ids: [...] } listing every FAQ ID
+  // exactly once in the desired order.
+  router.post('/api/admin/faqs/reorder', requireRole('editor'), requireWritable('faqs'), jsonBody(REQUEST_SCHEMAS.reorder), async (req, res) => {
+    const ids = req.body.ids;
+    const byId = new Map(faqs.map(faq => [faq.id, faq]));
+    if (ids.length !== faqs.length || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+      return sendError(res, 400, 'ids must list every FAQ exactly once', { field: 'ids' });
+    }
+    const previous = faqs;
+    faqs = ids.map(id => byId.get(id));
+    try {
+      await saveFaqs();
+    } catch (e) {
+      restoreFaqs(previous);
+      return sendError(res, 500, 'Failed to save the FAQs');
+    }
+    audit(req, 'faq.reorder', 'faqs');
+    sendJson(res, 200, { success: true });
+  });
+  // API: update or delete a single FAQ (admin)
+  router.put('/api/admin/faqs/:id', requireRole('editor'), requireWritable('faqs'), async (req, res) => {
+    const index = faqs.findIndex(faq => faq.id === req.params.id);
+    if (index === -1) {
+      return sendError(res, 404, 'FAQ not found');
+    }
+    const { faq, error, field } = parseFaqPayload(await readJson(req, REQUEST_SCHEMAS.faq));
+    if (error) {
+      return sendError(res, 400, error, { field });
+    }
+    const previous = faqs.slice();
+    faqs[index] = { ...faqs[index], ...faq };
+    try {
+      await saveFaqs();
+    } catch (e) {
+      restoreFaqs(previous);
+      return sendError(res, 500, 'Failed to save the FAQ');
+    }
+    audit(req, 'faq.update', `faq:${faqs[index].id}`, { question: faqs[index].question });
+    sendJson(res, 200, { success: true, faq: faqs[index] });
+  });
+  router.delete('/api/admin/faqs/:id', requireRole('editor'), requireWritable('faqs'), async (req, res) => {
+    const index = faqs.findIndex(faq => faq.id === req.params.id);
+    if (index === -1) {
+      return sendError(res, 404, 'FAQ not found');
+    }
+    const previous = faqs.slice();
+    const [removed] = faqs.splice(index, 1);
+    try {
+      await saveFaqs();
+    } catch (e) {
+      restoreFaqs(previous);
+      return sendError(res, 500, 'Failed to delete the FAQ');
+    }
+    audit(req, 'faq.delete', `faq:${removed.id}`, { question: removed.question });
+    sendJson(res, 200, { success: true });
+  });
+  // API: most frequent unanswered chat questions (admin). Optional
+  // ?days= limits the report to recent exchanges (default 30, 0 for all).
+  router.get('/api/admin/chat/unanswered', requireRole('viewer'), async (req, res) => {
+    const days = req.query.has('days') ? Number(req.query.get('days')) : 30;
+    const limit = Math.min(Number(req.query.get('limit')) || 50, 500);
+    if (!Number.isFinite(days) || days < 0) {
+      return sendError(res, 400, 'Invalid days');
+    }
+    const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+    const entries = await readChatLog();
+    const recent = entries.filter(entry => Date.parse(entry.timestamp) >= since);
+    const questions = summarizeUnanswered(recent);
+    sendJson(res, 200, {
+      total: recent.length,
+      unanswered: recent.filter(entry => !entry.answered).length,
+      questions: questions.slice(0, limit)
+    });
+  });
+  // API: list leads (admin), newest first, optionally ?status=
+  router.get('/api/admin/leads', requireRole('viewer'), (req, res) => {
+    const status = req.query.get('status');
+    if (status && !LEAD_STATUSES.includes(status)) {
+      return sendError(res, 400, 'Invalid status');
+    }
+    const list = leads.filter(lead => !status || lead.status === status).reverse();
+    sendJson(res, 200, list);
+  });
+  // API: change a lead's status (admin)
+  router.put('/api/admin/leads/:id', requireRole('editor'), requireWritable('leads'), async (req, res) => {
+    const lead = leads.find(item => item.id === req.params.id);
+    if (!lead) {
+      return sendError(res, 404, 'Lead not found');
+    }
+    const body = await readJson(req, REQUEST_SCHEMAS.leadStatus);
+    const previous = { status: lead.status, updatedAt: lead.updatedAt };
+    lead.status = body.status;
+    lead.updatedAt = new Date().toISOString();
+    try {
+      await saveLeads();
+    } catch (e) {
+      Object.assign(lead, previous);
+      return sendError(res, 500, 'Failed to save the lead');
+    }
+    audit(req, 'lead.update', `lead:${lead.id}`, { status: lead.status });
+    sendJson(res, 200, { success: true, lead });
+  });
+  // API: add a note to a lead (admin)
+  router.post('/api/admin/leads/:id/notes', requireRole('editor'), requireWritable('leads'), async (req, res) => {
+    const lead = leads.find(item => item.id === req.params.id);
+    if (!lead) {
+      return sendError(res, 404, 'Lead not found');
+    }
+    const text = (await readJson(req, REQUEST_SCHEMAS.leadNote)).text.trim();
+    if (!text) {
+      return sendError(res, 400, 'Note must not be empty', { field: 'text' });
+    }
+    const note = { text, createdAt: new Date().toISOString() };
+    const { updatedAt } = lead;
+    lead.notes.push(note);
+    lead.updatedAt = note.createdAt;
+    try {
+      await saveLeads();
+    } catch (e) {
+      lead.notes = lead.notes.filter(item => item !== note);
+      lead.updatedAt = updatedAt;
+      return sendError(res, 500, 'Failed to save the note');
+    }
+    audit(req, 'lead.note', `lead:${lead.id}`);
+    sendJson(res, 200, { success: true, lead });
+  });
+  // API: photo attached to a lead (admin)
+  router.get('/api/admin/leads/:id/photos/:file', requireRole('viewer'), (req, res) => {
+    const lead = leads.find(item => item.id === req.params.id);
+    const filename = req.params.file;
+    // Only files recorded on the lead can be served, which also rules out
+    // path traversal through the filename.
+    if (!lead || !lead.photos.includes(filename)) {
+      return sendError(res, 404, 'Photo not found');
+    }
+    const contentType = filename.endsWith('.png') ? 'image/png' : 'image/jpeg';
+    try {
+      const data = fs.readFileSync(path.join(paths.leadUploads, lead.id, filename));
+      res.writeHead(200, { 'Content-Type': contentType });
+      res.end(data);
+    } catch (e) {
+      console.error('Failed to read lead photo:', e);
+      sendError(res, 404, 'Photo not found');
+    }
+  });
+  // API: list job applications (admin), newest first, optionally ?status=
+  router.get('/api/admin/applications', requireRole('viewer'), (req, res) => {
+    const status = req.query.get('status');
+    if (status && !APPLICATION_STATUSES.includes(status)) {
+      return sendError(res, 400, 'Invalid status');
+    }
+    const list = applications.filter(item => !status || item.status === status).reverse();
+    sendJson(res, 200, list);
+  });
+  // API: change an application's status and/or rating (admin). A rating
+  // is 1-5, or null to clear it.
+  router.put('/api/admin/applications/:id', requireRole('editor'), requireWritable('applications'), async (req, res) => {
+    const application = applications.find(item => item.id === req.params.id);
+    if (!application) {
+      return sendError(res, 404, 'Application not found');
+    }
+    const body = await readJson(req, REQUEST_SCHEMAS.applicationUpdate);
+    const previous = { status: application.status, rating: application.rating, updatedAt: application.updatedAt };
+    if (body.status !== undefined) application.status = body.status;
+    if (body.rating !== undefined) application.rating = body.rating;
+    application.updatedAt = new Date().toISOString();
+    try {
+      await saveApplications();
+    } catch (e) {
+      Object.assign(application, previous);
+      return sendError(res, 500, 'Failed to save the application');
+    }
+    audit(req, 'application.update', `application:${application.id}`, { status: body.status, rating: body.rating });
+    sendJson(res, 200, { success: true, application });
+  });
+  // API: download an applicant's résumé (admin)
+  router.get('/api/admin/applications/:id/resume', requireRole('viewer'), (req, res) => {
+    const application = applications.find(item => item.id === req.params.id);
+    if (!application) {
+      return sendError(res, 404, 'Application not found');
+    }
+    try {
+      const data = fs.readFileSync(path.join(paths.resumeUploads, `${application.id}.pdf`));
+      const filename = `resume-${application.name.replace(/[^\w-]+/g, '_')}.pdf`;
+      res.writeHead(200, {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      res.end(data);
+    } catch (e) {
+      console.error('Failed to read résumé:', e);
+      sendError(res, 404, 'Résumé not found');
+    }
+  });
+  // API: audit log (owner), newest first. Filters: ?actor=, ?action=,
+  // ?target= (substring), ?from= and ?to= (inclusive YYYY-MM-DD dates).
+  router.get('/api/admin/audit', requireRole('owner'), async (req, res) => {
+    const params = req.query;
+    const from = params.get('from');
+    const to = params.get('to');
+    if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+      return sendError(res, 400, 'Invalid date');
+    }
+    const limit = Math.min(Number(params.get('limit')) || 200, 1000);
+    const entries = await auditLog.read();
+    const matches = auditLog.filter(entries, {
+      actor: params.get('actor') || undefined,
+      action: params.get('action') || undefined,
+      target: params.get('target') || undefined,
+      since: from ? Date.parse(from) : undefined,
+      until: to ? Date.parse(to) + 24 * 60 * 60 * 1000 : undefined
+    });
+    sendJson(res, 200, {
+      total: matches.length,
+      actions: Array.from(new Set(entries.map(entry => entry.action))).sort(),
+      entries: matches.slice(-limit).reverse()
+    });
+  });
+  // API: add an image pair to the gallery (admin). Accepts
+  // multipart/form-data with `before` and `after` files and optional
+  // descriptive fields (see parseGalleryFields()), streamed to
+  // disk. JSON with data URIs is still accepted from older clients. Images
+  // must be JPEG or PNG, and are processed into resized variants
+  // without metadata before they are published. `/api/admin/upload-image`
+  // is kept for older clients.
+  router.post(['/api/admin/gallery', '/api/admin/upload-image'], requireRole('editor'), requireWritable('gallery'), async (req, res) => {
+    let images;
+    let fields;
+    if (/^multipart\/form-data/i.test(req.headers['content-type'] || '')) {
+      fs.mkdirSync(paths.uploadTmp, { recursive: true });
+      let upload;
+      try {
+        // `translations` is a JSON field holding every language's texts
+        upload = await multipart.parse(req, { uploadDir: paths.uploadTmp, maxFiles: 2, maxFileSize: GALLERY_MAX_IMAGE_BYTES, maxFieldSize: 64 * 1024 });
+      } catch (e) {
+        if (!e.statusCode) throw e;
+        return sendError(res, e.statusCode, e.message, { field: e.field });
+      }
+      const discard = () => Object.values(upload.files).forEach(file => fs.unlink(file.path, () => {}));
+      const { before, after } = upload.files;
+      if (!before || !after) {
+        discard();
+        return sendError(res, 400, 'Missing images', { field: before ? 'after' : 'before' });
+      }
+      const beforeType = imageType.detect(before.head);
+      const afterType = imageType.detect(after.head);
+      const invalid = [['before', beforeType], ['after', afterType]].find(([, type]) => !type || !GALLERY_IMAGE_TYPES.includes(type.ext));
+      if (invalid) {
+        discard();
+        const message = invalid[1] ? 'WebP images cannot be processed; upload a JPEG or PNG' : 'Images must be JPEG or PNG';
+        return sendError(res, 415, message, { field: invalid[0] });
+      }
+      images = {
+        before: { path: before.path, size: before.size },
+        after: { path: after.path, size: after.size }
+      };
+      fields = upload.fields;
+    } else {
+      fields = await readJson(req, REQUEST_SCHEMAS.galleryPair);
+      if (!fields.before || !fields.after) {
+        return sendError(res, 400, 'Missing images', { field: fields.before ? 'after' : 'before' });
+      }
+      images = {
+        before: decodeImageDataUri(fields.before, GALLERY_IMAGE_TYPES),
+        after: decodeImageDataUri(fields.after, GALLERY_IMAGE_TYPES)
+      };
+      if (!images.before || !images.after) {
+        return sendError(res, 400, 'Invalid image data');
+      }
+    }
+    const parsed = parseGalleryFields(fields);
+    if (parsed.error) {
+      Object.values(images).forEach(image => image.path && fs.unlink(image.path, () => {}));
+      return sendError(res, 400, parsed.error, { field: parsed.field });
+    }
+    Object.values(images).forEach(image => {
+      metrics.uploadSize.observe({ kind: 'gallery_image' }, image.buffer ? image.buffer.length : image.size);
+    });
+    const id = generateId(gallery);
+    let processed;
+    try {
+      processed = await processGalleryImages(id, images);
+    } catch (e) {
+      if (e.statusCode) return sendError(res, e.statusCode, e.message, { field: e.field });
+      console.error('Failed to save images:', e);
+      return sendError(res, 500, 'Failed to save images');
+    } finally {
+      Object.values(images).forEach(image => image.path && fs.unlink(image.path, () => {}));
+    }
+    const newEntry = { id, ...processed, ...parsed.fields };
+    const previous = gallery.slice();
+    gallery.push(newEntry);
+    try {
+      await saveGallery();
+    } catch (e) {
+      gallery = previous;
+      removeGalleryEntryImages(newEntry);
+      return sendError(res, 500, 'Failed to save the gallery pair');
+    }
+    audit(req, 'gallery.create', `gallery:${newEntry.id}`, { title: newEntry.title });
+    sendJson(res, 200, { success: true, entry: newEntry });
+  });
+  // API: reorder the gallery (admin). Expects { ids: [...] } listing every
+  // entry ID exactly once in the desired order.
+  router.post('/api/admin/gallery/reorder', requireRole('editor'), requireWritable('gallery'), jsonBody(REQUEST_SCHEMAS.reorder), async (req, res) => {
+    const ids = req.body.ids;
+    const byId = new Map(gallery.map(entry => [entry.id, entry]));
+    if (ids.length !== gallery.length || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+      return sendError(res, 400, 'ids must list every gallery pair exactly once', { field: 'ids' });
+    }
+    const previous = gallery;
+    gallery = ids.map(id => byId.get(id));
+    try {
+      await saveGallery();
+    } catch (e) {
+      gallery = previous;
+      return sendError(res, 500, 'Failed to save the gallery');
+    }
+    audit(req, 'gallery.reorder', 'gallery');
+    sendJson(res, 200, { success: true });
+  });
+  // API: update the details of a gallery pair, changing only the fields
+  // sent, or delete it together with its image files (admin)
+  router.put('/api/admin/gallery/:id', requireRole('editor'), requireWritable('gallery'), async (req, res) => {
+    const index = gallery.findIndex(entry => entry.id === req.params.id);
+    if (index === -1) {
+      return sendError(res, 404, 'Gallery entry not found');
+    }
+    const body = await readJson(req, REQUEST_SCHEMAS.galleryPair);
+    const { fields, error, field } = parseGalleryFields(body);
+    if (error) {
+      return sendError(res, 400, error, { field });
+    }
+    // Only the fields sent are changed, so that e.g. { featured: true }
+    // keeps the texts
+    const changes = {};
+    Object.keys(fields).filter(name => name in body).forEach(name => { changes[name] = fields[name]; });
+    const previous = gallery.slice();
+    gallery[index] = { ...gallery[index], ...changes };
+    try {
+      await saveGallery();
+    } catch (e) {
+      gallery = previous;
+      return sendError(res, 500, 'Failed to save the gallery pair');
+    }
+    audit(req, 'gallery.update', `gallery:${gallery[index].id}`, { title: gallery[index].title });
+    sendJson(res, 200, { success: true, entry: gallery[index] });
+  });
+  router.delete('/api/admin/gallery/:id', requireRole('editor'), requireWritable('gallery'), async (req, res) => {
+    const index = gallery.findIndex(entry => entry.id === req.params.id);
+    if (index === -1) {
+      return sendError(res, 404, 'Gallery entry not found');
+    }
+    const previous = gallery.slice();
+    const [removed] = gallery.splice(index, 1);
+    try {
+      await saveGallery();
+    } catch (e) {
+      gallery = previous;
+      return sendError(res, 500, 'Failed to delete the gallery pair');
+    }
+    removeGalleryEntryImages(removed);
+    audit(req, 'gallery.delete', `gallery:${removed.id}`, { title: removed.title });
+    sendJson(res, 200, { success: true });
+  });
+  // API: every translation side by side, with missing and untranslated
+  // keys, for the translation editor
+  router.get('/api/admin/translations', requireRole('viewer'), (req, res) => {
+    sendJson(res, 200, translationReport());
+  });
+  // API: save translations of one language. Body: { strings: { key: text } };
+  // an empty text removes the key, so the page keeps its built-in text.
+  router.put('/api/admin/translations/:lang', requireRole('editor'), jsonBody(REQUEST_SCHEMAS.translations), async (req, res) => {
+    const { lang } = req.params;
+    if (!languages.includes(lang)) {
+      return sendError(res, 404, 'Language not found');
+    }
+    const changes = req.body.strings;
+    if (!Object.keys(changes).length) {
+      return sendError(res, 400, 'No translations to save', { field: 'strings' });
+    }
+    const invalidKey = Object.keys(changes).find(key => !TRANSLATION_KEY_PATTERN.test(key));
+    if (invalidKey !== undefined) {
+      return sendError(res, 400, `Invalid key "${invalidKey}"`, { field: invalidKey });
+    }
+    const store = localeStore(lang);
+    let strings;
+    try {
+      strings = store.load();
+    } catch (err) {
+      if (err.code !== 'EDATACORRUPT') throw err;
+      return sendError(res, 503, `The ${lang} translation file is corrupt; restore it from data/backups/`);
+    }
+    Object.entries(changes).forEach(([key, text]) => {
+      if (text.trim()) {
+        strings[key] = text;
+      } else {
+        delete strings[key];
+      }
+    });
+    await store.save(strings);
+    // The next request for this language reads the saved file
+    delete localesCache[lang];
+    audit(req, 'translations.update', `locale:${lang}`, { keys: Object.keys(changes) });
+    sendJson(res, 200, { success: true, strings });
+  });
+  // API: download the site's content as one archive (owner)
+  router.get('/api/admin/export', requireRole('owner'), (req, res) => {
+    const data = exportContent();
+    const filename = `marisk-content-${new Date().toISOString().slice(0, 10)}.tar.gz`;
+    res.writeHead(200, {
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.end(data);
+    audit(req, 'content.export', 'content');
+  });
+  // API: upload a content archive as the request body and preview what
+  // importing it would change (owner). Returns an ID to import it with.
+  // Archives carry every gallery image, so they have their own size limit.
+  router.post('/api/admin/import', requireRole('owner'), async (req, res) => {
+    const data = await readRawBody(req, config.maxImportSize);
+    metrics.uploadSize.observe({ kind: 'content_archive' }, data.length);
+    const content = readContentArchive(data);
+    const now = Date.now();
+    pendingImports.forEach((pending, id) => {
+      if (pending.expiresAt < now) pendingImports.delete(id);
+    });
+    // Archives can be large; keep only the latest few waiting
+    while (pendingImports.size >= IMPORT_MAX_PENDING) {
+      pendingImports.delete(pendingImports.keys().next().value);
+    }
+    const id = crypto.randomBytes(8).toString('hex');
+    pendingImports.set(id, { content, expiresAt: now + IMPORT_EXPIRY });
+    sendJson(res, 200, { id, ...previewImport(content) });
+  });
+  // API: import a previewed archive (owner). Body: { mode: 'merge' or
+  // 'replace', sections: [...] }, by default every section in the archive.
+  router.post('/api/admin/import/:id', requireRole('owner'), jsonBody(REQUEST_SCHEMAS.importArchive), async (req, res) => {
+    const pending = pendingImports.get(req.params.id);
+    if (!pending || pending.expiresAt < Date.now()) {
+      return sendError(res, 404, 'Import not found or expired; upload the archive again');
+    }
+    const { content } = pending;
+    const mode = req.body.mode || 'merge';
+    const available = CONTENT_SECTIONS.filter(section => content[section]);
+    const sections = req.body.sections || available;
+    if (sections.some(section => !available.includes(section))) {
+      return sendError(res, 400, `Sections must be some of: ${available.join(', ')}`, { field: 'sections' });
+    }
+    if (sections.some(section => stores[section] && stores[section].readOnly)) {
+      return sendError(res, 503, 'This data is read-only until its file is repaired');
+    }
+    pendingImports.delete(req.params.id);
+    try {
+      await applyImport(content, mode, sections);
+    } catch (e) {
+      return sendError(res, 500, 'Failed to save the imported content');
+    }
+    audit(req, 'content.import', 'content', { mode, sections, exportedAt: content.exportedAt });
+    sendJson(res, 200, { success: true, mode, sections });
+  });
+  // API: discard a previewed archive (owner)
+  router.delete('/api/admin/import/:id', requireRole('owner'), (req, res) => {
+    if (!pendingImports.delete(req.params.id)) {
+      return sendError(res, 404, 'Import not found or expired');
+    }
+    sendJson(res, 200, { success: true });
+  });
+  // API: reload the FAQs, gallery and translations from their files after
+  // they were changed on disk (owner)
+  router.post('/api/admin/reload', requireRole('owner'), (req, res) => {
+    const result = reloadData();
+    audit(req, 'data.reload', 'data', result);
+    sendJson(res, 200, result);
+  });
+}
+
+/**
+ * Create the owner account named in the configuration, if there are no
+ * users yet.
+ */
+async function createConfiguredOwner() {
+  if (!config.ownerUsername || users.list().length) return;
+  await users.create({ username: config.ownerUsername, password: config.ownerPassword, role: 'owner' });
+  console.log(`Owner account "${config.ownerUsername}" created.`);
+}
+
+/**
+ * Create the application: load the data and return an HTTP server that
+ * serves the site and the API, not yet listening.
+ * @param {object} [settings] - from loadConfig(), which is called by default
+ * @returns {http.Server}
+ * @throws {Error} with code EDATACORRUPT if a data file is corrupt
+ */
+function createApp(settings = loadConfig()) {
+  config = settings;
+  setPaths(config.publicDir, config.dataDir);
+  loginThrottles = {
+    ip: createThrottle({ maxFailures: 20, window: LOGIN_WINDOW, lockout: LOGIN_LOCKOUT }),
+    username: createThrottle({ maxFailures: 5, window: LOGIN_WINDOW, lockout: LOGIN_LOCKOUT })
+  };
+  pendingImports = new Map();
+  metrics = createMetrics();
+  shuttingDown = false;
+  loadData();
+
+  const router = createRouter();
+  router.use(security);
+  registerRoutes(router);
+
+  const server = http.createServer(async (req, res) => {
+    const start = process.hrtime.bigint();
+    const ip = req.socket.remoteAddress;
+    const given = req.headers[REQUEST_ID_HEADER];
+    req.id = REQUEST_ID_PATTERN.test(given || '') ? given : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+    if (shuttingDown) res.setHeader('Connection', 'close');
+    inFlight.add(res);
+    // Once, when the response has gone out or the connection was lost
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      inFlight.delete(res);
+      recordRequest(req, res, start, ip);
+      // A response already under way when the shutdown started leaves its
+      // connection open; close it once it is idle
+      if (shuttingDown) setImmediate(() => server.closeIdleConnections());
+    };
+    res.on('finish', record);
+    res.on('close', record);
+    try {
+      await router.handle(req, res, serveSite);
+    } catch (err) {
+      if (err.statusCode) {
+        // Stop reading a body that is too large rather than wait for the rest
+        const headers = err.statusCode === 413 ? { Connection: 'close' } : {};
+        return sendError(res, err.statusCode, err.message, { code: err.errorCode, field: err.field, headers });
+      }
+      console.error(`Server error in request ${req.id}:`, err);
+      if (req.pathname && req.pathname.startsWith('/api/')) {
+        return sendError(res, 500, 'Internal server error');
+      }
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Internal Server Error');
+    }
+  });
+  if (config.watchData) {
+    server.on('listening', watchData);
+    server.on('close', unwatchData);
+  }
+  return server;
+}
+
+if (require.main === module) {
+  let settings;
+  try {
+    settings = loadConfig();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  let server;
+  try {
+    server = createApp(settings);
+  } catch (err) {
+    if (err.code !== 'EDATACORRUPT') throw err;
+    console.error(err.message);
+    console.error(`Restore the file from ${path.join(settings.dataDir, 'backups')}, or set ON_CORRUPT_DATA=read-only to start from the newest valid backup with changes to it disabled.`);
+    process.exit(1);
+  }
+  createConfiguredOwner().then(() => {
+    server.listen(config.port, config.host || undefined, () => {
+      console.log(`Server listening on port ${server.address().port} (${config.profile})`);
+      // Tell a process manager that started the server over IPC, such as
+      // PM2 with wait_ready, that it is ready
+      if (process.send) process.send('ready');
+    });
+  }).catch(err => {
+    console.error('Failed to create owner account:', err);
+    process.exit(1);
+  });
+
+  // SIGTERM from a process manager, or Ctrl+C: finish what is in progress
+  // and exit. A second signal exits at once.
+  let stopping = false;
+  const stop = (signal) => {
+    if (stopping) {
+      console.error(`${signal} received again; exiting now`);
+      process.exit(1);
+    }
+    stopping = true;
+    console.log(`${signal} received; finishing requests in progress`);
+    shutdown(server).then(finished => {
+      if (!finished) console.error(`Requests still running after ${config.shutdownTimeoutSeconds} s were cut off`);
+      process.exit(finished ? 0 : 1);
+    }).catch(err => {
+      console.error('Failed to shut down cleanly:', err);
+      process.exit(1);
+    });
+  };
+  process.on('SIGTERM', () => stop('SIGTERM'));
+  process.on('SIGINT', () => stop('SIGINT'));
+  // SIGHUP: reload data files changed on disk
+  process.on('SIGHUP', () => reloadData());
+}
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server listening on port ${PORT}`);
-});
\ No newline at end of file
+module.exports = { createApp, flushData, reloadData, shutdown };
@@ -0,0 +1,273 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OWNER, startApp, createClient, waitFor, samplePng, samplePdf } = require('./helpers');
+
+let app;
+let owner;
+
+test.before(async () => {
+  app = await startApp();
+  owner = createClient(app.url);
+  await owner.signIn();
+});
+
+test.after(() => app.close());
+
+/**
+ * Invite a user as the owner and sign them in with a new password.
+ * @param {string} username
+ * @param {string} role
+ */
+async function inviteUser(username, role) {
+  const invited = await owner.post('/api/admin/users', { username, role });
+  assert.strictEqual(invited.status, 200);
+  const client = createClient(app.url);
+  await client.signIn(username, invited.body.temporaryPassword);
+  const changed = await client.post('/api/admin/change-password', {
+    currentPassword: invited.body.temporaryPassword,
+    newPassword: `${username}-password-1`
+  });
+  assert.strictEqual(changed.status, 200);
+  return { client, user: invited.body.user };
+}
+
+test('sign-in sets a session cookie and rejects bad credentials', async () => {
+  const client = createClient(app.url);
+  const anonymous = await client.get('/api/admin/me');
+  assert.strictEqual(anonymous.status, 401);
+
+  const wrong = await client.post('/api/admin/login', { username: OWNER.username, password: 'wrong-password' });
+  assert.strictEqual(wrong.status, 401);
+
+  const res = await client.post('/api/admin/login', { username: 'Owner ', password: OWNER.password });
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('set-cookie'), /^marisk_admin=\w+; Path=\/api\/admin; .*HttpOnly; SameSite=Strict/);
+  assert.strictEqual(res.body.user.role, 'owner');
+  assert.strictEqual(res.body.user.passwordHash, undefined);
+
+  const me = await client.get('/api/admin/me');
+  assert.strictEqual(me.status, 200);
+  assert.strictEqual(me.body.username, OWNER.username);
+
+  // The token in the response also works as a bearer token
+  const bearer = createClient(app.url);
+  const viaToken = await bearer.get('/api/admin/me', { headers: { Authorization: `Bearer ${res.body.token}` } });
+  assert.strictEqual(viaToken.status, 200);
+});
+
+test('repeated failed sign-ins for a username are locked out', async () => {
+  const client = createClient(app.url);
+  for (let i = 0; i < 5; i++) {
+    const res = await client.post('/api/admin/login', { username: 'nobody', password: 'wrong-password' });
+    assert.strictEqual(res.status, 401);
+  }
+  const locked = await client.post('/api/admin/login', { username: 'nobody', password: 'wrong-password' });
+  assert.strictEqual(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+});
+
+test('sign-out ends the session and clears the cookie', async () => {
+  const client = createClient(app.url);
+  await client.signIn();
+  const res = await client.post('/api/admin/logout');
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('set-cookie'), /^marisk_admin=; .*Max-Age=0/);
+  const me = await client.get('/api/admin/me');
+  assert.strictEqual(me.status, 401);
+});
+
+test('sessions can be listed and revoked', async () => {
+  const other = createClient(app.url);
+  await other.signIn();
+  const list = await owner.get('/api/admin/sessions');
+  assert.strictEqual(list.status, 200);
+  assert.strictEqual(list.body.filter(session => session.current).length, 1);
+  const otherSession = list.body.find(session => !session.current);
+  assert.strictEqual(otherSession.username, OWNER.username);
+
+  const revoked = await owner.delete(`/api/admin/sessions/${otherSession.id}`);
+  assert.strictEqual(revoked.status, 200);
+  assert.strictEqual((await other.get('/api/admin/me')).status, 401);
+  assert.strictEqual((await owner.delete(`/api/admin/sessions/${otherSession.id}`)).status, 404);
+});
+
+test('invited users must change their temporary password first', async () => {
+  const invited = await owner.post('/api/admin/users', { username: 'fresh', role: 'editor' });
+  assert.strictEqual(invited.status, 200);
+  assert.strictEqual(invited.body.user.mustChangePassword, true);
+
+  const client = createClient(app.url);
+  await client.signIn('fresh', invited.body.temporaryPassword);
+  assert.strictEqual((await client.get('/api/admin/me')).status, 200);
+  const blocked = await client.get('/api/admin/leads');
+  assert.strictEqual(blocked.status, 403);
+  assert.strictEqual(blocked.body.error.message, 'Password change required');
+
+  const wrong = await client.post('/api/admin/change-password', { currentPassword: 'nope', newPassword: 'fresh-password-1' });
+  assert.strictEqual(wrong.body.error.field, 'currentPassword');
+  const weak = await client.post('/api/admin/change-password', { currentPassword: invited.body.temporaryPassword, newPassword: 'short' });
+  assert.strictEqual(weak.body.error.field, 'newPassword');
+  const changed = await client.post('/api/admin/change-password', {
+    currentPassword: invited.body.temporaryPassword,
+    newPassword: 'fresh-password-1'
+  });
+  assert.strictEqual(changed.status, 200);
+  assert.strictEqual((await client.get('/api/admin/leads')).status, 200);
+});
+
+test('owners manage users; other roles may not', async () => {
+  const { client: editor, user } = await inviteUser('gardener', 'editor');
+  assert.strictEqual((await editor.get('/api/admin/users')).status, 403);
+
+  const list = await owner.get('/api/admin/users');
+  assert.ok(list.body.some(item => item.username === 'gardener'));
+
+  const invalid = await owner.post('/api/admin/users', { username: 'x', role: 'editor' });
+  assert.strictEqual(invalid.body.error.field, 'username');
+  const badRole = await owner.post('/api/admin/users', { username: 'someone', role: 'admin' });
+  assert.strictEqual(badRole.body.error.field, 'role');
+
+  const demoted = await owner.put(`/api/admin/users/${user.id}`, { role: 'viewer' });
+  assert.strictEqual(demoted.body.user.role, 'viewer');
+  const forbidden = await editor.post('/api/admin/faqs', { question: 'Q?', answer: 'A.' });
+  assert.strictEqual(forbidden.status, 403);
+  assert.strictEqual(forbidden.body.error.message, 'Forbidden');
+
+  const self = (await owner.get('/api/admin/me')).body;
+  const demoteSelf = await owner.put(`/api/admin/users/${self.id}`, { role: 'editor' });
+  assert.strictEqual(demoteSelf.status, 400);
+
+  const disabled = await owner.put(`/api/admin/users/${user.id}`, { disabled: true });
+  assert.strictEqual(disabled.body.user.disabled, true);
+  assert.strictEqual((await editor.get('/api/admin/me')).status, 401);
+  assert.strictEqual((await owner.put('/api/admin/users/missing', { role: 'viewer' })).status, 404);
+});
+
+test('owners can reset a password, signing the user out', async () => {
+  const { client, user } = await inviteUser('planter', 'viewer');
+  const res = await owner.post(`/api/admin/users/${user.id}/reset-password`);
+  assert.strictEqual(res.status, 200);
+  assert.ok(res.body.temporaryPassword);
+  assert.strictEqual((await client.get('/api/admin/me')).status, 401);
+  await client.signIn('planter', res.body.temporaryPassword);
+  assert.strictEqual((await client.get('/api/admin/me')).body.mustChangePassword, true);
+});
+
+test('FAQs can be added, edited, reordered and deleted', async () => {
+  const created = await owner.post('/api/admin/faqs', {
+    question: 'Do you clear snow?',
+    answer: 'Yes, in winter.',
+    translations: { fr: { question: 'Déneigez-vous ?', answer: 'Oui, en hiver.' } }
+  });
+  assert.strictEqual(created.status, 200);
+  const id = created.body.faq.id;
+  const localized = await owner.get('/api/faqs?lang=fr');
+  assert.strictEqual(localized.body.find(faq => faq.id === id).question, 'Déneigez-vous ?');
+
+  const legacy = await owner.post('/api/admin/add-faq', { question: 'Old client?', answer: 'Still works.' });
+  assert.strictEqual(legacy.status, 200);
+  assert.strictEqual((await owner.post('/api/admin/faqs', { question: '', answer: 'A.' })).status, 400);
+  assert.strictEqual((await owner.post('/api/admin/faqs', { question: 'Q?', answer: 'A.', translations: { xx: {} } })).status, 400);
+
+  const updated = await owner.put(`/api/admin/faqs/${id}`, { question: 'Do you remove snow?', answer: 'Yes.' });
+  assert.strictEqual(updated.body.faq.question, 'Do you remove snow?');
+  assert.deepStrictEqual(updated.body.faq.translations, {});
+
+  const ids = (await owner.get('/api/faqs')).body.map(faq => faq.id).reverse();
+  assert.strictEqual((await owner.post('/api/admin/faqs/reorder', { ids })).status, 200);
+  assert.deepStrictEqual((await owner.get('/api/faqs')).body.map(faq => faq.id), ids);
+  assert.strictEqual((await owner.post('/api/admin/faqs/reorder', { ids: ids.slice(1) })).status, 400);
+
+  assert.strictEqual((await owner.delete(`/api/admin/faqs/${id}`)).status, 200);
+  assert.strictEqual((await owner.delete(`/api/admin/faqs/${id}`)).status, 404);
+  assert.strictEqual((await owner.put(`/api/admin/faqs/${id}`, { question: 'Q?', answer: 'A.' })).status, 404);
+});
+
+test('unanswered chat questions are grouped and counted', async () => {
+  const visitor = createClient(app.url);
+  await visitor.post('/api/chat', { question: 'Do you sell zorblax gizmos?', lang: 'en' });
+  await visitor.post('/api/chat', { question: 'do you sell ZORBLAX gizmos', lang: 'en' });
+  // The chat log is written in the background
+  let report;
+  await waitFor(async () => {
+    report = await owner.get('/api/admin/chat/unanswered?days=0');
+    return report.body.unanswered >= 2;
+  });
+  assert.strictEqual(report.status, 200);
+  const group = report.body.questions.find(item => /zorblax/i.test(item.question));
+  assert.strictEqual(group.count, 2);
+  assert.strictEqual((await owner.get('/api/admin/chat/unanswered?days=-1')).status, 400);
+});
+
+test('leads can be listed, updated and annotated', async () => {
+  const visitor = createClient(app.url);
+  const submitted = await visitor.post('/api/leads', {
+    name: 'Linus',
+    email: 'linus@example.com',
+    photos: [`data:image/png;base64,${samplePng().toString('base64')}`]
+  });
+  const id = submitted.body.id;
+
+  const list = await owner.get('/api/admin/leads?status=new');
+  assert.strictEqual(list.body[0].id, id);
+  assert.strictEqual((await owner.get('/api/admin/leads?status=maybe')).status, 400);
+
+  const updated = await owner.put(`/api/admin/leads/${id}`, { status: 'quoted' });
+  assert.strictEqual(updated.body.lead.status, 'quoted');
+  assert.strictEqual((await owner.put(`/api/admin/leads/${id}`, { status: 'maybe' })).status, 400);
+  assert.strictEqual((await owner.put('/api/admin/leads/missing', { status: 'won' })).status, 404);
+
+  const noted = await owner.post(`/api/admin/leads/${id}/notes`, { text: 'Called back.' });
+  assert.strictEqual(noted.body.lead.notes[0].text, 'Called back.');
+  assert.strictEqual((await owner.post(`/api/admin/leads/${id}/notes`, { text: ' ' })).status, 400);
+
+  const photo = await owner.get(`/api/admin/leads/${id}/photos/photo-1.png`);
+  assert.strictEqual(photo.status, 200);
+  assert.strictEqual(photo.headers.get('content-type'), 'image/png');
+  assert.deepStrictEqual(photo.body, samplePng());
+  assert.strictEqual((await owner.get(`/api/admin/leads/${id}/photos/..%2F..%2Fleads.json`)).status, 404);
+  assert.strictEqual((await visitor.get(`/api/admin/leads/${id}/photos/photo-1.png`)).status, 401);
+});
+
+test('applications can be listed, rated and their résumés downloaded', async () => {
+  const visitor = createClient(app.url);
+  const submitted = await visitor.post('/api/careers/apply', {
+    name: 'Mary Ann',
+    phone: '403 555 0102',
+    email: 'mary@example.com',
+    availableFrom: '2026-04-01',
+    availableTo: '2026-10-31',
+    resume: `data:application/pdf;base64,${samplePdf().toString('base64')}`
+  });
+  const id = submitted.body.id;
+
+  const list = await owner.get('/api/admin/applications');
+  assert.strictEqual(list.body[0].id, id);
+  assert.strictEqual((await owner.get('/api/admin/applications?status=maybe')).status, 400);
+
+  const updated = await owner.put(`/api/admin/applications/${id}`, { status: 'interview', rating: 4 });
+  assert.strictEqual(updated.body.application.status, 'interview');
+  assert.strictEqual(updated.body.application.rating, 4);
+  assert.strictEqual((await owner.put(`/api/admin/applications/${id}`, { rating: 6 })).status, 400);
+  assert.strictEqual((await owner.put('/api/admin/applications/missing', { rating: 1 })).status, 404);
+
+  const resume = await owner.get(`/api/admin/applications/${id}/resume`);
+  assert.strictEqual(resume.status, 200);
+  assert.strictEqual(resume.headers.get('content-disposition'), 'attachment; filename="resume-Mary_Ann.pdf"');
+  assert.deepStrictEqual(resume.body, samplePdf());
+});
+
+test('the audit log records admin actions and can be filtered', async () => {
+  const all = await owner.get('/api/admin/audit');
+  assert.strictEqual(all.status, 200);
+  assert.ok(all.body.actions.includes('faq.create'));
+  assert.ok(all.body.actions.includes('login.locked'));
+
+  const creates = await owner.get('/api/admin/audit?action=faq.create');
+  assert.ok(creates.body.entries.length >= 2);
+  assert.ok(creates.body.entries.every(entry => entry.action === 'faq.create' && entry.actor === OWNER.username));
+  assert.strictEqual((await owner.get('/api/admin/audit?from=yesterday')).status, 400);
+
+  const { client: viewer } = await inviteUser('auditor', 'viewer');
+  assert.strictEqual((await viewer.get('/api/admin/audit')).status, 403);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'marisk-config-'));
+let files = 0;
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+/**
+ * Write a config file to a temporary directory and return its path.
+ * @param {object|string} contents
+ */
+function writeConfig(contents) {
+  const dir = path.join(root, String(++files));
+  fs.mkdirSync(dir);
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+}
+
+test('defaults to the development profile', () => {
+  const config = loadConfig({ env: {}, file: null, root });
+  assert.strictEqual(config.profile, 'development');
+  assert.strictEqual(config.port, 3000);
+  assert.strictEqual(config.dataDir, path.join(root, 'data'));
+  assert.strictEqual(config.publicDir, path.join(root, 'public'));
+  assert.deepStrictEqual(config.corsOrigin, ['*']);
+  assert.strictEqual(config.maxBodySize, 20 * 1024 * 1024);
+  assert.strictEqual(config.secureCookies, false);
+  assert.ok(Object.isFrozen(config));
+});
+
+test('the production profile has its own defaults', () => {
+  const config = loadConfig({ env: { NODE_ENV: 'production' }, file: null, root });
+  assert.strictEqual(config.profile, 'production');
+  assert.strictEqual(config.secureCookies, true);
+});
+
+test('environment variables override config.json, which overrides the defaults', () => {
+  const file = writeConfig({
+    port: 8080,
+    maxBodySize: '512kb',
+    dataDir: '/srv/marisk/data',
+    production: { corsOrigin: 'https://marisk.ca' },
+    development: { corsOrigin: 'http://localhost:5173' }
+  });
+  const development = loadConfig({ env: { PORT: '9000' }, file, root });
+  assert.strictEqual(development.port, 9000);
+  assert.strictEqual(development.maxBodySize, 512 * 1024);
+  assert.strictEqual(development.dataDir, '/srv/marisk/data');
+  assert.deepStrictEqual(development.corsOrigin, ['http://localhost:5173']);
+  const production = loadConfig({ env: { NODE_ENV: 'production', SECURE_COOKIES: 'false' }, file, root });
+  assert.deepStrictEqual(production.corsOrigin, ['https://marisk.ca']);
+  assert.strictEqual(production.secureCookies, false);
+  const listed = loadConfig({ env: { CORS_ORIGIN: 'https://marisk.ca, https://www.marisk.ca' }, file, root });
+  assert.deepStrictEqual(listed.corsOrigin, ['https://marisk.ca', 'https://www.marisk.ca']);
+});
+
+test('reads the file named by CONFIG_FILE, which must exist', () => {
+  const file = writeConfig({ host: '127.0.0.1' });
+  assert.strictEqual(loadConfig({ env: { CONFIG_FILE: file }, root }).host, '127.0.0.1');
+  assert.throws(() => loadConfig({ env: { CONFIG_FILE: path.join(root, 'missing.json') }, root }), /missing\.json does not exist/);
+  // The default file is optional
+  assert.strictEqual(loadConfig({ env: {}, root }).port, 3000);
+});
+
+test('reports every invalid value at once', () => {
+  const env = {
+    NODE_ENV: 'staging',
+    PORT: '70000',
+    MAX_BODY_SIZE: 'lots',
+    SESSION_ABSOLUTE_TIMEOUT_HOURS: '0',
+    CORS_ORIGIN: 'https://marisk.ca/admin',
+    SECURE_COOKIES: 'maybe',
+    DATA_BACKUPS: '-1',
+    ON_CORRUPT_DATA: 'ignore',
+    SITE_URL: 'marisk.ca'
+  };
+  assert.throws(() => loadConfig({ env, file: null, root }), (err) => {
+    assert.match(err.message, /^Invalid configuration:/);
+    assert.match(err.message, /NODE_ENV must be one of development, production/);
+    assert.match(err.message, /PORT must be a port number/);
+    assert.match(err.message, /MAX_BODY_SIZE must be a size/);
+    assert.match(err.message, /SESSION_ABSOLUTE_TIMEOUT_HOURS must be a positive number/);
+    assert.match(err.message, /CORS_ORIGIN must be \* or a list of origins/);
+    assert.match(err.message, /SECURE_COOKIES must be true or false/);
+    assert.match(err.message, /DATA_BACKUPS must be a whole number/);
+    assert.match(err.message, /ON_CORRUPT_DATA must be one of refuse, read-only/);
+    assert.match(err.message, /SITE_URL must be empty or the address of the site/);
+    return true;
+  });
+});
+
+test('rejects malformed files and unknown settings', () => {
+  assert.throws(() => loadConfig({ env: {}, file: writeConfig('{ port: 1 }'), root }), /could not be read/);
+  assert.throws(() => loadConfig({ env: {}, file: writeConfig([]), root }), /must hold a JSON object/);
+  assert.throws(() => loadConfig({ env: {}, file: writeConfig({ prot: 1 }), root }), /unknown setting "prot"/);
+  assert.throws(() => loadConfig({ env: {}, file: writeConfig({ production: { colour: 'green' } }), root }), /unknown setting "production.colour"/);
+  assert.throws(() => loadConfig({ env: {}, file: writeConfig({ port: '80a' }), root }), /config.json: "port" must be a port number/);
+});
+
+test('checks the owner account without revealing the password', () => {
+  assert.throws(() => loadConfig({ env: { OWNER_USERNAME: 'boss' }, file: null, root }), /must be set together/);
+  assert.throws(() => loadConfig({ env: { OWNER_USERNAME: 'boss', OWNER_PASSWORD: 'short' }, file: null, root }), (err) => {
+    assert.match(err.message, /Owner account: Password must be at least/);
+    assert.doesNotMatch(err.message, /short/);
+    return true;
+  });
+  const config = loadConfig({ env: { OWNER_USERNAME: 'boss', OWNER_PASSWORD: 'a-long-password' }, file: null, root });
+  assert.strictEqual(config.ownerUsername, 'boss');
+});
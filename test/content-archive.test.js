@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const archive = require('../lib/archive');
+const { startApp, createClient, samplePng } = require('./helpers');
+
+let app;
+let owner;
+let exported;
+
+test.before(async () => {
+  app = await startApp();
+  owner = createClient(app.url);
+  await owner.signIn();
+  const image = `data:image/png;base64,${samplePng().toString('base64')}`;
+  await owner.post('/api/admin/faqs', { question: 'Do you plow snow?', answer: 'Not yet.' });
+  await owner.post('/api/admin/gallery', { before: image, after: image, title: 'Front yard' });
+  await owner.post('/api/leads', { name: 'Dana', phone: '403 555 0100', photos: [image] });
+  exported = (await owner.get('/api/admin/export')).body;
+});
+
+test.after(() => app.close());
+
+const upload = data => owner.post('/api/admin/import', data, { headers: { 'Content-Type': 'application/gzip' } });
+
+/**
+ * Rebuild an archive with some of its files replaced.
+ * @param {Buffer} data
+ * @param {object} changes - file contents by name
+ */
+function repack(data, changes) {
+  const files = archive.unpack(data);
+  Object.entries(changes).forEach(([name, contents]) => files.set(name, Buffer.from(JSON.stringify(contents))));
+  return archive.pack([...files].map(([name, contents]) => ({ name, data: contents })));
+}
+
+test('exports FAQs, gallery images, translations and leads as one archive', async () => {
+  const res = await owner.get('/api/admin/export');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('content-type'), 'application/gzip');
+  assert.match(res.headers.get('content-disposition'), /^attachment; filename="marisk-content-\d{4}-\d{2}-\d{2}\.tar\.gz"$/);
+
+  const files = archive.unpack(res.body);
+  const manifest = JSON.parse(files.get('manifest.json'));
+  assert.strictEqual(manifest.format, 'marisk-content');
+  assert.ok(JSON.parse(files.get('faqs.json')).some(faq => faq.question === 'Do you plow snow?'));
+  const entry = JSON.parse(files.get('gallery.json')).find(item => item.title === 'Front yard');
+  assert.ok(files.has(`public/${entry.after}`));
+  assert.ok(files.has(`public/${entry.thumbnail}`));
+  assert.ok(files.has('locales/en.json'));
+  const lead = JSON.parse(files.get('leads.json'))[0];
+  assert.ok(files.has(`uploads/leads/${lead.id}/photo-1.png`));
+
+  assert.strictEqual((await createClient(app.url).get('/api/admin/export')).status, 401);
+});
+
+test('previews and merges an archive into the current content', async () => {
+  // Change the site after the export
+  const faq = (await owner.get('/api/faqs')).body.find(item => item.question === 'Do you plow snow?');
+  await owner.delete(`/api/admin/faqs/${faq.id}`);
+  const entry = (await owner.get('/api/gallery')).body.find(item => item.title === 'Front yard');
+  await owner.delete(`/api/admin/gallery/${entry.id}`);
+  const lead = (await owner.get('/api/admin/leads')).body[0];
+  await owner.put(`/api/admin/leads/${lead.id}`, { status: 'won' });
+  await owner.post('/api/admin/faqs', { question: 'Do you build decks?', answer: 'Yes.' });
+
+  const preview = await upload(exported);
+  assert.strictEqual(preview.status, 200);
+  assert.match(preview.body.id, /^[0-9a-f]{16}$/);
+  const { faqs, gallery, locales, leads } = preview.body.sections;
+  assert.deepStrictEqual(faqs.added, [{ id: faq.id, label: 'Do you plow snow?' }]);
+  assert.deepStrictEqual(faqs.removed.map(item => item.label), ['Do you build decks?']);
+  assert.deepStrictEqual(gallery.added, [{ id: entry.id, label: 'Front yard' }]);
+  assert.deepStrictEqual(locales.en, { new: false, added: [], changed: [], removed: [] });
+  assert.deepStrictEqual(leads.changed, [{ id: lead.id, label: 'Dana', fields: ['updatedAt', 'status'] }]);
+  // The stand-in site has no image files for the sample pairs
+  assert.ok(preview.body.warnings.length > 0);
+  assert.ok(preview.body.warnings.every(warning => /^Gallery image assets\/img\/(before|after)\d\.png is missing/.test(warning)));
+
+  const res = await owner.post(`/api/admin/import/${preview.body.id}`, { mode: 'merge', sections: ['faqs', 'gallery', 'leads'] });
+  assert.strictEqual(res.status, 200);
+  const questions = (await owner.get('/api/faqs')).body.map(item => item.question);
+  assert.ok(questions.includes('Do you plow snow?'));
+  assert.ok(questions.includes('Do you build decks?'));
+  assert.strictEqual((await owner.get(`/${entry.thumbnail}`)).status, 200);
+  assert.strictEqual((await owner.get('/api/admin/leads')).body[0].status, 'new');
+  // An import is used once
+  assert.strictEqual((await owner.post(`/api/admin/import/${preview.body.id}`, {})).status, 404);
+});
+
+test('replacing a section drops what the archive does not have', async () => {
+  const faqs = JSON.parse(archive.unpack(exported).get('faqs.json')).slice(0, 2);
+  const preview = await upload(repack(exported, { 'faqs.json': faqs, 'locales/fr.json': { nav_home: 'Accueil!' } }));
+  assert.ok(preview.body.sections.faqs.removed.length > 0);
+  assert.deepStrictEqual(preview.body.sections.locales.fr.changed, ['nav_home']);
+  const res = await owner.post(`/api/admin/import/${preview.body.id}`, { mode: 'replace', sections: ['faqs', 'locales'] });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual((await owner.get('/api/faqs')).body.map(faq => faq.id), faqs.map(faq => faq.id));
+  assert.deepStrictEqual((await owner.get('/api/locales/fr')).body, { nav_home: 'Accueil!' });
+  // The previous files were backed up
+  assert.ok(fs.readdirSync(path.join(app.dataDir, 'backups')).some(name => name.startsWith('fr-')));
+});
+
+test('rejects archives and options it cannot import', async () => {
+  assert.strictEqual((await upload(Buffer.from('hello'))).status, 400);
+  const foreign = await upload(archive.pack([{ name: 'manifest.json', data: '{"format": "other", "version": 1}' }]));
+  assert.strictEqual(foreign.status, 400);
+  const broken = await upload(repack(exported, { 'faqs.json': [{ question: 1, answer: '' }] }));
+  assert.strictEqual(broken.status, 400);
+  assert.strictEqual(broken.body.error.message, 'faqs.json: [0].question must be a string');
+
+  const preview = await upload(exported);
+  assert.strictEqual((await owner.post(`/api/admin/import/${preview.body.id}`, { mode: 'overwrite' })).status, 400);
+  assert.strictEqual((await owner.post(`/api/admin/import/${preview.body.id}`, { sections: ['users'] })).status, 400);
+  assert.strictEqual((await owner.delete(`/api/admin/import/${preview.body.id}`)).status, 200);
+  assert.strictEqual((await owner.post(`/api/admin/import/${preview.body.id}`, {})).status, 404);
+});
+
+test('imported images are only written to their gallery entry\'s directory', async () => {
+  const files = archive.unpack(exported);
+  const png = samplePng();
+  const entry = {
+    id: 'intruder',
+    before: 'assets/img/logo.png',
+    after: 'assets/img/gallery/other/after.png',
+    thumbnail: 'assets/img/gallery/intruder/thumb.png'
+  };
+  files.set('gallery.json', Buffer.from(JSON.stringify([entry])));
+  [entry.before, entry.after, entry.thumbnail].forEach(src => files.set(`public/${src}`, png));
+  const preview = await upload(archive.pack([...files].map(([name, data]) => ({ name, data }))));
+  assert.deepStrictEqual(preview.body.warnings, [
+    'Gallery image assets/img/logo.png is outside assets/img/gallery/intruder/ and will not be imported',
+    'Gallery image assets/img/gallery/other/after.png is outside assets/img/gallery/intruder/ and will not be imported'
+  ]);
+
+  const res = await owner.post(`/api/admin/import/${preview.body.id}`, { mode: 'merge', sections: ['gallery'] });
+  assert.strictEqual(res.status, 200);
+  const img = path.join(app.publicDir, 'assets', 'img');
+  assert.ok(fs.existsSync(path.join(img, 'gallery', 'intruder', 'thumb.png')));
+  assert.ok(!fs.existsSync(path.join(img, 'logo.png')));
+  assert.ok(!fs.existsSync(path.join(img, 'gallery', 'other')));
+});
+
+test('archives keep files inside their own directory', () => {
+  const tar = require('zlib').gunzipSync(archive.pack([{ name: 'aa/passwd', data: 'x' }]));
+  tar.write('../passwd', 0, 'utf8');
+  let sum = 0;
+  for (let i = 0; i < 512; i++) sum += i >= 148 && i < 156 ? 0x20 : tar[i];
+  tar.write(`${sum.toString(8).padStart(6, '0')}\u0000 `, 148, 'ascii');
+  assert.throws(() => archive.unpack(require('zlib').gzipSync(tar)), /unsafe name/);
+  assert.throws(() => archive.pack([{ name: '/etc/passwd', data: 'x' }]), /Cannot store/);
+});
+
+test('archives store names longer than 100 bytes in the ustar prefix', () => {
+  const name = `public/assets/img/gallery/${'d'.repeat(60)}/${'f'.repeat(90)}.png`;
+  const files = archive.unpack(archive.pack([{ name, data: 'x' }]));
+  assert.deepStrictEqual([...files.keys()], [name]);
+  assert.strictEqual(archive.canStore(`${'d'.repeat(160)}/a.png`), false);
+  assert.throws(() => archive.pack([{ name: `${'d'.repeat(160)}/a.png`, data: 'x' }]), /Cannot store/);
+});
+
+test('archives have their own size limit, apart from other request bodies', async () => {
+  const small = await startApp({ env: { MAX_BODY_SIZE: '1kb', MAX_IMPORT_SIZE: `${exported.length + 1}b` } });
+  try {
+    const client = createClient(small.url);
+    await client.signIn();
+    const post = data => client.post('/api/admin/import', data, { headers: { 'Content-Type': 'application/gzip' } });
+    assert.ok(exported.length > 1024);
+    assert.strictEqual((await post(exported)).status, 200);
+    const tooLarge = await post(Buffer.concat([exported, Buffer.alloc(2)]));
+    assert.strictEqual(tooLarge.status, 413);
+  } finally {
+    await small.close();
+  }
+});
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const archive = require('../lib/archive');
+const { startApp, createClient, waitFor, samplePdf } = require('./helpers');
+
+/**
+ * Damage the FAQs file after backing up its current contents.
+ * @param {string} dataDir
+ */
+function corruptFaqs(dataDir) {
+  const file = path.join(dataDir, 'faqs.json');
+  fs.mkdirSync(path.join(dataDir, 'backups'), { recursive: true });
+  fs.copyFileSync(file, path.join(dataDir, 'backups', 'faqs-2026-01-01T00-00-00-000Z.json'));
+  fs.writeFileSync(file, '[{"question": "Half written');
+}
+
+test('writes back up the previous contents of a data file', async () => {
+  const app = await startApp();
+  try {
+    const client = createClient(app.url);
+    await client.signIn();
+    const res = await client.post('/api/admin/faqs', { question: 'Do you plow snow?', answer: 'Not yet.' });
+    assert.strictEqual(res.status, 200);
+    await waitFor(() => {
+      const saved = JSON.parse(fs.readFileSync(path.join(app.dataDir, 'faqs.json'), 'utf8'));
+      return saved.some(faq => faq.question === 'Do you plow snow?');
+    });
+    const backups = fs.readdirSync(path.join(app.dataDir, 'backups'));
+    assert.ok(backups.some(name => name.startsWith('faqs-')));
+  } finally {
+    await app.close();
+  }
+});
+
+test('refuses to start when a data file is corrupt', async () => {
+  await assert.rejects(startApp({ prepare: corruptFaqs }), (err) => {
+    assert.strictEqual(err.code, 'EDATACORRUPT');
+    assert.match(err.message, /faqs\.json is corrupt/);
+    return true;
+  });
+});
+
+test('can start read-only from the newest backup instead', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const app = await startApp({ env: { ON_CORRUPT_DATA: 'read-only' }, prepare: corruptFaqs });
+  try {
+    const faqs = await createClient(app.url).get('/api/faqs');
+    assert.strictEqual(faqs.status, 200);
+    assert.ok(faqs.body.length > 0);
+
+    const client = createClient(app.url);
+    await client.signIn();
+    const res = await client.post('/api/admin/faqs', { question: 'Do you plow snow?', answer: 'Not yet.' });
+    assert.strictEqual(res.status, 503);
+    assert.match(res.body.error.message, /read-only/);
+    assert.strictEqual(fs.readFileSync(path.join(app.dataDir, 'faqs.json'), 'utf8'), '[{"question": "Half written');
+    // Other data is unaffected
+    const lead = await client.post('/api/leads', { name: 'Dana', phone: '403 555 0100' });
+    assert.strictEqual(lead.status, 200);
+    // The host is told something needs attention
+    const health = await client.get('/healthz');
+    assert.strictEqual(health.status, 503);
+    assert.strictEqual(health.body.checks.faqs, 'read-only');
+    assert.strictEqual(health.body.checks.leads, 'ok');
+  } finally {
+    await app.close();
+  }
+});
+
+test('answers 500 when a lead or application cannot be written, and drops it', async () => {
+  const app = await startApp();
+  try {
+    const client = createClient(app.url);
+    // A directory where the store writes its temporary file makes writes fail
+    const block = name => fs.mkdirSync(path.join(app.dataDir, `${name}.${process.pid}.tmp`));
+    block('leads.json');
+    block('applications.json');
+
+    const lead = await client.post('/api/leads', { name: 'Ada', phone: '4035550100' });
+    assert.strictEqual(lead.status, 500);
+    assert.strictEqual(lead.body.error.code, 'internal_error');
+    const application = await client.post('/api/careers/apply', {
+      name: 'Grace',
+      phone: '4035550101',
+      email: 'grace@example.com',
+      availableFrom: '2026-04-01',
+      availableTo: '2026-09-30',
+      resume: `data:application/pdf;base64,${samplePdf().toString('base64')}`
+    });
+    assert.strictEqual(application.status, 500);
+
+    const owner = createClient(app.url);
+    await owner.signIn();
+    assert.deepStrictEqual((await owner.get('/api/admin/leads')).body, []);
+    assert.deepStrictEqual((await owner.get('/api/admin/applications')).body, []);
+  } finally {
+    await app.close();
+  }
+});
+
+test('lead and application changes in the admin panel are only confirmed once written', async () => {
+  const app = await startApp();
+  try {
+    const owner = createClient(app.url);
+    await owner.signIn();
+    const { id } = (await owner.post('/api/leads', { name: 'Ada', phone: '4035550100' })).body;
+    const application = await owner.post('/api/careers/apply', {
+      name: 'Grace',
+      phone: '4035550101',
+      email: 'grace@example.com',
+      availableFrom: '2026-04-01',
+      availableTo: '2026-09-30',
+      resume: `data:application/pdf;base64,${samplePdf().toString('base64')}`
+    });
+    fs.mkdirSync(path.join(app.dataDir, `leads.json.${process.pid}.tmp`));
+    fs.mkdirSync(path.join(app.dataDir, `applications.json.${process.pid}.tmp`));
+
+    assert.strictEqual((await owner.put(`/api/admin/leads/${id}`, { status: 'won' })).status, 500);
+    assert.strictEqual((await owner.post(`/api/admin/leads/${id}/notes`, { text: 'Called back' })).status, 500);
+    const [lead] = (await owner.get('/api/admin/leads')).body;
+    assert.strictEqual(lead.status, 'new');
+    assert.deepStrictEqual(lead.notes, []);
+
+    const update = await owner.put(`/api/admin/applications/${application.body.id}`, { status: 'hired', rating: 5 });
+    assert.strictEqual(update.status, 500);
+    const [stored] = (await owner.get('/api/admin/applications')).body;
+    assert.deepStrictEqual([stored.status, stored.rating], ['new', null]);
+    const audit = await owner.get(`/api/admin/audit?target=lead:${id}`);
+    assert.strictEqual(audit.body.entries.length, 0);
+  } finally {
+    await app.close();
+  }
+});
+
+test('FAQ, gallery and import changes are undone when they cannot be written', async () => {
+  const app = await startApp();
+  try {
+    const owner = createClient(app.url);
+    await owner.signIn();
+    const faqs = (await owner.get('/api/faqs')).body;
+    const gallery = (await owner.get('/api/gallery')).body;
+    const exported = (await owner.get('/api/admin/export')).body;
+    fs.mkdirSync(path.join(app.dataDir, `faqs.json.${process.pid}.tmp`));
+    fs.mkdirSync(path.join(app.dataDir, `gallery.json.${process.pid}.tmp`));
+
+    const created = await owner.post('/api/admin/faqs', { question: 'Do you plow snow?', answer: 'Not yet.' });
+    assert.strictEqual(created.status, 500);
+    assert.strictEqual(created.body.error.code, 'internal_error');
+    assert.strictEqual((await owner.delete(`/api/admin/faqs/${faqs[0].id}`)).status, 500);
+    assert.deepStrictEqual((await owner.get('/api/faqs')).body, faqs);
+    // Chat answers come from the FAQs that were kept
+    assert.strictEqual((await owner.post('/api/chat', { question: 'plow snow' })).body.answer.includes('Not yet'), false);
+
+    const ids = gallery.map(entry => entry.id).reverse();
+    assert.strictEqual((await owner.post('/api/admin/gallery/reorder', { ids })).status, 500);
+    assert.strictEqual((await owner.delete(`/api/admin/gallery/${gallery[0].id}`)).status, 500);
+    assert.deepStrictEqual((await owner.get('/api/gallery')).body, gallery);
+
+    const files = archive.unpack(exported);
+    files.set('faqs.json', Buffer.from('[]'));
+    const preview = await owner.post('/api/admin/import', archive.pack([...files].map(([name, data]) => ({ name, data }))), { headers: { 'Content-Type': 'application/gzip' } });
+    const imported = await owner.post(`/api/admin/import/${preview.body.id}`, { mode: 'replace', sections: ['faqs'] });
+    assert.strictEqual(imported.status, 500);
+    assert.deepStrictEqual((await owner.get('/api/faqs')).body, faqs);
+  } finally {
+    await app.close();
+  }
+});
+
+test('user changes that cannot be written are undone', async () => {
+  const app = await startApp();
+  try {
+    const owner = createClient(app.url);
+    await owner.signIn();
+    const invited = (await owner.post('/api/admin/users', { username: 'helper', role: 'viewer' })).body;
+    fs.mkdirSync(path.join(app.dataDir, `users.json.${process.pid}.tmp`));
+
+    assert.strictEqual((await owner.post('/api/admin/users', { username: 'another', role: 'editor' })).status, 500);
+    assert.strictEqual((await owner.put(`/api/admin/users/${invited.user.id}`, { role: 'owner' })).status, 500);
+    assert.strictEqual((await owner.post(`/api/admin/users/${invited.user.id}/reset-password`)).status, 500);
+    const list = (await owner.get('/api/admin/users')).body;
+    assert.deepStrictEqual(list.map(user => [user.username, user.role]), [['owner', 'owner'], ['helper', 'viewer']]);
+
+    // The temporary password from the invitation still signs in
+    const helper = createClient(app.url);
+    const login = await helper.post('/api/admin/login', { username: 'helper', password: invited.temporaryPassword });
+    assert.strictEqual(login.status, 200);
+  } finally {
+    await app.close();
+  }
+});
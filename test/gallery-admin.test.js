@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startApp, createClient, waitFor, samplePng } = require('./helpers');
+
+let app;
+let owner;
+
+test.before(async () => {
+  app = await startApp();
+  owner = createClient(app.url);
+  await owner.signIn();
+});
+
+test.after(() => app.close());
+
+/**
+ * Multipart form for a new gallery pair.
+ * @param {object} fields
+ * @param {{ before?: Buffer, after?: Buffer }} files
+ */
+function galleryForm(fields, files) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.set(name, value));
+  Object.entries(files).forEach(([name, data]) => form.set(name, new Blob([data], { type: 'image/png' }), `${name}.png`));
+  return form;
+}
+
+test('uploads are processed into variants and a thumbnail', async () => {
+  const res = await owner.post('/api/admin/gallery', galleryForm({
+    title: 'New lawn',
+    category: 'sod-turf',
+    featured: 'on',
+    translations: JSON.stringify({ fr: { title: 'Nouvelle pelouse' } })
+  }, { before: samplePng(), after: samplePng(48, 36) }));
+  assert.strictEqual(res.status, 200);
+  const entry = res.body.entry;
+  assert.strictEqual(entry.featured, true);
+  assert.deepStrictEqual(entry.translations, { fr: { title: 'Nouvelle pelouse' } });
+  // Opaque images are published as JPEG, never wider than the original
+  assert.deepStrictEqual(entry.variants.after, [{ src: `assets/img/gallery/${entry.id}/after-48.jpg`, width: 48, height: 36 }]);
+  assert.strictEqual(entry.after, entry.variants.after[0].src);
+  assert.strictEqual(entry.thumbnail, `assets/img/gallery/${entry.id}/thumb.jpg`);
+
+  const thumbnail = await owner.get(`/${entry.thumbnail}`);
+  assert.strictEqual(thumbnail.status, 200);
+  assert.strictEqual(thumbnail.headers.get('content-type'), 'image/jpeg');
+
+  const page = await owner.get('/api/gallery?page=1&lang=fr');
+  assert.strictEqual(page.body.entries[0].id, entry.id);
+  assert.strictEqual(page.body.entries[0].title, 'Nouvelle pelouse');
+  assert.deepStrictEqual(page.body.categories, { 'sod-turf': 1 });
+  await waitFor(() => !fs.readdirSync(path.join(app.dataDir, 'uploads', 'tmp')).length);
+});
+
+test('JSON uploads with data URIs are still accepted', async () => {
+  const image = `data:image/png;base64,${samplePng().toString('base64')}`;
+  const res = await owner.post('/api/admin/upload-image', { before: image, after: image, title: 'Old client' });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.entry.title, 'Old client');
+  assert.strictEqual((await owner.post('/api/admin/gallery', { before: image })).status, 400);
+  assert.strictEqual((await owner.post('/api/admin/gallery', { before: image, after: 'data:image/png;base64,AAAA' })).status, 400);
+});
+
+test('uploads sent at the same time are all processed', async () => {
+  const uploads = await Promise.all([1, 2, 3].map(n => owner.post('/api/admin/gallery', galleryForm({ title: `Batch ${n}` }, { before: samplePng(), after: samplePng() }))));
+  assert.deepStrictEqual(uploads.map(res => res.status), [200, 200, 200]);
+  await Promise.all(uploads.map(res => owner.delete(`/api/admin/gallery/${res.body.entry.id}`)));
+});
+
+test('uploads are refused when images are missing, not images or fields are invalid', async () => {
+  const missing = await owner.post('/api/admin/gallery', galleryForm({}, { before: samplePng() }));
+  assert.strictEqual(missing.status, 400);
+  assert.strictEqual(missing.body.error.field, 'after');
+
+  const notImage = await owner.post('/api/admin/gallery', galleryForm({}, { before: samplePng(), after: Buffer.from('plain text') }));
+  assert.strictEqual(notImage.status, 415);
+  assert.strictEqual(notImage.body.error.field, 'after');
+
+  // WebP cannot be resized or turned upright, so it is not published as is
+  const webp = Buffer.concat([Buffer.from('RIFF\x1a\x00\x00\x00WEBPVP8L', 'latin1'), Buffer.alloc(14)]);
+  const webpUpload = await owner.post('/api/admin/gallery', galleryForm({}, { before: webp, after: samplePng() }));
+  assert.strictEqual(webpUpload.status, 415);
+  assert.strictEqual(webpUpload.body.error.field, 'before');
+
+  const category = await owner.post('/api/admin/gallery', galleryForm({ category: 'snow' }, { before: samplePng(), after: samplePng() }));
+  assert.strictEqual(category.status, 400);
+  assert.strictEqual(category.body.error.field, 'category');
+
+  const translations = await owner.post('/api/admin/gallery', galleryForm({ translations: '{' }, { before: samplePng(), after: samplePng() }));
+  assert.strictEqual(translations.body.error.field, 'translations');
+  // Temporary files are removed in the background
+  await waitFor(() => !fs.readdirSync(path.join(app.dataDir, 'uploads', 'tmp')).length);
+});
+
+test('gallery pairs can be edited, reordered and deleted', async () => {
+  const created = await owner.post('/api/admin/gallery', galleryForm({ title: 'Pond' }, { before: samplePng(), after: samplePng() }));
+  const id = created.body.entry.id;
+  const dir = path.join(app.publicDir, 'assets', 'img', 'gallery', id);
+  assert.ok(fs.existsSync(dir));
+
+  const updated = await owner.put(`/api/admin/gallery/${id}`, { title: 'Garden pond', category: 'water-features', altAfter: 'A finished pond' });
+  assert.strictEqual(updated.body.entry.title, 'Garden pond');
+  assert.strictEqual(updated.body.entry.thumbnail, created.body.entry.thumbnail);
+  assert.strictEqual((await owner.put(`/api/admin/gallery/${id}`, { category: 'snow' })).status, 400);
+  // Fields left out of the body keep their values
+  const featured = await owner.put(`/api/admin/gallery/${id}`, { featured: true });
+  assert.strictEqual(featured.status, 200);
+  assert.deepStrictEqual(featured.body.entry, { ...updated.body.entry, featured: true });
+  assert.strictEqual((await owner.put('/api/admin/gallery/missing', {})).status, 404);
+  assert.deepStrictEqual((await owner.get('/api/gallery?category=water-features')).body.map(entry => entry.id), [id]);
+
+  const ids = (await owner.get('/api/gallery')).body.map(entry => entry.id).reverse();
+  assert.strictEqual((await owner.post('/api/admin/gallery/reorder', { ids })).status, 200);
+  assert.deepStrictEqual((await owner.get('/api/gallery')).body.map(entry => entry.id), ids);
+  assert.strictEqual((await owner.post('/api/admin/gallery/reorder', { ids: [...ids, ids[0]] })).status, 400);
+
+  assert.strictEqual((await owner.delete(`/api/admin/gallery/${id}`)).status, 200);
+  assert.strictEqual((await owner.delete(`/api/admin/gallery/${id}`)).status, 404);
+  // Image files are removed in the background
+  await waitFor(() => !fs.existsSync(dir));
+});
+
+test('gallery changes need an editor', async () => {
+  const visitor = createClient(app.url);
+  assert.strictEqual((await visitor.post('/api/admin/gallery', galleryForm({}, { before: samplePng(), after: samplePng() }))).status, 401);
+  assert.strictEqual((await visitor.post('/api/admin/gallery/reorder', { ids: [] })).status, 401);
+  assert.strictEqual((await visitor.delete('/api/admin/gallery/3f9c2a1e')).status, 401);
+
+  const invited = await owner.post('/api/admin/users', { username: 'looker', role: 'viewer' });
+  const viewer = createClient(app.url);
+  await viewer.signIn('looker', invited.body.temporaryPassword);
+  await viewer.post('/api/admin/change-password', { currentPassword: invited.body.temporaryPassword, newPassword: 'looker-password-1' });
+  assert.strictEqual((await viewer.put('/api/admin/gallery/3f9c2a1e', { title: 'Nope' })).status, 403);
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const users = require('../lib/users');
+const png = require('../lib/image/png');
+const { loadConfig } = require('../lib/config');
+const { createApp, flushData } = require('../server');
+
+/*
+ * Shared test setup: an app running on an ephemeral port against a copy of
+ * the data in a temporary directory, and a small fetch wrapper that keeps
+ * the admin session cookie like a browser would.
+ */
+
+const root = path.join(__dirname, '..');
+
+const OWNER = { username: 'owner', password: 'owner-password-1' };
+
+/**
+ * Start an app on a fresh copy of the FAQs, gallery and translations, with
+ * an owner account. The public directory holds only stand-in pages.
+ * @param {object} [options]
+ * @param {object} [options.env] - extra configuration variables; access
+ *   logging and watching the data files are off unless ACCESS_LOG or
+ *   WATCH_DATA is set
+ * @param {function(string): void} [options.prepare] - called with the data
+ *   directory before the app loads it
+ * @returns {Promise<{ url: string, dataDir: string, publicDir: string, server: http.Server, close: function(): Promise<void> }>}
+ */
+async function startApp({ env = {}, prepare } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'marisk-test-'));
+  const dataDir = path.join(dir, 'data');
+  const publicDir = path.join(dir, 'public');
+  fs.mkdirSync(dataDir);
+  fs.cpSync(path.join(root, 'data', 'locales'), path.join(dataDir, 'locales'), { recursive: true });
+  fs.copyFileSync(path.join(root, 'data', 'faqs.json'), path.join(dataDir, 'faqs.json'));
+  fs.copyFileSync(path.join(root, 'data', 'gallery.json'), path.join(dataDir, 'gallery.json'));
+  fs.mkdirSync(path.join(publicDir, 'assets', 'img'), { recursive: true });
+  fs.writeFileSync(path.join(publicDir, 'index.html'), '<!doctype html><title>Marisk</title>');
+  fs.writeFileSync(path.join(publicDir, 'admin.html'), '<!doctype html><title>Admin</title>');
+
+  users.load(path.join(dataDir, 'users.json'));
+  await users.create({ ...OWNER, role: 'owner' });
+  if (prepare) prepare(dataDir);
+
+  let server;
+  try {
+    server = createApp(loadConfig({ env: { ACCESS_LOG: 'false', WATCH_DATA: 'false', ...env, DATA_DIR: dataDir, PUBLIC_DIR: publicDir }, file: null }));
+  } catch (err) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw err;
+  }
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    dataDir,
+    publicDir,
+    server,
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await flushData();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * A client for one app. Objects passed as `body` are sent as JSON, form
+ * data and buffers as they are; cookies set by the server are sent back on
+ * later requests, and the CSRF token with changes, as the admin panel does.
+ * @param {string} baseUrl
+ */
+function createClient(baseUrl) {
+  const cookies = {};
+  async function request(method, pathname, { body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    const cookie = Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+    if (cookie) init.headers.Cookie = cookie;
+    if (cookies.marisk_csrf && !['GET', 'HEAD'].includes(method)) init.headers['X-CSRF-Token'] = cookies.marisk_csrf;
+    if (body instanceof FormData || Buffer.isBuffer(body)) {
+      init.body = body;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+    const res = await fetch(baseUrl + pathname, init);
+    res.headers.getSetCookie().forEach(setCookie => {
+      const [pair] = setCookie.split(';');
+      const index = pair.indexOf('=');
+      const name = pair.slice(0, index);
+      if (index === pair.length - 1) delete cookies[name];
+      else cookies[name] = pair.slice(index + 1);
+    });
+    const type = res.headers.get('content-type') || '';
+    const data = type.includes('application/json') ? await res.json() : Buffer.from(await res.arrayBuffer());
+    return { status: res.status, headers: res.headers, body: data };
+  }
+  return {
+    request,
+    get: (pathname, options) => request('GET', pathname, options),
+    post: (pathname, body, options) => request('POST', pathname, { ...options, body }),
+    put: (pathname, body, options) => request('PUT', pathname, { ...options, body }),
+    delete: (pathname, options) => request('DELETE', pathname, options),
+    async signIn(username = OWNER.username, password = OWNER.password) {
+      const res = await request('POST', '/api/admin/login', { body: { username, password } });
+      if (res.status !== 200) throw new Error(`Sign-in failed with ${res.status}`);
+      return res.body;
+    }
+  };
+}
+
+/**
+ * Wait for something the server does in the background, such as deleting
+ * files, polling until the condition holds or a second has passed.
+ * @param {function(): (boolean|Promise<boolean>)} condition
+ */
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 40; attempt++) {
+    if (await condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error('Timed out waiting for the server');
+}
+
+/**
+ * A small solid-colour PNG.
+ * @param {number} width
+ * @param {number} height
+ */
+function samplePng(width = 32, height = 24) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set([40, 160, 80, 255], i);
+  }
+  return png.encode({ width, height, data }, { alpha: false });
+}
+
+/**
+ * A minimal PDF, enough to pass the signature check.
+ */
+function samplePdf() {
+  return Buffer.from('%PDF-1.4\n%%EOF\n');
+}
+
+module.exports = {
+  OWNER,
+  startApp,
+  createClient,
+  waitFor,
+  samplePng,
+  samplePdf
+};
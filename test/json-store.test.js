@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/json-store');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'marisk-store-'));
+let dirs = 0;
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const SCHEMA = { type: 'array', items: { type: 'object', required: ['id'] } };
+
+/**
+ * A fresh directory for one test.
+ */
+function makeDir() {
+  const dir = path.join(root, String(++dirs));
+  fs.mkdirSync(dir);
+  return dir;
+}
+
+test('a missing file loads as the fallback', () => {
+  const dir = makeDir();
+  assert.deepStrictEqual(createStore(path.join(dir, 'items.json')).load(), []);
+  assert.deepStrictEqual(createStore(path.join(dir, 'items.json'), { fallback: {} }).load(), {});
+});
+
+test('writes replace the file whole and leave no temporary files', async () => {
+  const dir = makeDir();
+  const file = path.join(dir, 'items.json');
+  const store = createStore(file, { schema: SCHEMA, backups: 0 });
+  await store.save([{ id: 'a' }]);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [{ id: 'a' }]);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['items.json']);
+  assert.deepStrictEqual(createStore(file, { schema: SCHEMA }).load(), [{ id: 'a' }]);
+});
+
+test('saves run one at a time and a waiting save takes the latest contents', async () => {
+  const dir = makeDir();
+  const file = path.join(dir, 'items.json');
+  const store = createStore(file, { backups: 0 });
+  const items = [];
+  const writes = [];
+  for (let i = 0; i < 5; i++) {
+    items.push({ id: String(i) });
+    writes.push(store.save(items));
+    // Let the first write start
+    if (i === 0) await new Promise(resolve => setImmediate(resolve));
+  }
+  // Changes after a save are not written by it
+  items.push({ id: 'late' });
+  await Promise.all(writes);
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).length, 5);
+  // The other four saves waited for the first and were combined
+  assert.strictEqual(writes[1], writes[4]);
+  assert.notStrictEqual(writes[0], writes[1]);
+  await store.flush();
+});
+
+test('keeps the most recent backups', async () => {
+  const dir = makeDir();
+  const file = path.join(dir, 'items.json');
+  const store = createStore(file, { backups: 2 });
+  for (let i = 1; i <= 4; i++) {
+    await store.save([{ id: String(i) }]);
+  }
+  const backups = fs.readdirSync(path.join(dir, 'backups')).sort();
+  assert.strictEqual(backups.length, 2);
+  assert.ok(backups.every(name => /^items-\d{4}-\d{2}-\d{2}T[\d-]+Z\.json$/.test(name)));
+  const contents = backups.map(name => JSON.parse(fs.readFileSync(path.join(dir, 'backups', name), 'utf8')));
+  assert.deepStrictEqual(contents, [[{ id: '2' }], [{ id: '3' }]]);
+});
+
+test('refuses to load a corrupt file', () => {
+  const dir = makeDir();
+  const file = path.join(dir, 'items.json');
+  fs.writeFileSync(file, '[{"id": "a"},');
+  assert.throws(() => createStore(file, { schema: SCHEMA }).load(), (err) => {
+    assert.strictEqual(err.code, 'EDATACORRUPT');
+    assert.match(err.message, /items\.json is corrupt/);
+    return true;
+  });
+  fs.writeFileSync(file, '[{"name": "a"}]');
+  assert.throws(() => createStore(file, { schema: SCHEMA }).load(), /invalid contents: \[0\]\.id is required/);
+  // With nothing to recover from, recovery fails too
+  assert.throws(() => createStore(file, { schema: SCHEMA, recover: true }).load(), { code: 'EDATACORRUPT' });
+});
+
+test('recovers the newest valid backup read-only', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const dir = makeDir();
+  const file = path.join(dir, 'items.json');
+  const backupDir = path.join(dir, 'backups');
+  fs.mkdirSync(backupDir);
+  fs.writeFileSync(path.join(backupDir, 'items-2026-01-01T00-00-00-000Z.json'), '[{"id": "old"}]');
+  fs.writeFileSync(path.join(backupDir, 'items-2026-01-02T00-00-00-000Z.json'), '[{"id": "good"}]');
+  fs.writeFileSync(path.join(backupDir, 'items-2026-01-03T00-00-00-000Z.json'), 'not json');
+  fs.writeFileSync(file, '{');
+
+  const store = createStore(file, { schema: SCHEMA, recover: true });
+  assert.deepStrictEqual(store.load(), [{ id: 'good' }]);
+  assert.strictEqual(store.readOnly, true);
+  await assert.rejects(store.save([]), /read-only/);
+  // The damaged file is left for someone to repair
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), '{');
+});
+
+test('reloads changes made to the file by something else', async () => {
+  const dir = makeDir();
+  const file = path.join(dir, 'items.json');
+  const store = createStore(file, { schema: SCHEMA, backups: 0 });
+  assert.strictEqual(store.reload(), null);
+  await store.save([{ id: 'a' }]);
+  // The store's own writes are not news
+  assert.strictEqual(store.reload(), null);
+
+  fs.writeFileSync(file, '[{"id": "b"}]');
+  assert.deepStrictEqual(store.reload(), [{ id: 'b' }]);
+  assert.strictEqual(store.reload(), null);
+
+  fs.writeFileSync(file, '[{"name": "c"}]');
+  assert.throws(() => store.reload(), { code: 'EDATACORRUPT' });
+  // Nothing is reloaded while a write is pending
+  const saved = store.save([{ id: 'd' }]);
+  assert.strictEqual(store.reload(), null);
+  await saved;
+  assert.strictEqual(store.reload(), null);
+});
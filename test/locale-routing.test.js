@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const i18n = require('../lib/i18n');
+const { startApp } = require('./helpers');
+
+let app;
+
+test.before(async () => {
+  app = await startApp({ env: { SITE_URL: 'https://marisk.ca/' } });
+  fs.writeFileSync(path.join(app.publicDir, 'index.html'), [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <link rel="stylesheet" href="assets/css/style.css">',
+    '</head>',
+    '<body>',
+    '  <a href="#hero" data-i18n="nav_home">Home</a>',
+    '  <p data-i18n="no_such_key">Kept as is</p>',
+    '  <input placeholder="Type..." data-i18n-placeholder="chat_input_placeholder">',
+    '  <script defer src="assets/js/i18n.js"></script>',
+    '</body>',
+    '</html>'
+  ].join('\n'));
+});
+
+test.after(() => app.close());
+
+/**
+ * Request a page without following redirects.
+ * @param {string} pathname
+ * @param {object} [headers]
+ */
+async function get(pathname, headers = {}) {
+  const res = await fetch(app.url + pathname, { headers, redirect: 'manual' });
+  return { status: res.status, headers: res.headers, body: await res.text() };
+}
+
+test('picks a language from Accept-Language', () => {
+  const available = ['en', 'fr', 'ru'];
+  assert.strictEqual(i18n.negotiate('fr-CA,fr;q=0.9,en;q=0.8', available, 'en'), 'fr');
+  assert.strictEqual(i18n.negotiate('de, ru;q=0.5, en;q=0.7', available, 'en'), 'en');
+  assert.strictEqual(i18n.negotiate('de, ru;q=0.5', available, 'en'), 'ru');
+  assert.strictEqual(i18n.negotiate('fr;q=0, *', available, 'en'), 'en');
+  assert.strictEqual(i18n.negotiate(undefined, available, 'en'), 'en');
+});
+
+test('translates the text and attributes of a page', () => {
+  const html = i18n.localizeHtml(
+    '<html lang="en"><head></head><h1 class="x" data-i18n="title">Hi</h1>' +
+    '<input data-i18n-placeholder="hint" data-i18n-aria-label="label"><b data-i18n="none">Same</b>',
+    { lang: 'fr', strings: { title: 'Salut <toi> & "nous"', hint: 'Écrivez', label: 'Question' } }
+  );
+  assert.strictEqual(html, '<html lang="fr"><head></head><h1 class="x" data-i18n="title">Salut &lt;toi&gt; &amp; &quot;nous&quot;</h1>' +
+    '<input data-i18n-placeholder="hint" data-i18n-aria-label="label" placeholder="Écrivez" aria-label="Question"><b data-i18n="none">Same</b>');
+});
+
+test('sends visitors at / to the address of their language', async () => {
+  const french = await get('/?ref=ad', { 'Accept-Language': 'fr-CA,fr;q=0.9,en;q=0.8' });
+  assert.strictEqual(french.status, 302);
+  assert.strictEqual(french.headers.get('location'), '/fr/?ref=ad');
+  assert.strictEqual(french.headers.get('vary'), 'Accept-Language, Cookie');
+  // The language picked with the selector wins over the browser's
+  const picked = await get('/', { 'Accept-Language': 'fr', Cookie: 'marisk_lang=en' });
+  assert.strictEqual(picked.status, 200);
+  assert.match(picked.body, /<html lang="en">/);
+  assert.match(picked.body, /data-i18n="nav_home">Home</);
+  const russian = await get('/index.html', { Cookie: 'marisk_lang=ru' });
+  assert.strictEqual(russian.headers.get('location'), '/ru/');
+  const unknown = await get('/', { 'Accept-Language': 'de', Cookie: 'marisk_lang=../users' });
+  assert.strictEqual(unknown.status, 200);
+});
+
+test('serves each language at its own address', async () => {
+  const fr = await get('/fr/');
+  assert.strictEqual(fr.status, 200);
+  assert.strictEqual(fr.headers.get('content-language'), 'fr');
+  assert.match(fr.body, /<html lang="fr">/);
+  assert.match(fr.body, /data-i18n="nav_home">Accueil</);
+  assert.match(fr.body, /data-i18n="no_such_key">Kept as is</);
+  assert.match(fr.body, /placeholder="Tapez votre question\.\.\."/);
+  // Assets resolve from the root below /fr/
+  assert.match(fr.body, /href="\/assets\/css\/style\.css"/);
+  assert.match(fr.body, /src="\/assets\/js\/i18n\.js"/);
+  assert.match(fr.body, /<link rel="canonical" href="https:\/\/marisk\.ca\/fr\/">/);
+  assert.match(fr.body, /<link rel="alternate" hreflang="en" href="https:\/\/marisk\.ca\/">/);
+  assert.match(fr.body, /<link rel="alternate" hreflang="uk" href="https:\/\/marisk\.ca\/uk\/">/);
+  assert.match(fr.body, /<link rel="alternate" hreflang="x-default" href="https:\/\/marisk\.ca\/">/);
+
+  const en = await get('/en/');
+  assert.strictEqual(en.status, 301);
+  assert.strictEqual(en.headers.get('location'), '/');
+  assert.strictEqual((await get('/de/')).status, 404);
+  assert.strictEqual((await get('/assets/')).status, 404);
+});
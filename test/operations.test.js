@@ -0,0 +1,85 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const { startApp, createClient, waitFor, samplePdf } = require('./helpers');
+
+let app;
+let client;
+// Access log lines written by the app
+const accessLog = [];
+
+test.before(async () => {
+  // Keep the access log out of the test output, letting other output through
+  const write = process.stdout.write;
+  mock.method(process.stdout, 'write', function (chunk, ...args) {
+    if (typeof chunk === 'string' && chunk.startsWith('{"time"')) {
+      accessLog.push(JSON.parse(chunk));
+      return true;
+    }
+    return write.call(this, chunk, ...args);
+  });
+  app = await startApp({ env: { ACCESS_LOG: 'true', METRICS_TOKEN: 'scrape-token' } });
+  client = createClient(app.url);
+});
+
+test.after(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+test('logs every request as a JSON line with its request ID', async () => {
+  const given = await client.get('/api/faqs', { headers: { 'X-Request-Id': 'proxy-id.42' } });
+  assert.strictEqual(given.headers.get('x-request-id'), 'proxy-id.42');
+  const generated = await client.get('/api/nothing-here', { headers: { 'X-Request-Id': 'not valid!' } });
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  // Lines are written once the response has gone out
+  await waitFor(() => accessLog.length === 2);
+  const lines = accessLog.splice(0);
+  const [first] = lines;
+  assert.strictEqual(first.requestId, 'proxy-id.42');
+  assert.deepStrictEqual([first.method, first.path, first.status], ['GET', '/api/faqs', 200]);
+  assert.ok(first.durationMs >= 0);
+  assert.ok(!Number.isNaN(Date.parse(first.time)));
+  assert.strictEqual(lines[1].requestId, generated.headers.get('x-request-id'));
+  assert.strictEqual(lines[1].status, 404);
+});
+
+test('reports whether the data files can be read and written', async () => {
+  const res = await client.get('/healthz');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.status, 'ok');
+  assert.deepStrictEqual(Object.keys(res.body.checks), ['faqs', 'gallery', 'leads', 'applications', 'users', 'sessions', 'locales']);
+  assert.ok(Object.values(res.body.checks).every(check => check === 'ok'));
+});
+
+test('serves metrics in the Prometheus text format to holders of the token', async () => {
+  assert.strictEqual((await client.get('/metrics')).status, 401);
+  assert.strictEqual((await client.get('/metrics', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+
+  await client.post('/api/chat', { question: 'Do you offer lawn maintenance?' });
+  await client.post('/api/chat', { question: 'zzzz qqqq' });
+  await client.post('/api/careers/apply', {
+    name: 'Ada',
+    phone: '4035550100',
+    email: 'ada@example.com',
+    availableFrom: '2026-05-01',
+    availableTo: '2026-09-30',
+    resume: `data:application/pdf;base64,${samplePdf().toString('base64')}`
+  });
+
+  const res = await fetch(`${app.url}/metrics`, { headers: { Authorization: 'Bearer scrape-token' } });
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  const text = await res.text();
+  assert.match(text, /^# TYPE http_requests_total counter$/m);
+  assert.match(text, /^http_requests_total\{method="POST",route="\/api\/chat",status="200"\} 2$/m);
+  assert.match(text, /^http_requests_total\{method="GET",route="\/metrics",status="401"\} 2$/m);
+  assert.match(text, /^http_request_duration_seconds_bucket\{method="POST",route="\/api\/chat",le="\+Inf"\} 2$/m);
+  assert.match(text, /^http_request_duration_seconds_count\{method="POST",route="\/api\/chat"\} 2$/m);
+  assert.match(text, /^chat_questions_total\{result="match"\} 1$/m);
+  assert.match(text, /^chat_questions_total\{result="no_match"\} 1$/m);
+  assert.match(text, new RegExp(`^upload_size_bytes_sum\\{kind="resume"\\} ${samplePdf().length}$`, 'm'));
+  assert.match(text, /^upload_size_bytes_bucket\{kind="resume",le="10000"\} 1$/m);
+  assert.match(text, /^process_uptime_seconds \d/m);
+});
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startApp, createClient, samplePng, samplePdf } = require('./helpers');
+
+let app;
+let client;
+
+test.before(async () => {
+  app = await startApp();
+  client = createClient(app.url);
+});
+
+test.after(() => app.close());
+
+test('GET /api/locales/:lang returns a translation file', async () => {
+  const fr = await client.get('/api/locales/fr');
+  assert.strictEqual(fr.status, 200);
+  assert.strictEqual(fr.body.chat_no_answer, 'Désolé, je n\'ai pas encore cette réponse.');
+  const withExtension = await client.get('/api/locales/ru.json');
+  assert.strictEqual(withExtension.body.chat_no_answer, 'Извините, я пока не знаю ответа.');
+});
+
+test('GET /api/locales/:lang falls back to English and stays inside the locales', async () => {
+  const unknown = await client.get('/api/locales/xx');
+  assert.strictEqual(unknown.body.chat_no_answer, 'Sorry, I don’t know the answer yet.');
+  const traversal = await client.get('/api/locales/..%2Ffaqs');
+  assert.strictEqual(traversal.status, 200);
+  assert.strictEqual(traversal.body.chat_no_answer, 'Sorry, I don’t know the answer yet.');
+});
+
+test('GET /api/faqs returns every FAQ, or localized ones with ?lang=', async () => {
+  const all = await client.get('/api/faqs');
+  assert.strictEqual(all.status, 200);
+  assert.ok(all.body.length > 0);
+  assert.ok(all.body.every(faq => faq.id && faq.question && faq.answer));
+  const localized = await client.get('/api/faqs?lang=fr-CA');
+  assert.strictEqual(localized.body.length, all.body.length);
+  assert.deepStrictEqual(Object.keys(localized.body[0]), ['id', 'question', 'answer']);
+});
+
+test('GET /api/faqs-suggestions returns five questions', async () => {
+  const res = await client.get('/api/faqs-suggestions?lang=en');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.length, 5);
+  assert.ok(res.body.every(question => typeof question === 'string' && question));
+});
+
+test('GET /api/gallery lists, filters and pages the gallery', async () => {
+  const all = await client.get('/api/gallery');
+  assert.strictEqual(all.status, 200);
+  assert.strictEqual(all.body.length, 3);
+
+  const page = await client.get('/api/gallery?page=2&limit=2');
+  assert.strictEqual(page.status, 200);
+  assert.strictEqual(page.body.entries.length, 1);
+  assert.strictEqual(page.body.entries[0].id, all.body[2].id);
+  assert.deepStrictEqual(
+    { total: page.body.total, page: page.body.page, pages: page.body.pages, limit: page.body.limit },
+    { total: 3, page: 2, pages: 2, limit: 2 }
+  );
+
+  const filtered = await client.get('/api/gallery?category=maintenance&lang=fr');
+  assert.deepStrictEqual(filtered.body, []);
+});
+
+test('GET /api/gallery rejects invalid parameters', async () => {
+  const category = await client.get('/api/gallery?category=snow');
+  assert.strictEqual(category.status, 400);
+  assert.strictEqual(category.body.error.field, 'category');
+  const page = await client.get('/api/gallery?page=0');
+  assert.strictEqual(page.body.error.field, 'page');
+  const limit = await client.get('/api/gallery?limit=500');
+  assert.strictEqual(limit.body.error.field, 'limit');
+});
+
+test('POST /api/chat answers from the FAQs', async () => {
+  const res = await client.post('/api/chat', { question: 'How often should I water my lawn in Calgary?', lang: 'en' });
+  assert.strictEqual(res.status, 200);
+  assert.ok(res.body.faqId);
+  assert.ok(res.body.confidence >= 0.45);
+  assert.match(res.body.answer, /water/i);
+  assert.match(res.body.sessionId, /^[a-f0-9]{16}$/);
+});
+
+test('POST /api/chat replies with the translated fallback when there is no answer', async () => {
+  const sessionId = 'ab'.repeat(8);
+  const res = await client.post('/api/chat', { question: 'qwertyuiop asdfghjkl', lang: 'ru', sessionId });
+  assert.strictEqual(res.body.faqId, null);
+  assert.strictEqual(res.body.answer, 'Извините, я пока не знаю ответа.');
+  assert.strictEqual(res.body.sessionId, sessionId);
+});
+
+test('POST /api/leads stores a quote request with its photos', async () => {
+  const photo = `data:image/png;base64,${samplePng().toString('base64')}`;
+  const res = await client.post('/api/leads', {
+    name: 'Ada',
+    phone: '+1 403 555 0100',
+    service: 'sod-turf',
+    preferredFrom: '2026-05-01',
+    preferredTo: '2026-05-10',
+    photos: [photo]
+  });
+  assert.strictEqual(res.status, 200);
+  const leads = JSON.parse(fs.readFileSync(path.join(app.dataDir, 'leads.json'), 'utf8'));
+  const lead = leads.find(item => item.id === res.body.id);
+  assert.strictEqual(lead.status, 'new');
+  assert.deepStrictEqual(lead.photos, ['photo-1.png']);
+  assert.ok(fs.existsSync(path.join(app.dataDir, 'uploads', 'leads', lead.id, 'photo-1.png')));
+});
+
+test('POST /api/leads names the first invalid field', async () => {
+  const cases = [
+    [{ phone: '4035550100' }, 'name'],
+    [{ name: 'Ada' }, 'phone'],
+    [{ name: 'Ada', email: 'not-an-email' }, 'email'],
+    [{ name: 'Ada', phone: '4035550100', service: 'snow' }, 'service'],
+    [{ name: 'Ada', phone: '4035550100', preferredFrom: '2026-05-10', preferredTo: '2026-05-01' }, 'preferredTo'],
+    [{ name: 'Ada', phone: '4035550100', photos: ['data:image/png;base64,AAAA'] }, 'photos']
+  ];
+  for (const [body, field] of cases) {
+    const res = await client.post('/api/leads', body);
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error.field, field);
+  }
+});
+
+test('POST /api/careers/apply stores an application and its résumé', async () => {
+  const res = await client.post('/api/careers/apply', {
+    name: 'Grace',
+    phone: '403 555 0101',
+    email: 'grace@example.com',
+    availableFrom: '2026-04-01',
+    availableTo: '2026-09-30',
+    driversLicence: true,
+    resume: `data:application/pdf;base64,${samplePdf().toString('base64')}`
+  });
+  assert.strictEqual(res.status, 200);
+  assert.ok(fs.existsSync(path.join(app.dataDir, 'uploads', 'resumes', `${res.body.id}.pdf`)));
+
+  const invalid = await client.post('/api/careers/apply', {
+    name: 'Grace',
+    phone: '403 555 0101',
+    email: 'grace@example.com',
+    availableFrom: '2026-04-01',
+    availableTo: '2026-09-30',
+    resume: `data:application/pdf;base64,${Buffer.from('not a pdf').toString('base64')}`
+  });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.body.error.field, 'resume');
+});
+
+test('serves pages, the admin panel and static files', async () => {
+  const index = await client.get('/');
+  assert.strictEqual(index.status, 200);
+  assert.strictEqual(index.headers.get('content-type'), 'text/html');
+  const admin = await client.get('/admin');
+  assert.match(admin.body.toString(), /<title>Admin<\/title>/);
+  const missing = await client.get('/missing.html');
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.body.toString(), 'Not Found');
+});
+
+test('answers CORS preflight requests and sets CORS headers on the API', async () => {
+  const preflight = await client.request('OPTIONS', '/api/chat');
+  assert.strictEqual(preflight.status, 204);
+  assert.match(preflight.headers.get('access-control-allow-methods'), /POST/);
+  const res = await client.get('/api/faqs');
+  assert.strictEqual(res.headers.get('access-control-allow-origin'), '*');
+});
+
+test('unknown API routes and methods get JSON errors', async () => {
+  const missing = await client.get('/api/nothing-here');
+  assert.strictEqual(missing.status, 404);
+  assert.deepStrictEqual(missing.body, { error: { code: 'not_found', message: 'Not found', field: null } });
+  const method = await client.delete('/api/faqs');
+  assert.strictEqual(method.status, 405);
+  assert.strictEqual(method.headers.get('allow'), 'GET');
+  const malformed = await client.get('/api/admin/leads/%E0/photos/x.png');
+  assert.strictEqual(malformed.status, 400);
+});
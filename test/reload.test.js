@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { startApp, createClient, waitFor } = require('./helpers');
+const { shutdown } = require('../server');
+
+/**
+ * Write a data file as an editor or a restore from a backup would.
+ * @param {string} file
+ * @param {*} data
+ */
+function writeJson(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+test('the owner reloads data files edited on disk, keeping the data of invalid ones', async () => {
+  const app = await startApp();
+  try {
+    const client = createClient(app.url);
+    const owner = createClient(app.url);
+    await owner.signIn();
+    const gallery = (await client.get('/api/gallery')).body;
+    const galleryFile = fs.readFileSync(path.join(app.dataDir, 'gallery.json'));
+    // Read the French translations so that they are held in memory
+    await client.get('/api/locales/fr');
+
+    writeJson(path.join(app.dataDir, 'faqs.json'), [{ id: 'edited01', question: 'Edited by hand?', answer: 'Yes.' }]);
+    const fr = JSON.parse(fs.readFileSync(path.join(app.dataDir, 'locales', 'fr.json'), 'utf8'));
+    writeJson(path.join(app.dataDir, 'locales', 'fr.json'), { ...fr, hand_edited: 'Modifié' });
+    fs.writeFileSync(path.join(app.dataDir, 'gallery.json'), '[{"before": 1}');
+
+    assert.strictEqual((await client.post('/api/admin/reload')).status, 401);
+    const res = await owner.post('/api/admin/reload');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.reloaded, ['faqs.json', path.join('locales', 'fr.json')]);
+    assert.strictEqual(res.body.errors.length, 1);
+    assert.match(res.body.errors[0], /gallery\.json/);
+
+    assert.deepStrictEqual((await client.get('/api/faqs')).body.map(faq => faq.id), ['edited01']);
+    assert.strictEqual((await client.get('/api/locales/fr')).body.hand_edited, 'Modifié');
+    assert.deepStrictEqual((await client.get('/api/gallery')).body, gallery);
+
+    // Putting back the file as it was loaded changes nothing
+    fs.writeFileSync(path.join(app.dataDir, 'gallery.json'), galleryFile);
+    const again = await owner.post('/api/admin/reload');
+    assert.deepStrictEqual(again.body, { reloaded: [], errors: [] });
+
+    const audit = await owner.get('/api/admin/audit?action=data.reload');
+    assert.strictEqual(audit.body.entries.length, 2);
+  } finally {
+    await app.close();
+  }
+});
+
+test('changed files are picked up without a request when watching is on', async () => {
+  const app = await startApp({ env: { WATCH_DATA: 'true' } });
+  try {
+    const client = createClient(app.url);
+    writeJson(path.join(app.dataDir, 'faqs.json'), [{ id: 'watched1', question: 'Watched?', answer: 'Yes.' }]);
+    await waitFor(async () => (await client.get('/api/faqs')).body[0].id === 'watched1');
+  } finally {
+    await app.close();
+  }
+});
+
+test('shutting down finishes requests in progress and accepts no new ones', async () => {
+  const app = await startApp();
+  try {
+    // A request whose body is still being sent when the shutdown starts
+    const response = new Promise((resolve, reject) => {
+      const req = http.request(`${app.url}/api/chat`, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, res => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      req.write('{"question": ');
+      req.on('socket', socket => socket.on('connect', () => {
+        setTimeout(() => req.end('"Do you offer lawn maintenance?"}'), 100);
+      }));
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const stopped = shutdown(app.server);
+
+    const { status, headers } = await response;
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers.connection, 'close');
+    assert.strictEqual(await stopped, true);
+    await assert.rejects(fetch(`${app.url}/api/faqs`));
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRouter } = require('../lib/router');
+
+function request(method, url) {
+  return { method, url };
+}
+
+test('matches routes by method and path, with decoded parameters', async () => {
+  const router = createRouter();
+  const calls = [];
+  router.get('/api/items', (req) => calls.push(['list', req.query.get('q')]));
+  router.get('/api/items/:id/files/:file', (req) => calls.push(['file', req.params, req.route]));
+  router.delete('/api/items/:id', (req) => calls.push(['delete', req.params.id]));
+
+  await router.handle(request('GET', '/api/items?q=roses'), {});
+  await router.handle(request('GET', '/api/items/a%20b/files/photo-1.png'), {});
+  await router.handle(request('DELETE', '/api/items/42'), {});
+
+  assert.deepStrictEqual(calls, [
+    ['list', 'roses'],
+    ['file', { id: 'a b', file: 'photo-1.png' }, '/api/items/:id/files/:file'],
+    ['delete', '42']
+  ]);
+});
+
+test('registers one route under several paths', async () => {
+  const router = createRouter();
+  const paths = [];
+  router.post(['/api/new', '/api/old'], (req) => paths.push(req.pathname));
+  await router.handle(request('POST', '/api/new'), {});
+  await router.handle(request('POST', '/api/old'), {});
+  assert.deepStrictEqual(paths, ['/api/new', '/api/old']);
+});
+
+test('runs middleware, then route handlers, in order until one stops', async () => {
+  const router = createRouter();
+  const order = [];
+  router.use(async (req, res, next) => {
+    order.push('use:before');
+    await next();
+    order.push('use:after');
+  });
+  const guard = async (req, res, next) => {
+    order.push('guard');
+    if (req.query.get('allow')) await next();
+  };
+  router.get('/secret', guard, () => order.push('handler'));
+
+  await router.handle(request('GET', '/secret?allow=1'), {});
+  assert.deepStrictEqual(order, ['use:before', 'guard', 'handler', 'use:after']);
+
+  order.length = 0;
+  await router.handle(request('GET', '/secret'), {});
+  assert.deepStrictEqual(order, ['use:before', 'guard', 'use:after']);
+});
+
+test('middleware can answer without reaching any route', async () => {
+  const router = createRouter();
+  let routed = false;
+  router.use((req) => {
+    req.answered = true;
+  });
+  router.get('/page', () => {
+    routed = true;
+  });
+  const req = request('GET', '/page');
+  await router.handle(req, {});
+  assert.strictEqual(req.answered, true);
+  assert.strictEqual(routed, false);
+});
+
+test('answers HEAD requests with GET routes', async () => {
+  const router = createRouter();
+  const methods = [];
+  router.get('/page', (req) => methods.push(req.method));
+  await router.handle(request('HEAD', '/page'), {});
+  assert.deepStrictEqual(methods, ['HEAD']);
+});
+
+test('calls the fallback with the methods a path accepts', async () => {
+  const router = createRouter();
+  router.put('/api/items/:id', () => {});
+  router.delete('/api/items/:id', () => {});
+  const seen = [];
+  const fallback = (req, res, allowed) => seen.push([req.pathname, allowed]);
+
+  await router.handle(request('GET', '/api/items/1'), {}, fallback);
+  await router.handle(request('GET', '/index.html'), {}, fallback);
+
+  assert.deepStrictEqual(seen, [
+    ['/api/items/1', ['PUT', 'DELETE']],
+    ['/index.html', []]
+  ]);
+});
+
+test('matches path segments literally', async () => {
+  const router = createRouter();
+  let matched = 0;
+  router.get('/api/faqs.json', () => matched++);
+  await router.handle(request('GET', '/api/faqsxjson'), {}, () => {});
+  await router.handle(request('GET', '/api/faqs.json/extra'), {}, () => {});
+  assert.strictEqual(matched, 0);
+});
+
+test('rejects malformed parameters with a 400 error', async () => {
+  const router = createRouter();
+  router.get('/api/items/:id', () => {});
+  await assert.rejects(router.handle(request('GET', '/api/items/%E0'), {}), { statusCode: 400 });
+});
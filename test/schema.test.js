@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const schema = require('../lib/schema');
+
+const ENTRY = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      name: { type: 'string', maxLength: 5 },
+      rating: { type: ['integer', 'null'], minimum: 1, maximum: 5 },
+      status: { enum: ['new', 'done'] },
+      tags: { type: 'array', maxItems: 2, items: { type: 'string' } }
+    },
+    additionalProperties: false
+  }
+};
+
+test('accepts valid values', () => {
+  assert.deepStrictEqual(schema.validate(ENTRY, []), []);
+  assert.deepStrictEqual(schema.validate(ENTRY, [{ id: 'a', name: 'Ann', rating: null, status: 'new', tags: ['x'] }]), []);
+  assert.deepStrictEqual(schema.validate({ type: 'number' }, 3), []);
+});
+
+test('reports each problem with the path of the value', () => {
+  const problems = schema.validate(ENTRY, [
+    { id: 'a', name: 'Ann' },
+    { id: '', name: 'Bartholomew', rating: 2.5, status: 'open', tags: ['x', 'y', 1], extra: true }
+  ]);
+  assert.deepStrictEqual(problems, [
+    { path: '[1].id', message: 'must not be empty' },
+    { path: '[1].name', message: 'must be at most 5 characters' },
+    { path: '[1].rating', message: 'must be an integer or a null' },
+    { path: '[1].status', message: 'must be one of "new", "done"' },
+    { path: '[1].tags', message: 'must have at most 2 items' },
+    { path: '[1].tags[2]', message: 'must be a string' },
+    { path: '[1].extra', message: 'is not allowed' }
+  ]);
+  assert.deepStrictEqual(schema.validate(ENTRY, [{ name: 'Ann' }]), [{ path: '[0].id', message: 'is required' }]);
+  assert.deepStrictEqual(schema.validate(ENTRY, {}), [{ path: '', message: 'must be an array' }]);
+});
+
+test('describes problems in one line', () => {
+  const problems = schema.validate(ENTRY, [{}, {}]);
+  assert.strictEqual(schema.describe(problems), '[0].id is required; [0].name is required; [1].id is required; and 1 more');
+  assert.strictEqual(schema.describe([{ path: '', message: 'must be an array' }]), 'must be an array');
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startApp, createClient } = require('./helpers');
+
+let app;
+let owner;
+let token;
+
+test.before(async () => {
+  app = await startApp({ env: { CORS_ORIGIN: 'https://marisk.ca,https://partner.example' } });
+  owner = createClient(app.url);
+  ({ token } = await owner.signIn());
+});
+
+test.after(() => app.close());
+
+/**
+ * @param {string} method
+ * @param {string} pathname
+ * @param {object} [headers]
+ */
+function request(method, pathname, headers = {}) {
+  return fetch(app.url + pathname, { method, headers });
+}
+
+test('sends security headers, and HSTS only over HTTPS', async () => {
+  const page = await request('GET', '/admin');
+  const policy = page.headers.get('content-security-policy');
+  assert.match(policy, /default-src 'self'/);
+  assert.match(policy, /script-src 'self' https:\/\/kit\.fontawesome\.com/);
+  assert.match(policy, /style-src [^;]*https:\/\/fonts\.googleapis\.com/);
+  assert.match(policy, /font-src [^;]*https:\/\/fonts\.gstatic\.com/);
+  assert.match(policy, /frame-ancestors 'none'/);
+  assert.strictEqual(page.headers.get('x-content-type-options'), 'nosniff');
+  assert.strictEqual(page.headers.get('x-frame-options'), 'DENY');
+  assert.strictEqual(page.headers.get('referrer-policy'), 'strict-origin-when-cross-origin');
+  assert.strictEqual(page.headers.get('strict-transport-security'), null);
+  const proxied = await request('GET', '/api/faqs', { 'X-Forwarded-Proto': 'https' });
+  assert.match(proxied.headers.get('strict-transport-security'), /max-age=\d+/);
+});
+
+test('opens the public API to the listed origins only', async () => {
+  const listed = await request('GET', '/api/faqs', { Origin: 'https://partner.example' });
+  assert.strictEqual(listed.headers.get('access-control-allow-origin'), 'https://partner.example');
+  assert.strictEqual(listed.headers.get('vary'), 'Origin');
+  const other = await request('GET', '/api/faqs', { Origin: 'https://evil.example' });
+  assert.strictEqual(other.status, 200);
+  assert.strictEqual(other.headers.get('access-control-allow-origin'), null);
+  const preflight = await request('OPTIONS', '/api/leads', { Origin: 'https://marisk.ca', 'Access-Control-Request-Method': 'POST' });
+  assert.strictEqual(preflight.status, 204);
+  assert.strictEqual(preflight.headers.get('access-control-allow-origin'), 'https://marisk.ca');
+});
+
+test('keeps the admin API to the site itself', async () => {
+  const cookie = `marisk_admin=${token}`;
+  const foreign = await request('GET', '/api/admin/me', { Origin: 'https://marisk.ca', Cookie: cookie });
+  assert.strictEqual(foreign.status, 403);
+  assert.strictEqual(foreign.headers.get('access-control-allow-origin'), null);
+  const login = await fetch(`${app.url}/api/admin/login`, {
+    method: 'POST',
+    headers: { Origin: 'https://evil.example', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'owner', password: 'owner-password-1' })
+  });
+  assert.strictEqual(login.status, 403);
+  const own = await request('GET', '/api/admin/me', { Origin: app.url, Cookie: cookie });
+  assert.strictEqual(own.status, 200);
+  assert.strictEqual(own.headers.get('access-control-allow-origin'), null);
+});
+
+test('requires the CSRF token for changes made with the session cookie', async () => {
+  const cookie = `marisk_admin=${token}`;
+  const missing = await request('DELETE', '/api/admin/faqs/none', { Cookie: cookie });
+  assert.strictEqual(missing.status, 403);
+  assert.deepStrictEqual(await missing.json(), { error: { code: 'forbidden', message: 'Missing or invalid CSRF token', field: null } });
+  const wrong = await request('DELETE', '/api/admin/faqs/none', { Cookie: cookie, 'X-CSRF-Token': 'a'.repeat(64) });
+  assert.strictEqual(wrong.status, 403);
+
+  const csrf = crypto.createHmac('sha256', token).update('csrf').digest('hex');
+  const valid = await request('DELETE', '/api/admin/faqs/none', { Cookie: cookie, 'X-CSRF-Token': csrf });
+  assert.strictEqual(valid.status, 404);
+  // Reading needs no token, and neither does a bearer token
+  assert.strictEqual((await request('GET', '/api/admin/users', { Cookie: cookie })).status, 200);
+  const bearer = await request('DELETE', '/api/admin/faqs/none', { Authorization: `Bearer ${token}` });
+  assert.strictEqual(bearer.status, 404);
+
+  // The admin panel reads the token from its cookie; signing out clears it
+  const client = createClient(app.url);
+  const signIn = await client.post('/api/admin/login', { username: 'owner', password: 'owner-password-1' });
+  assert.ok(signIn.headers.getSetCookie().some(value => value.startsWith(`marisk_csrf=${crypto.createHmac('sha256', signIn.body.token).update('csrf').digest('hex')}; Path=/;`)));
+  const signOut = await client.post('/api/admin/logout');
+  assert.strictEqual(signOut.status, 200);
+  assert.ok(signOut.headers.getSetCookie().some(value => value.startsWith('marisk_csrf=;')));
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { startApp } = require('./helpers');
+
+let app;
+const css = `body { color: green; }\n${'.leaf { margin: 0; }\n'.repeat(100)}`;
+const video = Buffer.from(Array.from({ length: 4096 }, (_, i) => i % 256));
+
+test.before(async () => {
+  app = await startApp();
+  const assets = path.join(app.publicDir, 'assets');
+  fs.mkdirSync(path.join(assets, 'css'));
+  fs.writeFileSync(path.join(assets, 'css', 'style.css'), css);
+  fs.writeFileSync(path.join(assets, 'css', 'app.3f9c2a1e.css'), 'p {}');
+  fs.writeFileSync(path.join(assets, 'css', 'print.css'), css);
+  // A precompressed copy that differs from what compressing would give
+  fs.writeFileSync(path.join(assets, 'css', 'print.css.gz'), zlib.gzipSync('/* precompressed */'));
+  fs.writeFileSync(path.join(assets, 'intro.webm'), video);
+});
+
+test.after(() => app.close());
+
+/**
+ * @param {string} pathname
+ * @param {object} [headers]
+ */
+function get(pathname, headers = {}) {
+  return fetch(app.url + pathname, { headers });
+}
+
+test('sends validators and cache headers, and answers conditional requests', async () => {
+  const res = await get('/assets/intro.webm');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('content-type'), 'video/webm');
+  assert.strictEqual(res.headers.get('cache-control'), 'public, max-age=3600');
+  assert.deepStrictEqual(Buffer.from(await res.arrayBuffer()), video);
+  const etag = res.headers.get('etag');
+  assert.match(etag, /^"[0-9a-f]+-[0-9a-f]+"$/);
+
+  const cached = await get('/assets/intro.webm', { 'If-None-Match': `W/"other", ${etag}` });
+  assert.strictEqual(cached.status, 304);
+  assert.strictEqual(await cached.text(), '');
+  const since = await get('/assets/intro.webm', { 'If-Modified-Since': res.headers.get('last-modified') });
+  assert.strictEqual(since.status, 304);
+  const changed = await get('/assets/intro.webm', { 'If-None-Match': '"other"' });
+  assert.strictEqual(changed.status, 200);
+
+  const fingerprinted = await get('/assets/css/app.3f9c2a1e.css');
+  assert.strictEqual(fingerprinted.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+  const page = await get('/admin');
+  assert.strictEqual(page.headers.get('cache-control'), 'no-cache');
+});
+
+test('compresses text, preferring a precompressed copy', async () => {
+  const br = await get('/assets/css/style.css', { 'Accept-Encoding': 'gzip;q=0.5, br' });
+  assert.strictEqual(br.headers.get('content-encoding'), 'br');
+  assert.strictEqual(br.headers.get('vary'), 'Accept-Encoding');
+  assert.strictEqual(await br.text(), css);
+  const gzip = await get('/assets/css/style.css', { 'Accept-Encoding': 'gzip, br;q=0' });
+  assert.strictEqual(gzip.headers.get('content-encoding'), 'gzip');
+  // Each encoding has its own tag
+  assert.notStrictEqual(gzip.headers.get('etag'), br.headers.get('etag'));
+  const identity = await get('/assets/css/style.css', { 'Accept-Encoding': 'identity' });
+  assert.strictEqual(identity.headers.get('content-encoding'), null);
+  assert.strictEqual(identity.headers.get('content-length'), String(css.length));
+
+  const precompressed = await get('/assets/css/print.css', { 'Accept-Encoding': 'gzip' });
+  assert.strictEqual(precompressed.headers.get('content-encoding'), 'gzip');
+  assert.strictEqual(await precompressed.text(), '/* precompressed */');
+  // Small files are sent as they are
+  const small = await get('/assets/css/app.3f9c2a1e.css', { 'Accept-Encoding': 'gzip' });
+  assert.strictEqual(small.headers.get('content-encoding'), null);
+});
+
+test('serves byte ranges', async () => {
+  const part = await get('/assets/intro.webm', { Range: 'bytes=100-199' });
+  assert.strictEqual(part.status, 206);
+  assert.strictEqual(part.headers.get('content-range'), 'bytes 100-199/4096');
+  assert.strictEqual(part.headers.get('accept-ranges'), 'bytes');
+  assert.deepStrictEqual(Buffer.from(await part.arrayBuffer()), video.subarray(100, 200));
+  const tail = await get('/assets/intro.webm', { Range: 'bytes=-10' });
+  assert.deepStrictEqual(Buffer.from(await tail.arrayBuffer()), video.subarray(4086));
+  const outside = await get('/assets/intro.webm', { Range: 'bytes=5000-' });
+  assert.strictEqual(outside.status, 416);
+  assert.strictEqual(outside.headers.get('content-range'), 'bytes */4096');
+  // A range of an older version is not mixed with the current one
+  const stale = await get('/assets/intro.webm', { Range: 'bytes=0-9', 'If-Range': '"old"' });
+  assert.strictEqual(stale.status, 200);
+  await stale.arrayBuffer();
+});
+
+test('answers HEAD requests without a body, and only GET and HEAD', async () => {
+  const head = await fetch(`${app.url}/assets/intro.webm`, { method: 'HEAD' });
+  assert.strictEqual(head.status, 200);
+  assert.strictEqual(head.headers.get('content-length'), '4096');
+  const home = await fetch(`${app.url}/`, { method: 'HEAD' });
+  assert.strictEqual(home.status, 200);
+  const post = await fetch(`${app.url}/assets/intro.webm`, { method: 'POST' });
+  assert.strictEqual(post.status, 404);
+  const traversal = await get('/..%2f..%2fdata/users.json');
+  assert.strictEqual(traversal.status, 404);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startApp, createClient } = require('./helpers');
+
+let app;
+let owner;
+
+test.before(async () => {
+  app = await startApp({
+    prepare(dataDir) {
+      // An untranslated string, a missing one and a page key no file has
+      const fr = JSON.parse(fs.readFileSync(path.join(dataDir, 'locales', 'fr.json'), 'utf8'));
+      const en = JSON.parse(fs.readFileSync(path.join(dataDir, 'locales', 'en.json'), 'utf8'));
+      fr.nav_home = en.nav_home;
+      delete fr.nav_about;
+      fs.writeFileSync(path.join(dataDir, 'locales', 'fr.json'), JSON.stringify(fr, null, 2));
+      fs.writeFileSync(path.join(dataDir, '..', 'public', 'index.html'),
+        '<!doctype html><a data-i18n="nav_home">Home</a><a data-i18n="nav_about">About</a>' +
+        '<input data-i18n-placeholder="chat_input_placeholder"><button data-i18n-aria-label="nav_new_page"></button>');
+    }
+  });
+  owner = createClient(app.url);
+  await owner.signIn();
+});
+
+test.after(() => app.close());
+
+test('lists translations side by side with missing and untranslated keys', async () => {
+  const res = await owner.get('/api/admin/translations');
+  assert.strictEqual(res.status, 200);
+  const report = res.body;
+  assert.strictEqual(report.languages[0], 'en');
+  assert.deepStrictEqual([...report.languages].sort(), ['en', 'fr', 'kk', 'ru', 'uk']);
+  assert.strictEqual(report.keys[report.keys.length - 1], 'nav_new_page');
+  assert.deepStrictEqual(report.pageKeys, ['nav_home', 'nav_about', 'chat_input_placeholder', 'nav_new_page']);
+  assert.deepStrictEqual(report.missing.fr, ['nav_about', 'nav_new_page']);
+  assert.deepStrictEqual(report.missing.en, ['nav_new_page']);
+  assert.ok(report.sameAsDefault.fr.includes('nav_home'));
+  assert.deepStrictEqual(report.sameAsDefault.en, []);
+  assert.deepStrictEqual(report.pageReport, [
+    { key: 'nav_about', missingIn: ['fr'] },
+    { key: 'nav_new_page', missingIn: report.languages }
+  ]);
+  assert.strictEqual(report.strings.en.nav_home, 'Home');
+});
+
+test('saving translations updates the file and the served locale at once', async () => {
+  // Load the locale first, so that it is cached
+  assert.strictEqual((await owner.get('/api/locales/fr')).body.nav_about, undefined);
+  const res = await owner.put('/api/admin/translations/fr', { strings: { nav_about: 'À propos', nav_home: '' } });
+  assert.strictEqual(res.status, 200);
+  const served = (await owner.get('/api/locales/fr')).body;
+  assert.strictEqual(served.nav_about, 'À propos');
+  assert.ok(!('nav_home' in served));
+  const saved = JSON.parse(fs.readFileSync(path.join(app.dataDir, 'locales', 'fr.json'), 'utf8'));
+  assert.strictEqual(saved.nav_about, 'À propos');
+  assert.ok(fs.readdirSync(path.join(app.dataDir, 'backups')).some(name => name.startsWith('fr-')));
+  const audit = (await owner.get('/api/admin/audit?action=translations.update')).body;
+  assert.strictEqual(audit.entries[0].target, 'locale:fr');
+});
+
+test('rejects unknown languages, bad keys and viewers', async () => {
+  assert.strictEqual((await owner.put('/api/admin/translations/xx', { strings: { a: 'b' } })).status, 404);
+  assert.strictEqual((await owner.put('/api/admin/translations/fr', { strings: {} })).status, 400);
+  const badKey = await owner.put('/api/admin/translations/fr', { strings: { 'nav home': 'x' } });
+  assert.strictEqual(badKey.status, 400);
+  assert.strictEqual(badKey.body.error.field, 'nav home');
+  assert.strictEqual((await owner.put('/api/admin/translations/fr', { strings: { nav_home: 5 } })).status, 400);
+
+  const invite = await owner.post('/api/admin/users', { username: 'reader', role: 'viewer' });
+  const viewer = createClient(app.url);
+  await viewer.signIn('reader', invite.body.temporaryPassword);
+  await viewer.post('/api/admin/change-password', { currentPassword: invite.body.temporaryPassword, newPassword: 'reader-password-1' });
+  assert.strictEqual((await viewer.get('/api/admin/translations')).status, 200);
+  assert.strictEqual((await viewer.put('/api/admin/translations/fr', { strings: { nav_home: 'Accueil' } })).status, 403);
+});
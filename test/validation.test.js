@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startApp, createClient } = require('./helpers');
+
+let app;
+let client;
+let owner;
+
+test.before(async () => {
+  app = await startApp({ env: { MAX_BODY_SIZE: '4kb' } });
+  client = createClient(app.url);
+  owner = createClient(app.url);
+  await owner.signIn();
+});
+
+test.after(() => app.close());
+
+/**
+ * Send a raw body to the chat API.
+ * @param {string} body
+ * @param {string} [type] - Content-Type
+ */
+async function postChat(body, type = 'application/json') {
+  const res = await fetch(`${app.url}/api/chat`, { method: 'POST', headers: { 'Content-Type': type }, body });
+  return { status: res.status, body: await res.json() };
+}
+
+test('malformed and non-JSON bodies are refused', async () => {
+  const malformed = await postChat('{"question": ');
+  assert.strictEqual(malformed.status, 400);
+  assert.deepStrictEqual(malformed.body, { error: { code: 'invalid_json', message: 'Request body is not valid JSON', field: null } });
+
+  const form = await postChat('question=hello', 'application/x-www-form-urlencoded');
+  assert.strictEqual(form.status, 415);
+  assert.strictEqual(form.body.error.code, 'unsupported_media_type');
+
+  const array = await postChat('[]');
+  assert.strictEqual(array.status, 400);
+  assert.strictEqual(array.body.error.message, 'Request body must be an object');
+
+  // An empty body is an empty object
+  assert.strictEqual((await postChat('')).status, 200);
+  assert.strictEqual((await postChat('{"question": "hi"}', 'application/json; charset=utf-8')).status, 200);
+});
+
+test('bodies over the size limit get 413 without waiting for the rest', async () => {
+  const declared = await postChat(JSON.stringify({ question: 'x'.repeat(5000) }));
+  assert.strictEqual(declared.status, 413);
+  assert.strictEqual(declared.body.error.code, 'payload_too_large');
+
+  // Without a Content-Length the body is cut off once it passes the limit
+  const { status, body } = await new Promise((resolve, reject) => {
+    const req = http.request(`${app.url}/api/chat`, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.write('{"question": "');
+    const chunk = 'x'.repeat(1024);
+    // Keep sending until the server answers, as a client with a large upload would
+    const timer = setInterval(() => req.write(chunk), 10);
+    req.on('response', () => clearInterval(timer));
+    req.on('close', () => clearInterval(timer));
+  });
+  assert.strictEqual(status, 413);
+  assert.strictEqual(body.error.code, 'payload_too_large');
+});
+
+test('request bodies are checked against the route\'s schema', async () => {
+  const long = await client.post('/api/chat', { question: 'x'.repeat(1001) });
+  assert.strictEqual(long.status, 400);
+  assert.deepStrictEqual(long.body.error, { code: 'invalid_field', message: 'question must be at most 1000 characters', field: 'question' });
+
+  const photos = await client.post('/api/leads', { name: 'Ada', phone: '4035550100', photos: 'none' });
+  assert.strictEqual(photos.body.error.field, 'photos');
+  assert.strictEqual(photos.body.error.message, 'photos must be an array');
+
+  const missing = await owner.post('/api/admin/faqs', { question: 'Q?' });
+  assert.strictEqual(missing.status, 400);
+  assert.strictEqual(missing.body.error.message, 'answer is required');
+  const translation = await owner.post('/api/admin/faqs', { question: 'Q?', answer: 'A.', translations: { fr: { question: 1 } } });
+  assert.strictEqual(translation.body.error.message, 'translations.fr.question must be a string');
+  assert.strictEqual(translation.body.error.field, 'translations');
+  const blank = await owner.post('/api/admin/faqs', { question: 'Q?', answer: '  ' });
+  assert.deepStrictEqual(blank.body.error, { code: 'invalid_request', message: 'Question and answer are required', field: 'answer' });
+
+  const reorder = await owner.post('/api/admin/faqs/reorder', { ids: 'all' });
+  assert.strictEqual(reorder.body.error.field, 'ids');
+  const role = await owner.post('/api/admin/users', { username: 'someone', role: 'admin' });
+  assert.match(role.body.error.message, /^role must be one of "viewer", "editor", "owner"$/);
+});
+
+test('other errors share the same shape', async () => {
+  const unauthorized = await client.get('/api/admin/leads');
+  assert.strictEqual(unauthorized.status, 401);
+  assert.strictEqual(unauthorized.body.error.code, 'unauthorized');
+  const method = await client.delete('/api/faqs');
+  assert.deepStrictEqual(method.body, { error: { code: 'method_not_allowed', message: 'Method not allowed', field: null } });
+  const page = await client.get('/api/gallery?page=0');
+  assert.deepStrictEqual(page.body, { error: { code: 'invalid_request', message: 'Invalid page', field: 'page' } });
+});